@@ -1,8 +1,21 @@
 // core/database.js
 
-import IDatabase from './database-interface.js';
-import SchemaManager from './schema-manager.js';
-import MigrationEngine from './migration-engine.js';
+import IDatabase from './database_interface.js';
+import SchemaManager from './schema_manager.js';
+import MigrationEngine from './migration_engine.js';
+import QueryBuilder from './query_builder.js';
+
+/**
+ * storeهای سیستمی که همیشه ساخته می‌شوند
+ * _metadata: نسخه ذخیره‌شده دیتابیس، _system: تاریخچه مهاجرت‌ها
+ * _migration_history: checkpoint هر اجرای مهاجرت، _migration_snapshots: کپی storeها پیش از مهاجرت
+ */
+const SYSTEM_STORES = [
+  { name: '_metadata', keyPath: 'id' },
+  { name: '_system', keyPath: 'id', indexes: [{ name: 'type', keyPath: 'type' }] },
+  { name: '_migration_history', keyPath: 'id', indexes: [{ name: 'status', keyPath: 'status' }] },
+  { name: '_migration_snapshots', keyPath: 'id', indexes: [{ name: 'runId', keyPath: 'runId' }] }
+];
 
 /**
  * پیاده‌سازی نهایی لایه دیتابیس
@@ -10,12 +23,25 @@ import MigrationEngine from './migration-engine.js';
  * @implements {IDatabase}
  */
 class Database extends IDatabase {
-  constructor(dbName = 'VakamovaDB') {
+  /**
+   * @param {string} [dbName] - نام دیتابیس
+   * @param {Object} [backend] - پیاده‌سازی IndexedDB (پیش‌فرض: global مرورگر)
+   * @param {IDBFactory} [backend.indexedDB]
+   * @param {typeof IDBKeyRange} [backend.IDBKeyRange]
+   * @param {Object} [options]
+   * @param {IEventBus} [options.eventBus] - برای رویدادهای migration.*
+   * @param {() => {indexedDB: IDBFactory, IDBKeyRange: typeof IDBKeyRange}} [options.snapshotBackend] - backend کپی dry-run (پیش‌فرض: IndexedDB درون‌حافظه‌ای)
+   */
+  constructor(dbName = 'VakamovaDB', backend = {}, options = {}) {
     super();
     this.dbName = dbName;
+    this._indexedDB = backend.indexedDB || globalThis.indexedDB;
+    this._IDBKeyRange = backend.IDBKeyRange || globalThis.IDBKeyRange;
     this._db = null;
+    this._snapshotBackend = options.snapshotBackend || null;
     this.schemaManager = new SchemaManager();
-    this.migrationEngine = null;
+    // پیش از init ساخته می‌شود تا migrationها قبل از اجرای مهاجرت ثبت شوند
+    this.migrationEngine = new MigrationEngine(this, this.schemaManager, options.eventBus || null);
     this.currentSchemaVersion = 0;
     this.isInitialized = false;
     
@@ -33,26 +59,27 @@ class Database extends IDatabase {
       return true;
     }
 
-    // 1. تعریف اسکیما در SchemaManager
-    await this.schemaManager.defineSchema(schema.version, schema.stores);
-    this.currentSchemaVersion = schema.version;
-
-    // 2. باز کردن دیتابیس IndexedDB
+    // 1. باز کردن دیتابیس IndexedDB
     await this._openIndexedDB(schema);
 
-    // 3. تنظیم MigrationEngine
-    this.migrationEngine = new MigrationEngine(this, this.schemaManager);
-    
-    // 4. بررسی نسخه فعلی ذخیره شده
-    const storedVersion = await this._getStoredVersion();
+    // 2. بررسی نسخه فعلی ذخیره شده
+    const storedRecord = await this._getStoredVersionRecord();
+    const storedVersion = storedRecord?.value || 0;
+
+    // 3. تعریف اسکیما در SchemaManager؛ اسکیمای ذخیره‌شده نسخه قبل، مبنای محاسبه تفاوت‌هاست
+    if (storedVersion > 0 && storedVersion < schema.version && Array.isArray(storedRecord.stores)) {
+      await this.schemaManager.defineSchema(storedVersion, storedRecord.stores);
+    }
+    await this.schemaManager.defineSchema(schema.version, schema.stores);
+    this.currentSchemaVersion = schema.version;
     
-    // 5. اجرای مهاجرت اگر لازم باشد
+    // 4. اجرای مهاجرت اگر لازم باشد
     if (storedVersion < schema.version) {
       await this.migrationEngine.migrate(storedVersion, schema.version);
-      await this._setStoredVersion(schema.version);
+      await this._setStoredVersion(schema.version, (await this.schemaManager.getSchema(schema.version)).stores);
     }
 
-    // 6. لود کش اولیه
+    // 5. لود کش اولیه
     if (this._cacheEnabled) {
       await this._loadInitialCache();
     }
@@ -68,7 +95,7 @@ class Database extends IDatabase {
    */
   async _openIndexedDB(schema) {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, schema.version);
+      const request = this._indexedDB.open(this.dbName, schema.version);
       
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
@@ -84,7 +111,7 @@ class Database extends IDatabase {
         console.log(`Upgrading database from v${oldVersion} to v${newVersion}`);
         
         // ایجاد/به‌روزرسانی storeها
-        schema.stores.forEach(store => {
+        [...SYSTEM_STORES, ...schema.stores].forEach(store => {
           if (!db.objectStoreNames.contains(store.name)) {
             this._createObjectStore(db, store);
           }
@@ -114,36 +141,36 @@ class Database extends IDatabase {
   }
 
   /**
-   * دریافت نسخه ذخیره شده دیتابیس
+   * دریافت رکورد نسخه ذخیره شده دیتابیس ({ value, stores })
    * @private
    */
-  async _getStoredVersion() {
+  async _getStoredVersionRecord() {
     try {
-      if (!this._db) return 0;
+      if (!this._db) return null;
       
       const transaction = this._db.transaction(['_metadata'], 'readonly');
       const store = transaction.objectStore('_metadata');
       const request = store.get('db_version');
       
       return new Promise((resolve, reject) => {
-        request.onsuccess = () => resolve(request.result?.value || 0);
+        request.onsuccess = () => resolve(request.result || null);
         request.onerror = () => reject(request.error);
       });
     } catch (error) {
-      return 0; // اگر store وجود نداشت
+      return null; // اگر store وجود نداشت
     }
   }
 
   /**
-   * ذخیره نسخه فعلی دیتابیس
+   * ذخیره نسخه فعلی دیتابیس همراه با storeهای اسکیمای آن
    * @private
    */
-  async _setStoredVersion(version) {
+  async _setStoredVersion(version, stores) {
     if (!this._db) return;
     
     const transaction = this._db.transaction(['_metadata'], 'readwrite');
     const store = transaction.objectStore('_metadata');
-    store.put({ id: 'db_version', value: version, updatedAt: new Date().toISOString() });
+    store.put({ id: 'db_version', value: version, stores, updatedAt: new Date().toISOString() });
     
     return new Promise((resolve, reject) => {
       transaction.oncomplete = () => resolve();
@@ -303,7 +330,7 @@ class Database extends IDatabase {
     const index = store.index(indexName);
     const range = value === null || value === undefined 
       ? null 
-      : IDBKeyRange.only(value);
+      : this._IDBKeyRange.only(value);
     
     const request = range ? index.openCursor(range) : index.openCursor();
     return this._collectResults(request, options);
@@ -315,7 +342,7 @@ class Database extends IDatabase {
     const transaction = this._db.transaction([storeName], 'readonly');
     const store = transaction.objectStore(storeName);
     const index = store.index(indexName);
-    const range = IDBKeyRange.bound(lowerBound, upperBound);
+    const range = this._IDBKeyRange.bound(lowerBound, upperBound);
     const request = index.openCursor(range);
     
     return this._collectResults(request, options);
@@ -346,6 +373,15 @@ class Database extends IDatabase {
     return results;
   }
 
+  /**
+   * سازنده کوئری زنجیره‌ای روی یک store
+   * @example db.query('exercise_results').where('userId', '=', id).sum('timeSpent as seconds').first()
+   */
+  query(storeName) {
+    this._validateStoreName(storeName);
+    return new QueryBuilder(this, storeName);
+  }
+
   async count(storeName) {
     this._validateStoreName(storeName);
     
@@ -366,15 +402,30 @@ class Database extends IDatabase {
     
     const transaction = this._db.transaction(storeNames, mode);
     
+    // رویدادهای پایان باید قبل از اجرای منطق ثبت شوند؛ ممکن است تراکنش حین await کامل شود
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      // هنگام رویداد error هنوز transaction.error مقدار ندارد؛ خطای درخواست از event خوانده می‌شود
+      transaction.onerror = (event) => reject(event?.target?.error || transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+    
     try {
       const result = await transactionLogic(transaction);
+      await completed;
       
-      return new Promise((resolve, reject) => {
-        transaction.oncomplete = () => resolve(result);
-        transaction.onerror = () => reject(transaction.error);
-      });
+      // تغییرات داخل تراکنش از کش عبور نمی‌کنند
+      if (mode === 'readwrite') {
+        storeNames.forEach(name => this._cache.delete(name));
+      }
+      return result;
     } catch (error) {
-      transaction.abort();
+      completed.catch(() => {});
+      try {
+        transaction.abort();
+      } catch (abortError) {
+        // تراکنش قبلاً تمام یا لغو شده است
+      }
       throw error;
     }
   }
@@ -396,7 +447,7 @@ class Database extends IDatabase {
     await this.close();
     
     return new Promise((resolve, reject) => {
-      const request = indexedDB.deleteDatabase(this.dbName);
+      const request = this._indexedDB.deleteDatabase(this.dbName);
       request.onsuccess = () => {
         this._cache.clear();
         resolve(true);
@@ -485,6 +536,99 @@ class Database extends IDatabase {
     return filtered;
   }
 
+  /**
+   * پروتکل اجرای QueryBuilder
+   * @private
+   */
+
+  _describeStore(storeName) {
+    const transaction = this._db.transaction([storeName], 'readonly');
+    const store = transaction.objectStore(storeName);
+    
+    return {
+      keyPath: store.keyPath,
+      autoIncrement: store.autoIncrement,
+      indexes: Array.from(store.indexNames).map(name => ({
+        name,
+        keyPath: store.index(name).keyPath,
+        unique: store.index(name).unique,
+        multiEntry: store.index(name).multiEntry
+      }))
+    };
+  }
+
+  _openCursor(store, plan) {
+    const source = plan.index ? store.index(plan.index) : store;
+    return source.openCursor(this._toKeyRange(plan.range), plan.direction || 'next');
+  }
+
+  _toKeyRange(range) {
+    if (!range) return null;
+    if ('only' in range) return this._IDBKeyRange.only(range.only);
+    
+    const hasLower = range.lower !== undefined;
+    const hasUpper = range.upper !== undefined;
+    if (hasLower && hasUpper) {
+      return this._IDBKeyRange.bound(range.lower, range.upper, range.lowerOpen, range.upperOpen);
+    }
+    if (hasLower) return this._IDBKeyRange.lowerBound(range.lower, range.lowerOpen);
+    if (hasUpper) return this._IDBKeyRange.upperBound(range.upper, range.upperOpen);
+    return null;
+  }
+
+  /**
+   * پیمایش رکوردهای محدوده تا وقتی visit مقدار false برگرداند
+   */
+  _scan(storeName, plan, visit) {
+    const transaction = this._db.transaction([storeName], 'readonly');
+    const request = this._openCursor(transaction.objectStore(storeName), plan);
+    
+    return new Promise((resolve, reject) => {
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && visit(cursor.value) !== false) {
+          cursor.continue();
+        } else {
+          resolve();
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * تغییر رکوردهای محدوده در یک تراکنش: mutate رکورد جدید (put)، null (حذف) یا undefined (بدون تغییر) برمی‌گرداند
+   * @returns {Promise<number>} تعداد رکوردهای تغییرکرده
+   */
+  _mutate(storeName, plan, mutate) {
+    const transaction = this._db.transaction([storeName], 'readwrite');
+    const request = this._openCursor(transaction.objectStore(storeName), plan);
+    let affected = 0;
+    
+    return new Promise((resolve, reject) => {
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        
+        const result = mutate(cursor.value);
+        if (result === null) {
+          cursor.delete();
+          affected++;
+        } else if (result !== undefined) {
+          cursor.update(result);
+          affected++;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => {
+        if (affected > 0) this._cache.delete(storeName);
+        resolve(affected);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   _validateStoreName(storeName) {
     if (!this._db) {
       throw new Error('Database not initialized');
@@ -503,14 +647,65 @@ class Database extends IDatabase {
     return this.schemaManager.getSchema();
   }
 
-  async registerMigration(version, migrationFunction) {
-    return this.migrationEngine.registerDataMigration(version, migrationFunction);
+  async registerMigration(version, migration) {
+    return this.migrationEngine.registerDataMigration(version, migration);
   }
 
   async getMigrationHistory() {
     return this.migrationEngine.getMigrationHistory();
   }
 
+  async planMigration(fromVersion, toVersion = null) {
+    return this.migrationEngine.planMigration(fromVersion, toVersion);
+  }
+
+  /**
+   * اجرای آزمایشی مهاجرت روی کپی ایزوله؛ گزارش تغییرات بدون commit در دیتابیس اصلی
+   * @param {number} fromVersion
+   * @param {number|null} [toVersion] - پیش‌فرض: آخرین نسخه
+   */
+  async dryRunMigration(fromVersion, toVersion = null) {
+    return this.migrationEngine.migrate(fromVersion, toVersion, { dryRun: true });
+  }
+
+  /**
+   * کپی ایزوله و درون‌حافظه‌ای از storeها و داده‌های فعلی
+   * تغییرات روی کپی به دیتابیس اصلی نمی‌رسد (برای dry-run مهاجرت)
+   * @param {Array} [extraStores] - storeهایی که هنوز ساخته نشده‌اند (مثلاً از اسکیمای هدف)
+   * @returns {Promise<Database>}
+   */
+  async createSnapshot(extraStores = []) {
+    if (!this._db) {
+      throw new Error('Database not initialized');
+    }
+    
+    const systemStoreNames = SYSTEM_STORES.map(store => store.name);
+    const storeNames = Array.from(this._db.objectStoreNames).filter(name => !systemStoreNames.includes(name));
+    const stores = [
+      ...storeNames.map(name => ({ name, ...this._describeStore(name) })),
+      ...extraStores.filter(store => !storeNames.includes(store.name))
+    ];
+    
+    const backend = this._snapshotBackend ? this._snapshotBackend() : await loadMemoryBackend();
+    const snapshot = new Database(`${this.dbName}_snapshot`, backend, { snapshotBackend: this._snapshotBackend });
+    await snapshot.init({ version: 1, stores });
+    
+    for (const storeName of storeNames) {
+      const records = await this.getAll(storeName, { forceRefresh: true, skipCache: true });
+      if (records.length > 0) {
+        await snapshot.bulkAdd(storeName, records);
+      }
+    }
+    
+    return snapshot;
+  }
+
+  async rollbackMigration(version) {
+    const result = await this.migrationEngine.rollback(version);
+    this.currentSchemaVersion = version;
+    return result;
+  }
+
   async enableCache(enable = true) {
     this._cacheEnabled = enable;
     if (!enable) this._cache.clear();
@@ -546,4 +741,13 @@ class Database extends IDatabase {
   }
 }
 
+/**
+ * IndexedDB درون‌حافظه‌ای فقط هنگام dry-run بارگذاری می‌شود تا در مسیر عادی برنامه نیاید
+ */
+async function loadMemoryBackend() {
+  const { createMemoryIndexedDB, MemoryKeyRange } = await import('./memory_indexeddb.js');
+  return { indexedDB: createMemoryIndexedDB(), IDBKeyRange: MemoryKeyRange };
+}
+
+export { SYSTEM_STORES };
 export default Database;
@@ -0,0 +1,182 @@
+/**
+ * 🧪 مجموعه تست مشترک IDatabase
+ * هر پیاده‌سازی دیتابیس (IndexedDB مرورگر، درون‌حافظه‌ای) باید این تست‌ها را پاس کند.
+ *
+ * استفاده:
+ *   describeDatabaseConformance('MemoryDatabase', name => new MemoryDatabase(name));
+ * Database در Node روی fake-indexeddb اجرا می‌شود (core/database_test.js).
+ *
+ * @param {string} label - نام پیاده‌سازی در گزارش تست
+ * @param {(dbName: string) => IDatabase} createDatabase - ساخت نمونه مقداردهی‌نشده
+ */
+
+const SCHEMA = {
+    version: 1,
+    stores: [
+        {
+            name: 'users',
+            keyPath: 'id',
+            indexes: [
+                { name: 'email', keyPath: 'email', unique: true },
+                { name: 'age', keyPath: 'age' },
+                { name: 'tags', keyPath: 'tags', multiEntry: true }
+            ]
+        },
+        {
+            name: 'events',
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: [
+                { name: 'userId', keyPath: 'userId' },
+                { name: 'userId_at', keyPath: ['userId', 'at'] }
+            ]
+        }
+    ]
+};
+
+const USERS = [
+    { id: 'u1', email: 'sara@example.com', age: 31, tags: ['fa', 'en'] },
+    { id: 'u2', email: 'omid@example.com', age: 24, tags: ['en'] },
+    { id: 'u3', email: 'nima@example.com', age: 40, tags: [] }
+];
+
+const at = day => new Date(Date.UTC(2024, 0, day));
+
+let databaseCounter = 0;
+
+export function describeDatabaseConformance(label, createDatabase) {
+    describe(`IDatabase conformance: ${label}`, () => {
+        let db;
+        let dbName;
+
+        beforeEach(async () => {
+            dbName = `conformance_${++databaseCounter}_${Date.now()}`;
+            db = createDatabase(dbName);
+            await db.init(SCHEMA);
+            await db.bulkAdd('users', USERS);
+        });
+
+        afterEach(async () => {
+            await db.deleteDatabase();
+        });
+
+        test('initializes the schema and reports readiness', async () => {
+            expect(await db.isReady()).toBe(true);
+            const info = await db.getDatabaseInfo();
+            expect(info.stores.map(store => store.name)).toEqual(expect.arrayContaining(['users', 'events']));
+            expect(info.stores.find(store => store.name === 'users').recordCount).toBe(3);
+        });
+
+        test('supports basic CRUD with structured values', async () => {
+            await db.add('users', { id: 'u4', email: 'leila@example.com', age: 28, joinedAt: at(3) });
+
+            const user = await db.get('users', 'u4');
+            expect(user.joinedAt).toBeInstanceOf(Date);
+            expect(user.joinedAt.getTime()).toBe(at(3).getTime());
+
+            await db.update('users', 'u4', { age: 29 });
+            expect(await db.get('users', 'u4')).toMatchObject({ email: 'leila@example.com', age: 29 });
+
+            await db.delete('users', 'u4');
+            expect(await db.get('users', 'u4')).toBeUndefined();
+            await expect(db.update('users', 'u4', { age: 1 })).rejects.toThrow('not found');
+        });
+
+        test('rejects duplicate primary keys and unique index values', async () => {
+            await expect(db.add('users', { id: 'u1', email: 'other@example.com' }))
+                .rejects.toMatchObject({ name: 'ConstraintError' });
+            await expect(db.add('users', { id: 'u9', email: 'sara@example.com' }))
+                .rejects.toMatchObject({ name: 'ConstraintError' });
+            expect(await db.count('users')).toBe(3);
+        });
+
+        test('generates keys for autoIncrement stores', async () => {
+            const first = await db.add('events', { userId: 'u1', at: at(1) });
+            const second = await db.add('events', { userId: 'u1', at: at(2) });
+
+            expect(second).toBe(first + 1);
+            expect(await db.get('events', second)).toMatchObject({ id: second, userId: 'u1' });
+        });
+
+        test('queries by index, range and multiEntry index', async () => {
+            const byAge = await db.queryByRange('users', 'age', 25, 40);
+            expect(byAge.map(user => user.id)).toEqual(['u1', 'u3']);
+
+            const english = await db.queryByIndex('users', 'tags', 'en', { sort: { id: 'asc' } });
+            expect(english.map(user => user.id)).toEqual(['u1', 'u2']);
+
+            const paged = await db.queryByIndex('users', 'age', null, { offset: 1, limit: 1 });
+            expect(paged.map(user => user.id)).toEqual(['u1']);
+
+            const filtered = await db.getAll('users', { filter: user => user.age > 30, sort: { age: 'desc' }, forceRefresh: true });
+            expect(filtered.map(user => user.id)).toEqual(['u3', 'u1']);
+        });
+
+        test('commits transaction writes together', async () => {
+            await db.transaction(['users', 'events'], 'readwrite', async (tx) => {
+                tx.objectStore('users').put({ ...USERS[0], age: 32 });
+                tx.objectStore('events').add({ userId: 'u1', at: at(5) });
+            });
+
+            expect((await db.get('users', 'u1')).age).toBe(32);
+            expect(await db.count('events')).toBe(1);
+        });
+
+        test('rolls back when the transaction logic throws', async () => {
+            await expect(db.transaction(['users'], 'readwrite', async (tx) => {
+                tx.objectStore('users').put({ id: 'u5', email: 'temp@example.com' });
+                throw new Error('logic failed');
+            })).rejects.toThrow('logic failed');
+
+            expect(await db.get('users', 'u5')).toBeUndefined();
+        });
+
+        test('rolls back when a request in the transaction fails', async () => {
+            await expect(db.transaction(['users', 'events'], 'readwrite', async (tx) => {
+                tx.objectStore('events').add({ userId: 'u2', at: at(1) });
+                tx.objectStore('users').add({ id: 'u1', email: 'dup@example.com' });
+            })).rejects.toMatchObject({ name: 'ConstraintError' });
+
+            expect(await db.count('events')).toBe(0);
+        });
+
+        test('runs query builder statements against indexes', async () => {
+            await db.query('events').insert([
+                { userId: 'u1', at: at(1), minutes: 5 },
+                { userId: 'u1', at: at(2), minutes: 10 },
+                { userId: 'u2', at: at(2), minutes: 7 },
+                { userId: 'u1', at: at(4), minutes: 20 }
+            ]);
+
+            const summary = await db.query('events')
+                .where('userId', '=', 'u1')
+                .andWhere('at', '>=', at(2))
+                .sum('minutes as minutes')
+                .count('id as count')
+                .first();
+            expect(summary).toEqual({ minutes: 30, count: 2 });
+
+            const latest = await db.query('events').where('userId', '=', 'u1').orderBy('at', 'desc').first();
+            expect(latest.minutes).toBe(20);
+
+            const joined = await db.query('events')
+                .join('users', 'events.userId', 'users.id')
+                .where('users.age', '<', 30)
+                .select('minutes')
+                .get();
+            expect(joined).toEqual([{ minutes: 7 }]);
+
+            expect(await db.query('users').where('id', '=', 'u2').increment('age', 1)).toBe(1);
+            expect((await db.get('users', 'u2')).age).toBe(25);
+        });
+
+        test('keeps data across connections to the same database', async () => {
+            await db.close();
+
+            const reopened = createDatabase(dbName);
+            await reopened.init(SCHEMA);
+            expect(await reopened.count('users')).toBe(3);
+            db = reopened;
+        });
+    });
+}
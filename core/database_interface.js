@@ -16,6 +16,7 @@ class IDatabase {
   async queryByIndex(storeName, indexName, value, options = {}) { throw new Error('Not implemented'); }
   async queryByRange(storeName, indexName, lowerBound, upperBound, options = {}) { throw new Error('Not implemented'); }
   async getAll(storeName, options = {}) { throw new Error('Not implemented'); }
+  query(storeName) { throw new Error('Not implemented'); }
   async count(storeName) { throw new Error('Not implemented'); }
   async transaction(storeNames, mode, transactionLogic) { throw new Error('Not implemented'); }
   async isReady() { throw new Error('Not implemented'); }
@@ -0,0 +1,10 @@
+/**
+ * 🧪 تست Database
+ * اجرای مجموعه تست مشترک IDatabase روی Database با IndexedDB شبیه‌سازی‌شده (fake-indexeddb)
+ */
+
+import { indexedDB, IDBKeyRange } from 'fake-indexeddb';
+import Database from './database.js';
+import { describeDatabaseConformance } from './database_conformance.js';
+
+describeDatabaseConformance('Database (fake-indexeddb)', name => new Database(name, { indexedDB, IDBKeyRange }));
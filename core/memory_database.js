@@ -0,0 +1,28 @@
+// core/memory_database.js
+
+import Database from './database.js';
+import { createMemoryIndexedDB, MemoryKeyRange } from './memory_indexeddb.js';
+
+// کارخانه مشترک: مثل مرورگر، دیتابیس هم‌نام بین نمونه‌ها (و بعد از close) باقی می‌ماند
+const sharedIndexedDB = createMemoryIndexedDB();
+
+/**
+ * پیاده‌سازی درون‌حافظه‌ای دیتابیس برای Node (تست‌ها و SSR)
+ * همان Database است که روی IndexedDB درون‌حافظه‌ای اجرا می‌شود؛
+ * بنابراین اسکیما، indexها، تراکنش‌ها، key range ها و cursor ها همان معنا را دارند.
+ * @implements {IDatabase}
+ */
+class MemoryDatabase extends Database {
+  /**
+   * @param {string} [dbName] - نام دیتابیس
+   * @param {Object} [options]
+   * @param {MemoryIDBFactory} [options.indexedDB] - کارخانه جدا (برای ایزوله کردن تست‌ها)
+   * @param {IEventBus} [options.eventBus] - برای رویدادهای migration.*
+   */
+  constructor(dbName = 'VakamovaDB', { indexedDB = sharedIndexedDB, eventBus = null } = {}) {
+    super(dbName, { indexedDB, IDBKeyRange: MemoryKeyRange }, { eventBus });
+  }
+}
+
+export { MemoryDatabase, createMemoryIndexedDB };
+export default MemoryDatabase;
@@ -0,0 +1,111 @@
+/**
+ * 🧪 تست Memory Database
+ * اجرای مجموعه تست مشترک IDatabase و رفتارهای IndexedDB درون‌حافظه‌ای
+ */
+
+import MemoryDatabase, { createMemoryIndexedDB } from './memory_database.js';
+import { MemoryKeyRange } from './memory_indexeddb.js';
+import { describeDatabaseConformance } from './database_conformance.js';
+import { OfflineQueue, DatabaseQueueStorage, OFFLINE_QUEUE_STORES } from './offline_queue.js';
+
+describeDatabaseConformance('MemoryDatabase', name => new MemoryDatabase(name));
+
+describe('MemoryIndexedDB', () => {
+    let factory;
+
+    const open = (name, stores) => new Promise((resolve, reject) => {
+        const request = factory.open(name, 1);
+        request.onupgradeneeded = (event) => {
+            stores.forEach(store => event.target.result.createObjectStore(store, { keyPath: 'id' }));
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const done = transaction => new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+    beforeEach(() => {
+        factory = createMemoryIndexedDB();
+    });
+
+    test('keeps databases of separate factories apart', async () => {
+        const first = new MemoryDatabase('shared_name', { indexedDB: factory });
+        const second = new MemoryDatabase('shared_name', { indexedDB: createMemoryIndexedDB() });
+        const schema = { version: 1, stores: [{ name: 'items', keyPath: 'id' }] };
+
+        await first.init(schema);
+        await second.init(schema);
+        await first.add('items', { id: 'a' });
+
+        expect(await second.count('items')).toBe(0);
+    });
+
+    test('commits once no requests are pending and then rejects new requests', async () => {
+        const db = await open('auto_commit', ['items']);
+        const transaction = db.transaction(['items'], 'readwrite');
+        transaction.objectStore('items').put({ id: 'a' });
+        await done(transaction);
+
+        expect(() => transaction.objectStore('items')).toThrow('finished');
+    });
+
+    test('serializes overlapping readwrite transactions', async () => {
+        const db = await open('ordering', ['items']);
+        const writer = db.transaction(['items'], 'readwrite');
+        const reader = db.transaction(['items'], 'readonly');
+
+        writer.objectStore('items').put({ id: 'a', value: 1 });
+        const request = reader.objectStore('items').get('a');
+        await done(reader);
+
+        expect(request.result).toEqual({ id: 'a', value: 1 });
+    });
+
+    test('walks index cursors in key order with ranges and directions', async () => {
+        const request = factory.open('cursors', 1);
+        request.onupgradeneeded = (event) => {
+            event.target.result.createObjectStore('words', { keyPath: 'id' }).createIndex('level', 'level');
+        };
+        const db = await new Promise(resolve => { request.onsuccess = () => resolve(request.result); });
+
+        const writer = db.transaction(['words'], 'readwrite');
+        [['w1', 2], ['w2', 1], ['w3', 3], ['w4', 2]].forEach(([id, level]) => writer.objectStore('words').add({ id, level }));
+        await done(writer);
+
+        const visited = [];
+        const reader = db.transaction(['words'], 'readonly');
+        const cursorRequest = reader.objectStore('words').index('level').openCursor(MemoryKeyRange.lowerBound(2), 'prev');
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            visited.push(cursor.primaryKey);
+            cursor.continue();
+        };
+        await done(reader);
+
+        expect(visited).toEqual(['w3', 'w4', 'w1']);
+    });
+});
+
+describe('OfflineQueue on MemoryDatabase', () => {
+    test('persists operations in the database and reloads them', async () => {
+        const db = new MemoryDatabase(`offline_${Date.now()}`, { indexedDB: createMemoryIndexedDB() });
+        await db.init({ version: 1, stores: OFFLINE_QUEUE_STORES });
+        const eventBus = { subscribe: () => {}, publish: () => {} };
+        const storage = new DatabaseQueueStorage(db);
+
+        const queue = new OfflineQueue({ eventBus, storage }, { autoStart: false });
+        const operation = await queue.enqueue('SYNC_LESSON_PROGRESS', { lessonId: 'en_1' }, { priority: 2 });
+        await storage.update(operation.id, { retryCount: 1 });
+
+        const reloaded = new OfflineQueue({ eventBus, storage }, { autoStart: false });
+        await reloaded.initialize();
+        expect(reloaded.queue.map(op => [op.id, op.priority, op.retryCount])).toEqual([[operation.id, 2, 1]]);
+
+        await reloaded.remove(operation.id);
+        expect(await db.count('offline_operations')).toBe(0);
+    });
+});
@@ -0,0 +1,891 @@
+// core/memory_indexeddb.js
+
+/**
+ * پیاده‌سازی درون‌حافظه‌ای زیرمجموعه‌ای از API ایندکس‌دی‌بی
+ * برای اجرای Database در Node (تست‌ها و SSR) با همان معنای کلیدها، indexها،
+ * key range ها، cursor ها و تراکنش‌های خودکار-commit
+ *
+ * رفتارهای شبیه‌سازی‌شده:
+ * - درخواست‌ها به ترتیب و به صورت ناهمگام (task بعدی) اجرا می‌شوند
+ * - تراکنش وقتی درخواست معلقی نمانده باشد commit می‌شود؛ درخواست بعد از آن TransactionInactiveError است
+ * - خطای درخواست (بدون preventDefault) تراکنش را لغو و تغییراتش را برمی‌گرداند
+ * - مقادیر هنگام نوشتن و خواندن با structuredClone کپی می‌شوند
+ */
+
+const nextTask = typeof setImmediate === 'function' ? setImmediate : (callback) => setTimeout(callback, 0);
+
+function domError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * ابزارهای کلید
+ */
+
+// بررسی با برچسب نوع تا Date های realm دیگر (structuredClone، iframe) هم شناخته شوند
+function isDate(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+function keyType(key) {
+  if (typeof key === 'number') return 0;
+  if (isDate(key)) return 1;
+  if (typeof key === 'string') return 2;
+  if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) return 3;
+  if (Array.isArray(key)) return 4;
+  return -1;
+}
+
+function isValidKey(key) {
+  switch (keyType(key)) {
+    case 0: return !Number.isNaN(key);
+    case 1: return !Number.isNaN(key.getTime());
+    case 2: case 3: return true;
+    case 4: return key.every(isValidKey);
+    default: return false;
+  }
+}
+
+function validateKey(key) {
+  if (!isValidKey(key)) {
+    throw domError('DataError', 'The parameter is not a valid key.');
+  }
+  return key;
+}
+
+// ترتیب کلیدها مطابق مشخصات: عدد < تاریخ < رشته < باینری < آرایه
+function compareKeys(a, b) {
+  const typeA = keyType(a);
+  const typeB = keyType(b);
+  if (typeA !== typeB) return typeA < typeB ? -1 : 1;
+
+  switch (typeA) {
+    case 4: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareKeys(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+    }
+    case 3: {
+      const x = new Uint8Array(a.buffer || a, a.byteOffset || 0, a.byteLength);
+      const y = new Uint8Array(b.buffer || b, b.byteOffset || 0, b.byteLength);
+      for (let i = 0; i < Math.min(x.length, y.length); i++) {
+        if (x[i] !== y[i]) return x[i] < y[i] ? -1 : 1;
+      }
+      return x.length === y.length ? 0 : (x.length < y.length ? -1 : 1);
+    }
+    default: {
+      const x = typeA === 1 ? a.getTime() : a;
+      const y = typeA === 1 ? b.getTime() : b;
+      return x === y ? 0 : (x < y ? -1 : 1);
+    }
+  }
+}
+
+function evaluateKeyPath(value, keyPath) {
+  if (Array.isArray(keyPath)) {
+    return keyPath.map(path => evaluateKeyPath(value, path));
+  }
+  if (keyPath === '') return value;
+
+  let current = value;
+  for (const part of keyPath.split('.')) {
+    if (current === null || typeof current !== 'object' || !(part in current)) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function injectKey(value, keyPath, key) {
+  const parts = keyPath.split('.');
+  let target = value;
+  parts.slice(0, -1).forEach(part => {
+    if (!(part in target)) target[part] = {};
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = key;
+}
+
+/**
+ * محدوده کلید (معادل IDBKeyRange)
+ */
+class MemoryKeyRange {
+  constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = lowerOpen;
+    this.upperOpen = upperOpen;
+  }
+
+  static only(value) {
+    validateKey(value);
+    return new MemoryKeyRange(value, value);
+  }
+
+  static lowerBound(lower, open = false) {
+    validateKey(lower);
+    return new MemoryKeyRange(lower, undefined, open, true);
+  }
+
+  static upperBound(upper, open = false) {
+    validateKey(upper);
+    return new MemoryKeyRange(undefined, upper, true, open);
+  }
+
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    validateKey(lower);
+    validateKey(upper);
+    const order = compareKeys(lower, upper);
+    if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) {
+      throw domError('DataError', 'The lower key is greater than the upper key.');
+    }
+    return new MemoryKeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+
+  includes(key) {
+    validateKey(key);
+    if (this.lower !== undefined) {
+      const result = compareKeys(key, this.lower);
+      if (result < 0 || (result === 0 && this.lowerOpen)) return false;
+    }
+    if (this.upper !== undefined) {
+      const result = compareKeys(key, this.upper);
+      if (result > 0 || (result === 0 && this.upperOpen)) return false;
+    }
+    return true;
+  }
+}
+
+// query می‌تواند کلید، range یا null (همه) باشد
+function toRange(query) {
+  if (query === null || query === undefined) return null;
+  if (query instanceof MemoryKeyRange) return query;
+  return MemoryKeyRange.only(query);
+}
+
+function requireRange(query) {
+  const range = toRange(query);
+  if (!range) {
+    throw domError('DataError', 'A key or key range is required.');
+  }
+  return range;
+}
+
+function nameList(names) {
+  const list = [...names].sort();
+  list.contains = name => list.includes(name);
+  list.item = index => list[index] ?? null;
+  return list;
+}
+
+/**
+ * درخواست (معادل IDBRequest)
+ */
+class MemoryRequest {
+  constructor(source, transaction) {
+    this.source = source;
+    this.transaction = transaction;
+    this.readyState = 'pending';
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+}
+
+/**
+ * داده‌های یک object store
+ * @private
+ */
+class StoreData {
+  constructor(name, { keyPath = null, autoIncrement = false } = {}) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.indexes = new Map();
+    this.records = []; // [{ key, value }] مرتب بر اساس کلید
+    this.currentKey = 0;
+  }
+
+  clone() {
+    const copy = new StoreData(this.name, { keyPath: this.keyPath, autoIncrement: this.autoIncrement });
+    this.indexes.forEach((index, name) => copy.indexes.set(name, { ...index }));
+    copy.records = this.records.slice();
+    copy.currentKey = this.currentKey;
+    return copy;
+  }
+
+  findPosition(key) {
+    let low = 0;
+    let high = this.records.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (compareKeys(this.records[middle].key, key) < 0) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  indexKeys(index, value) {
+    const key = evaluateKeyPath(value, index.keyPath);
+    if (index.multiEntry && Array.isArray(key)) {
+      const unique = [];
+      key.filter(isValidKey).forEach(part => {
+        if (!unique.some(existing => compareKeys(existing, part) === 0)) unique.push(part);
+      });
+      return unique;
+    }
+    return isValidKey(key) ? [key] : [];
+  }
+
+  // ورودی‌های index مرتب بر اساس (کلید index، کلید اصلی)
+  indexEntries(index) {
+    const entries = [];
+    for (const { key, value } of this.records) {
+      this.indexKeys(index, value).forEach(indexKey => entries.push({ key: indexKey, primaryKey: key, value }));
+    }
+    return entries.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+  }
+
+  write(value, explicitKey, overwrite) {
+    const stored = structuredClone(value);
+    let key;
+
+    if (this.keyPath !== null) {
+      if (explicitKey !== undefined) {
+        throw domError('DataError', 'The object store uses in-line keys and the key parameter was provided.');
+      }
+      key = evaluateKeyPath(stored, this.keyPath);
+      if (key === undefined && this.autoIncrement) {
+        key = ++this.currentKey;
+        injectKey(stored, this.keyPath, key);
+      }
+    } else {
+      key = explicitKey;
+      if (key === undefined && this.autoIncrement) key = ++this.currentKey;
+    }
+
+    if (key === undefined) {
+      throw domError('DataError', 'No key was provided and the object store has no key generator.');
+    }
+    validateKey(key);
+    if (this.autoIncrement && typeof key === 'number' && key > this.currentKey) {
+      this.currentKey = Math.floor(key);
+    }
+
+    const position = this.findPosition(key);
+    const exists = this.records[position] && compareKeys(this.records[position].key, key) === 0;
+    if (exists && !overwrite) {
+      throw domError('ConstraintError', 'Key already exists in the object store.');
+    }
+
+    for (const index of this.indexes.values()) {
+      if (!index.unique) continue;
+      for (const indexKey of this.indexKeys(index, stored)) {
+        const clash = this.records.some(entry => compareKeys(entry.key, key) !== 0 &&
+          this.indexKeys(index, entry.value).some(other => compareKeys(other, indexKey) === 0));
+        if (clash) {
+          throw domError('ConstraintError', `Unable to add key to index '${index.name}': at least one key does not satisfy the uniqueness requirements.`);
+        }
+      }
+    }
+
+    // ورودی‌ها جایگزین می‌شوند (نه تغییر درجا) تا نسخه پشتیبان تراکنش معتبر بماند
+    this.records.splice(position, exists ? 1 : 0, { key, value: stored });
+    return key;
+  }
+
+  remove(range) {
+    this.records = this.records.filter(entry => !range || !range.includes(entry.key));
+  }
+}
+
+/**
+ * تراکنش (معادل IDBTransaction)
+ */
+class MemoryTransaction {
+  constructor(database, storeNames, mode) {
+    this.db = database;
+    this.mode = mode;
+    this.objectStoreNames = nameList(storeNames);
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+
+    this._state = 'active';
+    this._started = false;
+    this._requests = [];
+    this._scheduled = false;
+    this._backups = new Map();
+    database._data.transactions.push(this);
+    this._schedule();
+  }
+
+  objectStore(name) {
+    if (this._state === 'finished') {
+      throw domError('InvalidStateError', 'The transaction has finished.');
+    }
+    if (!this.objectStoreNames.contains(name)) {
+      throw domError('NotFoundError', `The object store '${name}' is not in this transaction's scope.`);
+    }
+    return new MemoryObjectStore(this, this.db._data.stores.get(name));
+  }
+
+  abort() {
+    if (this._state === 'finished') {
+      throw domError('InvalidStateError', 'The transaction has finished.');
+    }
+    this._abort(domError('AbortError', 'The transaction was aborted.'), false);
+  }
+
+  /**
+   * @private
+   */
+
+  _request(source, operation, request = new MemoryRequest(source, this)) {
+    if (this._state !== 'active') {
+      throw domError('TransactionInactiveError', 'The transaction is not active.');
+    }
+    this._requests.push({ request, operation });
+    this._schedule();
+    return request;
+  }
+
+  _writable(store) {
+    if (this.mode === 'readonly') {
+      throw domError('ReadOnlyError', 'The transaction is read-only.');
+    }
+    if (!this._backups.has(store.name)) {
+      this._backups.set(store.name, store.clone());
+    }
+  }
+
+  _schedule() {
+    if (this._scheduled) return;
+    this._scheduled = true;
+    nextTask(() => this._run());
+  }
+
+  _run() {
+    this._scheduled = false;
+    if (this._state === 'finished') return;
+
+    // تراکنش‌های هم‌پوشان به ترتیب ایجاد اجرا می‌شوند (فقط readonly ها هم‌زمان)
+    if (!this._started) {
+      if (!this._canStart()) return;
+      this._started = true;
+    }
+
+    const next = this._requests.shift();
+    if (!next) {
+      this._commit();
+      return;
+    }
+
+    const { request, operation } = next;
+    try {
+      request.result = operation();
+      request.readyState = 'done';
+      request.onsuccess?.({ type: 'success', target: request });
+    } catch (error) {
+      request.error = error;
+      request.readyState = 'done';
+      let prevented = false;
+      const event = { type: 'error', target: request, preventDefault: () => { prevented = true; } };
+      request.onerror?.(event);
+      this.onerror?.(event);
+      if (!prevented) {
+        this._abort(error, true);
+        return;
+      }
+    }
+    this._schedule();
+  }
+
+  _canStart() {
+    const transactions = this.db._data.transactions;
+    for (const other of transactions.slice(0, transactions.indexOf(this))) {
+      const overlaps = other.mode === 'versionchange' || this.mode === 'versionchange' ||
+        this.objectStoreNames.some(name => other.objectStoreNames.contains(name));
+      if (overlaps && (this.mode !== 'readonly' || other.mode !== 'readonly')) return false;
+    }
+    return true;
+  }
+
+  _commit() {
+    this._state = 'finished';
+    this.db._finish(this);
+    this.oncomplete?.({ type: 'complete', target: this });
+  }
+
+  _abort(error, errorFired) {
+    this._state = 'finished';
+    this.error = error;
+    this._backups.forEach((backup, name) => this.db._data.stores.set(name, backup));
+
+    const pending = this._requests.splice(0);
+    pending.forEach(({ request }) => {
+      request.error = domError('AbortError', 'The transaction was aborted.');
+      request.readyState = 'done';
+      request.onerror?.({ type: 'error', target: request, preventDefault() {} });
+    });
+    if (!errorFired && error.name !== 'AbortError') {
+      this.onerror?.({ type: 'error', target: this });
+    }
+    this.db._finish(this);
+    nextTask(() => this.onabort?.({ type: 'abort', target: this }));
+  }
+}
+
+/**
+ * cursor (معادل IDBCursorWithValue)
+ */
+class MemoryCursor {
+  constructor(source, request, entries, position) {
+    this._source = source;
+    this._request = request;
+    this._entries = entries;
+    this._position = position;
+    this.direction = source._direction;
+  }
+
+  get key() {
+    return structuredClone(this._entries[this._position].key);
+  }
+
+  get primaryKey() {
+    return structuredClone(this._entries[this._position].primaryKey);
+  }
+
+  get value() {
+    return structuredClone(this._entries[this._position].value);
+  }
+
+  continue(key) {
+    this._move(position => {
+      if (key === undefined) return position + 1;
+      validateKey(key);
+      const forward = this.direction.startsWith('next');
+      let next = position + 1;
+      while (next < this._entries.length) {
+        const order = compareKeys(this._entries[next].key, key);
+        if (forward ? order >= 0 : order <= 0) break;
+        next++;
+      }
+      return next;
+    });
+  }
+
+  advance(count) {
+    if (!(count > 0)) {
+      throw new TypeError('The count must be greater than zero.');
+    }
+    this._move(position => position + count);
+  }
+
+  update(value) {
+    const { store } = this._source;
+    const entry = this._entries[this._position];
+    if (store.keyPath !== null && compareKeys(evaluateKeyPath(value, store.keyPath), entry.primaryKey) !== 0) {
+      throw domError('DataError', 'The effective key of the new value does not match the cursor key.');
+    }
+    return store.keyPath !== null ? store.put(value) : store.put(value, entry.primaryKey);
+  }
+
+  delete() {
+    return this._source.store.delete(this._entries[this._position].primaryKey);
+  }
+
+  _move(advance) {
+    const { transaction } = this._source.store;
+    transaction._request(this._source, () => {
+      this._position = advance(this._position);
+      return this._position < this._entries.length ? this : null;
+    }, this._request);
+  }
+}
+
+/**
+ * object store (معادل IDBObjectStore)
+ */
+class MemoryObjectStore {
+  constructor(transaction, data) {
+    this.transaction = transaction;
+    this._data = data;
+  }
+
+  get name() { return this._data.name; }
+  get keyPath() { return this._data.keyPath; }
+  get autoIncrement() { return this._data.autoIncrement; }
+  get indexNames() { return nameList(this._data.indexes.keys()); }
+
+  add(value, key) {
+    return this._write(value, key, false);
+  }
+
+  put(value, key) {
+    return this._write(value, key, true);
+  }
+
+  get(query) {
+    const range = requireRange(query);
+    return this.transaction._request(this, () => {
+      const entry = this._data.records.find(item => range.includes(item.key));
+      return entry ? structuredClone(entry.value) : undefined;
+    });
+  }
+
+  getAll(query, count) {
+    const range = toRange(query);
+    return this.transaction._request(this, () => this._entries(range)
+      .slice(0, count || undefined)
+      .map(entry => structuredClone(entry.value)));
+  }
+
+  getAllKeys(query, count) {
+    const range = toRange(query);
+    return this.transaction._request(this, () => this._entries(range)
+      .slice(0, count || undefined)
+      .map(entry => structuredClone(entry.key)));
+  }
+
+  count(query) {
+    const range = toRange(query);
+    return this.transaction._request(this, () => this._entries(range).length);
+  }
+
+  delete(query) {
+    const range = requireRange(query);
+    this.transaction._writable(this._current());
+    return this.transaction._request(this, () => {
+      this._current().remove(range);
+      return undefined;
+    });
+  }
+
+  clear() {
+    this.transaction._writable(this._current());
+    return this.transaction._request(this, () => {
+      this._current().records = [];
+      return undefined;
+    });
+  }
+
+  openCursor(query, direction = 'next') {
+    const range = toRange(query);
+    const source = { store: this, _direction: direction };
+    const request = new MemoryRequest(source, this.transaction);
+    return this.transaction._request(source, () => {
+      const entries = orderEntries(this._entries(range).map(entry => ({ ...entry, primaryKey: entry.key })), direction);
+      return entries.length > 0 ? new MemoryCursor(source, request, entries, 0) : null;
+    }, request);
+  }
+
+  index(name) {
+    const index = this._data.indexes.get(name);
+    if (!index) {
+      throw domError('NotFoundError', `The index '${name}' does not exist.`);
+    }
+    return new MemoryIndex(this, index);
+  }
+
+  createIndex(name, keyPath, { unique = false, multiEntry = false } = {}) {
+    this._requireUpgrade();
+    if (this._data.indexes.has(name)) {
+      throw domError('ConstraintError', `An index named '${name}' already exists.`);
+    }
+    const index = { name, keyPath, unique, multiEntry };
+    this._data.indexes.set(name, index);
+    return new MemoryIndex(this, index);
+  }
+
+  deleteIndex(name) {
+    this._requireUpgrade();
+    if (!this._data.indexes.delete(name)) {
+      throw domError('NotFoundError', `The index '${name}' does not exist.`);
+    }
+  }
+
+  /**
+   * @private
+   */
+
+  // داده فعلی store (ممکن است بعد از لغو تراکنش جایگزین شده باشد)
+  _current() {
+    return this.transaction.db._data.stores.get(this._data.name) || this._data;
+  }
+
+  _entries(range) {
+    return this._current().records.filter(entry => !range || range.includes(entry.key));
+  }
+
+  _write(value, key, overwrite) {
+    this.transaction._writable(this._current());
+    return this.transaction._request(this, () => this._current().write(value, key, overwrite));
+  }
+
+  _requireUpgrade() {
+    if (this.transaction.mode !== 'versionchange') {
+      throw domError('InvalidStateError', 'Indexes can only be changed during a version change.');
+    }
+  }
+}
+
+/**
+ * index (معادل IDBIndex)
+ */
+class MemoryIndex {
+  constructor(store, index) {
+    this.objectStore = store;
+    this._index = index;
+  }
+
+  get name() { return this._index.name; }
+  get keyPath() { return this._index.keyPath; }
+  get unique() { return this._index.unique; }
+  get multiEntry() { return this._index.multiEntry; }
+
+  get(query) {
+    const range = requireRange(query);
+    return this.objectStore.transaction._request(this, () => {
+      const [entry] = this._entries(range);
+      return entry ? structuredClone(entry.value) : undefined;
+    });
+  }
+
+  getAll(query, count) {
+    const range = toRange(query);
+    return this.objectStore.transaction._request(this, () => this._entries(range)
+      .slice(0, count || undefined)
+      .map(entry => structuredClone(entry.value)));
+  }
+
+  count(query) {
+    const range = toRange(query);
+    return this.objectStore.transaction._request(this, () => this._entries(range).length);
+  }
+
+  openCursor(query, direction = 'next') {
+    const range = toRange(query);
+    const source = { store: this.objectStore, _direction: direction };
+    const request = new MemoryRequest(source, this.objectStore.transaction);
+    return this.objectStore.transaction._request(source, () => {
+      const entries = orderEntries(this._entries(range), direction);
+      return entries.length > 0 ? new MemoryCursor(source, request, entries, 0) : null;
+    }, request);
+  }
+
+  _entries(range) {
+    return this.objectStore._current().indexEntries(this._index)
+      .filter(entry => !range || range.includes(entry.key));
+  }
+}
+
+// جهت پیمایش: prev معکوس، nextunique/prevunique فقط اولین رکورد هر کلید
+function orderEntries(entries, direction) {
+  let ordered = direction.startsWith('prev') ? entries.slice().reverse() : entries;
+  if (direction.endsWith('unique')) {
+    ordered = ordered.filter((entry, position) => {
+      if (direction === 'prevunique') {
+        // در prevunique اولین رکورد (کمترین کلید اصلی) هر کلید برگردانده می‌شود
+        const next = ordered[position + 1];
+        return !next || compareKeys(next.key, entry.key) !== 0;
+      }
+      return position === 0 || compareKeys(ordered[position - 1].key, entry.key) !== 0;
+    });
+  }
+  return ordered;
+}
+
+/**
+ * اتصال دیتابیس (معادل IDBDatabase)
+ */
+class MemoryDatabaseConnection {
+  constructor(data) {
+    this._data = data;
+    this._closed = false;
+    this._upgrade = null;
+    this.onversionchange = null;
+    this.onclose = null;
+  }
+
+  get name() { return this._data.name; }
+  get version() { return this._data.version; }
+  get objectStoreNames() { return nameList(this._data.stores.keys()); }
+
+  transaction(storeNames, mode = 'readonly') {
+    if (this._closed) {
+      throw domError('InvalidStateError', 'The database connection is closing.');
+    }
+    if (this._upgrade) {
+      throw domError('InvalidStateError', 'A version change transaction is running.');
+    }
+    if (!['readonly', 'readwrite'].includes(mode)) {
+      throw new TypeError(`Invalid transaction mode: ${mode}`);
+    }
+
+    const names = [].concat(storeNames);
+    if (names.length === 0) {
+      throw domError('InvalidAccessError', 'The store names list is empty.');
+    }
+    names.forEach(name => {
+      if (!this._data.stores.has(name)) {
+        throw domError('NotFoundError', `One of the specified object stores was not found: ${name}`);
+      }
+    });
+
+    return new MemoryTransaction(this, names, mode);
+  }
+
+  createObjectStore(name, { keyPath = null, autoIncrement = false } = {}) {
+    this._requireUpgrade();
+    if (this._data.stores.has(name)) {
+      throw domError('ConstraintError', `An object store named '${name}' already exists.`);
+    }
+    if (autoIncrement && (keyPath === '' || Array.isArray(keyPath))) {
+      throw domError('InvalidAccessError', 'autoIncrement requires a non-empty, non-array keyPath.');
+    }
+
+    const data = new StoreData(name, { keyPath, autoIncrement });
+    this._data.stores.set(name, data);
+    this._upgrade.objectStoreNames = nameList(this._data.stores.keys());
+    return new MemoryObjectStore(this._upgrade, data);
+  }
+
+  deleteObjectStore(name) {
+    this._requireUpgrade();
+    if (!this._data.stores.delete(name)) {
+      throw domError('NotFoundError', `The object store '${name}' does not exist.`);
+    }
+    this._upgrade.objectStoreNames = nameList(this._data.stores.keys());
+  }
+
+  close() {
+    this._closed = true;
+    this.onclose?.();
+  }
+
+  _requireUpgrade() {
+    if (!this._upgrade) {
+      throw domError('InvalidStateError', 'Object stores can only be changed during a version change.');
+    }
+  }
+
+  _finish(transaction) {
+    const transactions = this._data.transactions;
+    transactions.splice(transactions.indexOf(transaction), 1);
+    // تراکنش‌های منتظر دوباره بررسی می‌شوند
+    transactions.forEach(waiting => waiting._schedule());
+  }
+}
+
+/**
+ * کارخانه (معادل IDBFactory)؛ هر کارخانه مجموعه دیتابیس‌های جداگانه دارد
+ */
+class MemoryIDBFactory {
+  constructor() {
+    this._databases = new Map();
+  }
+
+  open(name, version) {
+    if (version !== undefined && !(Number.isInteger(version) && version > 0)) {
+      throw new TypeError('The version must be a positive integer.');
+    }
+
+    const request = new MemoryRequest(null, null);
+    request.onupgradeneeded = null;
+    request.onblocked = null;
+
+    nextTask(() => {
+      const existing = this._databases.get(name);
+      const oldVersion = existing ? existing.version : 0;
+      const newVersion = version ?? Math.max(oldVersion, 1);
+
+      if (newVersion < oldVersion) {
+        request.error = domError('VersionError', `The requested version (${newVersion}) is less than the existing version (${oldVersion}).`);
+        request.readyState = 'done';
+        request.onerror?.({ type: 'error', target: request, preventDefault() {} });
+        return;
+      }
+
+      const data = existing || { name, version: 0, stores: new Map(), transactions: [] };
+      const connection = new MemoryDatabaseConnection(data);
+      request.result = connection;
+
+      if (newVersion === oldVersion) {
+        request.readyState = 'done';
+        request.onsuccess?.({ type: 'success', target: request });
+        return;
+      }
+
+      // تراکنش versionchange: در صورت لغو، ساختار و داده قبلی برگردانده می‌شود
+      const backup = new Map([...data.stores].map(([storeName, store]) => [storeName, store.clone()]));
+      this._databases.set(name, data);
+      data.version = newVersion;
+
+      const upgrade = new MemoryTransaction(connection, [...data.stores.keys()], 'versionchange');
+      connection._upgrade = upgrade;
+      request.transaction = upgrade;
+
+      upgrade.oncomplete = () => {
+        connection._upgrade = null;
+        request.transaction = null;
+        request.readyState = 'done';
+        request.onsuccess?.({ type: 'success', target: request });
+      };
+      upgrade.onabort = () => {
+        connection._upgrade = null;
+        data.version = oldVersion;
+        data.stores = backup;
+        if (!existing) this._databases.delete(name);
+        request.result = undefined;
+        request.error = upgrade.error || domError('AbortError', 'The version change was aborted.');
+        request.readyState = 'done';
+        request.onerror?.({ type: 'error', target: request, preventDefault() {} });
+      };
+
+      try {
+        request.onupgradeneeded?.({ type: 'upgradeneeded', target: request, oldVersion, newVersion });
+      } catch (error) {
+        upgrade._abort(error, false);
+      }
+    });
+
+    return request;
+  }
+
+  deleteDatabase(name) {
+    const request = new MemoryRequest(null, null);
+    nextTask(() => {
+      const existing = this._databases.get(name);
+      this._databases.delete(name);
+      request.result = undefined;
+      request.oldVersion = existing ? existing.version : 0;
+      request.readyState = 'done';
+      request.onsuccess?.({ type: 'success', target: request, oldVersion: request.oldVersion, newVersion: null });
+    });
+    return request;
+  }
+
+  async databases() {
+    return [...this._databases.values()].map(({ name, version }) => ({ name, version }));
+  }
+
+  cmp(first, second) {
+    return compareKeys(validateKey(first), validateKey(second));
+  }
+}
+
+/**
+ * ساخت کارخانه جدید (برای جدا کردن داده تست‌ها)
+ * @returns {MemoryIDBFactory}
+ */
+function createMemoryIndexedDB() {
+  return new MemoryIDBFactory();
+}
+
+export { createMemoryIndexedDB, MemoryIDBFactory, MemoryKeyRange, compareKeys };
@@ -11,6 +11,51 @@ class IMigrationEngine {
   async getMigrationHistory() { throw new Error('Not implemented'); }
   async rollback(version) { throw new Error('Not implemented'); }
   async needsMigration(currentVersion) { throw new Error('Not implemented'); }
+  async planMigration(fromVersion, toVersion) { throw new Error('Not implemented'); }
+}
+
+/**
+ * دسترسی promise-محور به storeها داخل تراکنش rollback
+ * همه down ها، به‌روزرسانی تاریخچه و نسخه در همین یک تراکنش انجام می‌شوند
+ */
+class MigrationTransaction {
+  constructor(transaction) {
+    this.transaction = transaction;
+  }
+
+  objectStore(storeName) {
+    return this.transaction.objectStore(storeName);
+  }
+
+  get(storeName, key) {
+    return this._request(this.objectStore(storeName).get(key));
+  }
+
+  getAll(storeName) {
+    return this._request(this.objectStore(storeName).getAll());
+  }
+
+  put(storeName, record) {
+    return this._request(this.objectStore(storeName).put(record));
+  }
+
+  delete(storeName, key) {
+    return this._request(this.objectStore(storeName).delete(key));
+  }
+
+  clear(storeName) {
+    return this._request(this.objectStore(storeName).clear());
+  }
+
+  /**
+   * @private
+   */
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 }
 
 /**
@@ -18,7 +63,12 @@ class IMigrationEngine {
  * @implements {IMigrationEngine}
  */
 class MigrationEngine extends IMigrationEngine {
-  constructor(database, schemaManager) {
+  /**
+   * @param {IDatabase} database
+   * @param {ISchemaManager} schemaManager
+   * @param {IEventBus} [eventBus] - برای رویدادهای migration.*
+   */
+  constructor(database, schemaManager, eventBus = null) {
     super();
     
     // وابستگی‌ها از طریق DIP
@@ -27,14 +77,16 @@ class MigrationEngine extends IMigrationEngine {
     
     this.database = database;
     this.schemaManager = schemaManager;
+    this.eventBus = eventBus;
     
     // ذخیره migrationهای سفارشی
-    this.dataMigrations = new Map(); // version -> function
-    this.schemaMigrations = new Map(); // version -> function
+    this.dataMigrations = new Map(); // version -> { up, down, stores, idempotent }
+    this.schemaMigrations = new Map(); // version -> { up, down, stores, idempotent }
     
-    // تاریخچه مهاجرت‌ها
+    // تاریخچه مهاجرت‌ها؛ checkpoint و snapshot هر اجرا در storeهای سیستمی جدا
     this.migrationHistory = [];
     this.migrationHistoryKey = '_migration_history';
+    this.migrationSnapshotsKey = '_migration_snapshots';
   }
 
   /**
@@ -52,8 +104,12 @@ class MigrationEngine extends IMigrationEngine {
 
   /**
    * اجرای مهاجرت از نسخه فعلی به نسخه هدف
+   * @param {number} fromVersion
+   * @param {number|null} [toVersion] - پیش‌فرض: آخرین نسخه
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - اجرا روی کپی ایزوله و گزارش بدون commit
    */
-  async migrate(fromVersion, toVersion = null) {
+  async migrate(fromVersion, toVersion = null, options = {}) {
     console.log(`Starting migration from v${fromVersion} to v${toVersion || 'latest'}`);
     
     // دریافت نسخه هدف
@@ -72,18 +128,50 @@ class MigrationEngine extends IMigrationEngine {
     const startTime = Date.now();
     const steps = await this._calculateMigrationSteps(fromVersion, targetVersion);
     
+    if (options.dryRun) {
+      return this._dryRun(steps, fromVersion, targetVersion);
+    }
+    
+    // اجرای نیمه‌تمام قبلی (مثلاً بستن تب وسط مهاجرت): ادامه از آخرین checkpoint یا بازگردانی snapshot
+    const run = await this._recoverInterruptedRun(steps, fromVersion, targetVersion)
+      || await this._startRun(steps, fromVersion, targetVersion);
+    
     // اجرای مهاجرت‌ها به صورت تراکنشی
-    await this._executeMigrationTransaction(steps, fromVersion, targetVersion);
+    let appliedSteps;
+    try {
+      appliedSteps = await this._executeMigrationTransaction(steps, fromVersion, targetVersion, this.database, run);
+    } catch (error) {
+      this._emit('failed', {
+        runId: run.id,
+        fromVersion,
+        toVersion: targetVersion,
+        completedSteps: run.completedSteps,
+        error: error.message
+      });
+      await this._restoreSnapshot(run, error).catch(restoreError => {
+        // اجرا in_progress می‌ماند تا init بعدی دوباره بازیابی کند
+        console.error('Could not restore migration snapshot:', restoreError);
+      });
+      throw error;
+    }
     
-    // ذخیره تاریخچه
+    // ذخیره تاریخچه همراه با تغییرات هر مرحله (برای rollback)
     await this._recordMigrationHistory({
       fromVersion,
       toVersion: targetVersion,
       steps: steps.length,
+      appliedSteps,
       timestamp: new Date().toISOString(),
       duration: Date.now() - startTime
-    });
+    }, run);
     
+    this._emit('completed', {
+      runId: run.id,
+      fromVersion,
+      toVersion: targetVersion,
+      steps: steps.length,
+      duration: Date.now() - startTime
+    });
     console.log(`Migration completed in ${Date.now() - startTime}ms`);
     return {
       success: true,
@@ -93,22 +181,54 @@ class MigrationEngine extends IMigrationEngine {
     };
   }
 
+  /**
+   * پیش‌نمایش مراحل مهاجرت بدون اجرای آن‌ها
+   * @param {number} fromVersion
+   * @param {number|null} [toVersion] - پیش‌فرض: آخرین نسخه
+   * @returns {Promise<MigrationPlan>}
+   */
+  async planMigration(fromVersion, toVersion = null) {
+    const targetVersion = (await this.schemaManager.getSchema(toVersion)).version;
+    if (fromVersion > targetVersion) {
+      throw new Error(`Cannot downgrade from v${fromVersion} to v${targetVersion}`);
+    }
+    
+    const steps = await this._calculateMigrationSteps(fromVersion, targetVersion);
+    const plannedSteps = [];
+    for (const [index, step] of steps.entries()) {
+      plannedSteps.push({ order: index + 1, ...(await this._planStep(step)) });
+    }
+    
+    return {
+      fromVersion,
+      toVersion: targetVersion,
+      steps: plannedSteps,
+      reversible: plannedSteps.every(step => step.reversible),
+      // برآورد مراحل نامعلوم (تابع بدون stores) null است و در جمع حساب نمی‌شود
+      estimatedAffectedRecords: plannedSteps.reduce((sum, step) => sum + (step.estimatedAffectedRecords || 0), 0)
+    };
+  }
+
   /**
    * ثبت migration سفارشی برای داده‌ها
+   * @param {number} version
+   * @param {ReversibleMigration} migration - بدون down برگشت‌ناپذیر است
    */
-  async registerDataMigration(version, migrationFunction) {
-    this._validateMigrationFunction(migrationFunction, 'Data migration');
-    this.dataMigrations.set(version, migrationFunction);
-    console.log(`Registered data migration for v${version}`);
+  async registerDataMigration(version, migration) {
+    const normalized = this._normalizeMigration(migration, 'Data migration');
+    this.dataMigrations.set(version, normalized);
+    console.log(`Registered data migration for v${version}${normalized.down ? ' (reversible)' : ''}`);
   }
 
   /**
    * ثبت migration سفارشی برای اسکیما
+   * @param {number} version
+   * @param {ReversibleMigration} migration - بدون down برگشت‌ناپذیر است
    */
-  async registerSchemaMigration(version, migrationFunction) {
-    this._validateMigrationFunction(migrationFunction, 'Schema migration');
-    this.schemaMigrations.set(version, migrationFunction);
-    console.log(`Registered schema migration for v${version}`);
+  async registerSchemaMigration(version, migration) {
+    const normalized = this._normalizeMigration(migration, 'Schema migration');
+    this.schemaMigrations.set(version, normalized);
+    console.log(`Registered schema migration for v${version}${normalized.down ? ' (reversible)' : ''}`);
   }
 
   /**
@@ -135,36 +255,71 @@ class MigrationEngine extends IMigrationEngine {
 
   /**
    * بازگرداندن به نسخه قبلی
+   * down مراحل ثبت‌شده به ترتیب معکوس و در یک تراکنش اجرا می‌شوند؛
+   * اگر حتی یک مرحله برگشت‌ناپذیر باشد، پیش از هر تغییری رد می‌شود.
    */
   async rollback(version) {
     console.log(`Rolling back to version ${version}`);
     
-    const currentSchema = await this.schemaManager.getSchema();
-    if (currentSchema.version <= version) {
-      throw new Error(`Current version v${currentSchema.version} is already at or below target v${version}`);
+    // دریافت تاریخچه (مهاجرت‌های قبلاً برگشت‌خورده حساب نمی‌شوند)
+    const history = (await this.getMigrationHistory()).filter(h => h.status !== 'rolled_back');
+    if (history.length === 0) {
+      throw new Error(`No migration history found for rollback to v${version}`);
+    }
+    
+    const currentVersion = Math.max(...history.map(h => h.toVersion));
+    if (currentVersion <= version) {
+      throw new Error(`Current version v${currentVersion} is already at or below target v${version}`);
     }
     
-    // دریافت تاریخچه
-    const history = await this.getMigrationHistory();
     const relevantMigrations = history
-      .filter(h => h.fromVersion >= version && h.toVersion <= currentSchema.version)
+      .filter(h => h.toVersion > version)
       .sort((a, b) => b.toVersion - a.toVersion);
     
-    if (relevantMigrations.length === 0) {
-      throw new Error(`No migration history found for rollback to v${version}`);
-    }
+    // مراحل به ترتیب معکوس اجرا؛ برگشت‌پذیری همه پیش از شروع بررسی می‌شود
+    const downSteps = relevantMigrations.flatMap(migration => {
+      if (!Array.isArray(migration.appliedSteps)) {
+        throw new Error(`Migration v${migration.fromVersion} -> v${migration.toVersion} has no recorded steps and cannot be rolled back`);
+      }
+      return migration.appliedSteps.filter(step => step.version > version).reverse();
+    }).map(step => ({ step, down: this._getDownFunction(step) }));
+    
+    const latestSchema = await this.schemaManager.getSchema();
+    const storeNames = [...new Set(['_metadata', '_system', ...latestSchema.stores.map(store => store.name)])];
+    const rolledBackAt = new Date().toISOString();
+    // اسکیمای نسخه هدف مبنای مهاجرت بعدی است؛ اگر تعریف نشده باشد، مهاجرت بعدی از اسکیمای خالی مقایسه می‌کند
+    const targetStores = (await this.schemaManager.getVersions()).includes(version)
+      ? (await this.schemaManager.getSchema(version)).stores
+      : undefined;
+    const updatedEntries = relevantMigrations.map(migration => this._rolledBackEntry(migration, version, rolledBackAt));
     
-    // اجرای rollback برای هر migration (معکوس)
-    for (const migration of relevantMigrations) {
-      console.log(`Rolling back migration v${migration.fromVersion} -> v${migration.toVersion}`);
+    await this.database.transaction(storeNames, 'readwrite', async (transaction) => {
+      const tx = new MigrationTransaction(transaction);
       
-      // در این پیاده‌سازی ساده، فقط نسخه را کاهش می‌دهیم
-      // در پیاده‌سازی واقعی، باید reverse migrationها ذخیره و اجرا شوند
-      await this._executeRollbackStep(migration);
-    }
+      for (const [index, { step, down }] of downSteps.entries()) {
+        console.log(`Rollback step ${index + 1}/${downSteps.length}: ${step.type} for v${step.version}`);
+        try {
+          await down(tx, step.changes, this.schemaManager);
+        } catch (error) {
+          throw new Error(`Rollback failed at step ${index + 1} (${step.type} for v${step.version}): ${error.message}`);
+        }
+      }
+      
+      // تاریخچه و نسخه ذخیره‌شده (همان قالب Database._setStoredVersion) هم‌زمان با داده‌ها تغییر می‌کنند
+      for (const entry of updatedEntries) {
+        await tx.put('_system', entry);
+      }
+      await tx.put('_metadata', { id: 'db_version', value: version, stores: targetStores, updatedAt: rolledBackAt });
+    });
     
+    updatedEntries.forEach(entry => {
+      const index = this.migrationHistory.findIndex(h => h.id === entry.id);
+      if (index !== -1) this.migrationHistory[index] = entry;
+    });
+    
+    this._emit('rolled_back', { fromVersion: currentVersion, toVersion: version, steps: downSteps.length });
     console.log(`Rollback to v${version} completed`);
-    return { success: true, targetVersion: version };
+    return { success: true, fromVersion: currentVersion, targetVersion: version, steps: downSteps.length };
   }
 
   /**
@@ -173,13 +328,22 @@ class MigrationEngine extends IMigrationEngine {
    */
   async _calculateMigrationSteps(fromVersion, toVersion) {
     const steps = [];
+    const definedVersions = new Set(await this.schemaManager.getVersions());
+    
+    // آخرین نسخه‌ای که اسکیمای آن تعریف شده؛ اسکیمای نسخه شروع تعریف‌نشده نامعلوم است و از دیتابیس خالی (۰) مقایسه می‌شود
+    let previous = definedVersions.has(fromVersion) ? fromVersion : 0;
     
     // مهاجرت مرحله به مرحله
     for (let current = fromVersion; current < toVersion; current++) {
       const next = current + 1;
       
-      // 1. دریافت تغییرات اسکیما
-      const schemaChanges = await this.schemaManager.getMigrationSteps(current, next);
+      // 1. دریافت تغییرات اسکیما (نسخه‌های بدون اسکیما فقط migration سفارشی دارند)
+      const schemaChanges = definedVersions.has(next)
+        ? await this.schemaManager.getMigrationSteps(previous, next)
+        : { createStores: [], modifyStores: [], deleteStores: [] };
+      if (definedVersions.has(next)) {
+        previous = next;
+      }
       
       // 2. اضافه کردن migration سفارشی اسکیما اگر وجود دارد
       const customSchemaMigration = this.schemaMigrations.get(next);
@@ -187,7 +351,8 @@ class MigrationEngine extends IMigrationEngine {
         steps.push({
           type: 'custom_schema',
           version: next,
-          function: customSchemaMigration
+          function: customSchemaMigration.up,
+          reversible: Boolean(customSchemaMigration.down)
         });
       }
       
@@ -222,7 +387,8 @@ class MigrationEngine extends IMigrationEngine {
         steps.push({
           type: 'custom_data',
           version: next,
-          function: customDataMigration
+          function: customDataMigration.up,
+          reversible: Boolean(customDataMigration.down)
         });
       }
     }
@@ -233,12 +399,18 @@ class MigrationEngine extends IMigrationEngine {
   /**
    * اجرای مهاجرت در قالب تراکنش
    * @private
+   * @param {IDatabase} [database] - دیتابیس مقصد (در dry-run، کپی ایزوله)
+   * @param {MigrationRun} [run] - اجرای دارای checkpoint؛ مراحل انجام‌شده آن تکرار نمی‌شوند
+   * @returns {Promise<AppliedStep[]>} تغییرات هر مرحله برای ثبت در تاریخچه
    */
-  async _executeMigrationTransaction(steps, fromVersion, toVersion) {
+  async _executeMigrationTransaction(steps, fromVersion, toVersion, database = this.database, run = null) {
     console.log(`Executing ${steps.length} migration steps...`);
+    const appliedSteps = run ? [...run.appliedSteps] : [];
     
     for (const [index, step] of steps.entries()) {
+      if (index < appliedSteps.length) continue;
       console.log(`Step ${index + 1}/${steps.length}: ${step.type} for v${step.version}`);
+      let changes = null;
       
       try {
         switch (step.type) {
@@ -255,23 +427,448 @@ class MigrationEngine extends IMigrationEngine {
             break;
             
           case 'custom_schema':
-            await step.function(this.database, this.schemaManager);
+            changes = await step.function(database, this.schemaManager);
             break;
             
           case 'custom_data':
-            await step.function(this.database, this.schemaManager);
+            changes = await step.function(database, this.schemaManager);
             break;
             
           default:
             console.warn(`Unknown migration step type: ${step.type}`);
         }
         
+        appliedSteps.push(this._describeAppliedStep(step, changes));
+        if (run) {
+          await this._checkpoint(run, appliedSteps);
+        }
         console.log(`✓ Step ${index + 1} completed`);
       } catch (error) {
         console.error(`✗ Failed at step ${index + 1} (${step.type}):`, error);
         throw new Error(`Migration failed at step ${index + 1}: ${error.message}`);
       }
     }
+    
+    return appliedSteps;
+  }
+
+  /**
+   * خلاصه قابل ذخیره از آنچه یک مرحله تغییر داد
+   * @private
+   */
+  _describeAppliedStep(step, changes) {
+    switch (step.type) {
+      case 'create_stores':
+        return { type: step.type, version: step.version, reversible: true, changes: { stores: step.stores.map(s => s.name) } };
+        
+      case 'modify_stores':
+        return {
+          type: step.type,
+          version: step.version,
+          reversible: true,
+          changes: {
+            modifications: step.modifications.map(mod => ({
+              storeName: mod.storeName,
+              indexesAdded: mod.indexesAdded.map(i => i.name),
+              indexesRemoved: mod.indexesRemoved.map(i => i.name)
+            }))
+          }
+        };
+        
+      case 'delete_stores':
+        // داده‌های store حذف‌شده قابل بازگشت نیست
+        return { type: step.type, version: step.version, reversible: false, changes: { stores: step.stores.map(s => s.name) } };
+        
+      default:
+        // مقدار بازگشتی up همان چیزی است که down برای برگرداندن تغییرات دریافت می‌کند
+        return { type: step.type, version: step.version, reversible: step.reversible, changes: changes ?? null };
+    }
+  }
+
+  /**
+   * شرح یک مرحله در پیش‌نمایش همراه با برآورد رکوردهای متأثر
+   * @private
+   */
+  async _planStep(step) {
+    const { type, version, reversible } = this._describeAppliedStep(step, null);
+    const withCounts = async (storeNames) => {
+      const stores = [];
+      for (const name of storeNames) {
+        stores.push({ name, recordCount: await this._countRecords(name) });
+      }
+      return stores;
+    };
+    const total = stores => stores.reduce((sum, store) => sum + store.recordCount, 0);
+    
+    switch (type) {
+      case 'create_stores':
+      case 'delete_stores': {
+        const stores = await withCounts(step.stores.map(s => s.name));
+        return { type, version, reversible, stores, estimatedAffectedRecords: total(stores) };
+      }
+        
+      case 'modify_stores': {
+        // تغییر index یعنی بازسازی آن برای همه رکوردهای store
+        const modifications = [];
+        for (const mod of step.modifications) {
+          modifications.push({
+            storeName: mod.storeName,
+            indexesAdded: mod.indexesAdded.map(i => i.name),
+            indexesRemoved: mod.indexesRemoved.map(i => i.name),
+            indexesModified: mod.indexesModified.map(i => i.name),
+            keyPathChanged: mod.keyPathChanged,
+            autoIncrementChanged: mod.autoIncrementChanged,
+            recordCount: await this._countRecords(mod.storeName)
+          });
+        }
+        return { type, version, reversible, modifications, estimatedAffectedRecords: total(modifications) };
+      }
+        
+      default: {
+        const declared = this._getCustomMigration(step).stores;
+        if (!declared) {
+          return { type, version, reversible, stores: null, estimatedAffectedRecords: null };
+        }
+        const stores = await withCounts(declared);
+        return { type, version, reversible, stores, estimatedAffectedRecords: total(stores) };
+      }
+    }
+  }
+
+  /**
+   * اجرای مراحل روی کپی ایزوله دیتابیس و گزارش نتیجه بدون commit
+   * @private
+   */
+  async _dryRun(steps, fromVersion, toVersion) {
+    if (typeof this.database.createSnapshot !== 'function') {
+      throw new Error('Dry run requires a database that supports createSnapshot()');
+    }
+    
+    const plan = await this.planMigration(fromVersion, toVersion);
+    const targetSchema = await this.schemaManager.getSchema(toVersion);
+    const snapshot = await this.database.createSnapshot(targetSchema.stores);
+    
+    try {
+      const before = await this._readStores(snapshot);
+      let appliedSteps = [];
+      let error = null;
+      
+      try {
+        appliedSteps = await this._executeMigrationTransaction(steps, fromVersion, toVersion, snapshot);
+      } catch (migrationError) {
+        error = migrationError.message;
+      }
+      
+      return {
+        success: error === null,
+        dryRun: true,
+        fromVersion,
+        toVersion,
+        plan,
+        appliedSteps,
+        affectedRecords: this._diffStores(before, await this._readStores(snapshot)),
+        error
+      };
+    } finally {
+      await snapshot.deleteDatabase();
+    }
+  }
+
+  /**
+   * خواندن همه رکوردهای storeهای کپی به صورت primaryKey -> JSON
+   * @private
+   */
+  async _readStores(snapshot) {
+    const schema = await snapshot.getSchema();
+    const contents = new Map();
+    
+    for (const store of schema.stores) {
+      const records = await snapshot.getAll(store.name, { forceRefresh: true, skipCache: true });
+      contents.set(store.name, new Map(records.map(record => [JSON.stringify(record[store.keyPath]), JSON.stringify(record)])));
+    }
+    return contents;
+  }
+
+  /**
+   * تعداد رکوردهای اضافه، ویرایش و حذف‌شده در هر store تغییرکرده
+   * @private
+   */
+  _diffStores(before, after) {
+    const affected = {};
+    
+    for (const [storeName, afterRecords] of after) {
+      const beforeRecords = before.get(storeName) || new Map();
+      const diff = { before: beforeRecords.size, after: afterRecords.size, added: 0, updated: 0, deleted: 0 };
+      
+      for (const [key, record] of afterRecords) {
+        if (!beforeRecords.has(key)) diff.added++;
+        else if (beforeRecords.get(key) !== record) diff.updated++;
+      }
+      for (const key of beforeRecords.keys()) {
+        if (!afterRecords.has(key)) diff.deleted++;
+      }
+      
+      if (diff.added + diff.updated + diff.deleted > 0) {
+        affected[storeName] = diff;
+      }
+    }
+    return affected;
+  }
+
+  /**
+   * تعداد رکوردهای یک store (store ساخته‌نشده: صفر)
+   * @private
+   */
+  async _countRecords(storeName) {
+    try {
+      return await this.database.count(storeName);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * شروع اجرای جدید: خواندن snapshot storeهای متأثر، ذخیره آن و checkpoint اولیه در یک تراکنش
+   * تا هیچ نوشتنی بین خواندن و ذخیره snapshot جا نماند
+   * @private
+   * @returns {Promise<MigrationRun>}
+   */
+  async _startRun(steps, fromVersion, toVersion) {
+    const startedAt = new Date().toISOString();
+    const run = {
+      id: `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      fromVersion,
+      toVersion,
+      status: 'in_progress',
+      totalSteps: steps.length,
+      completedSteps: 0,
+      appliedSteps: [],
+      snapshotStores: await this._getAffectedStores(steps),
+      startedAt,
+      updatedAt: startedAt
+    };
+    this._emit('started', { runId: run.id, fromVersion, toVersion, totalSteps: steps.length });
+    
+    const snapshots = [];
+    const storeNames = [...run.snapshotStores, this.migrationHistoryKey, this.migrationSnapshotsKey];
+    await this.database.transaction(storeNames, 'readwrite', async (transaction) => {
+      const tx = new MigrationTransaction(transaction);
+      for (const storeName of run.snapshotStores) {
+        const snapshot = { id: `${run.id}:${storeName}`, runId: run.id, storeName, records: await tx.getAll(storeName) };
+        await tx.put(this.migrationSnapshotsKey, snapshot);
+        snapshots.push(snapshot);
+      }
+      await tx.put(this.migrationHistoryKey, run);
+    });
+    
+    this._emit('snapshot_created', {
+      runId: run.id,
+      stores: run.snapshotStores,
+      records: snapshots.reduce((sum, snapshot) => sum + snapshot.records.length, 0)
+    });
+    return run;
+  }
+
+  /**
+   * storeهایی که مراحل ممکن است تغییر دهند (فقط storeهای موجود)
+   * @private
+   */
+  async _getAffectedStores(steps) {
+    const info = await this.database.getDatabaseInfo();
+    const existing = info.stores.map(store => store.name).filter(name => !name.startsWith('_'));
+    const affected = new Set();
+    
+    for (const step of steps) {
+      switch (step.type) {
+        case 'create_stores':
+        case 'delete_stores':
+          step.stores.forEach(store => affected.add(store.name));
+          break;
+          
+        case 'modify_stores':
+          step.modifications.forEach(mod => affected.add(mod.storeName));
+          break;
+          
+        default: {
+          // تابع بدون stores ممکن است هر storeی را تغییر دهد؛ از همه کپی گرفته می‌شود
+          const declared = this._getCustomMigration(step).stores || existing;
+          declared.forEach(name => affected.add(name));
+        }
+      }
+    }
+    
+    return existing.filter(name => affected.has(name));
+  }
+
+  /**
+   * ثبت پیشرفت بعد از هر مرحله
+   * @private
+   */
+  async _checkpoint(run, appliedSteps) {
+    Object.assign(run, {
+      completedSteps: appliedSteps.length,
+      appliedSteps: [...appliedSteps],
+      updatedAt: new Date().toISOString()
+    });
+    
+    await this.database.transaction([this.migrationHistoryKey], 'readwrite', async (transaction) => {
+      await new MigrationTransaction(transaction).put(this.migrationHistoryKey, run);
+    });
+    
+    const step = appliedSteps[appliedSteps.length - 1];
+    this._emit('step_completed', {
+      runId: run.id,
+      step: run.completedSteps,
+      totalSteps: run.totalSteps,
+      type: step.type,
+      version: step.version
+    });
+  }
+
+  /**
+   * بررسی اجرای نیمه‌تمام؛ اجرای قابل ادامه را برمی‌گرداند، در غیر این صورت snapshot را بازمی‌گرداند
+   * @private
+   * @returns {Promise<MigrationRun|null>}
+   */
+  async _recoverInterruptedRun(steps, fromVersion, toVersion) {
+    const runs = await this.database.queryByIndex(this.migrationHistoryKey, 'status', 'in_progress');
+    if (runs.length === 0) {
+      return null;
+    }
+    
+    const run = runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt))[0];
+    const sameSteps = run.fromVersion === fromVersion &&
+                      run.toVersion === toVersion &&
+                      run.totalSteps === steps.length &&
+                      run.appliedSteps.every((applied, index) => steps[index].type === applied.type && steps[index].version === applied.version);
+    
+    // مرحله‌ای که وسطش قطع شد ممکن است نیمه‌کاره باشد؛ فقط وقتی تکرارش بی‌خطر است ادامه می‌دهیم
+    const interruptedStep = steps[run.completedSteps];
+    if (sameSteps && (!interruptedStep || this._isRerunnable(interruptedStep))) {
+      console.log(`Resuming migration ${run.id} at step ${run.completedSteps + 1}/${steps.length}`);
+      this._emit('resumed', { runId: run.id, fromVersion, toVersion, completedSteps: run.completedSteps, totalSteps: steps.length });
+      return run;
+    }
+    
+    console.log(`Restoring snapshot of interrupted migration ${run.id}`);
+    await this._restoreSnapshot(run);
+    return null;
+  }
+
+  /**
+   * بازگرداندن storeها به snapshot پیش از مهاجرت در یک تراکنش
+   * @private
+   */
+  async _restoreSnapshot(run, error = null) {
+    const snapshots = await this.database.queryByIndex(this.migrationSnapshotsKey, 'runId', run.id);
+    const storeNames = [...new Set([
+      ...snapshots.map(snapshot => snapshot.storeName),
+      this.migrationHistoryKey,
+      this.migrationSnapshotsKey
+    ])];
+    
+    await this.database.transaction(storeNames, 'readwrite', async (transaction) => {
+      const tx = new MigrationTransaction(transaction);
+      for (const snapshot of snapshots) {
+        await tx.clear(snapshot.storeName);
+        for (const record of snapshot.records) {
+          await tx.put(snapshot.storeName, record);
+        }
+        await tx.delete(this.migrationSnapshotsKey, snapshot.id);
+      }
+      await tx.put(this.migrationHistoryKey, {
+        ...run,
+        status: 'restored',
+        error: error ? error.message : null,
+        updatedAt: new Date().toISOString()
+      });
+    });
+    
+    run.status = 'restored';
+    this._emit('restored', {
+      runId: run.id,
+      fromVersion: run.fromVersion,
+      toVersion: run.toVersion,
+      completedSteps: run.completedSteps,
+      stores: snapshots.map(snapshot => snapshot.storeName)
+    });
+  }
+
+  /**
+   * مرحله ساختاری فقط لاگ می‌کند؛ migration سفارشی باید idempotent اعلام شده باشد
+   * @private
+   */
+  _isRerunnable(step) {
+    if (step.type === 'custom_schema' || step.type === 'custom_data') {
+      return this._getCustomMigration(step)?.idempotent === true;
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _getCustomMigration(step) {
+    const migrations = step.type === 'custom_data' ? this.dataMigrations : this.schemaMigrations;
+    return migrations.get(step.version);
+  }
+
+  /**
+   * انتشار رویداد migration.* (اگر eventBus تزریق شده باشد)
+   * @private
+   */
+  _emit(eventName, payload) {
+    if (!this.eventBus) return;
+    this.eventBus.publish(`migration.${eventName}`, { ...payload, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * تابع down یک مرحله ثبت‌شده؛ برای مرحله برگشت‌ناپذیر خطا می‌دهد
+   * @private
+   */
+  _getDownFunction(step) {
+    let down = null;
+    
+    switch (step.type) {
+      case 'create_stores':
+        // حذف store فقط در تراکنش versionchange (باز کردن با نسخه بالاتر) ممکن است و نسخه IndexedDB پایین نمی‌آید؛
+        // پس store خالی می‌ماند. اسکیمای ذخیره‌شده به نسخه هدف برمی‌گردد و مهاجرت بعدی آن را جدید حساب می‌کند،
+        // در حالی که _openIndexedDB از storeهای موجود رد می‌شود و ساختن دوباره‌اش خطا نمی‌دهد
+        down = async (tx, changes) => {
+          for (const storeName of changes.stores) {
+            await tx.clear(storeName);
+          }
+        };
+        break;
+        
+      case 'modify_stores':
+        // indexها از اسکیما پیروی می‌کنند و داده‌ای برای برگرداندن ندارند
+        down = async () => {};
+        break;
+        
+      case 'custom_schema':
+      case 'custom_data':
+        down = this._getCustomMigration(step)?.down;
+        break;
+    }
+    
+    if (!step.reversible || typeof down !== 'function') {
+      throw new Error(`Cannot roll back: ${step.type} step for v${step.version} is irreversible`);
+    }
+    return down;
+  }
+
+  /**
+   * رکورد تاریخچه بعد از rollback؛ مهاجرتی که از نسخه هدف عبور کرده تا همان نسخه کوتاه می‌شود
+   * @private
+   */
+  _rolledBackEntry(migration, version, rolledBackAt) {
+    if (migration.fromVersion >= version) {
+      return { ...migration, status: 'rolled_back', rolledBackAt };
+    }
+    
+    const remainingSteps = migration.appliedSteps.filter(step => step.version <= version);
+    return { ...migration, toVersion: version, steps: remainingSteps.length, appliedSteps: remainingSteps, rolledBackAt };
   }
 
   /**
@@ -318,38 +915,51 @@ class MigrationEngine extends IMigrationEngine {
   }
 
   /**
-   * اجرای یک مرحله rollback
+   * ذخیره تاریخچه مهاجرت و پایان اجرا
+   * تاریخچه، نسخه ذخیره‌شده (قالب Database._setStoredVersion)، وضعیت اجرا و حذف snapshot با هم commit می‌شوند؛
+   * قطع شدن در هر لحظه یا مهاجرت کامل یا اجرای نیمه‌تمام قابل بازیابی باقی می‌گذارد
    * @private
    */
-  async _executeRollbackStep(migrationRecord) {
-    // پیاده‌سازی ساده: فقط تاریخچه را به روز می‌کنیم
-    console.log(`Reversing migration to v${migrationRecord.toVersion}`);
-    
-    // در پیاده‌سازی واقعی، باید reverse migrationها اجرا شوند
-    return true;
-  }
-
-  /**
-   * ذخیره تاریخچه مهاجرت
-   * @private
-   */
-  async _recordMigrationHistory(record) {
+  async _recordMigrationHistory(record, run) {
     const historyEntry = {
-      id: `migration_${Date.now()}`,
+      id: `migration_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
       type: 'migration_history',
       ...record
     };
+    const targetSchema = await this.schemaManager.getSchema(record.toVersion);
+    const completedAt = new Date().toISOString();
     
+    const storeNames = ['_metadata', '_system', this.migrationHistoryKey, this.migrationSnapshotsKey];
+    await this.database.transaction(storeNames, 'readwrite', async (transaction) => {
+      const tx = new MigrationTransaction(transaction);
+      await tx.put('_system', historyEntry);
+      await tx.put('_metadata', { id: 'db_version', value: record.toVersion, stores: targetSchema.stores, updatedAt: completedAt });
+      for (const storeName of run.snapshotStores) {
+        await tx.delete(this.migrationSnapshotsKey, `${run.id}:${storeName}`);
+      }
+      await tx.put(this.migrationHistoryKey, { ...run, status: 'completed', updatedAt: completedAt });
+    });
+    
+    run.status = 'completed';
     this.migrationHistory.push(historyEntry);
+  }
+
+  /**
+   * تبدیل { up, down, stores } به شکل یکسان
+   * @private
+   */
+  _normalizeMigration(migration, funcType) {
+    const { up, down = null, stores = null, idempotent = false } = typeof migration === 'function' ? { up: migration } : (migration || {});
+    this._validateMigrationFunction(up, funcType);
     
-    // ذخیره در دیتابیس اگر آماده است
-    try {
-      if (await this.database.isReady()) {
-        await this.database.add('_system', historyEntry);
-      }
-    } catch (error) {
-      console.warn('Could not save migration history to database:', error.message);
+    if (down !== null && typeof down !== 'function') {
+      throw new Error(`${funcType} down must be a function`);
     }
+    // بدون stores (مثلاً تابع ساده) snapshot از همه storeها گرفته می‌شود و برآورد نامعلوم است
+    if (stores !== null && !(Array.isArray(stores) && stores.every(name => typeof name === 'string'))) {
+      throw new Error(`${funcType} stores must be an array of store names`);
+    }
+    return { up, down, stores, idempotent: idempotent === true };
   }
 
   /**
@@ -367,4 +977,54 @@ class MigrationEngine extends IMigrationEngine {
   }
 }
 
+/**
+ * @callback MigrationFunction
+ * @param {IDatabase} database
+ * @param {ISchemaManager} schemaManager
+ * @returns {Promise<*>} تغییرات انجام‌شده (قابل clone)؛ در تاریخچه ذخیره و به down داده می‌شود
+ */
+
+/**
+ * @typedef {Object} ReversibleMigration
+ * @property {MigrationFunction} up
+ * @property {string[]} [stores] - storeهایی که migration تغییر می‌دهد (برآورد در planMigration و snapshot پیش از اجرا)؛
+ *   بدون آن snapshot از همه storeها گرفته می‌شود و برآورد null است
+ * @property {boolean} [idempotent] - اجرای دوباره بی‌خطر است؛ بعد از قطع شدن وسط همین مرحله، مهاجرت ادامه می‌یابد
+ * @property {(tx: MigrationTransaction, changes: *, schemaManager: ISchemaManager) => Promise<void>} [down]
+ *   - فقط از tx استفاده کند تا همراه بقیه rollback در یک تراکنش باشد
+ */
+
+/**
+ * @typedef {Object} MigrationPlan
+ * @property {number} fromVersion
+ * @property {number} toVersion
+ * @property {Array<Object>} steps - به ترتیب اجرا: { order, type, version, reversible, stores|modifications, estimatedAffectedRecords }
+ *   (برای migration بدون stores، stores و estimatedAffectedRecords برابر null است)
+ * @property {boolean} reversible - آیا rollback کامل این مهاجرت ممکن است
+ * @property {number} estimatedAffectedRecords - جمع برآوردهای معلوم؛ مراحل با برآورد null در آن نیستند
+ */
+
+/**
+ * @typedef {Object} MigrationRun - رکورد checkpoint در _migration_history
+ * @property {string} id
+ * @property {number} fromVersion
+ * @property {number} toVersion
+ * @property {'in_progress'|'completed'|'restored'} status
+ * @property {number} totalSteps
+ * @property {number} completedSteps
+ * @property {AppliedStep[]} appliedSteps
+ * @property {string[]} snapshotStores - storeهایی که پیش از شروع در _migration_snapshots کپی شدند
+ * @property {string} startedAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {Object} AppliedStep
+ * @property {string} type - create_stores | modify_stores | delete_stores | custom_schema | custom_data
+ * @property {number} version
+ * @property {boolean} reversible
+ * @property {*} changes
+ */
+
+export { MigrationTransaction };
 export default MigrationEngine;
@@ -0,0 +1,379 @@
+/**
+ * 🧪 تست Migration Engine
+ * تست ثبت تغییرات هر مرحله و rollback تراکنشی با down
+ */
+
+import Database from './database.js';
+import MemoryDatabase, { createMemoryIndexedDB } from './memory_database.js';
+import { MemoryKeyRange } from './memory_indexeddb.js';
+
+const USERS_STORE = { name: 'users', keyPath: 'id' };
+const NOTES_STORE = { name: 'notes', keyPath: 'id', indexes: [{ name: 'userId', keyPath: 'userId' }] };
+
+const splitNames = {
+    stores: ['users'],
+    up: async (database) => {
+        const users = await database.getAll('users', { forceRefresh: true });
+        for (const user of users) {
+            const [firstName, lastName] = user.name.split(' ');
+            await database.update('users', user.id, { firstName, lastName });
+        }
+        return users.map(user => user.id);
+    },
+    down: async (tx, userIds) => {
+        for (const id of userIds) {
+            const { firstName, lastName, ...user } = await tx.get('users', id);
+            await tx.put('users', user);
+        }
+    }
+};
+
+describe('MigrationEngine', () => {
+    let factory;
+    let db;
+
+    const open = async (version, migration = null) => {
+        const database = new MemoryDatabase('migrations', { indexedDB: factory });
+        if (migration) {
+            await database.registerMigration(2, migration);
+        }
+        await database.init({ version, stores: version === 1 ? [USERS_STORE] : [USERS_STORE, NOTES_STORE] });
+        return database;
+    };
+
+    beforeEach(async () => {
+        factory = createMemoryIndexedDB();
+        const v1 = await open(1);
+        await v1.bulkAdd('users', [{ id: 'u1', name: 'Sara Ahmadi' }, { id: 'u2', name: 'Omid Karimi' }]);
+        await v1.close();
+    });
+
+    afterEach(async () => {
+        await db.deleteDatabase();
+    });
+
+    test('records what each step changed', async () => {
+        db = await open(2, splitNames);
+
+        const history = await db.getMigrationHistory();
+        const upgrade = history.find(entry => entry.toVersion === 2);
+        expect(upgrade).toMatchObject({ fromVersion: 1, steps: 2 });
+        expect(upgrade.appliedSteps).toEqual([
+            { type: 'create_stores', version: 2, reversible: true, changes: { stores: ['notes'] } },
+            { type: 'custom_data', version: 2, reversible: true, changes: ['u1', 'u2'] }
+        ]);
+        expect(await db.get('users', 'u1')).toMatchObject({ firstName: 'Sara', lastName: 'Ahmadi' });
+    });
+
+    test('replays down steps in reverse and migrates up again on next open', async () => {
+        db = await open(2, splitNames);
+        await db.add('notes', { id: 'n1', userId: 'u1' });
+
+        const result = await db.rollbackMigration(1);
+
+        expect(result).toEqual({ success: true, fromVersion: 2, targetVersion: 1, steps: 2 });
+        const user = await db.get('users', 'u1');
+        expect(user.name).toBe('Sara Ahmadi');
+        expect(user).not.toHaveProperty('firstName');
+        expect(await db.count('notes')).toBe(0);
+        expect((await db.getMigrationHistory()).find(entry => entry.toVersion === 2).status).toBe('rolled_back');
+        await expect(db.rollbackMigration(1)).rejects.toThrow('already at or below target v1');
+
+        await db.close();
+        db = await open(2, splitNames);
+        expect(await db.get('users', 'u2')).toMatchObject({ firstName: 'Omid', lastName: 'Karimi' });
+    });
+
+    test('refuses to roll back irreversible steps without changing anything', async () => {
+        db = await open(2, splitNames.up);
+        await db.add('notes', { id: 'n1', userId: 'u1' });
+
+        await expect(db.rollbackMigration(1)).rejects.toThrow('custom_data step for v2 is irreversible');
+        expect(await db.count('notes')).toBe(1);
+        expect(await db.get('users', 'u1')).toHaveProperty('firstName', 'Sara');
+        await expect(db.registerMigration(3, { ...splitNames, down: 'undo' })).rejects.toThrow('down must be a function');
+        await expect(db.registerMigration(3, { ...splitNames, stores: 'users' })).rejects.toThrow('stores must be an array of store names');
+    });
+
+    test('undoes every down step when one of them fails', async () => {
+        db = await open(2, {
+            ...splitNames,
+            down: async () => {
+                throw new Error('cannot restore names');
+            }
+        });
+        await db.add('notes', { id: 'n1', userId: 'u1' });
+
+        await expect(db.rollbackMigration(1)).rejects.toThrow('Rollback failed at step 1 (custom_data for v2): cannot restore names');
+        expect(await db.count('notes')).toBe(1);
+        expect((await db.getMigrationHistory()).find(entry => entry.toVersion === 2).status).toBeUndefined();
+    });
+});
+
+describe('MigrationEngine plan and dry run', () => {
+    let db;
+
+    const USERS_V2 = { ...USERS_STORE, indexes: [{ name: 'lastName', keyPath: 'lastName' }] };
+    const DRAFTS_STORE = { name: 'drafts', keyPath: 'id' };
+
+    beforeEach(async () => {
+        db = new MemoryDatabase('planning', { indexedDB: createMemoryIndexedDB() });
+        await db.init({ version: 1, stores: [USERS_STORE, DRAFTS_STORE] });
+        await db.bulkAdd('users', [{ id: 'u1', name: 'Sara Ahmadi' }, { id: 'u2', name: 'Omid Karimi' }]);
+        await db.add('drafts', { id: 'd1' });
+        await db.schemaManager.defineSchema(2, [USERS_V2, NOTES_STORE]);
+    });
+
+    afterEach(async () => {
+        await db.deleteDatabase();
+    });
+
+    test('previews ordered steps with estimated affected records', async () => {
+        await db.migrationEngine.registerDataMigration(2, splitNames);
+
+        const plan = await db.planMigration(1, 2);
+
+        expect(plan).toMatchObject({ fromVersion: 1, toVersion: 2, reversible: false, estimatedAffectedRecords: 5 });
+        expect(plan.steps).toEqual([
+            { order: 1, type: 'create_stores', version: 2, reversible: true, stores: [{ name: 'notes', recordCount: 0 }], estimatedAffectedRecords: 0 },
+            {
+                order: 2,
+                type: 'modify_stores',
+                version: 2,
+                reversible: true,
+                modifications: [{
+                    storeName: 'users',
+                    indexesAdded: ['lastName'],
+                    indexesRemoved: [],
+                    indexesModified: [],
+                    keyPathChanged: false,
+                    autoIncrementChanged: false,
+                    recordCount: 2
+                }],
+                estimatedAffectedRecords: 2
+            },
+            { order: 3, type: 'delete_stores', version: 2, reversible: false, stores: [{ name: 'drafts', recordCount: 1 }], estimatedAffectedRecords: 1 },
+            { order: 4, type: 'custom_data', version: 2, reversible: true, stores: [{ name: 'users', recordCount: 2 }], estimatedAffectedRecords: 2 }
+        ]);
+    });
+
+    test('reports an unknown estimate for a plain function migration', async () => {
+        await db.migrationEngine.registerDataMigration(2, splitNames.up);
+
+        const plan = await db.planMigration(1, 2);
+
+        expect(plan.steps.find(step => step.type === 'custom_data'))
+            .toMatchObject({ stores: null, estimatedAffectedRecords: null });
+        expect(plan.estimatedAffectedRecords).toBe(3);
+    });
+
+    test('runs data migrations on a snapshot and reports changes without committing', async () => {
+        await db.migrationEngine.registerDataMigration(2, splitNames);
+
+        const report = await db.dryRunMigration(1, 2);
+
+        expect(report).toMatchObject({ success: true, dryRun: true, error: null });
+        expect(report.appliedSteps.find(step => step.type === 'custom_data').changes).toEqual(['u1', 'u2']);
+        expect(report.affectedRecords).toEqual({ users: { before: 2, after: 2, added: 0, updated: 2, deleted: 0 } });
+        expect(report.plan.steps.find(step => step.type === 'custom_data').estimatedAffectedRecords).toBe(2);
+
+        expect(await db.get('users', 'u1')).not.toHaveProperty('firstName');
+        expect((await db.getMigrationHistory()).some(entry => entry.toVersion === 2)).toBe(false);
+    });
+
+    test('reports a failing data migration and leaves the database untouched', async () => {
+        await db.migrationEngine.registerDataMigration(2, {
+            stores: ['users', 'notes'],
+            up: async (database) => {
+                await database.update('users', 'u1', { firstName: 'Sara' });
+                await database.add('notes', { id: 'n1', userId: 'u1' });
+                throw new Error('missing last name');
+            }
+        });
+
+        const report = await db.dryRunMigration(1, 2);
+
+        expect(report).toMatchObject({ success: false, error: 'Migration failed at step 4: missing last name' });
+        expect(report.affectedRecords).toEqual({
+            users: { before: 2, after: 2, added: 0, updated: 1, deleted: 0 },
+            notes: { before: 0, after: 1, added: 1, updated: 0, deleted: 0 }
+        });
+        expect(await db.get('users', 'u1')).not.toHaveProperty('firstName');
+    });
+
+    test('builds the dry-run copy on an injected snapshot backend', async () => {
+        const snapshotFactories = [];
+        const injected = new Database('injected', { indexedDB: createMemoryIndexedDB(), IDBKeyRange: MemoryKeyRange }, {
+            snapshotBackend: () => {
+                snapshotFactories.push(createMemoryIndexedDB());
+                return { indexedDB: snapshotFactories[snapshotFactories.length - 1], IDBKeyRange: MemoryKeyRange };
+            }
+        });
+        await injected.init({ version: 1, stores: [USERS_STORE] });
+        await injected.add('users', { id: 'u1', name: 'Sara Ahmadi' });
+        await injected.schemaManager.defineSchema(2, [USERS_STORE]);
+        await injected.registerMigration(2, splitNames);
+
+        const report = await injected.dryRunMigration(1, 2);
+
+        expect(report).toMatchObject({ success: true, dryRun: true });
+        expect(snapshotFactories).toHaveLength(1);
+        expect(await injected.get('users', 'u1')).not.toHaveProperty('firstName');
+        await injected.deleteDatabase();
+    });
+});
+
+describe('MigrationEngine crash recovery', () => {
+    let factory;
+    let events;
+
+    const V3_STORES = [USERS_STORE, NOTES_STORE];
+
+    const createDatabase = async (migrations) => {
+        const database = new MemoryDatabase('recovery', {
+            indexedDB: factory,
+            eventBus: { publish: (name, payload) => events.push({ name, payload }) }
+        });
+        for (const [version, migration] of Object.entries(migrations)) {
+            await database.registerMigration(Number(version), migration);
+        }
+        return database;
+    };
+
+    // مرحله‌ای که بعد از نوشتن بخشی از داده‌ها هرگز تمام نمی‌شود (بستن تب)
+    const crashAfter = (write) => {
+        let reached;
+        const crashed = new Promise(resolve => { reached = resolve; });
+        const migration = {
+            stores: ['users'],
+            up: async (database) => {
+                await write(database);
+                reached();
+                return new Promise(() => {});
+            }
+        };
+        return { migration, crashed };
+    };
+
+    const addVisit = {
+        stores: ['users'],
+        up: async (database) => {
+            for (const user of await database.getAll('users', { forceRefresh: true })) {
+                await database.update('users', user.id, { visits: user.visits + 1 });
+            }
+        }
+    };
+
+    const setLevel = async (database) => {
+        for (const user of await database.getAll('users', { forceRefresh: true })) {
+            await database.update('users', user.id, { level: 'A1' });
+        }
+    };
+
+    const runs = async (database) => database.getAll('_migration_history', { forceRefresh: true });
+
+    beforeEach(async () => {
+        factory = createMemoryIndexedDB();
+        events = [];
+        const v1 = await createDatabase({});
+        await v1.init({ version: 1, stores: [USERS_STORE] });
+        await v1.bulkAdd('users', [{ id: 'u1', visits: 0 }, { id: 'u2', visits: 0 }]);
+        await v1.close();
+    });
+
+    test('restores the snapshot when the interrupted step is not safe to repeat', async () => {
+        const { migration, crashed } = crashAfter(database => database.update('users', 'u1', { visits: 1 }));
+        (await createDatabase({ 2: migration })).init({ version: 2, stores: V3_STORES });
+        await crashed;
+
+        events = [];
+        const db = await createDatabase({ 2: addVisit });
+        await db.init({ version: 2, stores: V3_STORES });
+
+        expect((await db.getAll('users', { forceRefresh: true })).map(user => user.visits)).toEqual([1, 1]);
+        expect(events.map(event => event.name)).toEqual([
+            'migration.restored',
+            'migration.started',
+            'migration.snapshot_created',
+            'migration.step_completed',
+            'migration.step_completed',
+            'migration.completed'
+        ]);
+        expect(events[0].payload).toMatchObject({ fromVersion: 1, toVersion: 2, completedSteps: 1, stores: ['notes', 'users'] });
+        expect((await runs(db)).filter(run => run.toVersion === 2).map(run => run.status).sort()).toEqual(['completed', 'restored']);
+        expect(await db.count('_migration_snapshots')).toBe(0);
+    });
+
+    test('resumes from the last checkpoint when the interrupted step is idempotent', async () => {
+        const { migration, crashed } = crashAfter(database => database.update('users', 'u1', { level: 'A1' }));
+        (await createDatabase({ 2: addVisit, 3: { ...migration, idempotent: true } }))
+            .init({ version: 3, stores: V3_STORES });
+        await crashed;
+
+        events = [];
+        const db = await createDatabase({ 2: addVisit, 3: { up: setLevel, stores: ['users'], idempotent: true } });
+        await db.init({ version: 3, stores: V3_STORES });
+
+        expect(await db.getAll('users', { forceRefresh: true })).toEqual([
+            expect.objectContaining({ id: 'u1', visits: 1, level: 'A1' }),
+            expect.objectContaining({ id: 'u2', visits: 1, level: 'A1' })
+        ]);
+        expect(events[0]).toMatchObject({ name: 'migration.resumed', payload: { completedSteps: 2, totalSteps: 3 } });
+        expect(events.map(event => event.name)).not.toContain('migration.started');
+        expect((await runs(db)).map(run => run.status)).toEqual(['completed', 'completed']);
+        expect((await db.getMigrationHistory()).find(entry => entry.toVersion === 3).appliedSteps.map(step => step.type))
+            .toEqual(['custom_data', 'create_stores', 'custom_data']);
+    });
+
+    describe('with a second store', () => {
+        const LOGS_STORE = { name: 'logs', keyPath: 'id' };
+
+        beforeEach(async () => {
+            factory = createMemoryIndexedDB();
+            const v1 = await createDatabase({});
+            await v1.init({ version: 1, stores: [USERS_STORE, LOGS_STORE] });
+            await v1.bulkAdd('users', [{ id: 'u1', visits: 0 }]);
+            await v1.add('logs', { id: 'l1' });
+            await v1.close();
+            events = [];
+        });
+
+        test('snapshots only the stores the migration declares', async () => {
+            const db = await createDatabase({ 2: addVisit });
+            await db.init({ version: 2, stores: [USERS_STORE, LOGS_STORE] });
+
+            expect(events.find(event => event.name === 'migration.snapshot_created').payload)
+                .toMatchObject({ stores: ['users'], records: 1 });
+            expect((await db.get('users', 'u1')).visits).toBe(1);
+        });
+
+        test('snapshots every store for a plain function migration', async () => {
+            const db = await createDatabase({ 2: setLevel });
+            await db.init({ version: 2, stores: [USERS_STORE, LOGS_STORE] });
+
+            expect(events.find(event => event.name === 'migration.snapshot_created').payload)
+                .toMatchObject({ stores: ['logs', 'users'], records: 2 });
+            expect((await db.get('users', 'u1')).level).toBe('A1');
+        });
+    });
+
+    test('restores the snapshot when a step fails', async () => {
+        const db = await createDatabase({
+            2: {
+                stores: ['users', 'notes'],
+                up: async (database) => {
+                    await database.update('users', 'u1', { visits: 5 });
+                    await database.add('notes', { id: 'n1', userId: 'u1' });
+                    throw new Error('bad data');
+                }
+            }
+        });
+
+        await expect(db.init({ version: 2, stores: V3_STORES })).rejects.toThrow('Migration failed at step 2: bad data');
+
+        expect((await db.get('users', 'u1')).visits).toBe(0);
+        expect(await db.count('notes')).toBe(0);
+        expect(events.map(event => event.name).slice(-2)).toEqual(['migration.failed', 'migration.restored']);
+        expect((await runs(db)).find(run => run.toVersion === 2)).toMatchObject({ status: 'restored', error: 'Migration failed at step 2: bad data' });
+    });
+});
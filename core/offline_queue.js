@@ -372,7 +372,7 @@ class OfflineQueue {
     }
 
     if (this.config.autoStart) {
-      this.startProcessing();
+      await this.startProcessing();
     }
 
     await this.emitEvent('QUEUE_INITIALIZED', {
@@ -470,8 +470,9 @@ class OfflineQueue {
 
   /**
    * Start automatic queue processing
+   * @returns {Promise<void>}
    */
-  startProcessing() {
+  async startProcessing() {
     if (this.processingTimer) {
       return;
     }
@@ -485,8 +486,9 @@ class OfflineQueue {
 
   /**
    * Stop automatic queue processing
+   * @returns {Promise<void>}
    */
-  stopProcessing() {
+  async stopProcessing() {
     if (this.processingTimer) {
       clearInterval(this.processingTimer);
       this.processingTimer = null;
@@ -769,7 +771,7 @@ class OfflineQueue {
       this.processQueue();
     } else if (wasOnline && !this.isOnline) {
       await this.emitEvent('WENT_OFFLINE');
-      this.stopProcessing();
+      await this.stopProcessing();
     }
   }
 
@@ -832,6 +834,60 @@ class LocalQueueStorage extends QueueStorage {
   }
 }
 
+/**
+ * Store definition required by DatabaseQueueStorage
+ */
+const OFFLINE_QUEUE_STORES = [
+  {
+    name: 'offline_operations',
+    keyPath: 'id',
+    indexes: [
+      { name: 'type', keyPath: 'type' }
+    ]
+  }
+];
+
+/**
+ * IDatabase implementation for queue (IndexedDB in the browser, MemoryDatabase in Node)
+ */
+class DatabaseQueueStorage extends QueueStorage {
+  /**
+   * @param {IDatabase} database - Initialized database containing OFFLINE_QUEUE_STORES
+   * @param {string} [storeName]
+   */
+  constructor(database, storeName = 'offline_operations') {
+    super();
+    this.database = database;
+    this.storeName = storeName;
+  }
+
+  async save(serializedOperation) {
+    await this.database.query(this.storeName)
+      .where('id', '=', serializedOperation.id)
+      .upsert(serializedOperation);
+  }
+
+  async loadAll() {
+    return this.database.query(this.storeName).get();
+  }
+
+  async update(operationId, updates) {
+    await this.database.query(this.storeName)
+      .where('id', '=', operationId)
+      .update(updates);
+  }
+
+  async remove(operationId) {
+    await this.database.query(this.storeName)
+      .where('id', '=', operationId)
+      .delete();
+  }
+
+  async clear() {
+    await this.database.clear(this.storeName);
+  }
+}
+
 // ============================================
 // PROCESSOR EXAMPLES (OCP: Extensible)
 // ============================================
@@ -964,6 +1020,8 @@ export {
   QueueStorage,
   BaseOperation,
   LocalQueueStorage,
+  DatabaseQueueStorage,
+  OFFLINE_QUEUE_STORES,
   SyncLessonProgressProcessor,
   UserDataSyncProcessor
 };
@@ -0,0 +1,547 @@
+// core/query_builder.js
+
+/**
+ * سازنده کوئری زنجیره‌ای روی storeهای دیتابیس
+ * شرط‌ها در صورت امکان به محدوده کلید روی index (یا index ترکیبی) تبدیل می‌شوند
+ * و بقیه شرط‌ها هنگام پیمایش cursor بررسی می‌شوند.
+ *
+ * اجراکننده (executor) باید این متدها را داشته باشد:
+ *   _describeStore(storeName) → { keyPath, indexes: [{ name, keyPath }] }
+ *   _scan(storeName, plan, visit) → پیمایش رکوردها تا زمانی که visit مقدار false برگرداند
+ *   _mutate(storeName, plan, mutate) → به‌روزرسانی (رکورد جدید) یا حذف (null) در یک تراکنش
+ *   add(storeName, record) / bulkAdd(storeName, records)
+ */
+
+const OPERATORS = ['=', '!=', '<>', '>', '>=', '<', '<=', 'in', 'like'];
+const RANGE_OPERATORS = ['>', '>=', '<', '<='];
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max', 'countDistinct'];
+
+class QueryBuilder {
+  constructor(executor, storeName) {
+    this._executor = executor;
+    this._storeName = storeName;
+    this._conditions = [];
+    this._joins = [];
+    this._columns = [];
+    this._aggregates = [];
+    this._groups = [];
+    this._order = [];
+    this._limit = Infinity;
+    this._offset = 0;
+  }
+
+  /**
+   * شرط‌ها (همه با AND ترکیب می‌شوند)
+   * where(field, value) معادل where(field, '=', value) است
+   */
+
+  where(field, operator, value) {
+    if (arguments.length === 2) {
+      value = operator;
+      operator = '=';
+    }
+
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+
+    this._conditions.push({ field, operator: operator === '<>' ? '!=' : operator, value });
+    return this;
+  }
+
+  andWhere(field, operator, value) {
+    return this.where(...arguments);
+  }
+
+  whereIn(field, values) {
+    return this.where(field, 'in', values);
+  }
+
+  like(field, pattern) {
+    return this.where(field, 'like', pattern);
+  }
+
+  /**
+   * join داخلی ساده: leftField و rightField به صورت store.field
+   */
+  join(storeName, leftField, rightField) {
+    this._joins.push({ storeName, leftField, rightField });
+    return this;
+  }
+
+  select(...fields) {
+    this._columns.push(...fields.flat().map(parseAlias));
+    return this;
+  }
+
+  groupBy(...fields) {
+    this._groups.push(...fields.flat());
+    return this;
+  }
+
+  orderBy(field, direction = 'asc') {
+    this._order.push({ field, direction: direction.toLowerCase() === 'desc' ? 'desc' : 'asc' });
+    return this;
+  }
+
+  limit(count) {
+    this._limit = count;
+    return this;
+  }
+
+  offset(count) {
+    this._offset = count;
+    return this;
+  }
+
+  /**
+   * تجمیع‌ها: count('id as count')، sum('timeSpent as seconds') و ...
+   */
+
+  count(field = '*') {
+    return this._aggregate('count', field);
+  }
+
+  sum(field) {
+    return this._aggregate('sum', field);
+  }
+
+  avg(field) {
+    return this._aggregate('avg', field);
+  }
+
+  min(field) {
+    return this._aggregate('min', field);
+  }
+
+  max(field) {
+    return this._aggregate('max', field);
+  }
+
+  countDistinct(field) {
+    return this._aggregate('countDistinct', field);
+  }
+
+  /**
+   * اجرای خواندن
+   */
+
+  async get() {
+    const rows = await this._collect();
+    return this._shape(rows);
+  }
+
+  async first() {
+    this._limit = 1;
+    const [row] = await this.get();
+    return row || null;
+  }
+
+  /**
+   * اجرای نوشتن
+   */
+
+  async insert(records) {
+    return Array.isArray(records)
+      ? this._executor.bulkAdd(this._storeName, records)
+      : this._executor.add(this._storeName, records);
+  }
+
+  async update(changes) {
+    return this._write(record => ({ ...record, ...changes, _updatedAt: new Date().toISOString() }));
+  }
+
+  /**
+   * به‌روزرسانی رکوردهای منطبق با شرط‌ها، یا درج رکورد اگر رکوردی منطبق نبود
+   */
+  async upsert(record) {
+    const updated = this._conditions.length > 0 ? await this.update(record) : 0;
+    if (updated === 0) {
+      await this.insert(record);
+    }
+    return updated;
+  }
+
+  /**
+   * increment('field', 1) یا increment({ fieldA: 1, fieldB: 2 })
+   */
+  async increment(fields, amount = 1) {
+    const amounts = typeof fields === 'string' ? { [fields]: amount } : fields;
+
+    return this._write(record => {
+      const updated = { ...record, _updatedAt: new Date().toISOString() };
+      for (const [field, value] of Object.entries(amounts)) {
+        updated[field] = (Number(updated[field]) || 0) + value;
+      }
+      return updated;
+    });
+  }
+
+  async delete() {
+    return this._write(() => null);
+  }
+
+  /**
+   * ابزارهای کمکی
+   * @private
+   */
+
+  _aggregate(fn, spec) {
+    if (!AGGREGATES.includes(fn)) {
+      throw new Error(`Unsupported aggregate: ${fn}`);
+    }
+
+    const { field, alias } = parseAlias(spec);
+    this._aggregates.push({ fn, field, alias: alias || (field === '*' ? fn : `${fn}_${field}`) });
+    return this;
+  }
+
+  async _collect() {
+    const joins = await this._loadJoins();
+    const plan = this._plan();
+    const grouped = this._aggregates.length > 0 || this._groups.length > 0;
+
+    // اگر ترتیب index همان ترتیب خروجی باشد، limit/offset هنگام پیمایش اعمال می‌شود
+    const streaming = !grouped && (this._order.length === 0 || plan.ordered);
+    let skip = streaming ? this._offset : 0;
+    const rows = [];
+
+    await this._executor._scan(this._storeName, plan, record => {
+      const row = this._joinRow(record, joins);
+      if (!row || !this._matches(row)) return true;
+
+      if (skip > 0) {
+        skip--;
+        return true;
+      }
+
+      rows.push(row);
+      return !streaming || rows.length < this._limit;
+    });
+
+    return { rows, streaming };
+  }
+
+  _shape({ rows, streaming }) {
+    let output;
+
+    if (this._aggregates.length > 0 || this._groups.length > 0) {
+      output = this._groupRows(rows);
+      output = this._sort(output, (row, field) => row[field]);
+    } else {
+      if (!streaming) {
+        rows = this._sort(rows, (row, field) => this._resolve(row, field));
+      }
+      output = rows.map(row => this._project(row));
+    }
+
+    if (!streaming) {
+      output = output.slice(this._offset, this._offset + this._limit);
+    }
+    return output;
+  }
+
+  async _write(mutate) {
+    if (this._joins.length > 0) {
+      throw new Error('Joins are not supported in write queries');
+    }
+
+    const plan = this._plan();
+    return this._executor._mutate(this._storeName, plan, record => {
+      const row = { record, joined: {} };
+      return this._matches(row) ? mutate(record) : undefined;
+    });
+  }
+
+  /**
+   * انتخاب index: بیشترین تعداد شرط تساوی روی ابتدای keyPath و در ادامه یک شرط بازه‌ای
+   */
+  _plan() {
+    const { keyPath, indexes } = this._executor._describeStore(this._storeName);
+    const candidates = [{ name: null, keyPath }, ...indexes];
+    const conditions = this._conditions
+      .map(condition => ({ ...condition, field: this._localField(condition.field) }))
+      .filter(condition => condition.field && isValidKey(condition.value));
+
+    let best = null;
+    for (const candidate of candidates) {
+      const parts = Array.isArray(candidate.keyPath) ? candidate.keyPath : [candidate.keyPath];
+      const equals = [];
+      for (const part of parts) {
+        const condition = conditions.find(c => c.field === part && c.operator === '=');
+        if (!condition) break;
+        equals.push(condition.value);
+      }
+
+      const next = parts[equals.length];
+      const bounds = next ? conditions.filter(c => c.field === next && RANGE_OPERATORS.includes(c.operator)) : [];
+      const score = equals.length * 2 + (bounds.length > 0 ? 1 : 0);
+      const ordered = this._isOrderedBy(parts, equals.length);
+      // در امتیاز برابر، indexی که ترتیب خروجی را هم می‌دهد ترجیح دارد
+      if (score > 0 && (!best || score > best.score || (score === best.score && ordered && !best.ordered))) {
+        best = { candidate, parts, equals, bounds, score, ordered };
+      }
+    }
+
+    if (!best) {
+      return this._orderedScan(indexes);
+    }
+
+    const { candidate, parts, equals, bounds, ordered } = best;
+    return {
+      index: candidate.name,
+      range: buildRange(parts, equals, bounds),
+      direction: ordered && this._order[0]?.direction === 'desc' ? 'prev' : 'next',
+      ordered
+    };
+  }
+
+  // آیا پیمایش index با equalCount شرط تساوی، خروجی را به ترتیب orderBy می‌دهد
+  _isOrderedBy(parts, equalCount) {
+    if (this._order.length === 0) return true;
+    if (this._order.length > 1) return false;
+
+    const field = this._localField(this._order[0].field);
+    const next = parts[equalCount];
+    return field === next || (!next && field === parts[parts.length - 1]);
+  }
+
+  // بدون شرط قابل استفاده: اگر index ساده‌ای روی فیلد مرتب‌سازی باشد، همان پیمایش می‌شود
+  // (مثل IndexedDB، رکوردهای فاقد آن فیلد در index نیستند و در این حالت برگردانده نمی‌شوند)
+  _orderedScan(indexes) {
+    const [order] = this._order;
+    const index = this._order.length === 1
+      ? indexes.find(candidate => candidate.keyPath === this._localField(order.field))
+      : null;
+
+    return index
+      ? { index: index.name, range: null, direction: order.direction === 'desc' ? 'prev' : 'next', ordered: true }
+      : { index: null, range: null, direction: 'next', ordered: this._order.length === 0 };
+  }
+
+  async _loadJoins() {
+    const joins = [];
+    for (const join of this._joins) {
+      const [leftStore, leftField] = splitField(join.leftField, this._storeName);
+      const [rightStore, rightField] = splitField(join.rightField, join.storeName);
+      // سمت store اصلی/قبلی و سمت store جدید را تشخیص بده
+      const [localStore, localField, foreignField] = rightStore === join.storeName
+        ? [leftStore, leftField, rightField]
+        : [rightStore, rightField, leftField];
+
+      const lookup = new Map();
+      await this._executor._scan(join.storeName, { index: null, range: null, direction: 'next' }, record => {
+        const key = normalize(record[foreignField]);
+        if (!lookup.has(key)) lookup.set(key, record);
+        return true;
+      });
+
+      joins.push({ storeName: join.storeName, localStore, localField, lookup });
+    }
+    return joins;
+  }
+
+  _joinRow(record, joins) {
+    const row = { record, joined: {} };
+    for (const join of joins) {
+      const match = join.lookup.get(normalize(this._resolve(row, `${join.localStore}.${join.localField}`)));
+      if (!match) return null;
+      row.joined[join.storeName] = match;
+    }
+    return row;
+  }
+
+  _matches(row) {
+    return this._conditions.every(({ field, operator, value }) =>
+      testCondition(this._resolve(row, field), operator, value));
+  }
+
+  _resolve(row, field) {
+    const [storeName, name] = splitField(field, this._storeName);
+    return storeName === this._storeName ? row.record[name] : row.joined[storeName]?.[name];
+  }
+
+  // نام فیلد در store اصلی، یا null اگر به store دیگری اشاره کند
+  _localField(field) {
+    const [storeName, name] = splitField(field, this._storeName);
+    return storeName === this._storeName ? name : null;
+  }
+
+  _project(row) {
+    if (this._columns.length === 0) {
+      return this._joins.length === 0 ? row.record : { ...row.record, ...row.joined };
+    }
+
+    const projected = {};
+    for (const { field, alias } of this._columns) {
+      projected[alias || splitField(field, this._storeName)[1]] = this._resolve(row, field);
+    }
+    return projected;
+  }
+
+  _groupRows(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = JSON.stringify(this._groups.map(field => normalize(this._resolve(row, field))));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    // تجمیع بدون groupBy روی مجموعه خالی هم یک سطر برمی‌گرداند (count = 0)
+    if (groups.size === 0 && this._groups.length === 0) {
+      groups.set('[]', []);
+    }
+
+    return [...groups.values()].map(members => {
+      const output = members.length > 0 && this._columns.length > 0 ? this._project(members[0]) : {};
+      for (const field of this._groups) {
+        output[splitField(field, this._storeName)[1]] = this._resolve(members[0], field);
+      }
+      for (const aggregate of this._aggregates) {
+        output[aggregate.alias] = computeAggregate(aggregate, members.map(row =>
+          aggregate.field === '*' ? row.record : this._resolve(row, aggregate.field)));
+      }
+      return output;
+    });
+  }
+
+  _sort(rows, read) {
+    if (this._order.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { field, direction } of this._order) {
+        const result = compareValues(read(a, field), read(b, field));
+        if (result !== 0) return direction === 'asc' ? result : -result;
+      }
+      return 0;
+    });
+  }
+}
+
+/**
+ * توابع کمکی ماژول
+ */
+
+function parseAlias(spec) {
+  const match = /^(.+?)\s+as\s+(.+)$/i.exec(String(spec).trim());
+  return match ? { field: match[1].trim(), alias: match[2].trim() } : { field: String(spec).trim(), alias: null };
+}
+
+function splitField(field, defaultStore) {
+  const dot = field.indexOf('.');
+  return dot === -1 ? [defaultStore, field] : [field.slice(0, dot), field.slice(dot + 1)];
+}
+
+// بررسی با برچسب نوع تا Date های realm دیگر هم شناخته شوند
+function isDate(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+function normalize(value) {
+  return isDate(value) ? value.getTime() : value;
+}
+
+function compareValues(a, b) {
+  a = normalize(a);
+  b = normalize(b);
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+function testCondition(actual, operator, expected) {
+  switch (operator) {
+    case '=': return normalize(actual) === normalize(expected);
+    case '!=': return normalize(actual) !== normalize(expected);
+    case 'in': return expected.some(value => normalize(value) === normalize(actual));
+    case 'like': return typeof actual === 'string' && likeToRegExp(expected).test(actual);
+  }
+
+  if (actual === undefined || actual === null) return false;
+  const result = compareValues(actual, expected);
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+  }
+  return false;
+}
+
+// الگوی LIKE: % هر رشته و _ یک نویسه
+function likeToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 's');
+}
+
+// انواع مجاز کلید در IndexedDB (boolean و null کلید نیستند)
+function isValidKey(value) {
+  if (typeof value === 'number') return !Number.isNaN(value);
+  if (typeof value === 'string') return true;
+  if (isDate(value)) return !Number.isNaN(value.getTime());
+  if (Array.isArray(value)) return value.every(isValidKey);
+  return false;
+}
+
+/**
+ * ساخت محدوده کلید: ابتدای keyPath با تساوی ثابت و فیلد بعدی با شرط‌های بازه‌ای
+ * در کلیدهای ترکیبی، آرایه خالی از هر کلید دیگری بزرگ‌تر است و سقف باز را می‌سازد
+ */
+function buildRange(parts, equals, bounds) {
+  const lower = bounds.find(c => c.operator === '>' || c.operator === '>=');
+  const upper = bounds.find(c => c.operator === '<' || c.operator === '<=');
+  const compound = parts.length > 1;
+
+  if (!compound) {
+    if (equals.length === 1) return { only: equals[0] };
+    return {
+      lower: lower?.value,
+      upper: upper?.value,
+      lowerOpen: lower?.operator === '>',
+      upperOpen: upper?.operator === '<'
+    };
+  }
+
+  if (equals.length === parts.length) return { only: equals };
+
+  // وقتی بخش محدوده آخرین بخش کلید نیست، کلیدهای [v, ...] از [v] بزرگ‌ترند؛
+  // پس مرز شامل بالا و مرز باز پایین باید [v, []] باشد تا همه آن‌ها را بپوشاند
+  const rangeIsLast = equals.length === parts.length - 1;
+  const boundKey = (condition, inclusiveSide) => (!rangeIsLast && condition.operator === inclusiveSide
+    ? [...equals, condition.value, []]
+    : [...equals, condition.value]);
+
+  return {
+    lower: lower ? boundKey(lower, '>') : equals,
+    upper: upper ? boundKey(upper, '<=') : [...equals, []],
+    lowerOpen: lower?.operator === '>',
+    upperOpen: upper?.operator === '<'
+  };
+}
+
+function computeAggregate({ fn }, values) {
+  const present = values.filter(value => value !== undefined && value !== null);
+
+  switch (fn) {
+    case 'count':
+      return present.length;
+    case 'countDistinct':
+      return new Set(present.map(normalize)).size;
+    case 'sum':
+      return present.reduce((sum, value) => sum + (Number(value) || 0), 0);
+    case 'avg':
+      return present.length > 0
+        ? present.reduce((sum, value) => sum + (Number(value) || 0), 0) / present.length
+        : null;
+    case 'min':
+      return present.length > 0 ? present.reduce((a, b) => (compareValues(a, b) <= 0 ? a : b)) : null;
+    case 'max':
+      return present.length > 0 ? present.reduce((a, b) => (compareValues(a, b) >= 0 ? a : b)) : null;
+  }
+}
+
+export default QueryBuilder;
@@ -0,0 +1,204 @@
+/**
+ * 🧪 تست Query Builder
+ * تست‌های شرط‌ها، انتخاب index، مرتب‌سازی، تجمیع، join و نوشتن
+ */
+
+import QueryBuilder from './query_builder.js';
+
+// مقایسه کلیدها به ترتیب IndexedDB: عدد < تاریخ < رشته < آرایه
+function compareKeys(a, b) {
+    const rank = key => (typeof key === 'number' ? 0 : key instanceof Date ? 1 : typeof key === 'string' ? 2 : 3);
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const result = compareKeys(a[i], b[i]);
+            if (result !== 0) return result;
+        }
+        return a.length - b.length;
+    }
+    const [x, y] = [a.valueOf(), b.valueOf()];
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// اجراکننده ساده در حافظه با رعایت محدوده و ترتیب index
+function createExecutor(stores) {
+    const indexes = {
+        sessions: [{ name: 'userId', keyPath: 'userId' }, { name: 'userId_startTime', keyPath: ['userId', 'startTime'] }],
+        results: [{ name: 'sessionId', keyPath: 'sessionId' }],
+        days: [{ name: 'ud', keyPath: ['userId', 'day'] }]
+    };
+    const keyOf = (record, keyPath) => (Array.isArray(keyPath) ? keyPath.map(part => record[part]) : record[keyPath]);
+
+    const inRange = (key, range) => {
+        if (!range) return true;
+        if ('only' in range) return compareKeys(key, range.only) === 0;
+        if (range.lower !== undefined) {
+            const result = compareKeys(key, range.lower);
+            if (result < 0 || (result === 0 && range.lowerOpen)) return false;
+        }
+        if (range.upper !== undefined) {
+            const result = compareKeys(key, range.upper);
+            if (result > 0 || (result === 0 && range.upperOpen)) return false;
+        }
+        return true;
+    };
+
+    const select = (storeName, plan) => {
+        const keyPath = plan.index ? indexes[storeName].find(index => index.name === plan.index).keyPath : 'id';
+        const entries = stores[storeName]
+            .map(record => ({ record, key: keyOf(record, keyPath) }))
+            .filter(entry => [].concat(entry.key).every(part => part !== undefined) && inRange(entry.key, plan.range))
+            .sort((a, b) => compareKeys(a.key, b.key));
+        return (plan.direction === 'prev' ? entries.reverse() : entries).map(entry => entry.record);
+    };
+
+    return {
+        plans: [],
+        _describeStore: storeName => ({ keyPath: 'id', indexes: indexes[storeName] || [] }),
+        async _scan(storeName, plan, visit) {
+            this.plans.push({ storeName, ...plan });
+            for (const record of select(storeName, plan)) {
+                if (visit(record) === false) break;
+            }
+        },
+        async _mutate(storeName, plan, mutate) {
+            let affected = 0;
+            for (const record of select(storeName, plan)) {
+                const result = mutate(record);
+                if (result === undefined) continue;
+                const position = stores[storeName].indexOf(record);
+                if (result === null) stores[storeName].splice(position, 1);
+                else stores[storeName][position] = result;
+                affected++;
+            }
+            return affected;
+        },
+        async add(storeName, record) {
+            stores[storeName].push(record);
+            return record.id;
+        }
+    };
+}
+
+const at = day => new Date(Date.UTC(2024, 0, day));
+
+describe('QueryBuilder', () => {
+    let executor;
+    const query = storeName => new QueryBuilder(executor, storeName);
+
+    beforeEach(() => {
+        executor = createExecutor({
+            sessions: [
+                { id: 's1', userId: 'u1', lessonId: 'en_1', startTime: at(1) },
+                { id: 's2', userId: 'u1', lessonId: 'en_2', startTime: at(3) },
+                { id: 's3', userId: 'u2', lessonId: 'en_1', startTime: at(2) },
+                { id: 's4', userId: 'u1', lessonId: 'en_1', startTime: at(5) }
+            ],
+            results: [
+                { id: 1, sessionId: 's1', isCorrect: true, timeSpent: 30 },
+                { id: 2, sessionId: 's1', isCorrect: false, timeSpent: 50 },
+                { id: 3, sessionId: 's3', isCorrect: true, timeSpent: 20 },
+                { id: 4, sessionId: 's4', isCorrect: true, timeSpent: 40 }
+            ],
+            days: [
+                { id: 1, userId: 'a', day: 1 },
+                { id: 2, userId: 'b', day: 2 },
+                { id: 3, userId: 'c', day: 1 }
+            ]
+        });
+    });
+
+    test('uses the compound index for equality plus range and streams its order', async () => {
+        const rows = await query('sessions')
+            .where('userId', '=', 'u1')
+            .andWhere('startTime', '>=', at(2))
+            .orderBy('startTime', 'desc')
+            .limit(1)
+            .get();
+
+        expect(rows.map(row => row.id)).toEqual(['s4']);
+        expect(executor.plans[0]).toMatchObject({
+            index: 'userId_startTime',
+            direction: 'prev',
+            ordered: true,
+            range: { lower: ['u1', at(2)], upper: ['u1', []], lowerOpen: false }
+        });
+    });
+
+    test('keeps every key of a bounded first part of a compound index', async () => {
+        const upTo = await query('days').where('userId', '<=', 'b').get();
+        expect(upTo.map(row => row.id)).toEqual([1, 2]);
+        expect(executor.plans[0]).toMatchObject({ index: 'ud', range: { upper: ['b', []], upperOpen: false } });
+
+        const after = await query('days').where('userId', '>', 'a').get();
+        expect(after.map(row => row.id)).toEqual([2, 3]);
+        expect(executor.plans[1]).toMatchObject({ index: 'ud', range: { lower: ['a', []], lowerOpen: true } });
+    });
+
+    test('filters, sorts and pages in memory when no index matches', async () => {
+        const rows = await query('sessions')
+            .where('lessonId', 'like', 'en_%')
+            .where('userId', '!=', 'u2')
+            .orderBy('lessonId', 'desc')
+            .orderBy('startTime')
+            .offset(1)
+            .get();
+
+        expect(rows.map(row => row.id)).toEqual(['s1', 's4']);
+        expect(executor.plans[0]).toMatchObject({ index: null, range: null });
+        expect(await query('sessions').whereIn('id', ['s2', 's3']).select('id', 'userId as owner').get())
+            .toEqual([{ id: 's2', owner: 'u1' }, { id: 's3', owner: 'u2' }]);
+    });
+
+    test('computes aggregates over groups and over empty sets', async () => {
+        const totals = await query('results')
+            .sum('timeSpent as seconds')
+            .avg('isCorrect as accuracy')
+            .countDistinct('sessionId as sessions')
+            .max('timeSpent')
+            .first();
+        expect(totals).toEqual({ seconds: 140, accuracy: 0.75, sessions: 3, max_timeSpent: 50 });
+
+        const favorite = await query('sessions')
+            .where('userId', '=', 'u1')
+            .groupBy('lessonId')
+            .orderBy('count', 'desc')
+            .select('lessonId')
+            .count('id as count')
+            .first();
+        expect(favorite).toEqual({ lessonId: 'en_1', count: 2 });
+
+        expect(await query('sessions').where('userId', '=', 'nobody').count('id as count').first())
+            .toEqual({ count: 0 });
+    });
+
+    test('joins stores and filters on joined fields', async () => {
+        const result = await query('results')
+            .join('sessions', 'results.sessionId', 'sessions.id')
+            .where('sessions.userId', '=', 'u1')
+            .count('results.id as count')
+            .avg('isCorrect as accuracy')
+            .first();
+
+        expect(result).toEqual({ count: 3, accuracy: 2 / 3 });
+    });
+
+    test('updates, increments, upserts and deletes matching records', async () => {
+        expect(await query('results').where('sessionId', '=', 's1').increment({ timeSpent: 5 })).toBe(2);
+        expect((await query('results').where('id', '=', 1).first()).timeSpent).toBe(35);
+
+        await query('sessions').where('id', '=', 's9').upsert({ id: 's9', userId: 'u3', lessonId: 'en_3', startTime: at(9) });
+        await query('sessions').where('id', '=', 's9').upsert({ lessonId: 'en_4' });
+        expect(await query('sessions').where('userId', '=', 'u3').get())
+            .toEqual([expect.objectContaining({ id: 's9', lessonId: 'en_4' })]);
+
+        expect(await query('sessions').where('userId', '=', 'u1').delete()).toBe(3);
+        expect(await query('sessions').count().first()).toEqual({ count: 2 });
+    });
+
+    test('rejects unsupported operators and joins in writes', async () => {
+        expect(() => query('sessions').where('userId', '~', 'u1')).toThrow('Unsupported operator: ~');
+        await expect(query('results').join('sessions', 'results.sessionId', 'sessions.id').delete())
+            .rejects.toThrow('Joins are not supported in write queries');
+    });
+});
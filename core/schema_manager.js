@@ -11,6 +11,7 @@ class ISchemaManager {
   async getMigrationSteps(fromVersion, toVersion) { throw new Error('Not implemented'); }
   async registerCustomValidator(storeName, validator) { throw new Error('Not implemented'); }
   async getStoreDefinition(storeName, version = null) { throw new Error('Not implemented'); }
+  async getVersions() { throw new Error('Not implemented'); }
 }
 
 /**
@@ -69,6 +70,13 @@ class SchemaManager extends ISchemaManager {
     return this.schemas.get(targetVersion);
   }
 
+  /**
+   * دریافت نسخه‌های تعریف‌شده به ترتیب صعودی
+   */
+  async getVersions() {
+    return [...this.schemas.keys()].sort((a, b) => a - b);
+  }
+
   /**
    * اعتبارسنجی کامل یک اسکیما
    */
@@ -113,11 +121,12 @@ class SchemaManager extends ISchemaManager {
    * دریافت مراحل مهاجرت بین دو نسخه
    */
   async getMigrationSteps(fromVersion, toVersion) {
-    if (!this.schemas.has(fromVersion) || !this.schemas.has(toVersion)) {
+    // نسخه ۰ یعنی دیتابیس خالی (نصب اول)
+    if ((fromVersion !== 0 && !this.schemas.has(fromVersion)) || !this.schemas.has(toVersion)) {
       throw new Error('One or both schema versions not found');
     }
 
-    const fromSchema = this.schemas.get(fromVersion);
+    const fromSchema = fromVersion === 0 ? { version: 0, stores: [] } : this.schemas.get(fromVersion);
     const toSchema = this.schemas.get(toVersion);
 
     const steps = {
@@ -217,8 +226,12 @@ class SchemaManager extends ISchemaManager {
           }
           indexNames.add(idx.name);
 
-          if (!idx.keyPath || typeof idx.keyPath !== 'string') {
-            errors.push(`Index ${idx.name} must have a string keyPath`);
+          // keyPath آرایه‌ای برای index ترکیبی
+          const validKeyPath = typeof idx.keyPath === 'string'
+            ? idx.keyPath.length > 0
+            : Array.isArray(idx.keyPath) && idx.keyPath.length > 0 && idx.keyPath.every(part => typeof part === 'string' && part);
+          if (!validKeyPath) {
+            errors.push(`Index ${idx.name} must have a string or string[] keyPath`);
           }
 
           if (idx.unique !== undefined && typeof idx.unique !== 'boolean') {
@@ -262,20 +275,14 @@ class SchemaManager extends ISchemaManager {
    * @private
    */
   async _checkStoreNameConflicts(schema) {
-    const allStoreNames = new Set();
-    
-    // جمع‌آوری نام‌ها از تمام نسخه‌ها
-    for (const existingSchema of this.schemas.values()) {
-      for (const store of existingSchema.stores) {
-        allStoreNames.add(store.name);
-      }
-    }
+    // هر نسخه اسکیمای کامل است و storeهای نسخه قبل را تکرار می‌کند؛ تداخل فقط درون یک نسخه معنا دارد
+    const storeNames = new Set();
     
-    // بررسی با اسکیما جدید
     for (const store of schema.stores) {
-      if (allStoreNames.has(store.name)) {
+      if (storeNames.has(store.name)) {
         throw new Error(`Store name "${store.name}" conflicts with existing store`);
       }
+      storeNames.add(store.name);
     }
   }
 
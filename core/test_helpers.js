@@ -0,0 +1,37 @@
+/**
+ * 🧪 ابزارهای مشترک تست ماژول‌ها
+ * دیتابیس درون‌حافظه‌ای با اسکیمای واقعی storeهای ماژول (همان indexها و key range ها) و EventBus ضبط‌کننده
+ */
+
+import MemoryDatabase, { createMemoryIndexedDB } from './memory_database.js';
+
+/**
+ * دیتابیس ایزوله و مقداردهی‌شده با storeهای ماژول
+ * @param {Array<Object>} stores - مثلاً REVIEW_SCHEDULER_STORES
+ * @param {string} [name] - نام دیتابیس
+ * @returns {Promise<MemoryDatabase>}
+ */
+export async function createTestDatabase(stores, name = 'module_test') {
+    const database = new MemoryDatabase(name, { indexedDB: createMemoryIndexedDB() });
+    await database.init({ version: 1, stores });
+    return database;
+}
+
+/**
+ * EventBus که رویدادهای منتشرشده را در events نگه می‌دارد و شنونده‌ها ({ handleEvent }) را صدا می‌زند
+ * publish تا پایان کار شنونده‌ها صبر می‌کند تا تست‌ها قطعی باشند
+ */
+export function createRecordingEventBus() {
+    const listeners = new Map();
+    return {
+        events: [],
+        publish(type, data) {
+            this.events.push({ type, data });
+            return Promise.all((listeners.get(type) || []).map(listener => listener.handleEvent(type, data)));
+        },
+        subscribe(type, listener) {
+            listeners.set(type, [...(listeners.get(type) || []), listener]);
+            return () => listeners.set(type, listeners.get(type).filter(existing => existing !== listener));
+        }
+    };
+}
@@ -0,0 +1,365 @@
+/**
+ * @file modules/adaptive_engine/adaptive_engine.js
+ * @desc تخمین توانایی کاربر در هر مهارت (مدل Elo/IRT یک‌پارامتری) و انتخاب تمرین با سختی مناسب
+ * @implements IAdaptiveEngine (قرارداد انتزاعی)
+ */
+
+/**
+ * @interface IAdaptiveEngine
+ * @desc قرارداد انتزاعی برای سختی تطبیقی
+ */
+class IAdaptiveEngine {
+    /**
+     * @method recordOutcome
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} outcome - نتیجه تلاش
+     * @param {string[]} outcome.skills - مهارت‌های تمرین
+     * @param {string|number} outcome.difficulty - سختی تمرین
+     * @param {number} outcome.credit - میزان درستی (۰ تا ۱)
+     * @returns {Promise<SkillAbility[]>}
+     */
+    async recordOutcome(userId, outcome) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getAbilities
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<SkillAbility[]>}
+     */
+    async getAbilities(userId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method pickNextExercise
+     * @param {string} userId - شناسه کاربر
+     * @param {Array<{id: string, difficulty: string|number, skills?: string[], type?: string}>} candidates - تمرین‌های باقی‌مانده
+     * @returns {Promise<Object|null>}
+     */
+    async pickNextExercise(userId, candidates) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * تعریف store مورد نیاز این ماژول (برای ثبت در SchemaManager)
+ */
+const ADAPTIVE_ENGINE_STORES = [
+    {
+        name: 'skill_abilities',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    }
+];
+
+/**
+ * @class AdaptiveEngine
+ * @implements IAdaptiveEngine
+ * @desc احتمال موفقیت = 1 / (1 + e^-(توانایی - سختی)) و به‌روزرسانی توانایی با ضریب K کاهنده
+ */
+class AdaptiveEngine {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {ExerciseManagerInterface} dependencies.exerciseManager - برای دریافت سختی و مهارت تمرین‌ها
+     * @param {Object} [dependencies.options] - تنظیمات مدل
+     */
+    constructor({ database, eventBus, exerciseManager, options = {} }) {
+        if (!database || !eventBus || !exerciseManager) {
+            throw new Error('Database, EventBus and ExerciseManager dependencies are required');
+        }
+
+        this._database = database;
+        this._eventBus = eventBus;
+        this._exerciseManager = exerciseManager;
+        this._options = {
+            initialAbility: 0,
+            baseK: 0.6,              // ضریب یادگیری در تلاش‌های اول
+            minK: 0.15,              // حداقل ضریب پس از تلاش‌های زیاد
+            targetSuccess: 0.7,      // احتمال موفقیت مطلوب برای تمرین بعدی
+            difficultyRatings: { beginner: -1, intermediate: 0, advanced: 1 },
+            minAttempts: 3,          // حداقل تلاش برای گزارش قوت/ضعف
+            strengthScore: 80,
+            weaknessScore: 60,
+            historySize: 20,
+            ...options
+        };
+
+        // به‌روزرسانی خودکار توانایی از نتایج ProgressTracker
+        this._unsubscribe = this._eventBus.subscribe('progress.exercise_completed', {
+            handleEvent: (eventType, data) => this._onExerciseCompleted(data)
+        });
+    }
+
+    /**
+     * @method recordOutcome
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} outcome - { skills, difficulty, credit }
+     * @returns {Promise<SkillAbility[]>}
+     * @desc به‌روزرسانی توانایی کاربر در هر مهارت تمرین
+     */
+    async recordOutcome(userId, { skills, difficulty, credit }) {
+        try {
+            const rating = this.getDifficultyRating(difficulty);
+            const updated = [];
+
+            for (const skill of skills) {
+                const id = this._buildAbilityId(userId, skill);
+                const existing = await this._database.get('skill_abilities', id);
+                const current = existing || this._createAbility(userId, skill);
+
+                const expected = this.predictSuccess(current.ability, rating);
+                const k = Math.max(this._options.minK, this._options.baseK / Math.sqrt(current.attempts + 1));
+                const ability = round(current.ability + k * (credit - expected));
+                const now = Date.now();
+
+                const changes = {
+                    ability,
+                    attempts: current.attempts + 1,
+                    history: [...current.history, { ability, at: now }].slice(-this._options.historySize),
+                    updatedAt: now
+                };
+
+                if (existing) {
+                    await this._database.update('skill_abilities', id, changes);
+                } else {
+                    await this._database.add('skill_abilities', { ...current, ...changes });
+                }
+                updated.push(this._toSkillAbility({ ...current, ...changes }));
+            }
+
+            this._eventBus.publish('adaptive.ability_updated', { userId, abilities: updated });
+            return updated;
+
+        } catch (error) {
+            this._eventBus.publish('adaptive.error', {
+                action: 'recordOutcome',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getAbilities
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<SkillAbility[]>}
+     */
+    async getAbilities(userId) {
+        const records = await this._database.queryByIndex('skill_abilities', 'userId', userId);
+        return records.map(record => this._toSkillAbility(record));
+    }
+
+    /**
+     * @method getAbility
+     * @param {string} userId - شناسه کاربر
+     * @param {string} skill - مهارت
+     * @returns {Promise<SkillAbility>} برای مهارت بدون سابقه، توانایی اولیه
+     */
+    async getAbility(userId, skill) {
+        const record = await this._database.get('skill_abilities', this._buildAbilityId(userId, skill));
+        return this._toSkillAbility(record || this._createAbility(userId, skill));
+    }
+
+    /**
+     * @method pickNextExercise
+     * @param {string} userId - شناسه کاربر
+     * @param {Array<Object>} candidates - تمرین‌های قابل انتخاب
+     * @returns {Promise<Object|null>} تمرینی که احتمال موفقیتش به targetSuccess نزدیک‌تر است
+     */
+    async pickNextExercise(userId, candidates) {
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const abilities = new Map(
+            (await this.getAbilities(userId)).map(ability => [ability.skill, ability.ability])
+        );
+
+        let best = null;
+        for (const candidate of candidates) {
+            const skills = this.getSkills(candidate);
+            const ability = skills.reduce((sum, skill) =>
+                sum + (abilities.get(skill) ?? this._options.initialAbility), 0) / skills.length;
+            const distance = Math.abs(
+                this.predictSuccess(ability, this.getDifficultyRating(candidate.difficulty)) - this._options.targetSuccess
+            );
+            if (!best || distance < best.distance) {
+                best = { candidate, distance };
+            }
+        }
+
+        return best.candidate;
+    }
+
+    /**
+     * @method getStrengths
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<SkillAbility[]>} مهارت‌هایی با امتیاز بالای strengthScore، قوی‌ترین اول
+     */
+    async getStrengths(userId) {
+        const abilities = await this._getRatedAbilities(userId);
+        return abilities
+            .filter(ability => ability.score >= this._options.strengthScore)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * @method getWeaknesses
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<SkillAbility[]>} مهارت‌هایی با امتیاز زیر weaknessScore، ضعیف‌ترین اول
+     */
+    async getWeaknesses(userId) {
+        const abilities = await this._getRatedAbilities(userId);
+        return abilities
+            .filter(ability => ability.score <= this._options.weaknessScore)
+            .sort((a, b) => a.score - b.score);
+    }
+
+    /**
+     * @method predictSuccess
+     * @param {number} ability - توانایی کاربر
+     * @param {number} rating - سختی تمرین در همان مقیاس
+     * @returns {number} احتمال پاسخ درست
+     */
+    predictSuccess(ability, rating) {
+        return 1 / (1 + Math.exp(rating - ability));
+    }
+
+    /**
+     * @method getDifficultyRating
+     * @param {string|number} difficulty - سختی متنی یا عددی
+     * @returns {number}
+     */
+    getDifficultyRating(difficulty) {
+        if (typeof difficulty === 'number') {
+            return difficulty;
+        }
+        return this._options.difficultyRatings[difficulty] ?? 0;
+    }
+
+    /**
+     * @method getSkills
+     * @param {Object} exercise - تمرین
+     * @returns {string[]} مهارت‌های تمرین؛ در نبود برچسب، نوع تمرین
+     */
+    getSkills(exercise) {
+        return exercise.skills?.length ? exercise.skills : [exercise.type || 'general'];
+    }
+
+    /**
+     * @method destroy
+     * @desc قطع اشتراک از رویدادها
+     */
+    destroy() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _onExerciseCompleted
+     * @param {Object} data - داده رویداد progress.exercise_completed
+     */
+    async _onExerciseCompleted(data) {
+        const { userId, exerciseId } = data;
+        if (!userId || !exerciseId) return;
+
+        const exercise = await this._exerciseManager.getExercise(exerciseId);
+        if (!exercise) return;
+
+        await this.recordOutcome(userId, {
+            skills: this.getSkills(exercise),
+            difficulty: exercise.difficulty,
+            credit: typeof data.credit === 'number' ? data.credit : (data.isCorrect ? 1 : 0)
+        });
+    }
+
+    /**
+     * @private
+     * @method _getRatedAbilities
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<SkillAbility[]>} مهارت‌هایی با تلاش کافی
+     */
+    async _getRatedAbilities(userId) {
+        const abilities = await this.getAbilities(userId);
+        return abilities.filter(ability => ability.attempts >= this._options.minAttempts);
+    }
+
+    /**
+     * @private
+     * @method _toSkillAbility
+     * @param {Object} record - رکورد ذخیره‌شده
+     * @returns {SkillAbility}
+     */
+    _toSkillAbility(record) {
+        // امتیاز: احتمال موفقیت در تمرین با سختی متوسط
+        const score = Math.round(this.predictSuccess(record.ability, 0) * 100);
+        const first = record.history[0];
+        const improvement = first
+            ? score - Math.round(this.predictSuccess(first.ability, 0) * 100)
+            : 0;
+
+        return {
+            skill: record.skill,
+            ability: record.ability,
+            score,
+            attempts: record.attempts,
+            improvement,
+            updatedAt: record.updatedAt
+        };
+    }
+
+    /**
+     * @private
+     * @method _createAbility
+     */
+    _createAbility(userId, skill) {
+        return {
+            id: this._buildAbilityId(userId, skill),
+            userId,
+            skill,
+            ability: this._options.initialAbility,
+            attempts: 0,
+            history: [],
+            updatedAt: null
+        };
+    }
+
+    /**
+     * @private
+     * @method _buildAbilityId
+     */
+    _buildAbilityId(userId, skill) {
+        return `${userId}:${skill}`;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} SkillAbility
+ * @property {string} skill
+ * @property {number} ability - توانایی در مقیاس لجیت (۰ = متوسط)
+ * @property {number} score - احتمال موفقیت در تمرین متوسط (۰ تا ۱۰۰)
+ * @property {number} attempts
+ * @property {number} improvement - تغییر امتیاز از قدیمی‌ترین تخمین ذخیره‌شده
+ * @property {number|null} updatedAt
+ */
+
+// ==================== Export ====================
+
+export { IAdaptiveEngine, AdaptiveEngine, ADAPTIVE_ENGINE_STORES };
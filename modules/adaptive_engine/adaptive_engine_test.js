@@ -0,0 +1,90 @@
+/**
+ * 🧪 تست Adaptive Engine
+ * تست‌های تخمین توانایی و انتخاب تمرین با سختی مناسب
+ */
+
+import { AdaptiveEngine, ADAPTIVE_ENGINE_STORES } from './adaptive_engine.js';
+import { createTestDatabase, createRecordingEventBus } from '../../core/test_helpers.js';
+
+const exercises = {
+    easy: { id: 'easy', type: 'multipleChoice', difficulty: 'beginner', skills: ['vocabulary'] },
+    medium: { id: 'medium', type: 'multipleChoice', difficulty: 'intermediate', skills: ['vocabulary'] },
+    hard: { id: 'hard', type: 'multipleChoice', difficulty: 'advanced', skills: ['vocabulary'] },
+    listening: { id: 'listening', type: 'dictation', difficulty: 'intermediate' }
+};
+
+describe('AdaptiveEngine', () => {
+    let database;
+    let eventBus;
+    let engine;
+
+    beforeEach(async () => {
+        database = await createTestDatabase(ADAPTIVE_ENGINE_STORES);
+        eventBus = createRecordingEventBus();
+        engine = new AdaptiveEngine({
+            database,
+            eventBus,
+            exerciseManager: { getExercise: async id => exercises[id] || null }
+        });
+    });
+
+    afterEach(async () => {
+        engine.destroy();
+        await database.deleteDatabase();
+    });
+
+    test('should require dependencies', () => {
+        expect(() => new AdaptiveEngine({ database, eventBus }))
+            .toThrow('Database, EventBus and ExerciseManager dependencies are required');
+    });
+
+    test('should raise ability on correct answers and lower it on mistakes', async () => {
+        const [up] = await engine.recordOutcome('u1', { skills: ['grammar'], difficulty: 'intermediate', credit: 1 });
+        expect(up.ability).toBeGreaterThan(0);
+
+        const [down] = await engine.recordOutcome('u1', { skills: ['grammar'], difficulty: 'intermediate', credit: 0 });
+        expect(down.ability).toBeLessThan(up.ability);
+        expect(down.attempts).toBe(2);
+    });
+
+    test('should move less after a correct answer on an easy item', async () => {
+        const [easy] = await engine.recordOutcome('u1', { skills: ['a'], difficulty: 'beginner', credit: 1 });
+        const [hard] = await engine.recordOutcome('u1', { skills: ['b'], difficulty: 'advanced', credit: 1 });
+        expect(hard.ability).toBeGreaterThan(easy.ability);
+    });
+
+    test('should update abilities from progress events using exercise skills or type', async () => {
+        await eventBus.publish('progress.exercise_completed', { userId: 'u1', exerciseId: 'medium', isCorrect: true });
+        await eventBus.publish('progress.exercise_completed', { userId: 'u1', exerciseId: 'listening', isCorrect: false, credit: 0.5 });
+
+        const skills = (await engine.getAbilities('u1')).map(ability => ability.skill).sort();
+        expect(skills).toEqual(['dictation', 'vocabulary']);
+        expect((await engine.getAbility('u1', 'dictation')).ability).toBe(0);
+    });
+
+    test('should pick harder exercises as ability grows', async () => {
+        const candidates = [exercises.easy, exercises.medium, exercises.hard];
+        expect((await engine.pickNextExercise('u1', candidates)).id).toBe('easy');
+
+        for (let i = 0; i < 10; i++) {
+            await engine.recordOutcome('u1', { skills: ['vocabulary'], difficulty: 'advanced', credit: 1 });
+        }
+        expect((await engine.pickNextExercise('u1', candidates)).id).toBe('hard');
+        expect(await engine.pickNextExercise('u1', [])).toBeNull();
+    });
+
+    test('should report strengths and weaknesses after enough attempts', async () => {
+        for (let i = 0; i < 10; i++) {
+            await engine.recordOutcome('u1', { skills: ['vocabulary'], difficulty: 'advanced', credit: 1 });
+            await engine.recordOutcome('u1', { skills: ['grammar'], difficulty: 'beginner', credit: 0 });
+        }
+        await engine.recordOutcome('u1', { skills: ['speaking'], difficulty: 'beginner', credit: 0 });
+
+        const strengths = await engine.getStrengths('u1');
+        const weaknesses = await engine.getWeaknesses('u1');
+
+        expect(strengths.map(s => s.skill)).toEqual(['vocabulary']);
+        expect(strengths[0].improvement).toBeGreaterThan(0);
+        expect(weaknesses.map(w => w.skill)).toEqual(['grammar']);
+    });
+});
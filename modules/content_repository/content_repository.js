@@ -0,0 +1,325 @@
+/**
+ * @file modules/content-repository/content-repository.js
+ * @desc مخزن محتوای آموزشی - ذخیره دوره‌ها، واحدها، درس‌ها و فهرست تمرین‌ها در دیتابیس
+ * @implements IContentRepository (قرارداد انتزاعی)
+ */
+
+import { validateSkillTags, isCefrLevel } from '../skill_taxonomy/skill_taxonomy.js';
+
+/**
+ * @interface IContentRepository
+ * @desc قرارداد انتزاعی برای دسترسی به محتوای آموزشی
+ */
+class IContentRepository {
+    async saveCourse(course) { throw new Error('Method not implemented'); }
+    async saveUnit(unit) { throw new Error('Method not implemented'); }
+    async saveLesson(lesson) { throw new Error('Method not implemented'); }
+    async getCourse(courseId) { throw new Error('Method not implemented'); }
+    async getCoursesByLanguage(languageCode) { throw new Error('Method not implemented'); }
+    async getUnits(courseId) { throw new Error('Method not implemented'); }
+    async getLesson(lessonId) { throw new Error('Method not implemented'); }
+    async getLessons(courseId) { throw new Error('Method not implemented'); }
+    async getCourseOutline(courseId) { throw new Error('Method not implemented'); }
+    async arePrerequisitesMet(lessonId, completedLessonIds) { throw new Error('Method not implemented'); }
+}
+
+/**
+ * تعریف storeهای مورد نیاز برای اسکیما دیتابیس
+ * @type {Array<Object>}
+ */
+const CONTENT_STORES = [
+    {
+        name: 'courses',
+        keyPath: 'id',
+        indexes: [
+            { name: 'languageCode', keyPath: 'languageCode' }
+        ]
+    },
+    {
+        name: 'units',
+        keyPath: 'id',
+        indexes: [
+            { name: 'courseId', keyPath: 'courseId' }
+        ]
+    },
+    {
+        name: 'lessons',
+        keyPath: 'id',
+        indexes: [
+            { name: 'courseId', keyPath: 'courseId' },
+            { name: 'unitId', keyPath: 'unitId' }
+        ]
+    }
+];
+
+/**
+ * @class ContentRepository
+ * @implements IContentRepository
+ * @desc پیاده‌سازی مخزن محتوا روی لایه دیتابیس
+ */
+class ContentRepository extends IContentRepository {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     */
+    constructor({ database }) {
+        super();
+        if (!database) {
+            throw new Error('Database dependency is required');
+        }
+        this._database = database;
+    }
+
+    /**
+     * @method saveCourse
+     * @param {Course} course - اطلاعات دوره
+     * @returns {Promise<Course>}
+     */
+    async saveCourse(course) {
+        this._requireFields(course, ['id', 'title', 'languageCode'], 'Course');
+
+        const record = {
+            description: '',
+            estimatedHours: 0,
+            ...course
+        };
+        return this._upsert('courses', record);
+    }
+
+    /**
+     * @method saveUnit
+     * @param {Unit} unit - اطلاعات واحد درسی
+     * @returns {Promise<Unit>}
+     */
+    async saveUnit(unit) {
+        this._requireFields(unit, ['id', 'courseId', 'title'], 'Unit');
+        await this._requireExists('courses', unit.courseId, 'Course');
+
+        const record = {
+            order: 0,
+            ...unit
+        };
+        return this._upsert('units', record);
+    }
+
+    /**
+     * @method saveLesson
+     * @param {Lesson} lesson - اطلاعات درس
+     * @returns {Promise<Lesson>}
+     */
+    async saveLesson(lesson) {
+        this._requireFields(lesson, ['id', 'courseId', 'title'], 'Lesson');
+        await this._requireExists('courses', lesson.courseId, 'Course');
+        if (lesson.unitId) {
+            await this._requireExists('units', lesson.unitId, 'Unit');
+        }
+
+        const prerequisites = lesson.prerequisites || [];
+        if (prerequisites.includes(lesson.id)) {
+            throw new Error(`Lesson ${lesson.id} cannot be its own prerequisite`);
+        }
+
+        const skills = lesson.skills || [];
+        validateSkillTags(skills);
+        if (lesson.cefrLevel && !isCefrLevel(lesson.cefrLevel)) {
+            throw new Error(`Invalid CEFR level: ${lesson.cefrLevel}`);
+        }
+
+        const record = {
+            unitId: null,
+            order: 0,
+            difficulty: 'beginner',
+            duration: 0,
+            cefrLevel: null,
+            ...lesson,
+            skills,
+            prerequisites,
+            exerciseIds: lesson.exerciseIds || []
+        };
+        return this._upsert('lessons', record);
+    }
+
+    /**
+     * @method getCourse
+     * @param {string} courseId - شناسه دوره
+     * @returns {Promise<Course|null>}
+     */
+    async getCourse(courseId) {
+        return (await this._database.get('courses', courseId)) || null;
+    }
+
+    /**
+     * @method getCoursesByLanguage
+     * @param {string} languageCode - کد زبان
+     * @returns {Promise<Course[]>}
+     */
+    async getCoursesByLanguage(languageCode) {
+        return this._database.queryByIndex('courses', 'languageCode', languageCode);
+    }
+
+    /**
+     * @method getUnits
+     * @param {string} courseId - شناسه دوره
+     * @returns {Promise<Unit[]>} مرتب‌شده بر اساس order
+     */
+    async getUnits(courseId) {
+        const units = await this._database.queryByIndex('units', 'courseId', courseId);
+        return units.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * @method getLesson
+     * @param {string} lessonId - شناسه درس
+     * @returns {Promise<Lesson|null>}
+     */
+    async getLesson(lessonId) {
+        return (await this._database.get('lessons', lessonId)) || null;
+    }
+
+    /**
+     * @method getLessons
+     * @param {string} courseId - شناسه دوره
+     * @returns {Promise<Lesson[]>} مرتب‌شده بر اساس ترتیب واحد و سپس ترتیب درس
+     */
+    async getLessons(courseId) {
+        const [units, lessons] = await Promise.all([
+            this.getUnits(courseId),
+            this._database.queryByIndex('lessons', 'courseId', courseId)
+        ]);
+
+        const unitOrder = new Map(units.map(unit => [unit.id, unit.order]));
+        return lessons.sort((a, b) => {
+            const unitDiff = (unitOrder.get(a.unitId) ?? -1) - (unitOrder.get(b.unitId) ?? -1);
+            return unitDiff !== 0 ? unitDiff : a.order - b.order;
+        });
+    }
+
+    /**
+     * @method getCourseOutline
+     * @param {string} courseId - شناسه دوره
+     * @returns {Promise<Object|null>} دوره به همراه واحدها و درس‌های مرتب‌شده
+     */
+    async getCourseOutline(courseId) {
+        const course = await this.getCourse(courseId);
+        if (!course) return null;
+
+        const [units, lessons] = await Promise.all([
+            this.getUnits(courseId),
+            this.getLessons(courseId)
+        ]);
+
+        return {
+            ...course,
+            units: units.map(unit => ({
+                ...unit,
+                lessons: lessons.filter(lesson => lesson.unitId === unit.id)
+            })),
+            lessons
+        };
+    }
+
+    /**
+     * @method arePrerequisitesMet
+     * @param {string} lessonId - شناسه درس
+     * @param {string[]} completedLessonIds - درس‌های تکمیل‌شده توسط کاربر
+     * @returns {Promise<{met: boolean, missing: string[]}>}
+     */
+    async arePrerequisitesMet(lessonId, completedLessonIds = []) {
+        const lesson = await this.getLesson(lessonId);
+        if (!lesson) {
+            throw new Error(`Lesson ${lessonId} not found`);
+        }
+
+        const completed = new Set(completedLessonIds);
+        const missing = lesson.prerequisites.filter(id => !completed.has(id));
+
+        return { met: missing.length === 0, missing };
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _upsert
+     * @desc افزودن رکورد جدید یا به‌روزرسانی رکورد موجود
+     */
+    async _upsert(storeName, record) {
+        const existing = await this._database.get(storeName, record.id);
+        const now = new Date().toISOString();
+
+        if (existing) {
+            const updated = { ...record, updatedAt: now };
+            await this._database.update(storeName, record.id, updated);
+            return { ...existing, ...updated };
+        }
+
+        const created = { ...record, createdAt: now, updatedAt: now };
+        await this._database.add(storeName, created);
+        return created;
+    }
+
+    /**
+     * @private
+     * @method _requireFields
+     */
+    _requireFields(record, fields, entityName) {
+        if (!record) {
+            throw new Error(`${entityName} data is required`);
+        }
+        fields.forEach(field => {
+            if (!record[field]) {
+                throw new Error(`${entityName} is missing required field: ${field}`);
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @method _requireExists
+     */
+    async _requireExists(storeName, id, entityName) {
+        const record = await this._database.get(storeName, id);
+        if (!record) {
+            throw new Error(`${entityName} ${id} not found`);
+        }
+    }
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} Course
+ * @property {string} id
+ * @property {string} title
+ * @property {string} languageCode - زبان مقصد دوره
+ * @property {string} [description]
+ * @property {number} [estimatedHours]
+ */
+
+/**
+ * @typedef {Object} Unit
+ * @property {string} id
+ * @property {string} courseId
+ * @property {string} title
+ * @property {number} order
+ */
+
+/**
+ * @typedef {Object} Lesson
+ * @property {string} id
+ * @property {string} courseId
+ * @property {string|null} unitId
+ * @property {string} title
+ * @property {number} order
+ * @property {string} difficulty
+ * @property {number} duration - مدت تخمینی (دقیقه)
+ * @property {string|null} cefrLevel - سطح CEFR درس
+ * @property {string[]} skills - برچسب‌های مهارت از طبقه‌بندی مشترک
+ * @property {string[]} prerequisites - شناسه درس‌های پیش‌نیاز
+ * @property {string[]} exerciseIds - شناسه تمرین‌ها به ترتیب ارائه
+ */
+
+// ==================== Export ====================
+
+export { IContentRepository, ContentRepository, CONTENT_STORES };
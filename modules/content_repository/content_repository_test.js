@@ -0,0 +1,89 @@
+/**
+ * 🧪 تست Content Repository
+ * تست‌های واحد ذخیره و ترتیب‌بندی محتوای آموزشی
+ */
+
+import { ContentRepository, CONTENT_STORES } from './content_repository.js';
+import { createTestDatabase } from '../../core/test_helpers.js';
+
+describe('ContentRepository', () => {
+    let database;
+    let repository;
+
+    beforeEach(async () => {
+        database = await createTestDatabase(CONTENT_STORES);
+        repository = new ContentRepository({ database });
+
+        await repository.saveCourse({ id: 'en_a1', title: 'English A1', languageCode: 'en' });
+        await repository.saveUnit({ id: 'unit_2', courseId: 'en_a1', title: 'Food', order: 2 });
+        await repository.saveUnit({ id: 'unit_1', courseId: 'en_a1', title: 'Greetings', order: 1 });
+        await repository.saveLesson({ id: 'l_food_1', courseId: 'en_a1', unitId: 'unit_2', title: 'Fruits', order: 1, prerequisites: ['l_greet_2'] });
+        await repository.saveLesson({ id: 'l_greet_2', courseId: 'en_a1', unitId: 'unit_1', title: 'Goodbye', order: 2, prerequisites: ['l_greet_1'] });
+        await repository.saveLesson({ id: 'l_greet_1', courseId: 'en_a1', unitId: 'unit_1', title: 'Hello', order: 1, exerciseIds: ['ex_1', 'ex_2'] });
+    });
+
+    afterEach(async () => {
+        await database.deleteDatabase();
+    });
+
+    test('should order lessons by unit order then lesson order', async () => {
+        const lessons = await repository.getLessons('en_a1');
+        expect(lessons.map(l => l.id)).toEqual(['l_greet_1', 'l_greet_2', 'l_food_1']);
+    });
+
+    test('should build course outline grouped by unit', async () => {
+        const outline = await repository.getCourseOutline('en_a1');
+        expect(outline.units.map(u => u.id)).toEqual(['unit_1', 'unit_2']);
+        expect(outline.units[0].lessons.map(l => l.id)).toEqual(['l_greet_1', 'l_greet_2']);
+        expect(outline.lessons).toHaveLength(3);
+    });
+
+    test('should return null outline for unknown course', async () => {
+        expect(await repository.getCourseOutline('missing')).toBeNull();
+    });
+
+    test('should find courses by language', async () => {
+        const courses = await repository.getCoursesByLanguage('en');
+        expect(courses.map(c => c.id)).toEqual(['en_a1']);
+    });
+
+    test('should report missing prerequisites', async () => {
+        const result = await repository.arePrerequisitesMet('l_food_1', ['l_greet_1']);
+        expect(result).toEqual({ met: false, missing: ['l_greet_2'] });
+
+        const unlocked = await repository.arePrerequisitesMet('l_food_1', ['l_greet_1', 'l_greet_2']);
+        expect(unlocked.met).toBe(true);
+    });
+
+    test('should reject lessons for unknown course or unit', async () => {
+        await expect(repository.saveLesson({ id: 'x', courseId: 'nope', title: 'X' }))
+            .rejects.toThrow('Course nope not found');
+        await expect(repository.saveLesson({ id: 'x', courseId: 'en_a1', unitId: 'nope', title: 'X' }))
+            .rejects.toThrow('Unit nope not found');
+    });
+
+    test('should reject self prerequisite', async () => {
+        await expect(repository.saveLesson({ id: 'x', courseId: 'en_a1', title: 'X', prerequisites: ['x'] }))
+            .rejects.toThrow('cannot be its own prerequisite');
+    });
+
+    test('should tag lessons with validated skills and CEFR level', async () => {
+        const lesson = await repository.saveLesson({
+            id: 'l_past', courseId: 'en_a1', title: 'Past', skills: ['grammar:past_simple', 'can-do:A2.speaking.1'], cefrLevel: 'A2'
+        });
+        expect(lesson.skills).toEqual(['grammar:past_simple', 'can-do:A2.speaking.1']);
+        expect((await repository.getLesson('l_greet_1')).skills).toEqual([]);
+
+        await expect(repository.saveLesson({ id: 'x', courseId: 'en_a1', title: 'X', skills: ['dancing'] }))
+            .rejects.toThrow('Unknown skill tags: dancing');
+        await expect(repository.saveLesson({ id: 'x', courseId: 'en_a1', title: 'X', cefrLevel: 'Z9' }))
+            .rejects.toThrow('Invalid CEFR level: Z9');
+    });
+
+    test('should update existing lesson in place', async () => {
+        await repository.saveLesson({ id: 'l_greet_1', courseId: 'en_a1', unitId: 'unit_1', title: 'Hi', order: 1 });
+        const lesson = await repository.getLesson('l_greet_1');
+        expect(lesson.title).toBe('Hi');
+        expect(lesson.createdAt).toBeDefined();
+    });
+});
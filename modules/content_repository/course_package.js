@@ -0,0 +1,411 @@
+/**
+ * @file modules/content-repository/course-package.js
+ * @desc ورود و خروج بسته‌های نسخه‌دار دوره (JSON شامل دوره، واحدها، درس‌ها، تمرین‌ها و فهرست رسانه)
+ */
+
+import { validateSkillTags, isCefrLevel } from '../skill_taxonomy/skill_taxonomy.js';
+
+const COURSE_PACKAGE_FORMAT = 'vakamova.course-package';
+const COURSE_PACKAGE_VERSION = 1;
+
+/**
+ * ارتقادهنده‌های نسخه‌های قدیمی‌تر بسته - نسخه -> تابع تبدیل به نسخه بعدی
+ * @type {Object<number, Function>}
+ */
+const PACKAGE_UPGRADERS = {};
+
+const MEDIA_TYPES = ['audio', 'image'];
+const MEDIA_FIELDS = ['audioUrl', 'imageUrl'];
+const HASH_PATTERN = /^sha256:[a-f0-9]{64}$/;
+
+/**
+ * تعریف storeهای مورد نیاز برای اسکیما دیتابیس
+ * @type {Array<Object>}
+ */
+const COURSE_PACKAGE_STORES = [
+    {
+        name: 'course_media',
+        keyPath: 'id',
+        indexes: [
+            { name: 'courseId', keyPath: 'courseId' }
+        ]
+    }
+];
+
+const PACKAGE_WRITE_STORES = ['courses', 'units', 'lessons', 'exercises', 'course_media'];
+const METADATA_FIELDS = ['createdAt', 'updatedAt', '_updatedAt'];
+
+/**
+ * @class CoursePackageService
+ * @desc اعتبارسنجی و نوشتن بسته دوره در یک تراکنش دیتابیس
+ */
+class CoursePackageService {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {ExerciseManager} dependencies.exerciseManager - برای اعتبارسنجی انواع تمرین ثبت‌شده
+     * @param {IEventBus} [dependencies.eventBus] - اینترفیس سیستم رویداد
+     */
+    constructor({ database, exerciseManager, eventBus = null }) {
+        if (!database || !exerciseManager) {
+            throw new Error('Database and ExerciseManager dependencies are required');
+        }
+        this._database = database;
+        this._exerciseManager = exerciseManager;
+        this._eventBus = eventBus;
+    }
+
+    /**
+     * @method importCoursePackage
+     * @param {CoursePackage} pkg - بسته دوره
+     * @returns {Promise<ImportReport>}
+     * @desc همه آیتم‌ها اعتبارسنجی می‌شوند؛ در صورت وجود خطا هیچ چیزی نوشته نمی‌شود.
+     * آیتم‌های نسخه قبلی دوره که در بسته نیستند در همان تراکنش حذف می‌شوند
+     */
+    async importCoursePackage(pkg) {
+        const errors = [];
+
+        const upgraded = this._upgradePackage(pkg, errors);
+        if (!upgraded) {
+            return { success: false, courseId: null, counts: null, removed: null, errors };
+        }
+
+        const records = await this._validatePackage(upgraded, errors);
+        if (errors.length > 0) {
+            this._eventBus?.publish('content.package_rejected', {
+                courseId: upgraded.course?.id || null,
+                errorCount: errors.length
+            });
+            return { success: false, courseId: upgraded.course?.id || null, counts: null, removed: null, errors };
+        }
+
+        const courseId = records.course.id;
+        const removed = await this._database.transaction(PACKAGE_WRITE_STORES, 'readwrite', async (tx) => {
+            const put = (storeName, record) => tx.objectStore(storeName).put(record);
+            const getAllByIndex = (storeName, indexName, key) =>
+                this._request(tx.objectStore(storeName).index(indexName).getAll(key));
+
+            const [oldUnits, oldLessons, oldMedia] = await Promise.all([
+                getAllByIndex('units', 'courseId', courseId),
+                getAllByIndex('lessons', 'courseId', courseId),
+                getAllByIndex('course_media', 'courseId', courseId)
+            ]);
+            const oldExercises = (await Promise.all(
+                oldLessons.map(lesson => getAllByIndex('exercises', 'lessonId', lesson.id))
+            )).flat();
+
+            const removeMissing = (storeName, existing, kept) => {
+                const keptIds = new Set(kept.map(record => record.id));
+                const missing = existing.filter(record => !keptIds.has(record.id));
+                missing.forEach(record => tx.objectStore(storeName).delete(record.id));
+                return missing.length;
+            };
+            const removedCounts = {
+                units: removeMissing('units', oldUnits, records.units),
+                lessons: removeMissing('lessons', oldLessons, records.lessons),
+                exercises: removeMissing('exercises', oldExercises, records.exercises),
+                media: removeMissing('course_media', oldMedia, records.media)
+            };
+
+            put('courses', records.course);
+            records.units.forEach(unit => put('units', unit));
+            records.lessons.forEach(lesson => put('lessons', lesson));
+            records.exercises.forEach(exercise => put('exercises', exercise));
+            records.media.forEach(media => put('course_media', media));
+            return removedCounts;
+        });
+
+        const counts = {
+            units: records.units.length,
+            lessons: records.lessons.length,
+            exercises: records.exercises.length,
+            media: records.media.length
+        };
+
+        this._eventBus?.publish('content.package_imported', { courseId, counts, removed });
+
+        return { success: true, courseId, counts, removed, errors: [] };
+    }
+
+    /**
+     * @method exportCoursePackage
+     * @param {string} courseId - شناسه دوره
+     * @returns {Promise<CoursePackage>}
+     */
+    async exportCoursePackage(courseId) {
+        const course = await this._database.get('courses', courseId);
+        if (!course) {
+            throw new Error(`Course ${courseId} not found`);
+        }
+
+        const [units, lessons, media] = await Promise.all([
+            this._database.queryByIndex('units', 'courseId', courseId),
+            this._database.queryByIndex('lessons', 'courseId', courseId),
+            this._database.queryByIndex('course_media', 'courseId', courseId)
+        ]);
+
+        const exerciseGroups = await Promise.all(
+            lessons.map(lesson => this._database.queryByIndex('exercises', 'lessonId', lesson.id))
+        );
+
+        return {
+            format: COURSE_PACKAGE_FORMAT,
+            formatVersion: COURSE_PACKAGE_VERSION,
+            exportedAt: new Date().toISOString(),
+            course: this._stripMetadata(course),
+            units: units.sort((a, b) => a.order - b.order).map(unit => this._stripMetadata(unit)),
+            lessons: lessons.sort((a, b) => a.order - b.order).map(lesson => this._stripMetadata(lesson)),
+            exercises: exerciseGroups.flat().map(exercise => this._stripMetadata(exercise)),
+            media: media.map(({ courseId: _, ...entry }) => this._stripMetadata(entry))
+        };
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _upgradePackage
+     * @desc بررسی قالب و ارتقای بسته‌های نسخه قدیمی
+     */
+    _upgradePackage(pkg, errors) {
+        if (!pkg || pkg.format !== COURSE_PACKAGE_FORMAT) {
+            errors.push(this._error('package', null, `Unsupported package format: ${pkg?.format}`));
+            return null;
+        }
+
+        let version = pkg.formatVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            errors.push(this._error('package', null, `Invalid formatVersion: ${version}`));
+            return null;
+        }
+        if (version > COURSE_PACKAGE_VERSION) {
+            errors.push(this._error('package', null,
+                `Package version ${version} is newer than supported version ${COURSE_PACKAGE_VERSION}`));
+            return null;
+        }
+
+        let upgraded = pkg;
+        while (version < COURSE_PACKAGE_VERSION) {
+            const upgrader = PACKAGE_UPGRADERS[version];
+            if (!upgrader) {
+                errors.push(this._error('package', null, `No upgrader from package version ${version}`));
+                return null;
+            }
+            upgraded = upgrader(upgraded);
+            version++;
+        }
+
+        return upgraded;
+    }
+
+    /**
+     * @private
+     * @method _validatePackage
+     * @returns {Promise<Object>} رکوردهای آماده نوشتن
+     */
+    async _validatePackage(pkg, errors) {
+        const course = pkg.course || {};
+        const units = pkg.units || [];
+        const lessons = pkg.lessons || [];
+        const exercises = pkg.exercises || [];
+        const media = pkg.media || [];
+        const now = new Date().toISOString();
+
+        // دوره
+        this._checkRequired('course', course, ['id', 'title', 'languageCode'], errors);
+        const courseId = course.id;
+
+        // فهرست رسانه
+        const mediaPaths = new Set();
+        this._checkUniqueIds('media', media, errors);
+        media.forEach(entry => {
+            this._checkRequired('media', entry, ['id', 'type', 'path', 'hash'], errors);
+            if (entry.type && !MEDIA_TYPES.includes(entry.type)) {
+                errors.push(this._error('media', entry.id, `Unknown media type: ${entry.type}`));
+            }
+            if (entry.hash && !HASH_PATTERN.test(entry.hash)) {
+                errors.push(this._error('media', entry.id, 'Hash must be in the form sha256:<64 hex chars>'));
+            }
+            mediaPaths.add(entry.path);
+        });
+
+        // واحدها
+        this._checkUniqueIds('unit', units, errors);
+        const unitIds = new Set(units.map(unit => unit.id));
+        units.forEach(unit => {
+            this._checkRequired('unit', unit, ['id', 'title'], errors);
+            if (unit.courseId && unit.courseId !== courseId) {
+                errors.push(this._error('unit', unit.id, `Unit belongs to another course: ${unit.courseId}`));
+            }
+        });
+
+        // درس‌ها
+        this._checkUniqueIds('lesson', lessons, errors);
+        const lessonIds = new Set(lessons.map(lesson => lesson.id));
+        const exerciseIds = new Set(exercises.map(exercise => exercise.id));
+        lessons.forEach(lesson => {
+            this._checkRequired('lesson', lesson, ['id', 'title'], errors);
+            if (lesson.courseId && lesson.courseId !== courseId) {
+                errors.push(this._error('lesson', lesson.id, `Lesson belongs to another course: ${lesson.courseId}`));
+            }
+            if (lesson.unitId && !unitIds.has(lesson.unitId)) {
+                errors.push(this._error('lesson', lesson.id, `Unknown unit: ${lesson.unitId}`));
+            }
+            (lesson.prerequisites || []).forEach(prerequisite => {
+                if (prerequisite === lesson.id || !lessonIds.has(prerequisite)) {
+                    errors.push(this._error('lesson', lesson.id, `Invalid prerequisite: ${prerequisite}`));
+                }
+            });
+            (lesson.exerciseIds || []).forEach(exerciseId => {
+                if (!exerciseIds.has(exerciseId)) {
+                    errors.push(this._error('lesson', lesson.id, `Unknown exercise: ${exerciseId}`));
+                }
+            });
+            // همان قواعد ContentRepository.saveLesson؛ تمرین‌ها در buildExercise بررسی می‌شوند
+            try {
+                validateSkillTags(lesson.skills || []);
+            } catch (error) {
+                errors.push(this._error('lesson', lesson.id, error.message));
+            }
+            if (lesson.cefrLevel && !isCefrLevel(lesson.cefrLevel)) {
+                errors.push(this._error('lesson', lesson.id, `Invalid CEFR level: ${lesson.cefrLevel}`));
+            }
+        });
+
+        // تمرین‌ها - اعتبارسنجی با انواع ثبت‌شده در ExerciseManager
+        this._checkUniqueIds('exercise', exercises, errors);
+        const builtExercises = [];
+        for (const exercise of exercises) {
+            this._checkRequired('exercise', exercise, ['id', 'type', 'lessonId'], errors);
+            if (exercise.lessonId && !lessonIds.has(exercise.lessonId)) {
+                errors.push(this._error('exercise', exercise.id, `Unknown lesson: ${exercise.lessonId}`));
+            }
+            MEDIA_FIELDS.forEach(field => {
+                if (exercise[field] && !mediaPaths.has(exercise[field])) {
+                    errors.push(this._error('exercise', exercise.id, `${field} is not listed in media manifest: ${exercise[field]}`));
+                }
+            });
+
+            try {
+                const built = await this._exerciseManager.buildExercise(exercise.type, exercise);
+                builtExercises.push({ ...built, id: exercise.id, createdAt: now });
+            } catch (error) {
+                errors.push(this._error('exercise', exercise.id, error.message));
+            }
+        }
+
+        return {
+            course: { description: '', estimatedHours: 0, ...course, createdAt: now, updatedAt: now },
+            units: units.map(unit => ({ order: 0, ...unit, courseId, createdAt: now, updatedAt: now })),
+            lessons: lessons.map(lesson => ({
+                unitId: null,
+                order: 0,
+                difficulty: 'beginner',
+                duration: 0,
+                cefrLevel: null,
+                ...lesson,
+                courseId,
+                skills: lesson.skills || [],
+                prerequisites: lesson.prerequisites || [],
+                exerciseIds: lesson.exerciseIds || [],
+                createdAt: now,
+                updatedAt: now
+            })),
+            exercises: builtExercises,
+            media: media.map(entry => ({ ...entry, courseId }))
+        };
+    }
+
+    /**
+     * @private
+     */
+    _checkRequired(itemType, record, fields, errors) {
+        fields.forEach(field => {
+            if (!record[field]) {
+                errors.push(this._error(itemType, record.id || null, `Missing required field: ${field}`));
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _checkUniqueIds(itemType, records, errors) {
+        const seen = new Set();
+        records.forEach(record => {
+            if (record.id && seen.has(record.id)) {
+                errors.push(this._error(itemType, record.id, 'Duplicate id'));
+            }
+            seen.add(record.id);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _error(itemType, itemId, message) {
+        return { itemType, itemId, message };
+    }
+
+    /**
+     * @private
+     */
+    _stripMetadata(record) {
+        const copy = { ...record };
+        METADATA_FIELDS.forEach(field => delete copy[field]);
+        return copy;
+    }
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} CoursePackage
+ * @property {string} format - همیشه 'vakamova.course-package'
+ * @property {number} formatVersion - نسخه قالب بسته
+ * @property {string} [exportedAt]
+ * @property {Object} course - متادیتای دوره (id, title, languageCode, ...)
+ * @property {Object[]} units
+ * @property {Object[]} lessons - هر درس با exerciseIds و prerequisites
+ * @property {Object[]} exercises - تنظیمات تمرین با id، type و lessonId
+ * @property {MediaEntry[]} media - فهرست فایل‌های صوتی و تصویری
+ */
+
+/**
+ * @typedef {Object} MediaEntry
+ * @property {string} id
+ * @property {'audio'|'image'} type
+ * @property {string} path - مسیری که تمرین‌ها در audioUrl/imageUrl به آن ارجاع می‌دهند
+ * @property {string} hash - به شکل sha256:<hex>
+ * @property {number} [size]
+ * @property {string} [mimeType]
+ */
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {boolean} success
+ * @property {string|null} courseId
+ * @property {Object|null} counts - تعداد آیتم‌های نوشته‌شده به تفکیک نوع
+ * @property {Object|null} removed - تعداد آیتم‌های نسخه قبلی که در بسته نبودند و حذف شدند
+ * @property {Array<{itemType: string, itemId: string|null, message: string}>} errors
+ */
+
+// ==================== Export ====================
+
+export {
+    CoursePackageService,
+    COURSE_PACKAGE_FORMAT,
+    COURSE_PACKAGE_VERSION,
+    COURSE_PACKAGE_STORES
+};
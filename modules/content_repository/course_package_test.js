@@ -0,0 +1,171 @@
+/**
+ * 🧪 تست Course Package
+ * تست‌های ورود و خروج بسته دوره
+ */
+
+import { CoursePackageService, COURSE_PACKAGE_FORMAT, COURSE_PACKAGE_STORES } from './course_package.js';
+import { CONTENT_STORES } from './content_repository.js';
+import { EXERCISE_STORES } from '../exercise_manager/exercise_repository.js';
+import ExerciseManager from '../exercise_manager/exercise_manager.js';
+import { createTestDatabase } from '../../core/test_helpers.js';
+
+const HASH = `sha256:${'a'.repeat(64)}`;
+
+// Mock ExerciseManager با دو نوع ثبت‌شده
+const exerciseManager = {
+    buildExercise: async (type, config) => {
+        if (!['multipleChoice', 'pronunciation'].includes(type)) {
+            throw new Error(`Unknown exercise type: ${type}`);
+        }
+        if (!config.difficulty) {
+            throw new Error('Missing required config field: difficulty');
+        }
+        return { ...config, id: 'generated', type };
+    }
+};
+
+function createPackage(overrides = {}) {
+    return {
+        format: COURSE_PACKAGE_FORMAT,
+        formatVersion: 1,
+        course: { id: 'en_a1', title: 'English A1', languageCode: 'en' },
+        units: [{ id: 'u1', title: 'Greetings', order: 1 }],
+        lessons: [
+            { id: 'l1', unitId: 'u1', title: 'Hello', order: 1, exerciseIds: ['e1', 'e2'] },
+            { id: 'l2', unitId: 'u1', title: 'Bye', order: 2, prerequisites: ['l1'] }
+        ],
+        exercises: [
+            { id: 'e1', type: 'multipleChoice', lessonId: 'l1', difficulty: 'beginner', question: 'Hi?' },
+            { id: 'e2', type: 'pronunciation', lessonId: 'l1', difficulty: 'beginner', word: 'hello', audioUrl: 'audio/hello.mp3' }
+        ],
+        media: [{ id: 'm1', type: 'audio', path: 'audio/hello.mp3', hash: HASH }],
+        ...overrides
+    };
+}
+
+describe('CoursePackageService', () => {
+    let database;
+    let transactionCount;
+    let service;
+
+    beforeEach(async () => {
+        database = await createTestDatabase([...CONTENT_STORES, ...EXERCISE_STORES, ...COURSE_PACKAGE_STORES]);
+        transactionCount = 0;
+        const transaction = database.transaction.bind(database);
+        database.transaction = (...args) => {
+            transactionCount++;
+            return transaction(...args);
+        };
+        service = new CoursePackageService({ database, exerciseManager });
+    });
+
+    afterEach(async () => {
+        await database.deleteDatabase();
+    });
+
+    test('should import a valid package in one transaction', async () => {
+        const report = await service.importCoursePackage(createPackage());
+
+        expect(report.success).toBe(true);
+        expect(report.counts).toEqual({ units: 1, lessons: 2, exercises: 2, media: 1 });
+        expect(transactionCount).toBe(1);
+        expect((await database.get('exercises', 'e1')).id).toBe('e1');
+        expect((await database.get('lessons', 'l2')).courseId).toBe('en_a1');
+    });
+
+    test('should report per-item errors and write nothing', async () => {
+        const pkg = createPackage({
+            exercises: [
+                { id: 'e1', type: 'essay', lessonId: 'l1', difficulty: 'beginner' },
+                { id: 'e2', type: 'pronunciation', lessonId: 'l1', difficulty: 'beginner', audioUrl: 'audio/missing.mp3' }
+            ]
+        });
+
+        const report = await service.importCoursePackage(pkg);
+
+        expect(report.success).toBe(false);
+        expect(report.errors).toEqual(expect.arrayContaining([
+            { itemType: 'exercise', itemId: 'e1', message: 'Unknown exercise type: essay' },
+            { itemType: 'exercise', itemId: 'e2', message: 'audioUrl is not listed in media manifest: audio/missing.mp3' }
+        ]));
+        expect(transactionCount).toBe(0);
+        expect(await database.getAll('exercises')).toHaveLength(0);
+    });
+
+    test('should reject dangling lesson references', async () => {
+        const pkg = createPackage();
+        pkg.lessons[1].prerequisites = ['l9'];
+        pkg.lessons[0].exerciseIds.push('e9');
+
+        const report = await service.importCoursePackage(pkg);
+        const messages = report.errors.map(e => e.message);
+
+        expect(messages).toContain('Invalid prerequisite: l9');
+        expect(messages).toContain('Unknown exercise: e9');
+    });
+
+    test('should validate skill tags and CEFR levels like saveLesson and buildExercise', async () => {
+        const pkg = createPackage();
+        pkg.lessons[0].skills = ['dancing'];
+        pkg.lessons[1].cefrLevel = 'D1';
+        pkg.exercises[0] = { ...pkg.exercises[0], options: ['Hi', 'Bye'], correctAnswer: 'Hi', skills: ['juggling'] };
+
+        const validating = new CoursePackageService({
+            database,
+            exerciseManager: new ExerciseManager({ exerciseRepository: {}, logger: { info() {}, error() {} } })
+        });
+        const report = await validating.importCoursePackage(pkg);
+
+        expect(report.success).toBe(false);
+        expect(report.errors).toEqual(expect.arrayContaining([
+            { itemType: 'lesson', itemId: 'l1', message: 'Unknown skill tags: dancing' },
+            { itemType: 'lesson', itemId: 'l2', message: 'Invalid CEFR level: D1' },
+            { itemType: 'exercise', itemId: 'e1', message: 'Unknown skill tags: juggling' }
+        ]));
+        expect(await database.getAll('lessons')).toHaveLength(0);
+    });
+
+    test('should remove items missing from a newer package version', async () => {
+        await service.importCoursePackage(createPackage());
+
+        const newer = createPackage({
+            lessons: [{ id: 'l1', unitId: 'u1', title: 'Hello', order: 1, exerciseIds: ['e1'] }]
+        });
+        newer.exercises = newer.exercises.filter(exercise => exercise.id === 'e1');
+        const report = await service.importCoursePackage(newer);
+
+        expect(report.success).toBe(true);
+        expect(report.removed).toEqual({ units: 0, lessons: 1, exercises: 1, media: 0 });
+        expect(transactionCount).toBe(2);
+        expect(await database.get('lessons', 'l2')).toBeUndefined();
+        expect(await database.get('exercises', 'e2')).toBeUndefined();
+        expect((await database.queryByIndex('lessons', 'courseId', 'en_a1')).map(lesson => lesson.id)).toEqual(['l1']);
+    });
+
+    test('should reject invalid media hashes', async () => {
+        const report = await service.importCoursePackage(createPackage({
+            media: [{ id: 'm1', type: 'audio', path: 'audio/hello.mp3', hash: 'md5:abc' }]
+        }));
+        expect(report.errors[0].itemType).toBe('media');
+    });
+
+    test('should reject unsupported format versions', async () => {
+        const report = await service.importCoursePackage(createPackage({ formatVersion: 99 }));
+        expect(report.success).toBe(false);
+        expect(report.errors[0].itemType).toBe('package');
+    });
+
+    test('should round-trip through export', async () => {
+        await service.importCoursePackage(createPackage());
+        const exported = await service.exportCoursePackage('en_a1');
+
+        expect(exported.format).toBe(COURSE_PACKAGE_FORMAT);
+        expect(exported.lessons.map(l => l.id)).toEqual(['l1', 'l2']);
+        expect(exported.exercises).toHaveLength(2);
+        expect(exported.media[0].courseId).toBeUndefined();
+        expect(exported.course.createdAt).toBeUndefined();
+
+        const reimport = await service.importCoursePackage(exported);
+        expect(reimport.success).toBe(true);
+    });
+});
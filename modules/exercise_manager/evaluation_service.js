@@ -0,0 +1,391 @@
+/**
+ * ✅ Evaluation Service
+ * سرویس ارزیابی پاسخ‌ها با ارزیاب مخصوص هر نوع تمرین - رعایت OCP
+ */
+
+import { normalizeText, levenshtein } from './text_normalizer.js';
+import { LocalPronunciationScorer, parsePhonetic, readRecording } from './pronunciation_scorer.js';
+
+// خودارزیابی فلش‌کارت -> اعتبار
+const FLASHCARD_RATINGS = {
+    again: 0,
+    hard: 0.5,
+    good: 1,
+    easy: 1
+};
+
+class EvaluationService {
+    /**
+     * سازنده
+     * @param {Object} [dependencies] - وابستگی‌های تزریق شده
+     */
+    constructor(dependencies = {}) {
+        this.logger = dependencies.logger || console;
+        this.pronunciationScorer = dependencies.pronunciationScorer || new LocalPronunciationScorer();
+        this.options = {
+            almostCorrectCredit: 0.75, // اعتبار پاسخ «تقریباً درست» در جای خالی
+            pronunciationPassScore: 0.7, // حداقل امتیاز کلی تلفظ برای قبولی
+            weakPhonemeScore: 0.6, // واج‌های زیر این امتیاز در بازخورد علامت می‌خورند
+            ...dependencies.options
+        };
+
+        // نوع تمرین -> تابع ارزیاب
+        this.evaluators = new Map();
+        this.registerDefaultEvaluators();
+    }
+
+    /**
+     * ثبت ارزیاب برای یک نوع تمرین
+     * @param {string} type - نوع تمرین
+     * @param {Function} evaluator - (exercise, userAnswer) => EvaluationResult
+     */
+    registerEvaluator(type, evaluator) {
+        if (typeof evaluator !== 'function') {
+            throw new Error(`Evaluator for '${type}' must be a function`);
+        }
+        if (this.evaluators.has(type)) {
+            throw new Error(`Evaluator for '${type}' already registered`);
+        }
+        this.evaluators.set(type, evaluator);
+    }
+
+    /**
+     * ثبت ارزیاب‌های پیش‌فرض
+     */
+    registerDefaultEvaluators() {
+        const evaluators = {
+            multipleChoice: this.evaluateMultipleChoice.bind(this),
+            fillBlank: this.evaluateFillBlank.bind(this),
+            matching: this.evaluateMatching.bind(this),
+            pronunciation: this.evaluatePronunciation.bind(this),
+            ordering: this.evaluateOrdering.bind(this),
+            dictation: this.evaluateDictation.bind(this),
+            translation: this.evaluateTranslation.bind(this),
+            flashcard: this.evaluateFlashcard.bind(this)
+        };
+
+        Object.entries(evaluators).forEach(([type, evaluator]) => {
+            this.registerEvaluator(type, evaluator);
+        });
+    }
+
+    /**
+     * ارزیابی پاسخ با ارزیاب مخصوص نوع تمرین
+     * @param {Exercise} exercise - تمرین
+     * @param {any} userAnswer - پاسخ کاربر
+     * @returns {Promise<EvaluationResult>}
+     */
+    async evaluate(exercise, userAnswer) {
+        const evaluator = this.evaluators.get(exercise.type);
+        if (!evaluator) {
+            throw new Error(`No evaluator registered for exercise type: ${exercise.type}`);
+        }
+
+        const result = await evaluator(exercise, userAnswer);
+
+        return {
+            explanation: exercise.explanation || null,
+            feedback: result.isCorrect ? 'عالی! درست جواب دادید.' : 'اشکال نداره، دوباره تلاش کنید.',
+            ...result
+        };
+    }
+
+    // ========== ارزیاب‌های انواع تمرین ==========
+
+    evaluateMultipleChoice(exercise, userAnswer) {
+        const expected = [].concat(exercise.correctAnswer);
+        const given = [].concat(userAnswer);
+
+        const expectedSet = new Set(expected.map(String));
+        const givenSet = new Set(given.map(String));
+        const correctCount = [...givenSet].filter(answer => expectedSet.has(answer)).length;
+        const isCorrect = correctCount === expectedSet.size && givenSet.size === expectedSet.size;
+
+        return {
+            isCorrect,
+            correctAnswers: expected,
+            details: { correctCount, totalCount: expectedSet.size }
+        };
+    }
+
+    evaluateFillBlank(exercise, userAnswer) {
+        const given = [].concat(userAnswer);
+        const normalizeOptions = { caseSensitive: Boolean(exercise.caseSensitive) };
+
+        const blanks = (exercise.correctAnswers || []).map((accepted, index) => {
+            const acceptedAnswers = [].concat(accepted);
+            const answer = given[index] ?? '';
+            return {
+                index,
+                answer,
+                ...this.gradeBlank(answer, acceptedAnswers, exercise.tolerance, normalizeOptions)
+            };
+        });
+
+        const correctCount = blanks.filter(blank => blank.status === 'correct').length;
+        const almostCorrectCount = blanks.filter(blank => blank.status === 'almostCorrect').length;
+        const credit = blanks.length > 0
+            ? blanks.reduce((sum, blank) => sum + blank.credit, 0) / blanks.length
+            : 0;
+        const isCorrect = blanks.length > 0 && correctCount + almostCorrectCount === blanks.length;
+
+        const result = {
+            isCorrect,
+            correctAnswers: blanks.map(blank => blank.expected),
+            details: { blanks, correctCount, almostCorrectCount, totalCount: blanks.length, credit }
+        };
+
+        if (isCorrect && almostCorrectCount > 0) {
+            const corrections = blanks
+                .filter(blank => blank.status === 'almostCorrect')
+                .map(blank => blank.expected)
+                .join('، ');
+            result.feedback = `تقریباً درست! به املای درست دقت کنید: ${corrections}`;
+        }
+
+        return result;
+    }
+
+    /**
+     * ارزیابی یک جای خالی با چند پاسخ قابل قبول و تحمل خطای تایپی
+     * @returns {{status: string, credit: number, expected: string, distance: number}}
+     */
+    gradeBlank(answer, acceptedAnswers, tolerance, normalizeOptions) {
+        const normalizedAnswer = normalizeText(answer, normalizeOptions);
+
+        let best = { expected: acceptedAnswers[0], distance: Infinity };
+        for (const option of acceptedAnswers) {
+            const normalizedOption = normalizeText(option, normalizeOptions);
+            if (normalizedOption === normalizedAnswer) {
+                return { status: 'correct', credit: 1, expected: option, distance: 0 };
+            }
+            const distance = levenshtein(normalizedAnswer, normalizedOption);
+            if (distance < best.distance) {
+                best = { expected: option, distance };
+            }
+        }
+
+        const allowed = tolerance ?? this.defaultTolerance(normalizeText(best.expected, normalizeOptions));
+        if (normalizedAnswer.length > 0 && best.distance <= allowed) {
+            return { status: 'almostCorrect', credit: this.options.almostCorrectCredit, ...best };
+        }
+
+        return { status: 'incorrect', credit: 0, expected: acceptedAnswers[0], distance: best.distance };
+    }
+
+    /**
+     * تحمل پیش‌فرض بر اساس طول پاسخ: کلمات کوتاه باید دقیق باشند
+     */
+    defaultTolerance(expected) {
+        const length = Array.from(expected).length;
+        if (length <= 3) return 0;
+        if (length <= 7) return 1;
+        return 2;
+    }
+
+    evaluateMatching(exercise, userAnswer) {
+        const expected = (exercise.correctPairs || []).map(pair => this.normalizePair(pair));
+        const given = [].concat(userAnswer).map(pair => this.normalizePair(pair));
+
+        const expectedKeys = new Set(expected.map(pair => `${pair.left}=>${pair.right}`));
+        const pairs = given.map(pair => ({
+            ...pair,
+            isCorrect: expectedKeys.has(`${pair.left}=>${pair.right}`)
+        }));
+        const correctCount = new Set(pairs.filter(pair => pair.isCorrect).map(pair => pair.left)).size;
+
+        return {
+            isCorrect: correctCount === expected.length && given.length === expected.length,
+            correctAnswers: expected,
+            details: { pairs, correctCount, totalCount: expected.length }
+        };
+    }
+
+    async evaluatePronunciation(exercise, userAnswer) {
+        // پاسخ: فایل ضبط‌شده (Blob/ArrayBuffer) یا { recording, mimeType }
+        const recording = userAnswer?.recording ?? userAnswer;
+        const audio = await readRecording(recording);
+        if (!audio) {
+            throw new Error('Pronunciation answer must be a recorded audio blob');
+        }
+
+        const phonetic = exercise.phonetic || '';
+        const expectedWords = parsePhonetic(phonetic, exercise.word);
+        if (expectedWords.length === 0) {
+            throw new Error(`Pronunciation exercise has no phonetic transcription: ${exercise.id}`);
+        }
+
+        const scored = await this.pronunciationScorer.score({
+            audio,
+            mimeType: userAnswer?.mimeType || recording.type || null,
+            language: exercise.language || null,
+            words: expectedWords
+        });
+
+        // نگاشت امتیاز واج‌ها روی جایگاهشان در رشته آوایی
+        const words = expectedWords.map((expected, wordIndex) => {
+            const result = scored.words?.[wordIndex] || {};
+            const phonemes = expected.phonemes.map((phoneme, phonemeIndex) => {
+                const score = clampScore(result.phonemes?.[phonemeIndex]?.score);
+                return { ...phoneme, score, isWeak: score < this.options.weakPhonemeScore };
+            });
+            const score = typeof result.score === 'number'
+                ? clampScore(result.score)
+                : average(phonemes.map(phoneme => phoneme.score));
+            return { word: expected.word, phonetic: expected.phonetic, score, phonemes };
+        });
+
+        const phonemes = words.flatMap(word => word.phonemes);
+        const overall = average(phonemes.map(phoneme => phoneme.score));
+        const weakPhonemes = phonemes.filter(phoneme => phoneme.isWeak);
+        const isCorrect = overall >= this.options.pronunciationPassScore;
+
+        const result = {
+            isCorrect,
+            correctAnswers: [exercise.word],
+            details: {
+                phonetic,
+                markedPhonetic: markPhonetic(phonetic, weakPhonemes),
+                overall,
+                credit: overall,
+                words,
+                phonemes
+            }
+        };
+
+        if (weakPhonemes.length > 0) {
+            const symbols = [...new Set(weakPhonemes.map(phoneme => phoneme.symbol))];
+            result.feedback = `${isCorrect ? 'خوب بود!' : 'دوباره تلاش کنید.'} روی تلفظ این صداها کار کنید: ${symbols.map(symbol => `[${symbol}]`).join(' ')} (${result.details.markedPhonetic})`;
+        }
+
+        return result;
+    }
+
+    evaluateOrdering(exercise, userAnswer) {
+        // پاسخ: آرایه موارد به ترتیب انتخاب‌شده توسط کاربر
+        const given = [].concat(userAnswer).map(String);
+        const orders = [exercise.items, ...(exercise.acceptedOrders || [])].map(order => order.map(String));
+
+        // نزدیک‌ترین ترتیب قابل قبول بر اساس بلندترین زیردنباله مشترک
+        let best = { order: orders[0], matched: -1 };
+        for (const order of orders) {
+            const matched = this.longestCommonSubsequence(given, order);
+            if (matched > best.matched) {
+                best = { order, matched };
+            }
+        }
+
+        const totalCount = best.order.length;
+        const correctCount = best.order.filter((item, index) => given[index] === item).length;
+        const isCorrect = given.length === totalCount && correctCount === totalCount;
+
+        return {
+            isCorrect,
+            correctAnswers: best.order,
+            details: { correctCount, totalCount, credit: isCorrect ? 1 : best.matched / totalCount }
+        };
+    }
+
+    evaluateDictation(exercise, userAnswer) {
+        // پاسخ: متن تایپ‌شده پس از شنیدن فایل صوتی
+        const text = typeof userAnswer === 'string' ? userAnswer : userAnswer?.text || '';
+        const accepted = [exercise.transcript, ...(exercise.acceptedTranscripts || [])];
+        const grade = this.gradeBlank(text, accepted, exercise.tolerance, {});
+
+        // اعتبار جزئی بر اساس کلمات درست در جایگاه خود
+        const expectedWords = normalizeText(grade.expected).split(' ').filter(Boolean);
+        const givenWords = normalizeText(text).split(' ').filter(Boolean);
+        const correctCount = expectedWords.filter((word, index) => givenWords[index] === word).length;
+        const isCorrect = grade.status !== 'incorrect';
+        // متن مورد انتظار بدون کلمه (مثلاً فقط علامت‌گذاری) اعتبار جزئی ندارد
+        const credit = isCorrect ? grade.credit : (expectedWords.length > 0 ? correctCount / expectedWords.length : 0);
+
+        const result = {
+            isCorrect,
+            correctAnswers: [grade.expected],
+            details: { status: grade.status, correctCount, totalCount: expectedWords.length, credit }
+        };
+        if (grade.status === 'almostCorrect') {
+            result.feedback = `تقریباً درست! متن دقیق: ${grade.expected}`;
+        }
+        return result;
+    }
+
+    evaluateTranslation(exercise, userAnswer) {
+        const text = typeof userAnswer === 'string' ? userAnswer : userAnswer?.text || '';
+        const grade = this.gradeBlank(text, exercise.acceptedTranslations || [], exercise.tolerance, {});
+        const isCorrect = grade.status !== 'incorrect';
+
+        const result = {
+            isCorrect,
+            correctAnswers: [grade.expected],
+            details: { status: grade.status, distance: grade.distance, credit: grade.credit }
+        };
+        if (grade.status === 'almostCorrect') {
+            result.feedback = `تقریباً درست! ترجمه دقیق: ${grade.expected}`;
+        }
+        return result;
+    }
+
+    evaluateFlashcard(exercise, userAnswer) {
+        // پاسخ: خودارزیابی کاربر پس از دیدن پشت کارت
+        const rating = typeof userAnswer === 'string' ? userAnswer : userAnswer?.rating;
+        if (!Object.hasOwn(FLASHCARD_RATINGS, rating)) {
+            throw new Error(`Invalid flashcard rating: ${rating}`);
+        }
+
+        const credit = FLASHCARD_RATINGS[rating];
+        return {
+            isCorrect: credit >= 1,
+            correctAnswers: [exercise.back],
+            feedback: credit >= 1 ? 'عالی! این کارت را بلد هستید.' : 'این کارت زودتر دوباره نمایش داده می‌شود.',
+            details: { rating, credit }
+        };
+    }
+
+    // ========== متدهای کمکی ==========
+
+    longestCommonSubsequence(a, b) {
+        const row = new Array(b.length + 1).fill(0);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = 0;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = a[i - 1] === b[j - 1] ? previous + 1 : Math.max(row[j], row[j - 1]);
+                previous = current;
+            }
+        }
+        return row[b.length];
+    }
+
+    normalizePair(pair) {
+        if (Array.isArray(pair)) {
+            return { left: pair[0], right: pair[1] };
+        }
+        return { left: pair.left, right: pair.right };
+    }
+}
+
+/**
+ * علامت‌گذاری واج‌های ضعیف در رشته آوایی، مثلاً "/ˈθæŋk/" -> "/ˈ[θ]æŋk/"
+ */
+function markPhonetic(phonetic, weakPhonemes) {
+    return [...weakPhonemes]
+        .sort((a, b) => b.start - a.start)
+        .reduce((marked, phoneme) =>
+            `${marked.slice(0, phoneme.start)}[${marked.slice(phoneme.start, phoneme.end)}]${marked.slice(phoneme.end)}`,
+        phonetic);
+}
+
+function clampScore(score) {
+    return typeof score === 'number' ? Math.min(1, Math.max(0, score)) : 0;
+}
+
+function average(values) {
+    if (values.length === 0) {
+        return 0;
+    }
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100;
+}
+
+export default EvaluationService;
@@ -0,0 +1,174 @@
+/**
+ * 🧪 تست Evaluation Service
+ * تست‌های واحد ارزیاب‌های انواع تمرین
+ */
+
+import EvaluationService from './evaluation_service.js';
+
+describe('EvaluationService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new EvaluationService({ logger: { info() {}, error() {} } });
+    });
+
+    test('should evaluate multiple choice answers', async () => {
+        const exercise = { type: 'multipleChoice', correctAnswer: 'B', explanation: 'B is the past tense' };
+
+        const correct = await service.evaluate(exercise, ['B']);
+        expect(correct.isCorrect).toBe(true);
+        expect(correct.correctAnswers).toEqual(['B']);
+        expect(correct.explanation).toBe('B is the past tense');
+
+        const wrong = await service.evaluate(exercise, 'A');
+        expect(wrong.isCorrect).toBe(false);
+    });
+
+    test('should require all options for multi-select questions', async () => {
+        const exercise = { type: 'multipleChoice', correctAnswer: ['A', 'C'] };
+
+        expect((await service.evaluate(exercise, ['C', 'A'])).isCorrect).toBe(true);
+        expect((await service.evaluate(exercise, ['A'])).isCorrect).toBe(false);
+        expect((await service.evaluate(exercise, ['A', 'B', 'C'])).isCorrect).toBe(false);
+    });
+
+    test('should evaluate fill blank per blank', async () => {
+        const exercise = { type: 'fillBlank', correctAnswers: ['went', ['to the', 'to']] };
+
+        const result = await service.evaluate(exercise, [' Went ', 'park']);
+        expect(result.isCorrect).toBe(false);
+        expect(result.details.correctCount).toBe(1);
+        expect(result.correctAnswers).toEqual(['went', 'to the']);
+
+        expect((await service.evaluate(exercise, ['went', 'to'])).isCorrect).toBe(true);
+    });
+
+    test('should evaluate matching pairs in any order and shape', async () => {
+        const exercise = { type: 'matching', correctPairs: [['cat', 'گربه'], { left: 'dog', right: 'سگ' }] };
+
+        const result = await service.evaluate(exercise, [{ left: 'dog', right: 'سگ' }, ['cat', 'گربه']]);
+        expect(result.isCorrect).toBe(true);
+
+        const partial = await service.evaluate(exercise, [['cat', 'سگ'], ['dog', 'سگ']]);
+        expect(partial.isCorrect).toBe(false);
+        expect(partial.details.correctCount).toBe(1);
+    });
+
+    test('should give dictation without expected words a defined score', async () => {
+        const result = await service.evaluate({ type: 'dictation', transcript: '?!' }, 'hello');
+
+        expect(result.isCorrect).toBe(false);
+        expect(result.details).toMatchObject({ correctCount: 0, totalCount: 0, credit: 0 });
+    });
+
+    test('should reject unknown types', async () => {
+        await expect(service.evaluate({ type: 'essay' }, 'x')).rejects.toThrow('No evaluator registered for exercise type: essay');
+    });
+
+    test('should allow registering custom evaluators once', () => {
+        service.registerEvaluator('essay', () => ({ isCorrect: true }));
+        expect(() => service.registerEvaluator('essay', () => ({}))).toThrow("Evaluator for 'essay' already registered");
+    });
+});
+
+describe('EvaluationService fillBlank grading', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new EvaluationService({ logger: { info() {}, error() {} } });
+    });
+
+    test('should accept typos within tolerance as almost correct', async () => {
+        const exercise = { type: 'fillBlank', correctAnswers: ['beautiful'] };
+
+        const result = await service.evaluate(exercise, ['beautifull']);
+        expect(result.isCorrect).toBe(true);
+        expect(result.details.blanks[0].status).toBe('almostCorrect');
+        expect(result.details.credit).toBe(0.75);
+        expect(result.feedback).toContain('beautiful');
+    });
+
+    test('should not tolerate typos in short words by default', async () => {
+        const exercise = { type: 'fillBlank', correctAnswers: ['cat'] };
+        expect((await service.evaluate(exercise, ['cot'])).isCorrect).toBe(false);
+    });
+
+    test('should honour explicit tolerance on the exercise', async () => {
+        const exercise = { type: 'fillBlank', correctAnswers: ['beautiful'], tolerance: 0 };
+        expect((await service.evaluate(exercise, ['beautifull'])).isCorrect).toBe(false);
+    });
+
+    test('should unify Persian characters before comparing', async () => {
+        const arabicKaf = String.fromCharCode(0x0643);
+        const exercise = { type: 'fillBlank', correctAnswers: [['کتاب', 'دفتر']] };
+
+        const result = await service.evaluate(exercise, [`${arabicKaf}تاب`]);
+        expect(result.details.blanks[0].status).toBe('correct');
+    });
+
+    test('should give partial credit per blank', async () => {
+        const exercise = { type: 'fillBlank', correctAnswers: ['went', 'school', 'yesterday'] };
+
+        const result = await service.evaluate(exercise, ['went', 'home', 'yesterday']);
+        expect(result.isCorrect).toBe(false);
+        expect(result.details.credit).toBeCloseTo(2 / 3);
+    });
+
+    test('should respect case sensitive exercises', async () => {
+        const exercise = { type: 'fillBlank', correctAnswers: ['London'], caseSensitive: true, tolerance: 0 };
+        expect((await service.evaluate(exercise, ['london'])).isCorrect).toBe(false);
+    });
+});
+
+describe('EvaluationService pronunciation', () => {
+    const exercise = { id: 'p1', type: 'pronunciation', word: 'thank you', phonetic: '/ˈθæŋk juː/' };
+
+    function createService(scores) {
+        // امتیازدهی ثابت: واج‌ها به ترتیب امتیازهای داده‌شده را می‌گیرند
+        const pronunciationScorer = {
+            async score({ words }) {
+                let index = 0;
+                return {
+                    words: words.map(word => ({
+                        word: word.word,
+                        phonemes: word.phonemes.map(phoneme => ({ symbol: phoneme.symbol, score: scores[index++] }))
+                    }))
+                };
+            }
+        };
+        return new EvaluationService({ logger: { info() {}, error() {} }, pronunciationScorer });
+    }
+
+    test('should return per-word and per-phoneme scores', async () => {
+        const service = createService([1, 0.9, 0.8, 1, 0.9, 1]);
+        const result = await service.evaluate(exercise, new Blob([new Uint8Array([1, 2, 3])]));
+
+        expect(result.isCorrect).toBe(true);
+        expect(result.details.words.map(word => word.score)).toEqual([0.93, 0.95]);
+        expect(result.details.phonemes).toHaveLength(6);
+        expect(result.details.overall).toBe(0.93);
+    });
+
+    test('should mark weak phonemes on the phonetic string', async () => {
+        const service = createService([0.2, 0.9, 0.8, 1, 0.9, 0.3]);
+        const result = await service.evaluate(exercise, { recording: new Uint8Array([1]) });
+
+        expect(result.details.markedPhonetic).toBe('/ˈ[θ]æŋk j[uː]/');
+        expect(result.feedback).toContain('[θ]');
+        expect(result.feedback).toContain('[uː]');
+    });
+
+    test('should require a recording', async () => {
+        const service = createService([]);
+        await expect(service.evaluate(exercise, 'thank you')).rejects.toThrow('Pronunciation answer must be a recorded audio blob');
+    });
+
+    test('should use the local scorer by default', async () => {
+        const service = new EvaluationService({ logger: { info() {}, error() {} } });
+        const recording = new Uint8Array([5, 6, 7]);
+
+        const first = await service.evaluate(exercise, recording);
+        const second = await service.evaluate(exercise, recording);
+        expect(first.details.overall).toBe(second.details.overall);
+    });
+});
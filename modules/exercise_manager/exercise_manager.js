@@ -3,7 +3,31 @@
  * پیاده‌سازی مدیریت تمرین‌ها با رعایت اصول SOLID
  */
 
-import ExerciseManagerInterface from './exercise-manager-interface.js';
+import ExerciseManagerInterface from './exercise_manager_interface.js';
+import EvaluationService from './evaluation_service.js';
+import HintService from './hint_service.js';
+import { createScoringStrategy } from './scoring_strategies.js';
+import { seededPermutation } from './seeded_shuffle.js';
+import { validateSkillTags, isCefrLevel } from '../skill_taxonomy/skill_taxonomy.js';
+
+// مهارت پیش‌فرض هر نوع تمرین وقتی برچسبی داده نشده باشد
+const DEFAULT_SKILLS = {
+    multipleChoice: ['reading'],
+    fillBlank: ['grammar'],
+    matching: ['vocabulary'],
+    pronunciation: ['speaking'],
+    ordering: ['grammar'],
+    dictation: ['listening'],
+    translation: ['writing'],
+    flashcard: ['vocabulary']
+};
+
+// فیلدی که در نسخه جابه‌جاشده هر نوع تمرین به هم می‌ریزد
+const SHUFFLED_FIELDS = {
+    multipleChoice: 'options',
+    matching: 'rightItems',
+    ordering: 'items'
+};
 
 class ExerciseManager extends ExerciseManagerInterface {
     /**
@@ -13,12 +37,17 @@ class ExerciseManager extends ExerciseManagerInterface {
     constructor(dependencies) {
         super();
         this.exerciseRepository = dependencies.exerciseRepository; // انتزاعی
-        this.evaluationService = dependencies.evaluationService; // انتزاعی
-        this.scoringStrategy = dependencies.scoringStrategy; // استراتژی امتیازدهی
+        this.evaluationService = dependencies.evaluationService || new EvaluationService({
+            logger: dependencies.logger,
+            pronunciationScorer: dependencies.pronunciationScorer // اختیاری؛ پیش‌فرض امتیازدهی محلی
+        }); // انتزاعی
+        this.hintService = dependencies.hintService || new HintService(); // راهنماهای تدریجی
+        this.scoringStrategy = dependencies.scoringStrategy || createScoringStrategy(); // پیش‌فرض: partialCredit با جریمه راهنما
         this.logger = dependencies.logger || console;
         
         // ثبت انواع تمرین‌ها - رعایت OCP (قابل گسترش)
         this.exerciseTypes = new Map();
+        this.configValidators = new Map(); // نوع تمرین -> قواعد اعتبارسنجی مخصوص
         this.registerDefaultTypes();
     }
 
@@ -26,12 +55,16 @@ class ExerciseManager extends ExerciseManagerInterface {
      * ثبت نوع تمرین جدید - رعایت OCP
      * @param {string} type - نوع تمرین
      * @param {ExerciseTypeHandler} handler - هندلر مخصوص
+     * @param {Function} [validator] - قواعد اعتبارسنجی تنظیمات این نوع (config) => void
      */
-    registerExerciseType(type, handler) {
+    registerExerciseType(type, handler, validator = null) {
         if (this.exerciseTypes.has(type)) {
             throw new Error(`Exercise type '${type}' already registered`);
         }
         this.exerciseTypes.set(type, handler);
+        if (validator) {
+            this.configValidators.set(type, validator);
+        }
         this.logger.info(`Exercise type '${type}' registered`);
     }
 
@@ -44,11 +77,23 @@ class ExerciseManager extends ExerciseManagerInterface {
             multipleChoice: this.createMultipleChoice.bind(this),
             fillBlank: this.createFillBlank.bind(this),
             matching: this.createMatching.bind(this),
-            pronunciation: this.createPronunciation.bind(this)
+            pronunciation: this.createPronunciation.bind(this),
+            ordering: this.createOrdering.bind(this),
+            dictation: this.createDictation.bind(this),
+            translation: this.createTranslation.bind(this),
+            flashcard: this.createFlashcard.bind(this)
+        };
+
+        const validators = {
+            pronunciation: this.validatePronunciationConfig.bind(this),
+            ordering: this.validateOrderingConfig.bind(this),
+            dictation: this.validateDictationConfig.bind(this),
+            translation: this.validateTranslationConfig.bind(this),
+            flashcard: this.validateFlashcardConfig.bind(this)
         };
 
         Object.entries(types).forEach(([type, handler]) => {
-            this.registerExerciseType(type, handler);
+            this.registerExerciseType(type, handler, validators[type]);
         });
     }
 
@@ -60,16 +105,7 @@ class ExerciseManager extends ExerciseManagerInterface {
      */
     async createExercise(type, config) {
         try {
-            if (!this.exerciseTypes.has(type)) {
-                throw new Error(`Unknown exercise type: ${type}`);
-            }
-
-            // اعتبارسنجی پیکربندی
-            this.validateConfig(config);
-
-            // ایجاد تمرین با هندلر مخصوص
-            const handler = this.exerciseTypes.get(type);
-            const exercise = await handler(config);
+            const exercise = await this.buildExercise(type, config);
 
             // ذخیره در ریپازیتوری
             const savedExercise = await this.exerciseRepository.save(exercise);
@@ -86,13 +122,56 @@ class ExerciseManager extends ExerciseManagerInterface {
         }
     }
 
+    /**
+     * ساخت تمرین بدون ذخیره‌سازی (برای اعتبارسنجی و ورود بسته‌های محتوا)
+     * @param {string} type - نوع تمرین
+     * @param {Object} config - تنظیمات
+     * @returns {Promise<Exercise>}
+     */
+    async buildExercise(type, config) {
+        if (!this.exerciseTypes.has(type)) {
+            throw new Error(`Unknown exercise type: ${type}`);
+        }
+
+        // اعتبارسنجی پیکربندی
+        this.validateConfig(config, type);
+
+        // ایجاد تمرین با هندلر مخصوص
+        const handler = this.exerciseTypes.get(type);
+        const exercise = await handler(config);
+
+        // برچسب‌گذاری مهارت‌ها در زمان ساخت
+        return {
+            ...exercise,
+            skills: config.skills?.length ? config.skills : (DEFAULT_SKILLS[type] || []),
+            cefrLevel: config.cefrLevel || null,
+            vocabulary: config.vocabulary || [], // کلمات تمرین برای دفترچه واژگان
+            translation: config.translation || null // ترجمه صورت تمرین برای راهنما
+        };
+    }
+
+    /**
+     * فهرست انواع تمرین ثبت‌شده
+     * @returns {string[]}
+     */
+    getExerciseTypes() {
+        return [...this.exerciseTypes.keys()];
+    }
+
     /**
      * ارزیابی پاسخ - رعایت SRP
      * @param {string} exerciseId - شناسه تمرین
      * @param {any} userAnswer - پاسخ کاربر
+     * @param {Object} [context] - اطلاعات تلاش برای امتیازدهی
+     * @param {number} [context.timeSpent] - زمان پاسخ (ثانیه)
+     * @param {number} [context.streak] - پاسخ‌های درست پیاپی
+     * @param {number} [context.hintsUsed] - راهنماهای استفاده‌شده
+     * @param {string[]} [context.hintTypes] - نوع راهنماهای استفاده‌شده
+     * @param {string} [context.seed] - seed نسخه جابه‌جاشده‌ای که به کاربر نمایش داده شد
+     * @param {ScoringConfig|string} [context.scoring] - استراتژی امتیازدهی درس
      * @returns {Promise<EvaluationResult>}
      */
-    async evaluateAnswer(exerciseId, userAnswer) {
+    async evaluateAnswer(exerciseId, userAnswer, context = {}) {
         try {
             // دریافت تمرین از ریپازیتوری
             const exercise = await this.exerciseRepository.findById(exerciseId);
@@ -103,19 +182,30 @@ class ExerciseManager extends ExerciseManagerInterface {
             // اعتبارسنجی پاسخ
             this.validateAnswer(userAnswer);
 
+            // پاسخ نسخه جابه‌جاشده به پاسخ متعارف برگردانده می‌شود
+            const answer = context.seed ? this.mapVariantAnswer(exercise, userAnswer, context.seed) : userAnswer;
+
             // ارزیابی با سرویس مخصوص
             const evaluation = await this.evaluationService.evaluate(
                 exercise,
-                userAnswer
-            );
-
-            // محاسبه امتیاز
-            evaluation.score = this.scoringStrategy.calculate(
-                exercise,
-                evaluation
+                answer
             );
+            evaluation.skills = exercise.skills || [];
+            evaluation.answer = answer;
+            evaluation.seed = context.seed || null;
+
+            // محاسبه امتیاز با استراتژی تمرین، درس یا پیش‌فرض
+            const strategy = this.resolveScoringStrategy(exercise, context);
+            if (typeof strategy.score === 'function') {
+                const { score, breakdown } = strategy.score(exercise, evaluation, context);
+                evaluation.score = score;
+                evaluation.scoreBreakdown = breakdown;
+            } else {
+                evaluation.score = strategy.calculate(exercise, evaluation, context);
+                evaluation.scoreBreakdown = null;
+            }
 
-            // ثبت تاریخچه
+            // ثبت تاریخچه (پاسخ خام به همراه seed برای بازپخش)
             await this.exerciseRepository.saveEvaluation(
                 exerciseId,
                 userAnswer,
@@ -134,6 +224,116 @@ class ExerciseManager extends ExerciseManagerInterface {
         }
     }
 
+    /**
+     * دریافت تمرین با شناسه (برای انتخاب تطبیقی و گزارش‌ها)
+     * @param {string} exerciseId - شناسه تمرین
+     * @returns {Promise<Exercise|null>}
+     */
+    async getExercise(exerciseId) {
+        return this.exerciseRepository.findById(exerciseId);
+    }
+
+    /**
+     * دریافت تمرین‌های یک درس (برای ساخت مجموعه تمرین جبرانی)
+     * @param {string} lessonId - شناسه درس
+     * @returns {Promise<Exercise[]>}
+     */
+    async getExercisesByLesson(lessonId) {
+        return this.exerciseRepository.findByLesson(lessonId);
+    }
+
+    /**
+     * نسخه جابه‌جاشده تمرین؛ هر seed همیشه همان ترتیب را می‌سازد
+     * @param {string} exerciseId - شناسه تمرین
+     * @param {string} seed - seed ذخیره‌شده روی تلاش
+     * @returns {Promise<Exercise>}
+     */
+    async getExerciseVariant(exerciseId, seed) {
+        const exercise = await this.exerciseRepository.findById(exerciseId);
+        if (!exercise) {
+            throw new Error(`Exercise not found: ${exerciseId}`);
+        }
+        return this.buildVariant(exercise, seed);
+    }
+
+    /**
+     * ساخت نسخه جابه‌جاشده از تمرین
+     * @param {Exercise} exercise - تمرین
+     * @param {string} seed - seed
+     * @returns {Exercise}
+     */
+    buildVariant(exercise, seed) {
+        const field = SHUFFLED_FIELDS[exercise.type];
+        if (!field || !Array.isArray(exercise[field])) {
+            return { ...exercise, seed };
+        }
+
+        const order = this.getVariantOrder(exercise, seed);
+        return { ...exercise, [field]: order.map(index => exercise[field][index]), seed };
+    }
+
+    /**
+     * تبدیل پاسخ نسخه جابه‌جاشده به پاسخ متعارف
+     * پاسخ عددی جایگاه گزینه در نسخه نمایش‌داده‌شده است؛ پاسخ متنی (مقدار گزینه) بدون تغییر می‌ماند
+     * @param {Exercise} exercise - تمرین متعارف
+     * @param {any} answer - پاسخ کاربر به نسخه جابه‌جاشده
+     * @param {string} seed - seed
+     * @returns {any}
+     */
+    mapVariantAnswer(exercise, answer, seed) {
+        const field = SHUFFLED_FIELDS[exercise.type];
+        if (!field || exercise.type === 'ordering' || !Array.isArray(exercise[field])) {
+            return answer;
+        }
+
+        const order = this.getVariantOrder(exercise, seed);
+        const fromPosition = (items, position) => {
+            if (typeof position !== 'number') return position;
+            if (!Number.isInteger(position) || position < 0 || position >= order.length) {
+                throw new Error(`Answer position out of range: ${position}`);
+            }
+            return items[order[position]];
+        };
+
+        if (exercise.type === 'multipleChoice') {
+            const mapped = [].concat(answer).map(position => fromPosition(exercise.options, position));
+            return Array.isArray(answer) ? mapped : mapped[0];
+        }
+
+        // matching: جفت‌ها به شکل [چپ، راست] یا {left, right}؛ ستون چپ جابه‌جا نمی‌شود
+        return [].concat(answer).map(pair => {
+            const left = Array.isArray(pair) ? pair[0] : pair?.left;
+            const right = Array.isArray(pair) ? pair[1] : pair?.right;
+            return [
+                typeof left === 'number' ? exercise.leftItems[left] : left,
+                fromPosition(exercise.rightItems, right)
+            ];
+        });
+    }
+
+    /**
+     * جایگشت ثابت هر تمرین برای seed (شناسه تمرین در seed لحاظ می‌شود تا تمرین‌های یک جلسه ترتیب متفاوت داشته باشند)
+     */
+    getVariantOrder(exercise, seed) {
+        return seededPermutation(exercise[SHUFFLED_FIELDS[exercise.type]].length, `${seed}:${exercise.id}`);
+    }
+
+    /**
+     * دریافت راهنمای بعدی تمرین - راهنماها به‌تدریج کمک بیشتری می‌کنند
+     * @param {string} exerciseId - شناسه تمرین
+     * @param {number} [hintsUsed=0] - تعداد راهنماهای گرفته‌شده در این تلاش
+     * @returns {Promise<Hint|null>} در صورت تمام شدن راهنماها null
+     */
+    async getHint(exerciseId, hintsUsed = 0) {
+        const exercise = await this.exerciseRepository.findById(exerciseId);
+        if (!exercise) {
+            throw new Error(`Exercise not found: ${exerciseId}`);
+        }
+
+        const hints = this.hintService.buildHints(exercise);
+        return hints[hintsUsed] || null;
+    }
+
     /**
      * دریافت نکات آموزشی - رعایت SRP
      * @param {string} exerciseId - شناسه تمرین
@@ -157,28 +357,86 @@ class ExerciseManager extends ExerciseManagerInterface {
         }
     }
 
+    // ========== متدهای کمکی خصوصی ==========
+
     /**
-     * محاسبه امتیاز - رعایت SRP
-     * @param {string} exerciseId - شناسه تمرین
-     * @param {EvaluationResult} evaluation - نتیجه ارزیابی
-     * @returns {number}
+     * انتخاب استراتژی امتیازدهی: تنظیم تمرین > تنظیم درس > پیش‌فرض
      */
-    calculateScore(exerciseId, evaluation) {
-        return this.scoringStrategy.calculate(exerciseId, evaluation);
+    resolveScoringStrategy(exercise, context = {}) {
+        const config = exercise.scoring || context.scoring;
+        return config ? createScoringStrategy(config) : this.scoringStrategy;
     }
 
-    // ========== متدهای کمکی خصوصی ==========
-
     /**
      * اعتبارسنجی پیکربندی تمرین - رعایت DRY
      */
-    validateConfig(config) {
+    validateConfig(config, type = null) {
         const required = ['lessonId', 'difficulty'];
         required.forEach(field => {
             if (!config[field]) {
                 throw new Error(`Missing required config field: ${field}`);
             }
         });
+
+        // برچسب‌ها باید از طبقه‌بندی مشترک مهارت‌ها باشند
+        if (config.skills !== undefined) {
+            validateSkillTags(config.skills);
+        }
+        if (config.cefrLevel && !isCefrLevel(config.cefrLevel)) {
+            throw new Error(`Invalid CEFR level: ${config.cefrLevel}`);
+        }
+
+        if (config.vocabulary !== undefined) {
+            if (!Array.isArray(config.vocabulary) || config.vocabulary.some(word => !word?.lemma)) {
+                throw new Error('Each vocabulary word requires a lemma');
+            }
+        }
+
+        const typeValidator = type && this.configValidators.get(type);
+        if (typeValidator) {
+            typeValidator(config);
+        }
+    }
+
+    validatePronunciationConfig(config) {
+        if (!config.word || !config.phonetic) {
+            throw new Error('Pronunciation exercise requires word and phonetic');
+        }
+    }
+
+    validateOrderingConfig(config) {
+        if (!Array.isArray(config.items) || config.items.length < 2) {
+            throw new Error('Ordering exercise requires at least 2 items');
+        }
+        (config.acceptedOrders || []).forEach(order => {
+            if (!Array.isArray(order) || [...order].sort().join('\u0000') !== [...config.items].sort().join('\u0000')) {
+                throw new Error('Each accepted order must be a permutation of items');
+            }
+        });
+    }
+
+    validateDictationConfig(config) {
+        if (!config.audioUrl) {
+            throw new Error('Dictation exercise requires audioUrl');
+        }
+        if (!config.transcript || typeof config.transcript !== 'string') {
+            throw new Error('Dictation exercise requires a transcript');
+        }
+    }
+
+    validateTranslationConfig(config) {
+        if (!config.sourceText) {
+            throw new Error('Translation exercise requires sourceText');
+        }
+        if (!Array.isArray(config.acceptedTranslations) || config.acceptedTranslations.length === 0) {
+            throw new Error('Translation exercise requires at least one accepted translation');
+        }
+    }
+
+    validateFlashcardConfig(config) {
+        if (!config.front || !config.back) {
+            throw new Error('Flashcard exercise requires front and back');
+        }
     }
 
     /**
@@ -214,6 +472,22 @@ class ExerciseManager extends ExerciseManagerInterface {
                 tips.push('ابتدا موارد واضح را وصل کنید');
                 tips.push('از فرآیند حذف استفاده کنید');
                 break;
+            case 'ordering':
+                tips.push('ابتدا فاعل و فعل را پیدا کنید');
+                tips.push('به جایگاه قیدها و صفت‌ها در جمله دقت کنید');
+                break;
+            case 'dictation':
+                tips.push('یک بار کامل گوش دهید، سپس بنویسید');
+                tips.push('به کلمات کوتاه و حروف اضافه دقت کنید');
+                break;
+            case 'translation':
+                tips.push('معنای کل جمله را منتقل کنید، نه کلمه به کلمه');
+                tips.push('زمان فعل را در ترجمه حفظ کنید');
+                break;
+            case 'flashcard':
+                tips.push('قبل از برگرداندن کارت، پاسخ را در ذهن بگویید');
+                tips.push('با خودتان صادق باشید تا مرورها درست زمان‌بندی شوند');
+                break;
         }
 
         return tips;
@@ -231,6 +505,7 @@ class ExerciseManager extends ExerciseManagerInterface {
             explanation: config.explanation,
             difficulty: config.difficulty,
             lessonId: config.lessonId,
+            scoring: config.scoring || null,
             createdAt: new Date().toISOString()
         };
     }
@@ -241,10 +516,13 @@ class ExerciseManager extends ExerciseManagerInterface {
             id: this.generateId(),
             sentence: config.sentence,
             blanks: config.blanks || [],
-            correctAnswers: config.correctAnswers,
+            correctAnswers: config.correctAnswers, // هر جای خالی: یک پاسخ یا آرایه‌ای از پاسخ‌های قابل قبول
             hints: config.hints || [],
+            tolerance: config.tolerance ?? null, // حداکثر فاصله ویرایشی؛ null یعنی بر اساس طول پاسخ
+            caseSensitive: config.caseSensitive || false,
             difficulty: config.difficulty,
             lessonId: config.lessonId,
+            scoring: config.scoring || null,
             createdAt: new Date().toISOString()
         };
     }
@@ -258,6 +536,7 @@ class ExerciseManager extends ExerciseManagerInterface {
             correctPairs: config.correctPairs || [],
             difficulty: config.difficulty,
             lessonId: config.lessonId,
+            scoring: config.scoring || null,
             createdAt: new Date().toISOString()
         };
     }
@@ -269,9 +548,75 @@ class ExerciseManager extends ExerciseManagerInterface {
             word: config.word,
             audioUrl: config.audioUrl,
             phonetic: config.phonetic,
+            language: config.language || null,
             userRecording: null,
             difficulty: config.difficulty,
             lessonId: config.lessonId,
+            scoring: config.scoring || null,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async createOrdering(config) {
+        return {
+            type: 'ordering',
+            id: this.generateId(),
+            prompt: config.prompt,
+            mode: config.mode || 'word', // word: مرتب‌سازی کلمات جمله، sentence: مرتب‌سازی جملات متن
+            items: config.items, // ترتیب درست
+            acceptedOrders: config.acceptedOrders || [],
+            explanation: config.explanation,
+            difficulty: config.difficulty,
+            lessonId: config.lessonId,
+            scoring: config.scoring || null,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async createDictation(config) {
+        return {
+            type: 'dictation',
+            id: this.generateId(),
+            audioUrl: config.audioUrl,
+            transcript: config.transcript,
+            acceptedTranscripts: config.acceptedTranscripts || [],
+            maxPlays: config.maxPlays ?? null,
+            tolerance: config.tolerance ?? null,
+            difficulty: config.difficulty,
+            lessonId: config.lessonId,
+            scoring: config.scoring || null,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async createTranslation(config) {
+        return {
+            type: 'translation',
+            id: this.generateId(),
+            sourceText: config.sourceText,
+            sourceLanguage: config.sourceLanguage,
+            targetLanguage: config.targetLanguage,
+            acceptedTranslations: config.acceptedTranslations,
+            tolerance: config.tolerance ?? null,
+            explanation: config.explanation,
+            difficulty: config.difficulty,
+            lessonId: config.lessonId,
+            scoring: config.scoring || null,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async createFlashcard(config) {
+        return {
+            type: 'flashcard',
+            id: this.generateId(),
+            front: config.front,
+            back: config.back,
+            imageUrl: config.imageUrl || null,
+            audioUrl: config.audioUrl || null,
+            difficulty: config.difficulty,
+            lessonId: config.lessonId,
+            scoring: config.scoring || null,
             createdAt: new Date().toISOString()
         };
     }
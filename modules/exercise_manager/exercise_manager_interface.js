@@ -18,28 +18,57 @@ class ExerciseManagerInterface {
      * ارزیابی پاسخ کاربر
      * @param {string} exerciseId - شناسه تمرین
      * @param {any} userAnswer - پاسخ کاربر
+     * @param {Object} [context] - اطلاعات تلاش (زمان، streak، راهنما، استراتژی درس)
      * @returns {Promise<EvaluationResult>} - نتیجه ارزیابی
      */
-    async evaluateAnswer(exerciseId, userAnswer) {
+    async evaluateAnswer(exerciseId, userAnswer, context = {}) {
         throw new Error('Method not implemented');
     }
 
     /**
-     * دریافت نکات آموزشی مرتبط با تمرین
+     * دریافت تمرین با شناسه
      * @param {string} exerciseId - شناسه تمرین
-     * @returns {Promise<string[]>} - لیست نکات
+     * @returns {Promise<Exercise|null>}
      */
-    async getExerciseTips(exerciseId) {
+    async getExercise(exerciseId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * دریافت تمرین‌های یک درس
+     * @param {string} lessonId - شناسه درس
+     * @returns {Promise<Exercise[]>}
+     */
+    async getExercisesByLesson(lessonId) {
         throw new Error('Method not implemented');
     }
 
     /**
-     * محاسبه امتیاز تمرین
+     * دریافت نسخه جابه‌جاشده تمرین برای نمایش
      * @param {string} exerciseId - شناسه تمرین
-     * @param {EvaluationResult} evaluation - نتیجه ارزیابی
-     * @returns {number} - امتیاز
+     * @param {string} seed - seed ذخیره‌شده روی تلاش
+     * @returns {Promise<Exercise>} - تمرین با ترتیب قطعی گزینه‌ها
      */
-    calculateScore(exerciseId, evaluation) {
+    async getExerciseVariant(exerciseId, seed) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * دریافت راهنمای بعدی تمرین
+     * @param {string} exerciseId - شناسه تمرین
+     * @param {number} [hintsUsed] - تعداد راهنماهای گرفته‌شده در این تلاش
+     * @returns {Promise<Hint|null>} - راهنمای بعدی یا null
+     */
+    async getHint(exerciseId, hintsUsed = 0) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * دریافت نکات آموزشی مرتبط با تمرین
+     * @param {string} exerciseId - شناسه تمرین
+     * @returns {Promise<string[]>} - لیست نکات
+     */
+    async getExerciseTips(exerciseId) {
         throw new Error('Method not implemented');
     }
 }
@@ -0,0 +1,229 @@
+/**
+ * 🧪 تست Exercise Manager
+ * تست‌های ساخت، اعتبارسنجی و ارزیابی انواع تمرین
+ */
+
+import ExerciseManager from './exercise_manager.js';
+
+function createMockRepository() {
+    const exercises = new Map();
+    return {
+        evaluations: [],
+        async save(exercise) {
+            exercises.set(exercise.id, exercise);
+            return exercise;
+        },
+        async findById(id) {
+            return exercises.get(id) || null;
+        },
+        async saveEvaluation(exerciseId, answer, evaluation) {
+            this.evaluations.push({ exerciseId, answer, evaluation });
+        }
+    };
+}
+
+const silentLogger = { info() {}, error() {} };
+
+describe('ExerciseManager exercise types', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = new ExerciseManager({ exerciseRepository: createMockRepository(), logger: silentLogger });
+    });
+
+    test('should register the new exercise types', () => {
+        expect(manager.getExerciseTypes()).toEqual(
+            expect.arrayContaining(['ordering', 'dictation', 'translation', 'flashcard'])
+        );
+    });
+
+    test('should validate type-specific config', async () => {
+        const base = { lessonId: 'l1', difficulty: 'beginner' };
+
+        await expect(manager.buildExercise('ordering', { ...base, items: ['I'] }))
+            .rejects.toThrow('Ordering exercise requires at least 2 items');
+        await expect(manager.buildExercise('ordering', { ...base, items: ['I', 'am'], acceptedOrders: [['am', 'you']] }))
+            .rejects.toThrow('Each accepted order must be a permutation of items');
+        await expect(manager.buildExercise('dictation', { ...base, transcript: 'hello' }))
+            .rejects.toThrow('Dictation exercise requires audioUrl');
+        await expect(manager.buildExercise('translation', { ...base, sourceText: 'سلام', acceptedTranslations: [] }))
+            .rejects.toThrow('Translation exercise requires at least one accepted translation');
+        await expect(manager.buildExercise('flashcard', { ...base, front: 'cat' }))
+            .rejects.toThrow('Flashcard exercise requires front and back');
+    });
+
+    test('should evaluate ordering with partial credit and accepted orders', async () => {
+        const exercise = await manager.createExercise('ordering', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            items: ['I', 'go', 'home', 'today'],
+            acceptedOrders: [['today', 'I', 'go', 'home']]
+        });
+
+        expect((await manager.evaluateAnswer(exercise.id, ['today', 'I', 'go', 'home'])).isCorrect).toBe(true);
+
+        const partial = await manager.evaluateAnswer(exercise.id, ['I', 'home', 'go', 'today']);
+        expect(partial.isCorrect).toBe(false);
+        expect(partial.details.credit).toBe(0.75);
+        expect(partial.score).toBe(7.5);
+    });
+
+    test('should evaluate dictation with typo tolerance', async () => {
+        const exercise = await manager.createExercise('dictation', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            audioUrl: 'media/hello.mp3',
+            transcript: 'Where is the station?'
+        });
+
+        const almost = await manager.evaluateAnswer(exercise.id, 'where is the staton');
+        expect(almost.isCorrect).toBe(true);
+        expect(almost.details.status).toBe('almostCorrect');
+
+        const wrong = await manager.evaluateAnswer(exercise.id, 'where was a train');
+        expect(wrong.isCorrect).toBe(false);
+        expect(wrong.details.correctCount).toBe(1);
+    });
+
+    test('should accept any of the accepted translations', async () => {
+        const exercise = await manager.createExercise('translation', {
+            lessonId: 'l1',
+            difficulty: 'intermediate',
+            sourceText: 'من دانشجو هستم',
+            acceptedTranslations: ['I am a student', "I'm a student"]
+        });
+
+        const result = await manager.evaluateAnswer(exercise.id, "i'm a student");
+        expect(result.isCorrect).toBe(true);
+        expect(result.correctAnswers).toEqual(["I'm a student"]);
+        expect((await manager.evaluateAnswer(exercise.id, 'I am teacher')).isCorrect).toBe(false);
+    });
+
+    test('should grade flashcards from self assessment', async () => {
+        const exercise = await manager.createExercise('flashcard', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            front: 'apple',
+            back: 'سیب'
+        });
+
+        expect((await manager.evaluateAnswer(exercise.id, 'good')).isCorrect).toBe(true);
+        const hard = await manager.evaluateAnswer(exercise.id, { rating: 'hard' });
+        expect(hard.isCorrect).toBe(false);
+        expect(hard.score).toBe(5);
+        await expect(manager.evaluateAnswer(exercise.id, 'perfect')).rejects.toThrow('Invalid flashcard rating: perfect');
+        await expect(manager.evaluateAnswer(exercise.id, 'toString')).rejects.toThrow('Invalid flashcard rating: toString');
+    });
+
+    test('should tag exercises with skills at creation', async () => {
+        const tagged = await manager.createExercise('fillBlank', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            correctAnswers: ['went'],
+            skills: ['writing', 'grammar:past_simple'],
+            cefrLevel: 'A2'
+        });
+        expect(tagged.skills).toEqual(['writing', 'grammar:past_simple']);
+        expect(tagged.cefrLevel).toBe('A2');
+
+        const untagged = await manager.createExercise('dictation', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            audioUrl: 'media/a.mp3',
+            transcript: 'hello'
+        });
+        expect(untagged.skills).toEqual(['listening']);
+
+        const evaluation = await manager.evaluateAnswer(tagged.id, ['went']);
+        expect(evaluation.skills).toEqual(['writing', 'grammar:past_simple']);
+    });
+
+    test('should reject tags outside the taxonomy', async () => {
+        const base = { lessonId: 'l1', difficulty: 'beginner', front: 'a', back: 'b' };
+
+        await expect(manager.createExercise('flashcard', { ...base, skills: ['cooking'] }))
+            .rejects.toThrow('Unknown skill tags: cooking');
+        await expect(manager.createExercise('flashcard', { ...base, cefrLevel: 'D1' }))
+            .rejects.toThrow('Invalid CEFR level: D1');
+    });
+
+    test('should provide tips for the new types', async () => {
+        const exercise = await manager.createExercise('flashcard', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            front: 'apple',
+            back: 'سیب'
+        });
+
+        const tips = await manager.getExerciseTips(exercise.id);
+        expect(tips.length).toBeGreaterThan(0);
+    });
+
+    test('should serve hints progressively and penalize them when scoring', async () => {
+        const exercise = await manager.createExercise('multipleChoice', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            question: 'I ___ home yesterday',
+            options: ['go', 'went', 'gone'],
+            correctAnswer: 'went',
+            translation: 'دیروز به خانه رفتم',
+            scoring: { base: 'binary', modifiers: ['hintPenalty'] }
+        });
+
+        const first = await manager.getHint(exercise.id, 0);
+        expect(first).toMatchObject({ type: 'eliminate_option', content: 'gone', level: 1, total: 3 });
+        expect((await manager.getHint(exercise.id, 1)).type).toBe('show_translation');
+        expect((await manager.getHint(exercise.id, 3))).toBeNull();
+
+        const evaluation = await manager.evaluateAnswer(exercise.id, 'went', { hintsUsed: 1, hintTypes: ['eliminate_option'] });
+        expect(evaluation.scoreBreakdown.adjustments.map(a => a.type)).toEqual(['hintPenalty']);
+        expect(evaluation.score).toBe(7.5);
+
+        await expect(manager.getHint('missing')).rejects.toThrow('Exercise not found: missing');
+    });
+
+    test('should reproduce shuffled variants from a seed and map answers back', async () => {
+        const exercise = await manager.createExercise('multipleChoice', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            question: 'I ___ home yesterday',
+            options: ['go', 'went', 'gone', 'going', 'goes'],
+            correctAnswer: 'went'
+        });
+
+        const variant = await manager.getExerciseVariant(exercise.id, 'attempt-1');
+        const replay = await manager.getExerciseVariant(exercise.id, 'attempt-1');
+        expect(replay.options).toEqual(variant.options);
+        expect([...variant.options].sort()).toEqual([...exercise.options].sort());
+        expect(variant.seed).toBe('attempt-1');
+
+        const position = variant.options.indexOf('went');
+        const evaluation = await manager.evaluateAnswer(exercise.id, position, { seed: 'attempt-1' });
+        expect(evaluation.isCorrect).toBe(true);
+        expect(evaluation.answer).toBe('went');
+        expect(evaluation.seed).toBe('attempt-1');
+
+        // مقدار گزینه هم بدون تبدیل پذیرفته می‌شود
+        expect((await manager.evaluateAnswer(exercise.id, 'went', { seed: 'attempt-1' })).isCorrect).toBe(true);
+        await expect(manager.evaluateAnswer(exercise.id, 7, { seed: 'attempt-1' }))
+            .rejects.toThrow('Answer position out of range: 7');
+    });
+
+    test('should map matching positions in shuffled right items back to values', async () => {
+        const exercise = await manager.createExercise('matching', {
+            lessonId: 'l1',
+            difficulty: 'beginner',
+            leftItems: ['cat', 'dog', 'bird'],
+            rightItems: ['گربه', 'سگ', 'پرنده'],
+            correctPairs: [['cat', 'گربه'], ['dog', 'سگ'], ['bird', 'پرنده']]
+        });
+
+        const variant = manager.buildVariant(exercise, 's');
+        expect(variant.leftItems).toEqual(exercise.leftItems);
+
+        const answer = exercise.correctPairs.map(([left, right]) => [left, variant.rightItems.indexOf(right)]);
+        const evaluation = await manager.evaluateAnswer(exercise.id, answer, { seed: 's' });
+        expect(evaluation.isCorrect).toBe(true);
+        expect(evaluation.answer).toEqual(exercise.correctPairs);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * 🗄️ Exercise Repository
+ * ریپازیتوری تمرین‌ها روی لایه دیتابیس - پیاده‌سازی وابستگی exerciseRepository در ExerciseManager
+ */
+
+/**
+ * تعریف storeهای مورد نیاز برای اسکیما دیتابیس
+ * @type {Array<Object>}
+ */
+export const EXERCISE_STORES = [
+    {
+        name: 'exercises',
+        keyPath: 'id',
+        indexes: [
+            { name: 'lessonId', keyPath: 'lessonId' },
+            { name: 'type', keyPath: 'type' }
+        ]
+    },
+    {
+        name: 'exercise_evaluations',
+        keyPath: 'id',
+        indexes: [
+            { name: 'exerciseId', keyPath: 'exerciseId' }
+        ]
+    }
+];
+
+class ExerciseRepository {
+    /**
+     * سازنده با تزریق وابستگی‌ها - رعایت DIP
+     * @param {Object} dependencies - وابستگی‌های تزریق شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     */
+    constructor(dependencies) {
+        if (!dependencies || !dependencies.database) {
+            throw new Error('Database dependency is required');
+        }
+        this.database = dependencies.database;
+    }
+
+    /**
+     * ذخیره تمرین (ایجاد یا جایگزینی)
+     * @param {Exercise} exercise - تمرین
+     * @returns {Promise<Exercise>}
+     */
+    async save(exercise) {
+        const existing = await this.database.get('exercises', exercise.id);
+        if (existing) {
+            await this.database.update('exercises', exercise.id, exercise);
+        } else {
+            await this.database.add('exercises', exercise);
+        }
+        return exercise;
+    }
+
+    /**
+     * دریافت تمرین با شناسه
+     * @param {string} exerciseId - شناسه تمرین
+     * @returns {Promise<Exercise|null>}
+     */
+    async findById(exerciseId) {
+        return (await this.database.get('exercises', exerciseId)) || null;
+    }
+
+    /**
+     * دریافت تمرین‌های یک درس
+     * @param {string} lessonId - شناسه درس
+     * @returns {Promise<Exercise[]>}
+     */
+    async findByLesson(lessonId) {
+        return this.database.queryByIndex('exercises', 'lessonId', lessonId);
+    }
+
+    /**
+     * ثبت تاریخچه ارزیابی
+     * @param {string} exerciseId - شناسه تمرین
+     * @param {any} userAnswer - پاسخ کاربر
+     * @param {EvaluationResult} evaluation - نتیجه ارزیابی
+     */
+    async saveEvaluation(exerciseId, userAnswer, evaluation) {
+        await this.database.add('exercise_evaluations', {
+            id: `eval_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            exerciseId,
+            userAnswer,
+            evaluation,
+            evaluatedAt: new Date().toISOString()
+        });
+    }
+}
+
+export default ExerciseRepository;
@@ -0,0 +1,117 @@
+/**
+ * 💡 Hint Service
+ * ساخت راهنماهای تدریجی بر اساس محتوای هر تمرین - رعایت OCP
+ *
+ * ترتیب راهنماها از کمک کم به زیاد است:
+ * راهنمای نویسنده ← حرف اول ← حذف گزینه ← نمایش ترجمه ← نمایش پاسخ
+ */
+
+const HINT_TYPES = ['clue', 'first_letter', 'eliminate_option', 'show_translation', 'reveal_answer'];
+
+class HintService {
+    constructor() {
+        // نوع تمرین -> سازنده راهنماهای مخصوص
+        this.builders = new Map();
+        this.registerDefaultBuilders();
+    }
+
+    /**
+     * ثبت سازنده راهنما برای یک نوع تمرین
+     * @param {string} type - نوع تمرین
+     * @param {Function} builder - (exercise) => Hint[] بدون reveal_answer
+     */
+    registerHintBuilder(type, builder) {
+        if (this.builders.has(type)) {
+            throw new Error(`Hint builder for '${type}' already registered`);
+        }
+        this.builders.set(type, builder);
+    }
+
+    registerDefaultBuilders() {
+        const builders = {
+            multipleChoice: exercise => this.eliminateOptions(exercise),
+            fillBlank: exercise => [
+                ...(exercise.hints || []).map(hint => ({ type: 'clue', content: hint })),
+                this.firstLetters(exercise.correctAnswers.map(answer => [].concat(answer)[0]))
+            ],
+            matching: exercise => [this.firstLetters((exercise.correctPairs || []).map(pair => pair.right ?? pair[1]))],
+            ordering: exercise => [{ type: 'first_letter', content: exercise.items[0] }],
+            dictation: exercise => [this.firstLetters(exercise.transcript.split(/\s+/))],
+            translation: exercise => [this.firstLetters(exercise.acceptedTranslations[0].split(/\s+/))],
+            flashcard: exercise => [this.firstLetters([exercise.back])],
+            pronunciation: () => []
+        };
+
+        Object.entries(builders).forEach(([type, builder]) => {
+            this.registerHintBuilder(type, builder);
+        });
+    }
+
+    /**
+     * فهرست کامل راهنماهای تمرین به ترتیب ارائه
+     * @param {Exercise} exercise - تمرین
+     * @returns {Hint[]}
+     */
+    buildHints(exercise) {
+        const builder = this.builders.get(exercise.type);
+        const hints = builder ? builder(exercise) : [];
+
+        if (exercise.translation) {
+            hints.push({ type: 'show_translation', content: exercise.translation });
+        }
+        hints.push({ type: 'reveal_answer', content: this.answerOf(exercise) });
+
+        return hints.map((hint, index) => ({ ...hint, level: index + 1, total: hints.length }));
+    }
+
+    // ========== سازنده‌های کمکی ==========
+
+    firstLetters(words) {
+        return {
+            type: 'first_letter',
+            content: words.map(word => `${Array.from(String(word))[0] || ''}…`).join(' ')
+        };
+    }
+
+    eliminateOptions(exercise) {
+        // حذف گزینه‌های غلط از آخر، همیشه دست‌کم یک گزینه غلط باقی می‌ماند
+        const correct = new Set([].concat(exercise.correctAnswer).map(String));
+        const wrong = (exercise.options || []).filter(option => !correct.has(String(option)));
+
+        return wrong.slice(1).reverse().map(option => ({ type: 'eliminate_option', content: option }));
+    }
+
+    answerOf(exercise) {
+        switch (exercise.type) {
+            case 'multipleChoice':
+                return [].concat(exercise.correctAnswer);
+            case 'fillBlank':
+                return exercise.correctAnswers.map(answer => [].concat(answer)[0]);
+            case 'matching':
+                return exercise.correctPairs;
+            case 'ordering':
+                return exercise.items;
+            case 'dictation':
+                return exercise.transcript;
+            case 'translation':
+                return exercise.acceptedTranslations[0];
+            case 'flashcard':
+                return exercise.back;
+            case 'pronunciation':
+                return exercise.phonetic;
+            default:
+                return exercise.correctAnswer ?? null;
+        }
+    }
+}
+
+/**
+ * @typedef {Object} Hint
+ * @property {string} type - clue | first_letter | eliminate_option | show_translation | reveal_answer
+ * @property {any} content - محتوای راهنما
+ * @property {number} level - شماره راهنما (از ۱)
+ * @property {number} total - تعداد کل راهنماهای تمرین
+ */
+
+export { HINT_TYPES };
+export default HintService;
@@ -0,0 +1,61 @@
+/**
+ * 🧪 تست Hint Service
+ * تست ترتیب و محتوای راهنماهای تدریجی
+ */
+
+import HintService from './hint_service.js';
+
+describe('HintService', () => {
+    const service = new HintService();
+
+    test('multiple choice eliminates wrong options before revealing', () => {
+        const hints = service.buildHints({
+            type: 'multipleChoice',
+            options: ['go', 'went', 'gone', 'going'],
+            correctAnswer: 'went',
+            translation: 'دیروز به مدرسه رفتم'
+        });
+
+        expect(hints.map(hint => hint.type)).toEqual([
+            'eliminate_option', 'eliminate_option', 'show_translation', 'reveal_answer'
+        ]);
+        expect(hints[0].content).toBe('going');
+        expect(hints[1].content).toBe('gone');
+        expect(hints[3].content).toEqual(['went']);
+        expect(hints.map(hint => hint.level)).toEqual([1, 2, 3, 4]);
+        expect(hints.every(hint => hint.total === 4)).toBe(true);
+    });
+
+    test('fill blank starts with authored clues and first letters', () => {
+        const hints = service.buildHints({
+            type: 'fillBlank',
+            correctAnswers: [['went', 'walked'], 'home'],
+            hints: ['فعل گذشته']
+        });
+
+        expect(hints.map(hint => hint.type)).toEqual(['clue', 'first_letter', 'reveal_answer']);
+        expect(hints[1].content).toBe('w… h…');
+        expect(hints[2].content).toEqual(['went', 'home']);
+    });
+
+    test('translation hints are based on the first accepted translation', () => {
+        const hints = service.buildHints({
+            type: 'translation',
+            acceptedTranslations: ['I am a student', 'I\'m a student']
+        });
+
+        expect(hints[0]).toMatchObject({ type: 'first_letter', content: 'I… a… a… s…' });
+        expect(hints[1]).toMatchObject({ type: 'reveal_answer', content: 'I am a student' });
+    });
+
+    test('unknown types still reveal the answer', () => {
+        const hints = service.buildHints({ type: 'custom', correctAnswer: 42 });
+        expect(hints).toEqual([{ type: 'reveal_answer', content: 42, level: 1, total: 1 }]);
+    });
+
+    test('custom hint builders can be registered once', () => {
+        service.registerHintBuilder('custom', () => [{ type: 'first_letter', content: '4…' }]);
+        expect(service.buildHints({ type: 'custom', correctAnswer: 42 })).toHaveLength(2);
+        expect(() => service.registerHintBuilder('custom', () => [])).toThrow("Hint builder for 'custom' already registered");
+    });
+});
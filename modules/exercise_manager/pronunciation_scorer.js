@@ -0,0 +1,163 @@
+/**
+ * 🎙️ Pronunciation Scorer
+ * قرارداد امتیازدهی تلفظ و پیاده‌سازی محلی قطعی - رعایت DIP
+ *
+ * سرویس واقعی تشخیص گفتار پشت PronunciationScorer قرار می‌گیرد؛
+ * LocalPronunciationScorer بدون شبکه و با خروجی تکرارپذیر برای تست و حالت آفلاین است.
+ */
+
+// واج‌های دوحرفی رایج در IPA که باید یک واحد شمرده شوند
+const MULTI_CHAR_PHONEMES = ['tʃ', 'dʒ', 'eɪ', 'aɪ', 'ɔɪ', 'aʊ', 'əʊ', 'oʊ', 'ɪə', 'eə', 'ʊə'];
+// نشانه‌هایی که واج نیستند و فقط در رشته آوایی نمایش داده می‌شوند
+const IGNORED_MARKS = new Set(['/', '[', ']', 'ˈ', 'ˌ', '.', '‿']);
+// نشانه‌هایی که به واج قبلی می‌چسبند (کشش، دمش، نشانه‌های ترکیبی)
+const MODIFIER_MARKS = /^[ːˑʰʲʷ\u0300-\u036f]$/;
+
+/**
+ * @interface PronunciationScorer
+ * @desc قرارداد انتزاعی امتیازدهی یک ضبط صوتی در برابر واج‌های مورد انتظار
+ */
+class PronunciationScorer {
+    /**
+     * @param {Object} request
+     * @param {Uint8Array} request.audio - بایت‌های فایل ضبط‌شده
+     * @param {string} [request.mimeType] - نوع فایل صوتی
+     * @param {string} [request.language] - کد زبان
+     * @param {PhoneticWord[]} request.words - کلمات و واج‌های مورد انتظار
+     * @returns {Promise<{words: Array<{word: string, score?: number, phonemes: Array<{symbol: string, score: number}>}>}>}
+     *          امتیازها بین ۰ و ۱ و هم‌ترتیب با ورودی
+     */
+    async score(request) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * امتیازدهی محلی قطعی: امتیاز هر واج از هش محتوای ضبط و جایگاه واج به دست می‌آید
+ * ضبط یکسان همیشه نتیجه یکسان دارد و ضبط خالی امتیاز صفر می‌گیرد
+ */
+class LocalPronunciationScorer extends PronunciationScorer {
+    constructor({ minScore = 0.4 } = {}) {
+        super();
+        this.minScore = minScore;
+    }
+
+    async score({ audio, words }) {
+        const audioHash = fnv1a(audio);
+
+        return {
+            words: words.map((word, wordIndex) => ({
+                word: word.word,
+                phonemes: word.phonemes.map((phoneme, phonemeIndex) => ({
+                    symbol: phoneme.symbol,
+                    score: audio.length === 0
+                        ? 0
+                        : this.scoreFromHash(fnv1a(`${audioHash}:${wordIndex}:${phonemeIndex}:${phoneme.symbol}`))
+                }))
+            }))
+        };
+    }
+
+    scoreFromHash(hash) {
+        const fraction = (hash % 1000) / 999;
+        return Math.round((this.minScore + (1 - this.minScore) * fraction) * 100) / 100;
+    }
+}
+
+// ========== متدهای کمکی ==========
+
+/**
+ * تجزیه رشته آوایی به کلمات و واج‌ها با حفظ جایگاه هر واج در رشته اصلی
+ * @param {string} phonetic - مثلاً "/ˈθæŋk juː/"
+ * @param {string} [text] - متن کلمه یا عبارت برای برچسب کلمات
+ * @returns {PhoneticWord[]}
+ */
+function parsePhonetic(phonetic, text = '') {
+    const words = [];
+    let current = null;
+
+    for (let index = 0; index < phonetic.length; index++) {
+        const char = phonetic[index];
+
+        if (/\s/.test(char)) {
+            current = null;
+            continue;
+        }
+        if (IGNORED_MARKS.has(char)) {
+            continue;
+        }
+
+        if (!current) {
+            current = { phonemes: [] };
+            words.push(current);
+        }
+
+        const last = current.phonemes[current.phonemes.length - 1];
+        if (last && last.end === index && MODIFIER_MARKS.test(char)) {
+            last.symbol += char;
+            last.end = index + 1;
+            continue;
+        }
+
+        const pair = phonetic.slice(index, index + 2);
+        const symbol = MULTI_CHAR_PHONEMES.includes(pair) ? pair : char;
+        current.phonemes.push({ symbol, start: index, end: index + symbol.length });
+        index += symbol.length - 1;
+    }
+
+    const labels = text.trim().split(/\s+/).filter(Boolean);
+    return words.map((word, index) => ({
+        word: labels.length === words.length ? labels[index] : (words.length === 1 ? text.trim() : `#${index + 1}`),
+        phonetic: phonetic.slice(word.phonemes[0].start, word.phonemes[word.phonemes.length - 1].end),
+        phonemes: word.phonemes
+    }));
+}
+
+/**
+ * تبدیل ضبط کاربر (Blob، ArrayBuffer یا TypedArray) به بایت
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function readRecording(recording) {
+    if (!recording) {
+        return null;
+    }
+    if (recording instanceof Uint8Array) {
+        return recording;
+    }
+    if (ArrayBuffer.isView(recording)) {
+        return new Uint8Array(recording.buffer, recording.byteOffset, recording.byteLength);
+    }
+    if (recording instanceof ArrayBuffer) {
+        return new Uint8Array(recording);
+    }
+    if (typeof recording.arrayBuffer === 'function') {
+        return new Uint8Array(await recording.arrayBuffer());
+    }
+    return null;
+}
+
+function fnv1a(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    let hash = 0x811c9dc5;
+    for (const byte of bytes) {
+        hash ^= byte;
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} PhoneticWord
+ * @property {string} word - کلمه
+ * @property {string} phonetic - بخش آوایی همین کلمه
+ * @property {Array<{symbol: string, start: number, end: number}>} phonemes - واج‌ها با جایگاه در رشته آوایی کامل
+ */
+
+export {
+    PronunciationScorer,
+    LocalPronunciationScorer,
+    parsePhonetic,
+    readRecording
+};
@@ -0,0 +1,52 @@
+/**
+ * 🧪 تست Pronunciation Scorer
+ * تست‌های تجزیه رشته آوایی و امتیازدهی محلی قطعی
+ */
+
+import { LocalPronunciationScorer, parsePhonetic, readRecording } from './pronunciation_scorer.js';
+
+describe('parsePhonetic', () => {
+    test('should split words and keep phoneme positions', () => {
+        const words = parsePhonetic('/ˈθæŋk juː/', 'thank you');
+
+        expect(words.map(word => word.word)).toEqual(['thank', 'you']);
+        expect(words[0].phonemes.map(phoneme => phoneme.symbol)).toEqual(['θ', 'æ', 'ŋ', 'k']);
+        expect(words[1].phonemes.map(phoneme => phoneme.symbol)).toEqual(['j', 'uː']);
+        expect(words[0].phonemes[0].start).toBe(2);
+        expect(words[1].phonetic).toBe('juː');
+    });
+
+    test('should treat diphthongs and affricates as single phonemes', () => {
+        const [word] = parsePhonetic('/tʃeɪndʒ/', 'change');
+        expect(word.phonemes.map(phoneme => phoneme.symbol)).toEqual(['tʃ', 'eɪ', 'n', 'dʒ']);
+    });
+});
+
+describe('LocalPronunciationScorer', () => {
+    const words = parsePhonetic('/həˈləʊ/', 'hello');
+
+    test('should be deterministic for the same recording', async () => {
+        const scorer = new LocalPronunciationScorer();
+        const audio = new Uint8Array([1, 2, 3, 4]);
+
+        const first = await scorer.score({ audio, words });
+        const second = await scorer.score({ audio: new Uint8Array([1, 2, 3, 4]), words });
+
+        expect(first).toEqual(second);
+        first.words[0].phonemes.forEach(phoneme => {
+            expect(phoneme.score).toBeGreaterThanOrEqual(0.4);
+            expect(phoneme.score).toBeLessThanOrEqual(1);
+        });
+    });
+
+    test('should score an empty recording as zero', async () => {
+        const result = await new LocalPronunciationScorer().score({ audio: new Uint8Array(), words });
+        expect(result.words[0].phonemes.every(phoneme => phoneme.score === 0)).toBe(true);
+    });
+
+    test('should read blobs and buffers', async () => {
+        expect(await readRecording(new Blob([new Uint8Array([7, 8])]))).toEqual(new Uint8Array([7, 8]));
+        expect(await readRecording(new Uint8Array([7, 8]).buffer)).toEqual(new Uint8Array([7, 8]));
+        expect(await readRecording('not audio')).toBeNull();
+    });
+});
@@ -0,0 +1,339 @@
+/**
+ * 🏆 Scoring Strategies
+ * استراتژی‌های امتیازدهی داخلی - رعایت Strategy و Decorator
+ *
+ * هر استراتژی متد score(exercise, evaluation, context) دارد که امتیاز و شرح محاسبه را برمی‌گرداند.
+ * متد calculate برای سازگاری با قرارداد scoringStrategy در ExerciseManager فقط عدد را برمی‌گرداند.
+ */
+
+/**
+ * کلاس پایه استراتژی امتیازدهی
+ */
+class ScoringStrategy {
+    /**
+     * @param {Exercise} exercise - تمرین
+     * @param {EvaluationResult} evaluation - نتیجه ارزیابی
+     * @param {ScoringContext} [context] - اطلاعات تلاش (زمان، streak، راهنما)
+     * @returns {{score: number, breakdown: ScoreBreakdown}}
+     */
+    score(exercise, evaluation, context = {}) {
+        throw new Error('Method not implemented');
+    }
+
+    calculate(exercise, evaluation, context = {}) {
+        return this.score(exercise, evaluation, context).score;
+    }
+}
+
+// ========== استراتژی‌های پایه ==========
+
+/**
+ * صفر یا صد: فقط پاسخ کاملاً درست امتیاز می‌گیرد
+ */
+class BinaryScoring extends ScoringStrategy {
+    constructor({ maxPoints = 10 } = {}) {
+        super();
+        this.maxPoints = maxPoints;
+    }
+
+    score(exercise, evaluation) {
+        const base = evaluation.isCorrect ? this.maxPoints : 0;
+        return {
+            score: base,
+            breakdown: createBreakdown('binary', this.maxPoints, base)
+        };
+    }
+}
+
+/**
+ * امتیاز جزئی بر اساس نسبت جای خالی‌ها/جفت‌های درست
+ */
+class PartialCreditScoring extends ScoringStrategy {
+    constructor({ maxPoints = 10 } = {}) {
+        super();
+        this.maxPoints = maxPoints;
+    }
+
+    score(exercise, evaluation) {
+        const credit = getCredit(evaluation);
+        const base = round(this.maxPoints * credit);
+        return {
+            score: base,
+            breakdown: createBreakdown('partialCredit', this.maxPoints, base, { credit })
+        };
+    }
+}
+
+// ========== تعدیل‌کننده‌ها (Decorator) ==========
+
+/**
+ * کلاس پایه تعدیل‌کننده‌ها - امتیاز استراتژی داخلی را تغییر می‌دهد
+ */
+class ScoringModifier extends ScoringStrategy {
+    constructor(inner) {
+        super();
+        if (!inner || typeof inner.score !== 'function') {
+            throw new Error('Scoring modifier requires an inner strategy');
+        }
+        this.inner = inner;
+    }
+
+    score(exercise, evaluation, context = {}) {
+        const result = this.inner.score(exercise, evaluation, context);
+        if (result.score <= 0) {
+            return result;
+        }
+
+        const adjustment = this.adjust(result.score, exercise, evaluation, context);
+        if (!adjustment) {
+            return result;
+        }
+
+        const score = Math.max(0, round(result.score + adjustment.points));
+        return {
+            score,
+            breakdown: {
+                ...result.breakdown,
+                adjustments: [...result.breakdown.adjustments, adjustment],
+                total: score
+            }
+        };
+    }
+
+    /**
+     * @returns {ScoreAdjustment|null}
+     */
+    adjust(currentScore, exercise, evaluation, context) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * پاداش پاسخ سریع‌تر از زمان هدف
+ */
+class TimeBonusScoring extends ScoringModifier {
+    constructor(inner, { targetSeconds = 30, maxBonusRatio = 0.2 } = {}) {
+        super(inner);
+        this.targetSeconds = targetSeconds;
+        this.maxBonusRatio = maxBonusRatio;
+    }
+
+    adjust(currentScore, exercise, evaluation, context) {
+        const { timeSpent } = context;
+        if (typeof timeSpent !== 'number' || timeSpent >= this.targetSeconds) {
+            return null;
+        }
+
+        const ratio = this.maxBonusRatio * (1 - timeSpent / this.targetSeconds);
+        return {
+            type: 'timeBonus',
+            points: round(currentScore * ratio),
+            description: `Answered in ${timeSpent}s (target ${this.targetSeconds}s)`
+        };
+    }
+}
+
+/**
+ * وزن‌دهی بر اساس سختی تمرین
+ */
+class DifficultyWeightedScoring extends ScoringModifier {
+    constructor(inner, { weights = { beginner: 1, intermediate: 1.25, advanced: 1.5 } } = {}) {
+        super(inner);
+        this.weights = weights;
+    }
+
+    adjust(currentScore, exercise) {
+        const weight = this.weights[exercise.difficulty];
+        if (!weight || weight === 1) {
+            return null;
+        }
+
+        return {
+            type: 'difficulty',
+            points: round(currentScore * (weight - 1)),
+            description: `Difficulty '${exercise.difficulty}' weight x${weight}`
+        };
+    }
+}
+
+/**
+ * ضریب پاسخ‌های درست پیاپی
+ */
+class StreakMultiplierScoring extends ScoringModifier {
+    constructor(inner, { step = 0.1, maxMultiplier = 1.5, minStreak = 2 } = {}) {
+        super(inner);
+        this.step = step;
+        this.maxMultiplier = maxMultiplier;
+        this.minStreak = minStreak;
+    }
+
+    adjust(currentScore, exercise, evaluation, context) {
+        const streak = context.streak || 0;
+        if (!evaluation.isCorrect || streak < this.minStreak) {
+            return null;
+        }
+
+        const multiplier = Math.min(this.maxMultiplier, 1 + (streak - this.minStreak + 1) * this.step);
+        return {
+            type: 'streak',
+            points: round(currentScore * (multiplier - 1)),
+            description: `${streak} correct answers in a row x${round(multiplier)}`
+        };
+    }
+}
+
+/**
+ * جریمه استفاده از راهنما
+ * نمایش پاسخ (reveal_answer) به‌طور پیش‌فرض حداکثر جریمه را دارد
+ */
+class HintPenaltyScoring extends ScoringModifier {
+    constructor(inner, { penaltyPerHint = 0.25, maxPenaltyRatio = 1, revealForfeits = true } = {}) {
+        super(inner);
+        this.penaltyPerHint = penaltyPerHint;
+        this.maxPenaltyRatio = maxPenaltyRatio;
+        this.revealForfeits = revealForfeits;
+    }
+
+    adjust(currentScore, exercise, evaluation, context) {
+        const hintsUsed = context.hintsUsed || 0;
+        if (hintsUsed === 0) {
+            return null;
+        }
+
+        const revealed = this.revealForfeits && (context.hintTypes || []).includes('reveal_answer');
+        const ratio = revealed
+            ? this.maxPenaltyRatio
+            : Math.min(this.maxPenaltyRatio, hintsUsed * this.penaltyPerHint);
+        return {
+            type: 'hintPenalty',
+            points: -round(currentScore * ratio),
+            description: `${hintsUsed} hint(s) used`
+        };
+    }
+}
+
+// ========== ثبت و ساخت استراتژی از پیکربندی ==========
+
+const BASE_STRATEGIES = {
+    binary: options => new BinaryScoring(options),
+    partialCredit: options => new PartialCreditScoring(options)
+};
+
+// ترتیب اعمال: ابتدا سختی، سپس زمان و streak، در پایان جریمه راهنما
+const MODIFIERS = {
+    difficulty: (inner, options) => new DifficultyWeightedScoring(inner, options),
+    timeBonus: (inner, options) => new TimeBonusScoring(inner, options),
+    streak: (inner, options) => new StreakMultiplierScoring(inner, options),
+    hintPenalty: (inner, options) => new HintPenaltyScoring(inner, options)
+};
+
+// پیش‌فرض موتور: نمایش پاسخ یا گرفتن راهنما بدون تنظیم صریح تمرین یا درس هم جریمه دارد
+const DEFAULT_SCORING_CONFIG = { base: 'partialCredit', modifiers: ['hintPenalty'] };
+
+/**
+ * ساخت استراتژی از پیکربندی قابل ذخیره روی تمرین یا درس
+ * @param {ScoringConfig|string} config - نام استراتژی پایه یا پیکربندی کامل
+ * @returns {ScoringStrategy}
+ *
+ * @example
+ * createScoringStrategy({ base: 'partialCredit', modifiers: ['timeBonus', 'hintPenalty'], options: { maxPoints: 20 } })
+ */
+function createScoringStrategy(config = DEFAULT_SCORING_CONFIG) {
+    const { base = 'partialCredit', modifiers = [], options = {} } =
+        typeof config === 'string' ? { base: config } : config;
+
+    const baseFactory = BASE_STRATEGIES[base];
+    if (!baseFactory) {
+        throw new Error(`Unknown scoring strategy: ${base}`);
+    }
+
+    modifiers.forEach(name => {
+        if (!MODIFIERS[name]) {
+            throw new Error(`Unknown scoring modifier: ${name}`);
+        }
+    });
+
+    let strategy = baseFactory({ maxPoints: options.maxPoints });
+    Object.keys(MODIFIERS)
+        .filter(name => modifiers.includes(name))
+        .forEach(name => {
+            strategy = MODIFIERS[name](strategy, options[name]);
+        });
+
+    return strategy;
+}
+
+// ========== متدهای کمکی ==========
+
+function getCredit(evaluation) {
+    const details = evaluation.details || {};
+    if (typeof details.credit === 'number') {
+        return details.credit;
+    }
+    if (details.totalCount > 0) {
+        return details.correctCount / details.totalCount;
+    }
+    return evaluation.isCorrect ? 1 : 0;
+}
+
+function createBreakdown(strategy, maxPoints, base, extra = {}) {
+    return {
+        strategy,
+        maxPoints,
+        base,
+        ...extra,
+        adjustments: [],
+        total: base
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} ScoringContext
+ * @property {number} [timeSpent] - زمان پاسخ (ثانیه)
+ * @property {number} [streak] - تعداد پاسخ‌های درست پیاپی تا این تمرین
+ * @property {number} [hintsUsed] - تعداد راهنماهای استفاده‌شده در این تلاش
+ * @property {string[]} [hintTypes] - نوع راهنماهای استفاده‌شده (first_letter، reveal_answer، ...)
+ */
+
+/**
+ * @typedef {Object} ScoreAdjustment
+ * @property {string} type - timeBonus | difficulty | streak | hintPenalty
+ * @property {number} points - مقدار افزوده یا کسرشده
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} ScoreBreakdown
+ * @property {string} strategy - استراتژی پایه
+ * @property {number} maxPoints
+ * @property {number} base - امتیاز قبل از تعدیل‌ها
+ * @property {number} [credit] - نسبت درستی (برای امتیاز جزئی)
+ * @property {ScoreAdjustment[]} adjustments
+ * @property {number} total - امتیاز نهایی
+ */
+
+/**
+ * @typedef {Object} ScoringConfig
+ * @property {string} [base='partialCredit'] - binary | partialCredit
+ * @property {string[]} [modifiers] - difficulty | timeBonus | streak | hintPenalty
+ * @property {Object} [options] - maxPoints و تنظیمات هر تعدیل‌کننده با کلید نام آن
+ */
+
+export {
+    ScoringStrategy,
+    BinaryScoring,
+    PartialCreditScoring,
+    ScoringModifier,
+    TimeBonusScoring,
+    DifficultyWeightedScoring,
+    StreakMultiplierScoring,
+    HintPenaltyScoring,
+    DEFAULT_SCORING_CONFIG,
+    createScoringStrategy
+};
@@ -0,0 +1,89 @@
+/**
+ * 🧪 تست Scoring Strategies
+ * تست‌های واحد استراتژی‌های امتیازدهی و شرح محاسبه
+ */
+
+import {
+    BinaryScoring,
+    PartialCreditScoring,
+    HintPenaltyScoring,
+    createScoringStrategy
+} from './scoring_strategies.js';
+
+const exercise = { type: 'fillBlank', difficulty: 'advanced' };
+const correct = { isCorrect: true, details: { correctCount: 3, totalCount: 3 } };
+const partial = { isCorrect: false, details: { correctCount: 1, totalCount: 4 } };
+
+describe('scoring strategies', () => {
+    test('binary scoring gives all or nothing', () => {
+        const strategy = new BinaryScoring({ maxPoints: 10 });
+        expect(strategy.calculate(exercise, correct)).toBe(10);
+        expect(strategy.calculate(exercise, partial)).toBe(0);
+    });
+
+    test('partial credit uses blank/pair ratio or explicit credit', () => {
+        const strategy = new PartialCreditScoring({ maxPoints: 20 });
+        expect(strategy.calculate(exercise, partial)).toBe(5);
+        expect(strategy.calculate(exercise, { isCorrect: true, details: { credit: 0.75 } })).toBe(15);
+        expect(strategy.calculate(exercise, { isCorrect: true })).toBe(20);
+    });
+
+    test('modifiers are applied in a fixed order and explained', () => {
+        const strategy = createScoringStrategy({
+            base: 'partialCredit',
+            modifiers: ['hintPenalty', 'difficulty'],
+            options: { maxPoints: 10 }
+        });
+
+        const { score, breakdown } = strategy.score(exercise, correct, { hintsUsed: 1 });
+
+        expect(breakdown.base).toBe(10);
+        expect(breakdown.adjustments.map(a => a.type)).toEqual(['difficulty', 'hintPenalty']);
+        expect(breakdown.adjustments[0].points).toBe(5);
+        expect(breakdown.adjustments[1].points).toBe(-3.75);
+        expect(score).toBe(11.25);
+        expect(breakdown.total).toBe(score);
+    });
+
+    test('time bonus rewards fast answers only', () => {
+        const strategy = createScoringStrategy({
+            base: 'binary',
+            modifiers: ['timeBonus'],
+            options: { timeBonus: { targetSeconds: 20, maxBonusRatio: 0.5 } }
+        });
+
+        expect(strategy.calculate(exercise, correct, { timeSpent: 10 })).toBe(12.5);
+        expect(strategy.calculate(exercise, correct, { timeSpent: 25 })).toBe(10);
+    });
+
+    test('streak multiplier starts at the minimum streak and is capped', () => {
+        const strategy = createScoringStrategy({ base: 'binary', modifiers: ['streak'] });
+
+        expect(strategy.calculate(exercise, correct, { streak: 1 })).toBe(10);
+        expect(strategy.calculate(exercise, correct, { streak: 2 })).toBe(11);
+        expect(strategy.calculate(exercise, correct, { streak: 50 })).toBe(15);
+    });
+
+    test('hint penalty never makes score negative', () => {
+        const strategy = new HintPenaltyScoring(new BinaryScoring(), { penaltyPerHint: 0.6 });
+        expect(strategy.calculate(exercise, correct, { hintsUsed: 3 })).toBe(0);
+    });
+
+    test('revealing the answer forfeits the score', () => {
+        const strategy = new HintPenaltyScoring(new BinaryScoring());
+        expect(strategy.calculate(exercise, correct, { hintsUsed: 1, hintTypes: ['first_letter'] })).toBe(7.5);
+        expect(strategy.calculate(exercise, correct, { hintsUsed: 2, hintTypes: ['first_letter', 'reveal_answer'] })).toBe(0);
+    });
+
+    test('wrong answers are not adjusted', () => {
+        const strategy = createScoringStrategy({ base: 'binary', modifiers: ['difficulty', 'timeBonus'] });
+        const { score, breakdown } = strategy.score(exercise, partial, { timeSpent: 1 });
+        expect(score).toBe(0);
+        expect(breakdown.adjustments).toEqual([]);
+    });
+
+    test('unknown strategies and modifiers are rejected', () => {
+        expect(() => createScoringStrategy('elo')).toThrow('Unknown scoring strategy: elo');
+        expect(() => createScoringStrategy({ modifiers: ['luck'] })).toThrow('Unknown scoring modifier: luck');
+    });
+});
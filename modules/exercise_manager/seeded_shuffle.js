@@ -0,0 +1,59 @@
+/**
+ * 🔀 Seeded Shuffle
+ * جابه‌جایی قطعی با seed: یک seed همیشه همان ترتیب را می‌سازد (برای بازپخش و همگام‌سازی تلاش‌ها)
+ */
+
+/**
+ * ساخت seed تصادفی برای یک تلاش
+ * @returns {string}
+ */
+export function createSeed() {
+    return Math.random().toString(36).slice(2, 11);
+}
+
+/**
+ * جایگشت قطعی اندیس‌ها
+ * @param {number} length - تعداد آیتم‌ها
+ * @param {string} seed - seed
+ * @returns {number[]} permutation[i] = اندیس اصلی آیتمی که در جایگاه i نمایش داده می‌شود
+ */
+export function seededPermutation(length, seed) {
+    const random = mulberry32(hashSeed(String(seed)));
+    const order = Array.from({ length }, (_, index) => index);
+
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+/**
+ * @param {Array} items - آیتم‌ها
+ * @param {string} seed - seed
+ * @returns {Array} کپی جابه‌جاشده
+ */
+export function shuffleWithSeed(items, seed) {
+    return seededPermutation(items.length, seed).map(index => items[index]);
+}
+
+// FNV-1a روی نویسه‌های رشته
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// مولد اعداد شبه‌تصادفی ۳۲ بیتی
+function mulberry32(state) {
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
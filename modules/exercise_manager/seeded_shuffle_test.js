@@ -0,0 +1,29 @@
+/**
+ * 🧪 تست Seeded Shuffle
+ */
+
+import { createSeed, seededPermutation, shuffleWithSeed } from './seeded_shuffle.js';
+
+describe('seeded shuffle', () => {
+    test('same seed always gives the same permutation', () => {
+        const seed = createSeed();
+        expect(seededPermutation(10, seed)).toEqual(seededPermutation(10, seed));
+    });
+
+    test('permutation contains every index exactly once', () => {
+        const order = seededPermutation(8, 'abc');
+        expect([...order].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    test('different seeds give different orders', () => {
+        const orders = new Set(['a', 'b', 'c', 'd', 'e'].map(seed => seededPermutation(6, seed).join(',')));
+        expect(orders.size).toBeGreaterThan(1);
+    });
+
+    test('shuffleWithSeed returns a reordered copy', () => {
+        const items = ['go', 'went', 'gone', 'going'];
+        const shuffled = shuffleWithSeed(items, 'seed1');
+        expect([...shuffled].sort()).toEqual([...items].sort());
+        expect(items).toEqual(['go', 'went', 'gone', 'going']);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * 🔤 Text Normalizer
+ * یکسان‌سازی متن پاسخ‌ها برای مقایسه (فارسی/عربی و لاتین) و محاسبه فاصله ویرایشی
+ */
+
+const ARABIC_TO_PERSIAN = {
+    '\u064A': '\u06CC', // ي -> ی
+    '\u0649': '\u06CC', // ى -> ی
+    '\u0643': '\u06A9', // ك -> ک
+    '\u06C0': '\u0647'  // ۀ -> ه
+};
+
+const ZWNJ = /\u200C/g;
+const TATWEEL = /\u0640/g;
+const COMBINING_MARKS = /[\u0300-\u036F\u064B-\u065F\u0670]/g;
+const EDGE_PUNCTUATION = /^[\s.,!?;:'"()\-؟،؛«»]+|[\s.,!?;:'"()\-؟،؛«»]+$/g;
+
+/**
+ * یکسان‌سازی نویسه‌های عربی و فارسی و ارقام
+ * @param {string} text - متن ورودی
+ * @returns {string}
+ */
+export function unifyPersianCharacters(text) {
+    return String(text ?? '')
+        .replace(/[\u064A\u0649\u0643\u06C0]/g, char => ARABIC_TO_PERSIAN[char])
+        .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+        .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(TATWEEL, '');
+}
+
+/**
+ * یکسان‌سازی کامل متن برای مقایسه پاسخ
+ * @param {string} text - متن ورودی
+ * @param {Object} [options]
+ * @param {boolean} [options.caseSensitive=false] - حساسیت به حروف بزرگ/کوچک
+ * @param {boolean} [options.ignoreDiacritics=true] - نادیده گرفتن اعراب و علائم
+ * @returns {string}
+ */
+export function normalizeText(text, options = {}) {
+    const { caseSensitive = false, ignoreDiacritics = true } = options;
+
+    let normalized = unifyPersianCharacters(text).normalize('NFKC');
+
+    if (ignoreDiacritics) {
+        normalized = normalized.normalize('NFD').replace(COMBINING_MARKS, '').normalize('NFC');
+    }
+
+    // نیم‌فاصله معادل فاصله در نظر گرفته می‌شود
+    normalized = normalized
+        .replace(ZWNJ, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(EDGE_PUNCTUATION, '');
+
+    return caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+/**
+ * فاصله ویرایشی Levenshtein بر اساس نویسه‌های یونیکد
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+    const source = Array.from(a);
+    const target = Array.from(b);
+
+    if (source.length === 0) return target.length;
+    if (target.length === 0) return source.length;
+
+    let previous = Array.from({ length: target.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+        }
+        previous = current;
+    }
+
+    return previous[target.length];
+}
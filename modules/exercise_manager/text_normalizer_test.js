@@ -0,0 +1,44 @@
+/**
+ * 🧪 تست Text Normalizer
+ * تست‌های یکسان‌سازی متن فارسی/لاتین و فاصله ویرایشی
+ */
+
+import { normalizeText, unifyPersianCharacters, levenshtein } from './text_normalizer.js';
+
+const ZWNJ = String.fromCharCode(0x200C);
+const ARABIC_YEH = String.fromCharCode(0x064A);
+const ARABIC_KAF = String.fromCharCode(0x0643);
+const FATHA = String.fromCharCode(0x064E);
+
+describe('text normalizer', () => {
+    test('should unify Arabic yeh and kaf with Persian forms', () => {
+        expect(unifyPersianCharacters(`${ARABIC_KAF}تاب`)).toBe('کتاب');
+        expect(unifyPersianCharacters(`عل${ARABIC_YEH}`)).toBe('علی');
+    });
+
+    test('should convert Persian and Arabic digits', () => {
+        expect(unifyPersianCharacters('۱۲۳')).toBe('123');
+        expect(unifyPersianCharacters('٤٥')).toBe('45');
+    });
+
+    test('should treat ZWNJ as a space and collapse whitespace', () => {
+        expect(normalizeText(`می${ZWNJ}روم`)).toBe(normalizeText('می   روم'));
+    });
+
+    test('should ignore Arabic and Latin diacritics', () => {
+        expect(normalizeText(`${ARABIC_KAF}${FATHA}تاب`)).toBe('کتاب');
+        expect(normalizeText('Café')).toBe('cafe');
+    });
+
+    test('should respect case sensitivity and strip edge punctuation', () => {
+        expect(normalizeText(' Hello! ')).toBe('hello');
+        expect(normalizeText('Hello', { caseSensitive: true })).toBe('Hello');
+        expect(normalizeText('چطوری؟')).toBe('چطوری');
+    });
+
+    test('should compute levenshtein distance', () => {
+        expect(levenshtein('kitten', 'sitting')).toBe(3);
+        expect(levenshtein('', 'abc')).toBe(3);
+        expect(levenshtein('سلام', 'سلا')).toBe(1);
+    });
+});
@@ -0,0 +1,668 @@
+/**
+ * @file modules/gamification/gamification_engine.js
+ * @desc موتور قاعده‌محور امتیاز تجربه (XP)، سطح، رتبه و نشان‌ها بر اساس رویدادهای درس و پیشرفت
+ * @implements IGamificationEngine (قرارداد انتزاعی)
+ *
+ * هر پاداش XP کلید منبع یکتا دارد و هر دستاورد فقط یک بار برای هر کاربر ثبت می‌شود،
+ * پس پردازش دوباره یک رویداد (مثلاً بعد از همگام‌سازی) امتیاز تکراری نمی‌دهد.
+ */
+
+/**
+ * @interface IGamificationEngine
+ * @desc قرارداد انتزاعی برای بازی‌وارسازی
+ */
+class IGamificationEngine {
+    /**
+     * @method awardXP
+     * @param {string} userId - شناسه کاربر
+     * @param {number} amount - مقدار XP
+     * @param {string} sourceKey - کلید یکتای منبع پاداش
+     * @param {string} [reason] - دلیل پاداش
+     * @returns {Promise<boolean>} false اگر این منبع قبلاً پاداش گرفته باشد
+     */
+    async awardXP(userId, amount, sourceKey, reason) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getProfile
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<GamificationProfile>}
+     */
+    async getProfile(userId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getAchievements
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [filter] - { since }
+     * @returns {Promise<Achievement[]>}
+     */
+    async getAchievements(userId, filter) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * تعریف store های مورد نیاز این ماژول (برای ثبت در SchemaManager)
+ */
+const GAMIFICATION_STORES = [
+    {
+        name: 'gamification_profiles',
+        keyPath: 'id',
+        indexes: []
+    },
+    {
+        name: 'xp_awards',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    },
+    {
+        name: 'gamification_events',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    },
+    {
+        name: 'achievements',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    }
+];
+
+const DEFAULT_RANKS = [
+    { minXP: 0, rank: 'Newbie' },
+    { minXP: 1000, rank: 'Beginner' },
+    { minXP: 5000, rank: 'Intermediate' },
+    { minXP: 15000, rank: 'Advanced' },
+    { minXP: 30000, rank: 'Expert' },
+    { minXP: 50000, rank: 'Master' },
+    { minXP: 100000, rank: 'Grand Master' }
+];
+
+const DEFAULT_XP_PER_LEVEL = 1000;
+
+/**
+ * قواعد پیش‌فرض XP: رویداد، مقدار و کلید یکتای منبع
+ */
+const DEFAULT_XP_RULES = [
+    {
+        id: 'exercise_correct',
+        event: 'progress.exercise_completed',
+        when: data => data.isCorrect,
+        xp: data => (data.hintsUsed > 0 ? 5 : 10),
+        key: data => `exercise:${data.sessionId}:${data.exerciseId}`
+    },
+    {
+        id: 'lesson_completed',
+        event: 'lesson.completed',
+        xp: 50,
+        key: data => `lesson:${data.sessionId}`
+    },
+    {
+        id: 'exam_passed',
+        event: 'progress.exam_completed',
+        when: data => data.passed,
+        xp: 100,
+        key: data => `exam:${data.sessionId}`
+    }
+];
+
+/**
+ * قواعد پیش‌فرض نشان‌ها: شمارنده و آستانه
+ * با perKey برای هر کلید شمارنده (مثلاً هر مهارت) نشان جداگانه ساخته می‌شود
+ */
+const DEFAULT_ACHIEVEMENT_RULES = [
+    { id: 'first_lesson', title: 'First Steps', metric: 'lessonsCompleted', threshold: 1 },
+    { id: 'dedicated_learner', title: 'Dedicated Learner', metric: 'totalMinutes', threshold: 7 * 60 },
+    { id: 'consistent_performer', title: 'Consistent Performer', metric: 'perfectLessons', threshold: 3 },
+    { id: 'exam_ace', title: 'Exam Ace', metric: 'examsPassed', threshold: 1 },
+    { id: 'week_warrior', title: 'Week Warrior', metric: 'longestStreak', threshold: 7 },
+    { id: 'skill_intermediate', title: '{key} Intermediate', metric: 'skills', threshold: 20, perKey: true },
+    { id: 'skill_expert', title: '{key} Expert', metric: 'skills', threshold: 50, perKey: true }
+];
+
+/**
+ * @param {number} xp - امتیاز تجربه
+ * @param {number} [xpPerLevel] - XP لازم برای هر سطح
+ * @returns {number} سطح (از ۱)
+ */
+function calculateLevel(xp, xpPerLevel = DEFAULT_XP_PER_LEVEL) {
+    return Math.floor(xp / xpPerLevel) + 1;
+}
+
+/**
+ * @param {number} xp - امتیاز تجربه
+ * @param {Array<{minXP: number, rank: string}>} [ranks] - جدول رتبه‌ها به ترتیب صعودی
+ * @returns {string}
+ */
+function calculateRank(xp, ranks = DEFAULT_RANKS) {
+    for (let i = ranks.length - 1; i >= 0; i--) {
+        if (xp >= ranks[i].minXP) {
+            return ranks[i].rank;
+        }
+    }
+    return ranks[0]?.rank || null;
+}
+
+/**
+ * @class GamificationEngine
+ * @implements IGamificationEngine
+ */
+class GamificationEngine {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {Object} [dependencies.options] - { xpRules, achievementRules, ranks, xpPerLevel }
+     */
+    constructor({ database, eventBus, options = {} }) {
+        if (!database || !eventBus) {
+            throw new Error('Database and EventBus dependencies are required');
+        }
+
+        this._database = database;
+        this._eventBus = eventBus;
+        this._options = {
+            xpRules: DEFAULT_XP_RULES,
+            achievementRules: DEFAULT_ACHIEVEMENT_RULES,
+            ranks: DEFAULT_RANKS,
+            xpPerLevel: DEFAULT_XP_PER_LEVEL,
+            ...options
+        };
+        this._xpRules = [];
+        this._achievementRules = [];
+        this._options.xpRules.forEach(rule => this.registerXPRule(rule));
+        this._options.achievementRules.forEach(rule => this.registerAchievementRule(rule));
+
+        // رویدادهای هر کاربر به ترتیب پردازش می‌شوند تا شمارنده‌ها هم‌پوشانی نداشته باشند
+        this._queues = new Map();
+
+        const events = [
+            'progress.exercise_completed',
+            'lesson.started',
+            'lesson.completed',
+            'lesson.abandoned',
+            'progress.exam_completed',
+            'streak.extended'
+        ];
+        this._unsubscribers = events.map(type => this._eventBus.subscribe(type, {
+            handleEvent: (eventType, data) => this.processEvent(eventType, data)
+        }));
+    }
+
+    /**
+     * @method registerXPRule
+     * @param {XPRule} rule - قاعده XP
+     */
+    registerXPRule(rule) {
+        if (!rule?.id || !rule.event || rule.xp === undefined || typeof rule.key !== 'function') {
+            throw new Error('XP rule requires id, event, xp and key');
+        }
+        if (this._xpRules.some(existing => existing.id === rule.id)) {
+            throw new Error(`XP rule '${rule.id}' already registered`);
+        }
+        this._xpRules.push(rule);
+    }
+
+    /**
+     * @method registerAchievementRule
+     * @param {AchievementRule} rule - قاعده نشان
+     */
+    registerAchievementRule(rule) {
+        if (!rule?.id || !rule.title || (!rule.metric && typeof rule.condition !== 'function')) {
+            throw new Error('Achievement rule requires id, title and a metric or condition');
+        }
+        if (this._achievementRules.some(existing => existing.id === rule.id)) {
+            throw new Error(`Achievement rule '${rule.id}' already registered`);
+        }
+        this._achievementRules.push(rule);
+    }
+
+    /**
+     * @method processEvent
+     * @param {string} eventType - نوع رویداد
+     * @param {Object} data - داده رویداد
+     * @returns {Promise<void>}
+     * @desc به‌روزرسانی شمارنده‌ها، اعمال قواعد XP و بررسی نشان‌ها
+     */
+    async processEvent(eventType, data) {
+        if (!data?.userId) return;
+
+        return this._enqueue(data.userId, async () => {
+            try {
+                // رویداد تکراری (مثلاً بعد از همگام‌سازی) شمارنده‌ها را دوباره افزایش نمی‌دهد
+                const eventId = this._getEventId(eventType, data);
+                if (eventId && await this._database.get('gamification_events', eventId)) return;
+
+                const profile = await this._loadProfile(data.userId);
+                const changes = { records: [], events: [] };
+                this._updateCounters(profile, eventType, data);
+
+                for (const rule of this._xpRules.filter(rule => rule.event === eventType)) {
+                    if (rule.when && !rule.when(data)) continue;
+                    const amount = typeof rule.xp === 'function' ? rule.xp(data) : rule.xp;
+                    await this._award(profile, changes, amount, rule.key(data), rule.id);
+                }
+
+                await this._checkAchievements(profile, changes);
+                if (eventId) {
+                    changes.records.push({
+                        storeName: 'gamification_events',
+                        record: { id: eventId, userId: data.userId, eventType, processedAt: new Date() }
+                    });
+                }
+                await this._commit(profile, changes);
+
+            } catch (error) {
+                this._eventBus.publish('gamification.error', {
+                    action: 'processEvent',
+                    error: error.message
+                });
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * @method awardXP
+     * @param {string} userId - شناسه کاربر
+     * @param {number} amount - مقدار XP
+     * @param {string} sourceKey - کلید یکتای منبع پاداش
+     * @param {string} [reason] - دلیل پاداش
+     * @returns {Promise<boolean>} false اگر این منبع قبلاً پاداش گرفته باشد
+     */
+    async awardXP(userId, amount, sourceKey, reason = 'manual') {
+        return this._enqueue(userId, async () => {
+            try {
+                const profile = await this._loadProfile(userId);
+                const changes = { records: [], events: [] };
+                const awarded = await this._award(profile, changes, amount, sourceKey, reason);
+                if (awarded) {
+                    await this._checkAchievements(profile, changes);
+                    await this._commit(profile, changes);
+                }
+                return awarded;
+
+            } catch (error) {
+                this._eventBus.publish('gamification.error', {
+                    action: 'awardXP',
+                    error: error.message
+                });
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * @method getProfile
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<GamificationProfile>}
+     */
+    async getProfile(userId) {
+        const profile = await this._loadProfile(userId);
+        const { xpPerLevel } = this._options;
+
+        return {
+            userId,
+            xp: profile.xp,
+            level: profile.level,
+            rank: calculateRank(profile.xp, this._options.ranks),
+            levelProgress: Math.round(((profile.xp % xpPerLevel) / xpPerLevel) * 100),
+            xpToNextLevel: xpPerLevel - (profile.xp % xpPerLevel),
+            counters: profile.counters
+        };
+    }
+
+    /**
+     * @method getAchievements
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [filter] - { since: Date }
+     * @returns {Promise<Achievement[]>} جدیدترین اول
+     */
+    async getAchievements(userId, { since = null } = {}) {
+        const records = await this._database.queryByIndex('achievements', 'userId', userId);
+        return records
+            .filter(record => !since || new Date(record.unlockedAt) >= new Date(since))
+            .sort((a, b) => new Date(b.unlockedAt) - new Date(a.unlockedAt));
+    }
+
+    /**
+     * @method getEarnedXP
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [range] - { from, to }
+     * @returns {Promise<number>} XP کسب‌شده در بازه
+     */
+    async getEarnedXP(userId, { from = null, to = null } = {}) {
+        const awards = await this._database.queryByIndex('xp_awards', 'userId', userId);
+        return awards
+            .filter(award => (!from || new Date(award.awardedAt) >= new Date(from)) &&
+                (!to || new Date(award.awardedAt) < new Date(to)))
+            .reduce((sum, award) => sum + award.amount, 0);
+    }
+
+    /**
+     * @method destroy
+     * @desc قطع اشتراک از رویدادها
+     */
+    destroy() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _enqueue
+     * @desc اجرای ترتیبی کارهای هر کاربر
+     */
+    _enqueue(userId, task) {
+        const previous = this._queues.get(userId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this._queues.set(userId, next);
+        next.finally(() => {
+            if (this._queues.get(userId) === next) {
+                this._queues.delete(userId);
+            }
+        }).catch(() => {});
+        return next;
+    }
+
+    /**
+     * @private
+     * @method _getEventId
+     * @returns {string|null} کلید یکتای رویداد؛ null برای رویدادهای بدون جلسه (بدون جلوگیری از تکرار)
+     */
+    _getEventId(eventType, data) {
+        if (!data.sessionId) return null;
+
+        const eventKey = data.exerciseId ? `${data.sessionId}:${data.exerciseId}` : data.sessionId;
+        return `${data.userId}:${eventType}:${eventKey}`;
+    }
+
+    /**
+     * @private
+     * @method _exists
+     * @returns {Promise<boolean>} true اگر رکورد ذخیره شده یا در همین پردازش در صف نوشتن باشد
+     */
+    async _exists(storeName, id, changes) {
+        if (changes.records.some(change => change.storeName === storeName && change.record.id === id)) {
+            return true;
+        }
+        return Boolean(await this._database.get(storeName, id));
+    }
+
+    /**
+     * @private
+     * @method _updateCounters
+     * @param {Object} profile - پروفایل کاربر
+     * @param {string} eventType - نوع رویداد
+     * @param {Object} data - داده رویداد
+     */
+    _updateCounters(profile, eventType, data) {
+        const counters = profile.counters;
+
+        switch (eventType) {
+            case 'progress.exercise_completed': {
+                counters.exercisesCompleted++;
+                if (data.isCorrect) counters.correctAnswers++;
+                (data.skills || []).forEach(skill => {
+                    counters.skills[skill] = (counters.skills[skill] || 0) + 1;
+                });
+
+                // آمار جلسه برای تشخیص درس بدون اشتباه
+                if (data.sessionId) {
+                    const session = profile.openSessions[data.sessionId] || { exercises: 0, correct: 0 };
+                    session.exercises++;
+                    if (data.isCorrect) session.correct++;
+                    profile.openSessions[data.sessionId] = session;
+                }
+                break;
+            }
+            case 'lesson.started':
+                profile.openSessions[data.sessionId] = { exercises: 0, correct: 0 };
+                break;
+            case 'lesson.completed': {
+                counters.lessonsCompleted++;
+                counters.totalMinutes += Math.round((data.duration || 0) / 60000);
+
+                const session = profile.openSessions[data.sessionId];
+                if (session && session.exercises > 0 && session.correct === session.exercises) {
+                    counters.perfectLessons++;
+                }
+                delete profile.openSessions[data.sessionId];
+                break;
+            }
+            case 'lesson.abandoned':
+                delete profile.openSessions[data.sessionId];
+                break;
+            case 'progress.exam_completed':
+                if (data.passed) counters.examsPassed++;
+                break;
+            case 'streak.extended':
+                counters.longestStreak = Math.max(counters.longestStreak || 0, data.longest || data.current || 0);
+                break;
+        }
+    }
+
+    /**
+     * @private
+     * @method _award
+     * @param {Object} changes - نوشتن‌ها و رویدادهای در انتظار commit
+     * @returns {Promise<boolean>} true اگر XP جدید اضافه شد
+     */
+    async _award(profile, changes, amount, sourceKey, reason) {
+        if (!sourceKey) {
+            throw new Error('XP award requires a source key');
+        }
+        if (!(amount > 0)) return false;
+
+        const id = `${profile.id}:${sourceKey}`;
+        if (await this._exists('xp_awards', id, changes)) {
+            return false;
+        }
+
+        changes.records.push({
+            storeName: 'xp_awards',
+            record: {
+                id,
+                userId: profile.id,
+                sourceKey,
+                reason,
+                amount,
+                awardedAt: new Date()
+            }
+        });
+
+        const previousLevel = profile.level;
+        profile.xp += amount;
+        profile.level = calculateLevel(profile.xp, this._options.xpPerLevel);
+
+        changes.events.push(['gamification.xp_awarded', {
+            userId: profile.id,
+            amount,
+            reason,
+            totalXP: profile.xp
+        }]);
+        if (profile.level > previousLevel) {
+            changes.events.push(['gamification.level_up', {
+                userId: profile.id,
+                level: profile.level,
+                rank: calculateRank(profile.xp, this._options.ranks)
+            }]);
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     * @method _checkAchievements
+     * @param {Object} profile - پروفایل کاربر
+     */
+    async _checkAchievements(profile, changes) {
+        for (const rule of this._achievementRules) {
+            for (const { key, reached } of this._evaluateRule(rule, profile)) {
+                if (!reached) continue;
+
+                const achievementId = key ? `${rule.id}:${key}` : rule.id;
+                const id = `${profile.id}:${achievementId}`;
+                if (await this._exists('achievements', id, changes)) continue;
+
+                const achievement = {
+                    id,
+                    userId: profile.id,
+                    achievementId,
+                    ruleId: rule.id,
+                    title: key ? rule.title.replace('{key}', key) : rule.title,
+                    description: rule.description || null,
+                    unlockedAt: new Date()
+                };
+                changes.records.push({ storeName: 'achievements', record: achievement });
+
+                if (rule.xpReward) {
+                    await this._award(profile, changes, rule.xpReward, `achievement:${achievementId}`, 'achievement');
+                }
+
+                changes.events.push(['achievement.unlocked', {
+                    userId: profile.id,
+                    achievementId,
+                    title: achievement.title,
+                    unlockedAt: achievement.unlockedAt
+                }]);
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @method _evaluateRule
+     * @returns {Array<{key: string|null, reached: boolean}>}
+     */
+    _evaluateRule(rule, profile) {
+        const stats = { xp: profile.xp, level: profile.level, ...profile.counters };
+
+        if (typeof rule.condition === 'function') {
+            return [{ key: null, reached: Boolean(rule.condition(stats)) }];
+        }
+
+        const value = stats[rule.metric];
+        if (rule.perKey) {
+            return Object.entries(value || {}).map(([key, count]) => ({ key, reached: count >= rule.threshold }));
+        }
+        return [{ key: null, reached: (value || 0) >= rule.threshold }];
+    }
+
+    /**
+     * @private
+     * @method _loadProfile
+     */
+    async _loadProfile(userId) {
+        const existing = await this._database.get('gamification_profiles', userId);
+        if (existing) {
+            return existing;
+        }
+
+        return {
+            id: userId,
+            xp: 0,
+            level: 1,
+            counters: {
+                exercisesCompleted: 0,
+                correctAnswers: 0,
+                lessonsCompleted: 0,
+                perfectLessons: 0,
+                examsPassed: 0,
+                totalMinutes: 0,
+                longestStreak: 0,
+                skills: {}
+            },
+            openSessions: {}
+        };
+    }
+
+    /**
+     * @private
+     * @method _commit
+     * @desc پروفایل، پاداش‌ها، نشان‌ها و علامت رویداد در یک تراکنش نوشته می‌شوند و رویدادها بعد از آن منتشر می‌شوند؛
+     * پس رویدادی که علامت خورده همیشه در پروفایل هم حساب شده است
+     */
+    async _commit(profile, { records, events }) {
+        const writes = [
+            ...records,
+            { storeName: 'gamification_profiles', record: { ...profile, updatedAt: new Date() } }
+        ];
+        const storeNames = [...new Set(writes.map(write => write.storeName))];
+
+        await this._database.transaction(storeNames, 'readwrite', async (tx) => {
+            writes.forEach(({ storeName, record }) => tx.objectStore(storeName).put(record));
+        });
+
+        events.forEach(([type, payload]) => this._eventBus.publish(type, payload));
+    }
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} XPRule
+ * @property {string} id
+ * @property {string} event - نوع رویداد EventBus
+ * @property {number|Function} xp - مقدار ثابت یا (data) => number
+ * @property {Function} key - (data) => کلید یکتای منبع؛ پاداش هر کلید فقط یک بار داده می‌شود
+ * @property {Function} [when] - (data) => boolean
+ */
+
+/**
+ * @typedef {Object} AchievementRule
+ * @property {string} id
+ * @property {string} title - برای perKey، {key} با کلید شمارنده جایگزین می‌شود
+ * @property {string} [description]
+ * @property {string} [metric] - xp | level | exercisesCompleted | correctAnswers | lessonsCompleted | perfectLessons | examsPassed | totalMinutes | longestStreak | skills
+ * @property {number} [threshold]
+ * @property {boolean} [perKey] - برای شمارنده‌های کلیددار (skills)
+ * @property {Function} [condition] - (stats) => boolean به جای metric/threshold
+ * @property {number} [xpReward] - XP اضافه هنگام باز شدن
+ */
+
+/**
+ * @typedef {Object} GamificationProfile
+ * @property {string} userId
+ * @property {number} xp
+ * @property {number} level
+ * @property {string} rank
+ * @property {number} levelProgress - درصد پیشرفت در سطح فعلی
+ * @property {number} xpToNextLevel
+ * @property {Object} counters
+ */
+
+/**
+ * @typedef {Object} Achievement
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} achievementId - شناسه قاعده (و کلید آن برای perKey)
+ * @property {string} ruleId
+ * @property {string} title
+ * @property {string|null} description
+ * @property {Date} unlockedAt
+ */
+
+// ==================== Export ====================
+
+export {
+    IGamificationEngine,
+    GamificationEngine,
+    GAMIFICATION_STORES,
+    DEFAULT_XP_RULES,
+    DEFAULT_ACHIEVEMENT_RULES,
+    DEFAULT_RANKS,
+    calculateLevel,
+    calculateRank
+};
@@ -0,0 +1,143 @@
+/**
+ * 🧪 تست Gamification Engine
+ * تست‌های پاداش XP، سطح، نشان‌ها و جلوگیری از پاداش تکراری
+ */
+
+import { GamificationEngine, calculateLevel, calculateRank, GAMIFICATION_STORES } from './gamification_engine.js';
+import { createTestDatabase, createRecordingEventBus } from '../../core/test_helpers.js';
+
+describe('GamificationEngine', () => {
+    let database;
+    let eventBus;
+    let engine;
+
+    const exerciseEvent = (exerciseId, isCorrect, extra = {}) => ({
+        sessionId: 's1', userId: 'u1', exerciseId, isCorrect, skills: ['listening'], ...extra
+    });
+
+    beforeEach(async () => {
+        database = await createTestDatabase(GAMIFICATION_STORES);
+        eventBus = createRecordingEventBus();
+        engine = new GamificationEngine({ database, eventBus });
+    });
+
+    afterEach(async () => {
+        engine.destroy();
+        await database.deleteDatabase();
+    });
+
+    // تراکنش بعدی بعد از صف کردن نوشتن‌ها شکست می‌خورد و rollback می‌شود
+    const failNextTransaction = () => {
+        const transaction = database.transaction.bind(database);
+        database.transaction = (storeNames, mode, logic) => {
+            database.transaction = transaction;
+            return transaction(storeNames, mode, async (tx) => {
+                await logic(tx);
+                throw new Error('QuotaExceededError');
+            });
+        };
+    };
+
+    test('awards XP from rules when events are published', async () => {
+        await eventBus.publish('lesson.started', { sessionId: 's1', userId: 'u1' });
+        await eventBus.publish('progress.exercise_completed', exerciseEvent('e1', true));
+        await eventBus.publish('progress.exercise_completed', exerciseEvent('e2', true, { hintsUsed: 2 }));
+        await eventBus.publish('progress.exercise_completed', exerciseEvent('e3', false));
+
+        const profile = await engine.getProfile('u1');
+        expect(profile.xp).toBe(15);
+        expect(profile.counters.exercisesCompleted).toBe(3);
+        expect(profile.counters.skills.listening).toBe(3);
+    });
+
+    test('replaying an event does not award XP or count twice', async () => {
+        const event = exerciseEvent('e1', true);
+        await eventBus.publish('progress.exercise_completed', event);
+        await eventBus.publish('progress.exercise_completed', event);
+
+        const profile = await engine.getProfile('u1');
+        expect(profile.xp).toBe(10);
+        expect(profile.counters.exercisesCompleted).toBe(1);
+
+        expect(await engine.awardXP('u1', 20, 'bonus:1')).toBe(true);
+        expect(await engine.awardXP('u1', 20, 'bonus:1')).toBe(false);
+        expect((await engine.getProfile('u1')).xp).toBe(30);
+    });
+
+    test('a failed save marks nothing so the replayed event is counted once', async () => {
+        const event = exerciseEvent('e1', true);
+        failNextTransaction();
+        await expect(engine.processEvent('progress.exercise_completed', event)).rejects.toThrow('QuotaExceededError');
+
+        expect(await database.getAll('gamification_events')).toHaveLength(0);
+        expect(await database.getAll('xp_awards')).toHaveLength(0);
+        expect(eventBus.events.some(published => published.type === 'gamification.xp_awarded')).toBe(false);
+
+        await engine.processEvent('progress.exercise_completed', event);
+        await engine.processEvent('progress.exercise_completed', event);
+
+        const profile = await engine.getProfile('u1');
+        expect(profile.xp).toBe(10);
+        expect(profile.counters.exercisesCompleted).toBe(1);
+    });
+
+    test('unlocks achievements once with timestamps and publishes them', async () => {
+        await eventBus.publish('lesson.started', { sessionId: 's1', userId: 'u1' });
+        await eventBus.publish('progress.exercise_completed', exerciseEvent('e1', true));
+        await eventBus.publish('lesson.completed', { sessionId: 's1', userId: 'u1', duration: 10 * 60000 });
+        await eventBus.publish('lesson.completed', { sessionId: 's1', userId: 'u1', duration: 10 * 60000 });
+
+        const achievements = await engine.getAchievements('u1');
+        expect(achievements.map(a => a.achievementId)).toEqual(['first_lesson']);
+        expect(achievements[0].unlockedAt.getTime()).toBeLessThanOrEqual(Date.now());
+
+        const unlocked = eventBus.events.filter(event => event.type === 'achievement.unlocked');
+        expect(unlocked).toHaveLength(1);
+        expect(unlocked[0].data).toMatchObject({ userId: 'u1', achievementId: 'first_lesson', title: 'First Steps' });
+
+        const profile = await engine.getProfile('u1');
+        expect(profile.xp).toBe(60);
+        expect(profile.counters.perfectLessons).toBe(1);
+    });
+
+    test('supports configurable per-key and condition rules', async () => {
+        engine.destroy();
+        engine = new GamificationEngine({
+            database,
+            eventBus,
+            options: {
+                achievementRules: [
+                    { id: 'skill_fan', title: '{key} Fan', metric: 'skills', threshold: 2, perKey: true, xpReward: 5 },
+                    { id: 'sharp', title: 'Sharp', condition: stats => stats.correctAnswers >= 2 }
+                ]
+            }
+        });
+
+        await eventBus.publish('progress.exercise_completed', exerciseEvent('e1', true));
+        await eventBus.publish('progress.exercise_completed', exerciseEvent('e2', true));
+
+        const ids = (await engine.getAchievements('u1')).map(a => a.achievementId).sort();
+        expect(ids).toEqual(['sharp', 'skill_fan:listening']);
+        expect((await engine.getProfile('u1')).xp).toBe(25);
+        expect(() => engine.registerAchievementRule({ id: 'sharp', title: 'x', metric: 'xp', threshold: 1 }))
+            .toThrow("Achievement rule 'sharp' already registered");
+    });
+
+    test('unlocks the week warrior badge from streak events', async () => {
+        await eventBus.publish('streak.extended', { userId: 'u1', current: 7, longest: 7 });
+        expect((await engine.getAchievements('u1')).map(a => a.achievementId)).toEqual(['week_warrior']);
+    });
+
+    test('publishes level up and computes rank', async () => {
+        await engine.awardXP('u1', 1200, 'import:legacy');
+
+        const profile = await engine.getProfile('u1');
+        expect(profile.level).toBe(2);
+        expect(profile.rank).toBe('Beginner');
+        expect(profile.xpToNextLevel).toBe(800);
+        expect(eventBus.events.some(event => event.type === 'gamification.level_up' && event.data.level === 2)).toBe(true);
+
+        expect(calculateLevel(0)).toBe(1);
+        expect(calculateRank(60000)).toBe('Master');
+    });
+});
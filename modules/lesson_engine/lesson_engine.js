@@ -3,30 +3,109 @@
  * @desc موتور اصلی آموزش - مدیریت دروس، تمرین‌ها و پیشرفت کاربر
  */
 
-// ==================== کلاس اصلی (بدون export) ====================
+import { createSeed, shuffleWithSeed } from '../exercise_manager/seeded_shuffle.js';
+
+/**
+ * تعریف storeهای مورد نیاز برای اسکیما دیتابیس
+ * @type {Array<Object>}
+ */
+const LESSON_ENGINE_STORES = [
+  {
+    name: 'lesson_sessions',
+    keyPath: 'id',
+    indexes: [
+      { name: 'userId', keyPath: 'userId' },
+      { name: 'status', keyPath: 'status' }
+    ]
+  }
+];
+
+// ==================== کلاس اصلی ====================
 class LessonEngine {
-  constructor({ database, eventBus, progressTracker }) {
-    if (!database || !eventBus || !progressTracker) {
+  constructor({ database, eventBus, progressTracker, contentRepository, exerciseManager, reviewScheduler = null, adaptiveEngine = null, vocabularyNotebook = null, options = {} }) {
+    if (!database || !eventBus || !progressTracker || !contentRepository || !exerciseManager) {
       throw new Error('All dependencies are required');
     }
     this._database = database;
     this._eventBus = eventBus;
     this._progressTracker = progressTracker;
+    this._contentRepository = contentRepository;
+    this._exerciseManager = exerciseManager;
+    this._reviewScheduler = reviewScheduler; // اختیاری - برای جلسه مرور روزانه
+    this._adaptiveEngine = adaptiveEngine; // اختیاری - انتخاب تمرین بعدی بر اساس توانایی کاربر
+    this._vocabularyNotebook = vocabularyNotebook; // اختیاری - برای درس مرور «کلمات من»
     this._activeSessions = new Map();
+    this._examTimers = new Map(); // sessionId -> تایمر مهلت سؤال فعلی آزمون
+    this._options = {
+      sessionTimeout: 24 * 60 * 60 * 1000, // جلسه‌ای که این مدت فعالیتی نداشته رها شده حساب می‌شود
+      examPassPercentage: 70, // حداقل درصد قبولی آزمون
+      ...options
+    };
   }
 
-  async loadCourse(courseId, languageCode) {
+  /**
+   * بازیابی جلسه‌های فعال و متوقف‌شده از دیتابیس (بعد از reload یا crash)
+   */
+  async init() {
+    const [active, paused] = await Promise.all([
+      this._database.queryByIndex('lesson_sessions', 'status', 'active'),
+      this._database.queryByIndex('lesson_sessions', 'status', 'paused')
+    ]);
+
+    let restored = 0;
+    for (const session of [...active, ...paused]) {
+      // آزمون رها نمی‌شود: با پاسخ‌های ثبت‌شده بسته و نتیجه‌اش ثبت می‌شود
+      if (session.type === 'exam' && this._isExamOverdue(session)) {
+        await this._finishExam(session, 'timeout');
+        continue;
+      }
+      if (this._isExpired(session)) {
+        await this._abandon(session, 'timeout');
+        continue;
+      }
+      this._activeSessions.set(session.id, session);
+      if (session.type === 'exam') this._scheduleExamTimer(session);
+      restored++;
+    }
+
+    return restored;
+  }
+
+  async loadCourse(courseId, languageCode = null) {
     try {
-      // شبیه‌سازی دیتابیس - برای تست کار می‌کند
+      const outline = await this._contentRepository.getCourseOutline(courseId);
+      if (!outline) {
+        throw new Error(`Course ${courseId} not found`);
+      }
+      if (languageCode && outline.languageCode !== languageCode) {
+        throw new Error(`Course ${courseId} is not available for language ${languageCode}`);
+      }
+
+      const toLessonSummary = (lesson) => ({
+        id: lesson.id,
+        unitId: lesson.unitId,
+        title: lesson.title,
+        order: lesson.order,
+        difficulty: lesson.difficulty,
+        duration: lesson.duration,
+        exerciseCount: lesson.exerciseIds.length,
+        prerequisites: lesson.prerequisites
+      });
+
       return {
-        id: courseId,
-        title: languageCode === 'fa' ? 'دوره فارسی' : 'English Course',
-        description: 'دوره آموزشی نمونه',
-        totalLessons: 5,
-        estimatedHours: 10,
-        lessons: [
-          { id: 'lesson_1', title: 'درس اول', order: 1, difficulty: 'beginner', duration: 30, exerciseCount: 3 }
-        ]
+        id: outline.id,
+        title: outline.title,
+        description: outline.description,
+        languageCode: outline.languageCode,
+        totalLessons: outline.lessons.length,
+        estimatedHours: outline.estimatedHours,
+        units: outline.units.map(unit => ({
+          id: unit.id,
+          title: unit.title,
+          order: unit.order,
+          lessons: unit.lessons.map(toLessonSummary)
+        })),
+        lessons: outline.lessons.map(toLessonSummary)
       };
     } catch (error) {
       this._eventBus.publish('lesson-engine.error', { action: 'loadCourse', error: error.message });
@@ -35,19 +114,41 @@ class LessonEngine {
   }
 
   async startLesson(lessonId, userId) {
+    const lesson = await this._getLessonById(lessonId);
+    if (!lesson) throw new Error(`Lesson ${lessonId} not found`);
+
+    // بررسی پیش‌نیازها بر اساس درس‌های تکمیل‌شده کاربر
+    const completedLessonIds = await this._progressTracker.getCompletedLessonIds(userId);
+    const prerequisites = await this._contentRepository.arePrerequisitesMet(lessonId, completedLessonIds);
+    if (!prerequisites.met) {
+      throw new Error(`Lesson ${lessonId} is locked. Missing prerequisites: ${prerequisites.missing.join(', ')}`);
+    }
+
     const session = {
       id: `session_${Date.now()}_${lessonId}`,
       lessonId,
       userId,
       startTime: new Date(),
+      lastActivityAt: Date.now(),
       status: 'active',
+      exercises: await this._buildSessionExercises(lesson.exerciseIds),
+      scoring: lesson.scoring || null,
       currentExerciseIndex: 0,
       completedExercises: [],
+      correctStreak: 0,
+      seed: createSeed(), // ترتیب قطعی گزینه‌ها در این تلاش
+      hints: {}, // exerciseId -> نوع راهنماهای گرفته‌شده در تلاش فعلی
+      exerciseScores: {}, // exerciseId -> امتیاز آخرین پاسخ
       score: 0
     };
+
+    if (this._adaptiveEngine) {
+      const first = await this._adaptiveEngine.pickNextExercise(userId, session.exercises);
+      session.currentExerciseIndex = first ? session.exercises.indexOf(first) : 0;
+    }
     
     await this._progressTracker.startSession(session.id, userId, lessonId);
-    this._activeSessions.set(session.id, session);
+    await this._registerSession(session);
     this._eventBus.publish('lesson.started', { sessionId: session.id, lessonId, userId });
     
     return session;
@@ -55,37 +156,239 @@ class LessonEngine {
 
   async submitExercise(submission) {
     const { sessionId, exerciseId, answers, timeSpent } = submission;
-    const session = this._activeSessions.get(sessionId);
-    
-    if (!session) throw new Error(`Session ${sessionId} not found`);
+    const session = await this._getSession(sessionId, ['active', 'completed']);
+    if (session.status === 'completed') {
+      // مهلت آزمون ممکن است همین حالا در _getSession تمام شده باشد؛ گزارش به‌جای خطا برگردانده می‌شود
+      if (session.type !== 'exam') {
+        throw new Error(`Session ${sessionId} is completed`);
+      }
+      return { accepted: false, finished: true, report: session.exam.report };
+    }
+
+    const exerciseIndex = session.exercises.findIndex(exercise => exercise.id === exerciseId);
+    if (exerciseIndex === -1) {
+      throw new Error(`Exercise ${exerciseId} is not part of session ${sessionId}`);
+    }
+    if (session.type === 'exam') {
+      return this._submitExamAnswer(session, exerciseIndex, answers);
+    }
     
-    // منطق ساده ارزیابی
-    const isCorrect = answers.length > 0;
-    const score = isCorrect ? 10 : 0;
+    // راهنماهای همین تلاش در امتیازدهی لحاظ و سپس برای تلاش بعدی پاک می‌شوند
+    const hintTypes = session.hints?.[exerciseId] || [];
+    if (session.hints) delete session.hints[exerciseId];
+
+    // ارزیابی واقعی با ارزیاب مخصوص نوع تمرین
+    const evaluation = await this._exerciseManager.evaluateAnswer(exerciseId, answers, {
+      timeSpent,
+      streak: session.correctStreak || 0,
+      hintsUsed: hintTypes.length,
+      hintTypes,
+      seed: session.seed,
+      scoring: session.scoring
+    });
+    const { isCorrect } = evaluation;
+    const score = evaluation.score || 0;
+    session.correctStreak = isCorrect ? (session.correctStreak || 0) + 1 : 0;
+
+    // پاسخ خام برای مشترکانی مثل دفترچه اشتباهات
+    this._eventBus.publish('lesson.answer_submitted', {
+      sessionId,
+      userId: session.userId,
+      lessonId: session.lessonId,
+      exerciseId,
+      answer: evaluation.answer ?? answers, // پاسخ متعارف (بعد از برگرداندن جایگاه گزینه‌ها)
+      isCorrect,
+      correctAnswers: evaluation.correctAnswers,
+      details: evaluation.details
+    });
     
     await this._progressTracker.recordExerciseResult({
       sessionId,
+      userId: session.userId,
+      lessonId: session.lessonId,
       exerciseId,
       isCorrect,
       score,
-      timeSpent
+      timeSpent,
+      credit: evaluation.details?.credit,
+      skills: evaluation.skills || [],
+      hintsUsed: hintTypes.length,
+      hintTypes,
+      seed: session.seed
     });
     
-    session.completedExercises.push(exerciseId);
-    session.score += score;
+    if (!session.completedExercises.includes(exerciseId)) {
+      session.completedExercises.push(exerciseId);
+    }
+    // پاسخ دوباره جای امتیاز قبلی همان تمرین را می‌گیرد
+    session.exerciseScores = session.exerciseScores || {};
+    session.score += score - (session.exerciseScores[exerciseId] || 0);
+    session.exerciseScores[exerciseId] = score;
+
+    const nextExerciseId = await this._pickNextExerciseId(session, exerciseIndex);
+    session.currentExerciseIndex = nextExerciseId
+      ? session.exercises.findIndex(exercise => exercise.id === nextExerciseId)
+      : session.exercises.length;
+    await this._touch(session);
     
     return {
       isCorrect,
       score,
-      feedback: isCorrect ? 'عالی! درست جواب دادید.' : 'اشکال نداره، دوباره تلاش کنید.',
-      correctAnswers: ['A', 'B', 'C'],
-      nextExerciseId: 'ex_2'
+      scoreBreakdown: evaluation.scoreBreakdown,
+      feedback: evaluation.feedback,
+      correctAnswers: evaluation.correctAnswers,
+      explanation: evaluation.explanation,
+      details: evaluation.details,
+      nextExerciseId
+    };
+  }
+
+  /**
+   * تمرین جلسه با ترتیب گزینه‌های همین تلاش؛ بازپخش جلسه همان ترتیب را نمایش می‌دهد
+   * در آزمون پاسخ‌ها حذف می‌شوند (مثل getExamQuestion)
+   */
+  async getSessionExercise(sessionId, exerciseId) {
+    const session = await this._getSession(sessionId, ['active', 'paused', 'completed']);
+    if (!session.exercises.some(exercise => exercise.id === exerciseId)) {
+      throw new Error(`Exercise ${exerciseId} is not part of session ${sessionId}`);
+    }
+
+    const exercise = session.seed
+      ? await this._exerciseManager.getExerciseVariant(exerciseId, session.seed)
+      : await this._exerciseManager.getExercise(exerciseId);
+    return session.type === 'exam' ? this._presentExamExercise(exercise) : exercise;
+  }
+
+  /**
+   * راهنمای بعدی تمرین در تلاش فعلی؛ هر درخواست کمک بیشتری می‌کند
+   */
+  async requestHint(sessionId, exerciseId) {
+    const session = await this._getSession(sessionId, ['active']);
+    if (session.type === 'exam') {
+      throw new Error('Hints are not available in exam mode');
+    }
+    if (!session.exercises.some(exercise => exercise.id === exerciseId)) {
+      throw new Error(`Exercise ${exerciseId} is not part of session ${sessionId}`);
+    }
+
+    session.hints = session.hints || {};
+    const used = session.hints[exerciseId] || [];
+    const hint = await this._exerciseManager.getHint(exerciseId, used.length);
+    if (!hint) {
+      throw new Error(`No more hints for exercise ${exerciseId}`);
+    }
+
+    session.hints[exerciseId] = [...used, hint.type];
+    await this._touch(session);
+
+    this._eventBus.publish('lesson.hint_requested', {
+      sessionId,
+      userId: session.userId,
+      exerciseId,
+      hintType: hint.type,
+      level: hint.level
+    });
+
+    return hint;
+  }
+
+  /**
+   * شروع آزمون: زمان کل و زمان هر سؤال، ترتیب تصادفی، بدون بازخورد تا پایان
+   */
+  async startExam(lessonId, userId, { timeLimit = null, questionTimeLimit = null, shuffleQuestions = true, shuffleOptions = true, passPercentage = this._options.examPassPercentage } = {}) {
+    const lesson = await this._getLessonById(lessonId);
+    if (!lesson) throw new Error(`Lesson ${lessonId} not found`);
+    if (lesson.exerciseIds.length === 0) throw new Error(`Lesson ${lessonId} has no exercises`);
+
+    const now = Date.now();
+    const seed = createSeed();
+    // ترتیب سؤال‌ها هم از seed همین تلاش ساخته می‌شود تا قابل بازسازی باشد
+    const exerciseIds = shuffleQuestions ? shuffleWithSeed(lesson.exerciseIds, `${seed}:questions`) : [...lesson.exerciseIds];
+
+    const session = {
+      id: `exam_${now}_${lessonId}`,
+      lessonId,
+      userId,
+      type: 'exam',
+      startTime: new Date(now),
+      lastActivityAt: now,
+      status: 'active',
+      exercises: exerciseIds.map(id => ({ id })),
+      exam: {
+        timeLimit,
+        questionTimeLimit,
+        passPercentage,
+        deadline: timeLimit ? now + timeLimit : null,
+        seed,
+        questionStartedAt: now,
+        answers: []
+      },
+      scoring: lesson.scoring || null,
+      currentExerciseIndex: 0,
+      completedExercises: [],
+      correctStreak: 0,
+      seed: shuffleOptions ? seed : null, // ترتیب قطعی گزینه‌ها در این تلاش
+      score: 0
     };
+
+    await this._progressTracker.startSession(session.id, userId, lessonId);
+    await this._registerSession(session);
+    this._scheduleExamTimer(session);
+    this._eventBus.publish('lesson.exam_started', {
+      sessionId: session.id,
+      lessonId,
+      userId,
+      questionCount: exerciseIds.length,
+      deadline: session.exam.deadline
+    });
+
+    return session;
+  }
+
+  /**
+   * سؤال فعلی آزمون با گزینه‌های جابه‌جاشده و بدون پاسخ درست؛ سؤال‌های وقت‌گذشته خودکار ثبت می‌شوند
+   * @returns {Promise<Object|null>} null اگر آزمون به پایان رسیده باشد
+   */
+  async getExamQuestion(sessionId) {
+    const session = await this._getSession(sessionId, ['active', 'completed']);
+    if (session.type !== 'exam') {
+      throw new Error(`Session ${sessionId} is not an exam`);
+    }
+
+    if (session.status !== 'active' || await this._enforceExamTime(session)) {
+      return null;
+    }
+
+    const entry = session.exercises[session.currentExerciseIndex];
+    const exercise = session.seed
+      ? await this._exerciseManager.getExerciseVariant(entry.id, session.seed)
+      : await this._exerciseManager.getExercise(entry.id);
+
+    return {
+      sessionId,
+      exerciseId: entry.id,
+      index: session.currentExerciseIndex,
+      total: session.exercises.length,
+      exercise: this._presentExamExercise(exercise),
+      questionDeadline: this._getQuestionDeadline(session),
+      examDeadline: session.exam.deadline
+    };
+  }
+
+  /**
+   * پایان آزمون: سؤال‌های بی‌پاسخ صفر می‌شوند و گزارش نهایی جدا از تمرین‌ها ثبت می‌شود
+   */
+  async finishExam(sessionId, reason = 'submitted') {
+    const session = await this._getSession(sessionId, ['active']);
+    if (session.type !== 'exam') {
+      throw new Error(`Session ${sessionId} is not an exam`);
+    }
+    return this._finishExam(session, reason);
   }
 
   async getProgress(userId, courseId) {
     const progress = await this._progressTracker.getUserProgress(userId, courseId);
-    const course = await this.loadCourse(courseId, 'en');
+    const course = await this.loadCourse(courseId);
     
     return {
       userId,
@@ -101,20 +404,477 @@ class LessonEngine {
     };
   }
 
+  /**
+   * توقف موقت جلسه
+   */
+  async pauseLesson(sessionId) {
+    const session = await this._getSession(sessionId, ['active']);
+    if (session.type === 'exam') {
+      throw new Error('Exam sessions cannot be paused');
+    }
+
+    session.status = 'paused';
+    session.pausedAt = Date.now();
+    await this._touch(session);
+
+    this._eventBus.publish('lesson.paused', { sessionId, lessonId: session.lessonId, userId: session.userId });
+    return session;
+  }
+
+  /**
+   * ادامه جلسه متوقف‌شده
+   */
+  async resumeLesson(sessionId) {
+    const session = await this._getSession(sessionId, ['paused']);
+
+    session.pausedDuration = (session.pausedDuration || 0) + (Date.now() - session.pausedAt);
+    session.status = 'active';
+    session.pausedAt = null;
+    await this._touch(session);
+
+    this._eventBus.publish('lesson.resumed', { sessionId, lessonId: session.lessonId, userId: session.userId });
+    return session;
+  }
+
+  /**
+   * رها کردن جلسه بدون ثبت تکمیل درس
+   */
+  async abandonLesson(sessionId, reason = 'user') {
+    const session = await this._getSession(sessionId, ['active', 'paused']);
+    await this._abandon(session, reason);
+    return session;
+  }
+
+  /**
+   * تکمیل درس و ثبت نهایی در ProgressTracker
+   */
+  async completeLesson(sessionId) {
+    const session = await this._getSession(sessionId, ['active', 'paused']);
+    if (session.type === 'exam') {
+      return this.finishExam(sessionId);
+    }
+
+    const isCompleted = session.lessonId
+      ? await this._isLessonCompleted(session)
+      : session.exercises.every(exercise => session.completedExercises.includes(exercise.id));
+    if (!isCompleted) {
+      throw new Error(`Session ${sessionId} still has unanswered exercises`);
+    }
+
+    const endTime = new Date();
+    // توقف جاری هم جزو زمان توقف است، نه زمان یادگیری
+    if (session.status === 'paused') {
+      session.pausedDuration = (session.pausedDuration || 0) + (endTime.getTime() - session.pausedAt);
+      session.pausedAt = null;
+    }
+    if (session.lessonId) {
+      await this._progressTracker.completeLesson(
+        session.userId,
+        session.lessonId,
+        session.score,
+        new Date(session.startTime),
+        endTime
+      );
+    }
+
+    session.status = 'completed';
+    session.endTime = endTime;
+    await this._touch(session);
+    this._activeSessions.delete(sessionId);
+
+    this._eventBus.publish('lesson.completed', {
+      sessionId,
+      lessonId: session.lessonId,
+      userId: session.userId,
+      score: session.score,
+      duration: endTime - new Date(session.startTime) - (session.pausedDuration || 0)
+    });
+
+    return {
+      sessionId,
+      lessonId: session.lessonId,
+      score: session.score,
+      completedExercises: session.completedExercises.length,
+      totalExercises: session.exercises.length
+    };
+  }
+
+  /**
+   * ساخت جلسه مرور روزانه از آیتم‌هایی که موعد مرورشان رسیده
+   */
+  async startReviewSession(userId, limit = 20) {
+    if (!this._reviewScheduler) {
+      throw new Error('Review scheduler is not configured');
+    }
+
+    const dueItems = await this._reviewScheduler.getDueReviews(userId, limit);
+    const session = {
+      id: `review_${Date.now()}_${userId}`,
+      lessonId: null,
+      userId,
+      type: 'review',
+      startTime: new Date(),
+      lastActivityAt: Date.now(),
+      status: 'active',
+      exercises: dueItems.map(item => ({ id: item.exerciseId, reviewItemId: item.id })),
+      currentExerciseIndex: 0,
+      completedExercises: [],
+      correctStreak: 0,
+      seed: createSeed(), // ترتیب قطعی گزینه‌ها در این تلاش
+      score: 0
+    };
+
+    await this._progressTracker.startSession(session.id, userId, null);
+    await this._registerSession(session);
+    this._eventBus.publish('lesson.review_started', { sessionId: session.id, userId, itemCount: dueItems.length });
+
+    return session;
+  }
+
+  /**
+   * ساخت درس مرور «کلمات من» از تمرین‌های کلماتی که بیشتر به مرور نیاز دارند
+   */
+  async startMyWordsSession(userId, { limit = 20, starredOnly = false } = {}) {
+    if (!this._vocabularyNotebook) {
+      throw new Error('Vocabulary notebook is not configured');
+    }
+
+    const words = await this._vocabularyNotebook.getReviewWords(userId, { limit, starredOnly });
+    const exerciseIds = [...new Set(words.flatMap(word => word.exerciseIds))].slice(0, limit);
+    if (exerciseIds.length === 0) {
+      throw new Error('No words to review yet');
+    }
+
+    const session = {
+      id: `words_${Date.now()}_${userId}`,
+      lessonId: null,
+      userId,
+      type: 'my_words',
+      startTime: new Date(),
+      lastActivityAt: Date.now(),
+      status: 'active',
+      exercises: exerciseIds.map(id => ({ id })),
+      words: words.map(word => word.lemma),
+      currentExerciseIndex: 0,
+      completedExercises: [],
+      correctStreak: 0,
+      seed: createSeed(), // ترتیب قطعی گزینه‌ها در این تلاش
+      score: 0
+    };
+
+    await this._progressTracker.startSession(session.id, userId, null);
+    await this._registerSession(session);
+    this._eventBus.publish('lesson.my_words_started', { sessionId: session.id, userId, wordCount: words.length });
+
+    return session;
+  }
+
+  /**
+   * توقف تایمرهای آزمون
+   */
+  destroy() {
+    for (const sessionId of [...this._examTimers.keys()]) {
+      this._clearExamTimer(sessionId);
+    }
+  }
+
   // ==================== متدهای کمکی ====================
+  /**
+   * دریافت جلسه از حافظه یا دیتابیس با بررسی وضعیت و timeout
+   * آزمون وقت‌گذشته پیش از هر بررسی دیگری با نتیجه بسته می‌شود
+   */
+  async _getSession(sessionId, allowedStatuses) {
+    let session = this._activeSessions.get(sessionId);
+    if (!session) {
+      session = await this._database.get('lesson_sessions', sessionId);
+      if (session && ['active', 'paused'].includes(session.status)) {
+        this._activeSessions.set(sessionId, session);
+        if (session.type === 'exam') this._scheduleExamTimer(session);
+      }
+    }
+
+    if (!session) throw new Error(`Session ${sessionId} not found`);
+
+    if (session.type === 'exam' && session.status === 'active' && this._isExamOverdue(session)) {
+      await this._finishExam(session, 'timeout');
+    } else if (['active', 'paused'].includes(session.status) && this._isExpired(session)) {
+      await this._abandon(session, 'timeout');
+      throw new Error(`Session ${sessionId} has expired`);
+    }
+
+    if (!allowedStatuses.includes(session.status)) {
+      throw new Error(`Session ${sessionId} is ${session.status}`);
+    }
+
+    return session;
+  }
+
+  async _registerSession(session) {
+    await this._database.add('lesson_sessions', session);
+    this._activeSessions.set(session.id, session);
+  }
+
+  async _touch(session) {
+    session.lastActivityAt = Date.now();
+    await this._database.update('lesson_sessions', session.id, session);
+  }
+
+  async _abandon(session, reason) {
+    session.status = 'abandoned';
+    session.abandonReason = reason;
+    await this._database.update('lesson_sessions', session.id, session);
+    this._activeSessions.delete(session.id);
+
+    this._eventBus.publish('lesson.abandoned', {
+      sessionId: session.id,
+      lessonId: session.lessonId,
+      userId: session.userId,
+      reason
+    });
+  }
+
+  _isExpired(session) {
+    return Date.now() - session.lastActivityAt > this._options.sessionTimeout;
+  }
+
+  /**
+   * آزمونی که زمان کلش تمام شده یا مدت بی‌فعالیتی‌اش از timeout جلسه گذشته
+   */
+  _isExamOverdue(session) {
+    const { deadline } = session.exam;
+    return Boolean(deadline && Date.now() >= deadline) || this._isExpired(session);
+  }
+
   async _getLessonById(lessonId) {
-    // شبیه‌سازی
+    return this._contentRepository.getLesson(lessonId);
+  }
+
+  /**
+   * تمرین‌های جلسه؛ با موتور تطبیقی، سختی و مهارت هر تمرین هم نگه داشته می‌شود
+   */
+  async _buildSessionExercises(exerciseIds) {
+    if (!this._adaptiveEngine) {
+      return exerciseIds.map(id => ({ id }));
+    }
+
+    const exercises = await Promise.all(exerciseIds.map(id => this._exerciseManager.getExercise(id)));
+    return exerciseIds.map((id, index) => ({
+      id,
+      type: exercises[index]?.type || null,
+      difficulty: exercises[index]?.difficulty || null,
+      skills: exercises[index]?.skills || []
+    }));
+  }
+
+  /**
+   * تمرین بعدی: با موتور تطبیقی مناسب‌ترین تمرین باقی‌مانده، وگرنه به ترتیب درس
+   */
+  async _pickNextExerciseId(session, fromIndex) {
+    if (!this._adaptiveEngine) {
+      return this._getNextExerciseId(session, fromIndex);
+    }
+
+    const completed = new Set(session.completedExercises);
+    const remaining = session.exercises.filter(exercise => !completed.has(exercise.id));
+    const next = await this._adaptiveEngine.pickNextExercise(session.userId, remaining);
+    return next ? next.id : null;
+  }
+
+  /**
+   * اولین تمرین انجام‌نشده بعد از تمرین فعلی (با چرخش به ابتدای لیست)
+   */
+  _getNextExerciseId(session, fromIndex) {
+    const completed = new Set(session.completedExercises);
+    const total = session.exercises.length;
+
+    for (let offset = 1; offset <= total; offset++) {
+      const candidate = session.exercises[(fromIndex + offset) % total];
+      if (!completed.has(candidate.id)) {
+        return candidate.id;
+      }
+    }
+    return null;
+  }
+
+  // ==================== آزمون ====================
+
+  /**
+   * ثبت پاسخ آزمون بدون بازخورد؛ پاسخ بعد از پایان زمان سؤال پذیرفته نمی‌شود
+   */
+  async _submitExamAnswer(session, exerciseIndex, answers) {
+    if (await this._enforceExamTime(session)) {
+      return { accepted: false, finished: true, report: session.exam.report };
+    }
+    if (exerciseIndex !== session.currentExerciseIndex) {
+      throw new Error(`Exercise ${session.exercises[exerciseIndex].id} is not the current exam question`);
+    }
+
+    const entry = session.exercises[exerciseIndex];
+    const evaluation = await this._exerciseManager.evaluateAnswer(entry.id, answers, {
+      timeSpent: Math.round((Date.now() - session.exam.questionStartedAt) / 1000),
+      seed: session.seed,
+      scoring: session.scoring
+    });
+    this._recordExamAnswer(session, entry.id, evaluation.answer ?? answers, evaluation, false);
+
+    if (session.currentExerciseIndex >= session.exercises.length) {
+      const report = await this._finishExam(session, 'submitted');
+      return { accepted: true, finished: true, report };
+    }
+
+    await this._touch(session);
+    this._scheduleExamTimer(session);
     return {
-      id: lessonId,
-      exercises: [
-        { id: 'ex_1' }, { id: 'ex_2' }, { id: 'ex_3' }
-      ]
+      accepted: true,
+      finished: false,
+      nextExerciseId: session.exercises[session.currentExerciseIndex].id
     };
   }
 
+  /**
+   * ثبت خودکار سؤال‌هایی که وقتشان تمام شده؛ اگر زمان کل تمام شده باشد آزمون بسته می‌شود
+   * @returns {Promise<boolean>} true اگر آزمون به پایان رسیده باشد
+   */
+  async _enforceExamTime(session) {
+    const now = Date.now();
+    if (session.exam.deadline && now >= session.exam.deadline) {
+      await this._finishExam(session, 'timeout');
+      return true;
+    }
+
+    let changed = false;
+    while (session.currentExerciseIndex < session.exercises.length && now >= this._getQuestionDeadline(session)) {
+      const questionDeadline = this._getQuestionDeadline(session);
+      this._recordExamAnswer(session, session.exercises[session.currentExerciseIndex].id, null, null, true, questionDeadline);
+      changed = true;
+    }
+
+    if (session.currentExerciseIndex >= session.exercises.length) {
+      await this._finishExam(session, 'timeout');
+      return true;
+    }
+    if (changed) {
+      await this._touch(session);
+      this._scheduleExamTimer(session);
+    }
+    return false;
+  }
+
+  /**
+   * تایمر مهلت سؤال فعلی؛ بدون آن مهلت‌ها فقط هنگام دسترسی به جلسه اعمال می‌شدند
+   */
+  _scheduleExamTimer(session) {
+    this._clearExamTimer(session.id);
+    const deadline = this._getQuestionDeadline(session);
+    if (deadline === Infinity) return;
+
+    const timer = setTimeout(() => {
+      this._examTimers.delete(session.id);
+      if (session.status !== 'active') return;
+      this._enforceExamTime(session).catch(error => {
+        this._eventBus.publish('lesson-engine.error', { action: 'enforceExamTime', sessionId: session.id, error: error.message });
+      });
+    }, Math.max(0, deadline - Date.now()));
+    this._examTimers.set(session.id, timer);
+  }
+
+  _clearExamTimer(sessionId) {
+    const timer = this._examTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this._examTimers.delete(sessionId);
+    }
+  }
+
+  _recordExamAnswer(session, exerciseId, answer, evaluation, timedOut, at = Date.now()) {
+    session.exam.answers.push({
+      exerciseId,
+      answer,
+      timedOut,
+      timeSpent: Math.round((at - session.exam.questionStartedAt) / 1000),
+      isCorrect: evaluation ? evaluation.isCorrect : false,
+      score: evaluation ? (evaluation.score || 0) : 0,
+      feedback: evaluation ? evaluation.feedback : null,
+      correctAnswers: evaluation ? evaluation.correctAnswers : null,
+      explanation: evaluation ? evaluation.explanation : null
+    });
+
+    session.completedExercises.push(exerciseId);
+    session.score += evaluation ? (evaluation.score || 0) : 0;
+    session.currentExerciseIndex++;
+    session.exam.questionStartedAt = at;
+  }
+
+  async _finishExam(session, reason) {
+    this._clearExamTimer(session.id);
+    // سؤال‌های باقی‌مانده بدون پاسخ ثبت می‌شوند
+    while (session.currentExerciseIndex < session.exercises.length) {
+      this._recordExamAnswer(session, session.exercises[session.currentExerciseIndex].id, null, null, reason === 'timeout');
+    }
+
+    const endTime = new Date();
+    const answers = session.exam.answers;
+    const correctCount = answers.filter(answer => answer.isCorrect).length;
+    const percentage = Math.round((correctCount / answers.length) * 100);
+
+    const report = {
+      sessionId: session.id,
+      lessonId: session.lessonId,
+      userId: session.userId,
+      score: session.score,
+      correctCount,
+      totalQuestions: answers.length,
+      percentage,
+      passed: percentage >= session.exam.passPercentage,
+      reason,
+      startTime: new Date(session.startTime),
+      endTime,
+      duration: endTime - new Date(session.startTime),
+      questions: answers
+    };
+
+    await this._progressTracker.recordExamResult(report);
+
+    session.status = 'completed';
+    session.endTime = endTime;
+    session.exam.report = report;
+    await this._touch(session);
+    this._activeSessions.delete(session.id);
+
+    this._eventBus.publish('lesson.exam_finished', {
+      sessionId: session.id,
+      lessonId: session.lessonId,
+      userId: session.userId,
+      percentage,
+      passed: report.passed,
+      reason
+    });
+
+    return report;
+  }
+
+  _getQuestionDeadline(session) {
+    const { questionTimeLimit, deadline, questionStartedAt } = session.exam;
+    const questionDeadline = questionTimeLimit ? questionStartedAt + questionTimeLimit : Infinity;
+    return Math.min(questionDeadline, deadline || Infinity);
+  }
+
+  /**
+   * حذف پاسخ‌ها از تمرین قبل از نمایش در آزمون
+   */
+  _presentExamExercise(exercise) {
+    const {
+      correctAnswer, correctAnswers, correctPairs, acceptedOrders, acceptedTranslations,
+      acceptedTranscripts, transcript, explanation, hints, ...presented
+    } = exercise;
+    return presented;
+  }
+
   async _isLessonCompleted(session) {
-    const lesson = await this._getLessonById(session.lessonId); // ✅ درست شد
-    return session.completedExercises.length >= (lesson?.exercises?.length || 0);
+    const lesson = await this._getLessonById(session.lessonId);
+    if (!lesson) return false;
+    const completed = new Set(session.completedExercises);
+    return lesson.exerciseIds.every(id => completed.has(id));
   }
 }
 
@@ -123,8 +883,21 @@ class ILessonEngine {
   async loadCourse(courseId, languageCode) { throw new Error('Method not implemented'); }
   async startLesson(lessonId, userId) { throw new Error('Method not implemented'); }
   async submitExercise(submission) { throw new Error('Method not implemented'); }
+  async getSessionExercise(sessionId, exerciseId) { throw new Error('Method not implemented'); }
+  async requestHint(sessionId, exerciseId) { throw new Error('Method not implemented'); }
   async getProgress(userId, courseId) { throw new Error('Method not implemented'); }
+  async pauseLesson(sessionId) { throw new Error('Method not implemented'); }
+  async resumeLesson(sessionId) { throw new Error('Method not implemented'); }
+  async abandonLesson(sessionId, reason) { throw new Error('Method not implemented'); }
+  async completeLesson(sessionId) { throw new Error('Method not implemented'); }
+  async startExam(lessonId, userId, options) { throw new Error('Method not implemented'); }
+  async getExamQuestion(sessionId) { throw new Error('Method not implemented'); }
+  async finishExam(sessionId, reason) { throw new Error('Method not implemented'); }
 }
 
 // ==================== تایپ‌ها ====================
 // (همان typedefها را اینجا نگه دار)
+
+// ==================== Export ====================
+
+export { ILessonEngine, LessonEngine, LESSON_ENGINE_STORES };
@@ -0,0 +1,272 @@
+/**
+ * 🧪 تست LessonEngine
+ * چرخه عمر جلسه روی دیتابیس درون‌حافظه‌ای با ProgressTracker واقعی
+ */
+
+import { LessonEngine, LESSON_ENGINE_STORES } from './lesson_engine.js';
+import { ProgressTracker, PROGRESS_TRACKER_STORES } from '../progress_tracker/progrss_tracker.js';
+import ExerciseManager from '../exercise_manager/exercise_manager.js';
+import ExerciseRepository, { EXERCISE_STORES } from '../exercise_manager/exercise_repository.js';
+import { createTestDatabase } from '../../core/test_helpers.js';
+
+const LESSON = { id: 'en_1', exerciseIds: ['e1', 'e2'], prerequisites: [] };
+
+describe('LessonEngine on MemoryDatabase', () => {
+    let database;
+    let events;
+    let eventBus;
+    let engines;
+
+    const createEngine = (options = {}, dependencies = {}) => track(new LessonEngine({
+        database,
+        eventBus,
+        progressTracker: new ProgressTracker({ database, eventBus }),
+        contentRepository: {
+            getLesson: async (lessonId) => (lessonId === LESSON.id ? LESSON : null),
+            arePrerequisitesMet: async () => ({ met: true, missing: [] })
+        },
+        exerciseManager: {
+            getExercise: async (id) => ({ id, type: 'multipleChoice', options: ['a', 'b'], correctAnswer: 0 }),
+            getExerciseVariant: async (id) => ({ id, type: 'multipleChoice', options: ['a', 'b'], correctAnswer: 0 }),
+            evaluateAnswer: async (id, answer) => ({ isCorrect: answer === 0, score: answer === 0 ? 10 : 0 })
+        },
+        ...dependencies,
+        options
+    }));
+
+    const track = (engine) => {
+        engines.push(engine);
+        return engine;
+    };
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    const eventNames = () => events.map(event => event.name).filter(name => name.startsWith('lesson.'));
+
+    beforeEach(async () => {
+        database = await createTestDatabase([...LESSON_ENGINE_STORES, ...PROGRESS_TRACKER_STORES, ...EXERCISE_STORES]);
+        events = [];
+        eventBus = { publish: (name, payload) => events.push({ name, payload }) };
+        engines = [];
+    });
+
+    afterEach(async () => {
+        engines.forEach(engine => engine.destroy());
+        await database.deleteDatabase();
+    });
+
+    test('persists the session and restores it after a reload', async () => {
+        const engine = createEngine();
+        const session = await engine.startLesson('en_1', 'u1');
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e1', answers: 0, timeSpent: 5 });
+        await engine.pauseLesson(session.id);
+
+        const stored = await database.get('lesson_sessions', session.id);
+        expect(stored).toMatchObject({ status: 'paused', completedExercises: ['e1'], score: 10 });
+
+        const reloaded = createEngine();
+        expect(await reloaded.init()).toBe(1);
+
+        const resumed = await reloaded.resumeLesson(session.id);
+        expect(resumed).toMatchObject({ status: 'active', completedExercises: ['e1'] });
+    });
+
+    test('abandons sessions that timed out while the app was closed', async () => {
+        const engine = createEngine({ sessionTimeout: 60 * 1000 });
+        const session = await engine.startLesson('en_1', 'u1');
+        await database.update('lesson_sessions', session.id, { lastActivityAt: Date.now() - 2 * 60 * 1000 });
+
+        const reloaded = createEngine({ sessionTimeout: 60 * 1000 });
+        expect(await reloaded.init()).toBe(0);
+
+        expect(await database.get('lesson_sessions', session.id)).toMatchObject({
+            status: 'abandoned',
+            abandonReason: 'timeout'
+        });
+        expect(events.find(event => event.name === 'lesson.abandoned').payload).toMatchObject({ reason: 'timeout' });
+        await expect(reloaded.resumeLesson(session.id)).rejects.toThrow('is abandoned');
+    });
+
+    test('rejects an expired session on access', async () => {
+        const engine = createEngine({ sessionTimeout: 60 * 1000 });
+        const session = await engine.startLesson('en_1', 'u1');
+        session.lastActivityAt = Date.now() - 2 * 60 * 1000;
+
+        await expect(engine.submitExercise({ sessionId: session.id, exerciseId: 'e1', answers: 0 }))
+            .rejects.toThrow('has expired');
+        expect(await database.get('lesson_sessions', session.id)).toMatchObject({ status: 'abandoned' });
+    });
+
+    test('publishes each lifecycle event in order', async () => {
+        const engine = createEngine();
+        const session = await engine.startLesson('en_1', 'u1');
+        await engine.pauseLesson(session.id);
+        await engine.resumeLesson(session.id);
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e1', answers: 0 });
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e2', answers: 1 });
+        await engine.completeLesson(session.id);
+
+        const other = await engine.startLesson('en_1', 'u2');
+        await engine.abandonLesson(other.id);
+
+        expect(eventNames()).toEqual([
+            'lesson.started',
+            'lesson.paused',
+            'lesson.resumed',
+            'lesson.answer_submitted',
+            'lesson.answer_submitted',
+            'lesson.completed',
+            'lesson.started',
+            'lesson.abandoned'
+        ]);
+        expect(await database.get('lesson_sessions', session.id)).toMatchObject({ status: 'completed', score: 10 });
+        expect(await database.get('lesson_sessions', other.id)).toMatchObject({ status: 'abandoned', abandonReason: 'user' });
+    });
+
+    test('does not count the current pause when completing a paused session', async () => {
+        const engine = createEngine();
+        const session = await engine.startLesson('en_1', 'u1');
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e1', answers: 0 });
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e2', answers: 0 });
+        await engine.pauseLesson(session.id);
+
+        // یک دقیقه کار و بعد یک دقیقه توقف
+        session.startTime = new Date(Date.now() - 2 * 60 * 1000);
+        session.pausedAt = Date.now() - 60 * 1000;
+        await engine.completeLesson(session.id);
+
+        const { duration } = events.find(event => event.name === 'lesson.completed').payload;
+        expect(duration).toBeGreaterThanOrEqual(60 * 1000);
+        expect(duration).toBeLessThan(61 * 1000);
+        expect(await database.get('lesson_sessions', session.id)).toMatchObject({ pausedAt: null });
+    });
+
+    test('replaces the score of a re-submitted exercise instead of adding to it', async () => {
+        const engine = createEngine();
+        const session = await engine.startLesson('en_1', 'u1');
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e1', answers: 0 });
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e1', answers: 0 });
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e2', answers: 0 });
+        expect(session.score).toBe(20);
+
+        await engine.submitExercise({ sessionId: session.id, exerciseId: 'e2', answers: 1 });
+        await engine.completeLesson(session.id);
+
+        expect(await database.get('lesson_sessions', session.id)).toMatchObject({ score: 10, completedExercises: ['e1', 'e2'] });
+        expect(events.find(event => event.name === 'lesson.completed').payload).toMatchObject({ score: 10 });
+    });
+
+    test('scores a revealed answer as zero with the default scoring', async () => {
+        const exerciseManager = new ExerciseManager({
+            exerciseRepository: new ExerciseRepository({ database }),
+            logger: { info() {}, error() {} }
+        });
+        const exercise = await exerciseManager.createExercise('multipleChoice', {
+            lessonId: 'en_2',
+            difficulty: 'beginner',
+            question: 'I ___ home yesterday',
+            options: ['go', 'went', 'gone'],
+            correctAnswer: 'went'
+        });
+        const engine = createEngine({}, {
+            exerciseManager,
+            contentRepository: {
+                getLesson: async () => ({ id: 'en_2', exerciseIds: [exercise.id], prerequisites: [] }),
+                arePrerequisitesMet: async () => ({ met: true, missing: [] })
+            }
+        });
+
+        const session = await engine.startLesson('en_2', 'u1');
+        let hint;
+        do {
+            hint = await engine.requestHint(session.id, exercise.id);
+        } while (hint.type !== 'reveal_answer');
+        const result = await engine.submitExercise({ sessionId: session.id, exerciseId: exercise.id, answers: 'went', timeSpent: 5 });
+
+        expect(result.isCorrect).toBe(true);
+        expect(result.score).toBe(0);
+        expect(result.scoreBreakdown.adjustments.map(adjustment => adjustment.type)).toEqual(['hintPenalty']);
+    });
+
+    describe('exam mode', () => {
+        const examResult = (sessionId) => database.get('exam_results', sessionId);
+
+        test('records a timed-out result instead of abandoning an overdue exam on reload', async () => {
+            const engine = createEngine({ sessionTimeout: 60 * 1000 });
+            const exam = await engine.startExam('en_1', 'u1', { timeLimit: 10 * 60 * 1000 });
+            await engine.submitExercise({ sessionId: exam.id, exerciseId: exam.exercises[0].id, answers: 0 });
+            engine.destroy();
+
+            // هم مهلت آزمون گذشته و هم timeout جلسه
+            await database.update('lesson_sessions', exam.id, {
+                lastActivityAt: Date.now() - 2 * 60 * 1000,
+                exam: { ...exam.exam, deadline: Date.now() - 1000 }
+            });
+
+            const reloaded = createEngine({ sessionTimeout: 60 * 1000 });
+            expect(await reloaded.init()).toBe(0);
+
+            expect(await database.get('lesson_sessions', exam.id)).toMatchObject({ status: 'completed' });
+            expect(await examResult(exam.id)).toMatchObject({ userId: 'u1', correctCount: 1, totalQuestions: 2 });
+            expect(eventNames()).not.toContain('lesson.abandoned');
+            expect(events.find(event => event.name === 'lesson.exam_finished').payload).toMatchObject({ reason: 'timeout' });
+        });
+
+        test('finishes an inactive exam on access before the session expiry check', async () => {
+            const engine = createEngine({ sessionTimeout: 60 * 1000 });
+            const exam = await engine.startExam('en_1', 'u1');
+            exam.lastActivityAt = Date.now() - 2 * 60 * 1000;
+
+            await expect(engine.abandonLesson(exam.id)).rejects.toThrow('is completed');
+
+            expect(await examResult(exam.id)).toMatchObject({ correctCount: 0, totalQuestions: 2 });
+            expect(eventNames()).not.toContain('lesson.abandoned');
+            expect(await engine.getExamQuestion(exam.id)).toBeNull();
+        });
+
+        test('hides the answers of exam exercises', async () => {
+            const engine = createEngine();
+            const exam = await engine.startExam('en_1', 'u1');
+
+            const exercise = await engine.getSessionExercise(exam.id, 'e1');
+            expect(exercise).toMatchObject({ id: 'e1', options: ['a', 'b'] });
+            expect(exercise).not.toHaveProperty('correctAnswer');
+        });
+
+        test('returns the timed-out report when an answer arrives after the deadline', async () => {
+            const engine = createEngine();
+            const exam = await engine.startExam('en_1', 'u1', { timeLimit: 10 * 60 * 1000 });
+            engine.destroy();
+            exam.exam.deadline = Date.now() - 1000;
+
+            const result = await engine.submitExercise({ sessionId: exam.id, exerciseId: exam.exercises[0].id, answers: 0 });
+
+            expect(result).toMatchObject({ accepted: false, finished: true, report: { reason: 'timeout', correctCount: 0 } });
+            expect(await examResult(exam.id)).toMatchObject({ correctCount: 0, totalQuestions: 2 });
+        });
+
+        test('enforces the exam deadline with a timer', async () => {
+            const engine = createEngine();
+            const exam = await engine.startExam('en_1', 'u1', { timeLimit: 30 });
+
+            await sleep(100);
+
+            expect(exam.status).toBe('completed');
+            expect(await examResult(exam.id)).toMatchObject({ correctCount: 0, totalQuestions: 2 });
+            expect(events.find(event => event.name === 'lesson.exam_finished').payload).toMatchObject({ reason: 'timeout' });
+        });
+
+        test('moves to the next question when the question timer runs out', async () => {
+            const engine = createEngine();
+            const exam = await engine.startExam('en_1', 'u1', { questionTimeLimit: 30, shuffleQuestions: false });
+
+            await sleep(45);
+            const question = await engine.getExamQuestion(exam.id);
+            expect(question).toMatchObject({ exerciseId: 'e2', index: 1 });
+            expect(exam.exam.answers[0]).toMatchObject({ exerciseId: 'e1', timedOut: true });
+
+            await sleep(60);
+            expect(exam.status).toBe('completed');
+        });
+    });
+});
@@ -0,0 +1,370 @@
+/**
+ * @file modules/mistake_journal/mistake_journal.js
+ * @desc دفترچه اشتباهات - ثبت پاسخ‌های غلط با دسته خطا و ساخت مجموعه تمرین جبرانی
+ * @implements IMistakeJournal (قرارداد انتزاعی)
+ */
+
+import { normalizeText, levenshtein } from '../exercise_manager/text_normalizer.js';
+import { parseSkillTag } from '../skill_taxonomy/skill_taxonomy.js';
+
+/**
+ * @interface IMistakeJournal
+ * @desc قرارداد انتزاعی دفترچه اشتباهات
+ */
+class IMistakeJournal {
+    /**
+     * @method recordAttempt
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} attempt - { exerciseId, lessonId, answer, isCorrect, correctAnswers, details }
+     * @returns {Promise<MistakeEntry[]>} اشتباهات ثبت‌شده در این تلاش
+     */
+    async recordAttempt(userId, attempt) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getMistakes
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [filter] - { category, lessonId, unresolvedOnly, limit }
+     * @returns {Promise<MistakeEntry[]>}
+     */
+    async getMistakes(userId, filter) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method generatePracticeSet
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [options] - { limit, category }
+     * @returns {Promise<PracticeSet>}
+     */
+    async generatePracticeSet(userId, options) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * تعریف store مورد نیاز این ماژول (برای ثبت در SchemaManager)
+ */
+const MISTAKE_JOURNAL_STORES = [
+    {
+        name: 'mistakes',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' },
+            { name: 'exerciseId', keyPath: 'exerciseId' }
+        ]
+    }
+];
+
+const MISTAKE_CATEGORIES = ['spelling', 'grammar', 'word_order', 'vocabulary'];
+
+// انواع تمرینی که پاسخ تایپ می‌شود و مقایسه متنی برای تشخیص املا/ترتیب معنا دارد
+const TYPED_ANSWER_TYPES = ['fillBlank', 'dictation', 'translation'];
+
+/**
+ * @class MistakeJournal
+ * @implements IMistakeJournal
+ * @desc به رویداد lesson.answer_submitted گوش می‌دهد؛ پاسخ درست بعدی، اشتباهات همان تمرین را حل‌شده می‌کند
+ */
+class MistakeJournal {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {ExerciseManagerInterface} dependencies.exerciseManager - دریافت تمرین و تمرین‌های مشابه
+     */
+    constructor({ database, eventBus, exerciseManager }) {
+        if (!database || !eventBus || !exerciseManager) {
+            throw new Error('Database, EventBus and ExerciseManager dependencies are required');
+        }
+
+        this._database = database;
+        this._eventBus = eventBus;
+        this._exerciseManager = exerciseManager;
+
+        this._unsubscribe = this._eventBus.subscribe('lesson.answer_submitted', {
+            handleEvent: (eventType, data) => data.userId && this.recordAttempt(data.userId, data)
+        });
+    }
+
+    /**
+     * @method recordAttempt
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} attempt - { exerciseId, lessonId, answer, isCorrect, correctAnswers, details }
+     * @returns {Promise<MistakeEntry[]>}
+     */
+    async recordAttempt(userId, attempt) {
+        try {
+            const exercise = await this._exerciseManager.getExercise(attempt.exerciseId);
+            if (!exercise) {
+                throw new Error(`Exercise not found: ${attempt.exerciseId}`);
+            }
+
+            const items = this._extractMistakes(exercise, attempt);
+            if (items.length === 0) {
+                if (attempt.isCorrect) {
+                    await this._resolve(userId, exercise.id);
+                }
+                return [];
+            }
+
+            const now = new Date().toISOString();
+            const entries = items.map((item, index) => ({
+                id: `mistake_${Date.now()}_${index}_${Math.random().toString(36).substr(2, 9)}`,
+                userId,
+                exerciseId: exercise.id,
+                lessonId: attempt.lessonId || exercise.lessonId || null,
+                exerciseType: exercise.type,
+                skills: exercise.skills || [],
+                category: item.category,
+                answer: item.answer,
+                expected: item.expected,
+                resolved: false,
+                createdAt: now
+            }));
+
+            for (const entry of entries) {
+                await this._database.add('mistakes', entry);
+            }
+
+            this._eventBus.publish('mistakes.recorded', {
+                userId,
+                exerciseId: exercise.id,
+                categories: entries.map(entry => entry.category)
+            });
+            return entries;
+
+        } catch (error) {
+            this._eventBus.publish('mistakes.error', {
+                action: 'recordAttempt',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getMistakes
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [filter] - { category, lessonId, unresolvedOnly, limit }
+     * @returns {Promise<MistakeEntry[]>} جدیدترین اول
+     */
+    async getMistakes(userId, { category = null, lessonId = null, unresolvedOnly = false, limit = 100 } = {}) {
+        const mistakes = await this._database.queryByIndex('mistakes', 'userId', userId, {
+            filter: mistake =>
+                (!category || mistake.category === category) &&
+                (!lessonId || mistake.lessonId === lessonId) &&
+                (!unresolvedOnly || !mistake.resolved)
+        });
+
+        return mistakes
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * @method getSummary
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<Object<string, number>>} تعداد اشتباهات حل‌نشده در هر دسته
+     */
+    async getSummary(userId) {
+        const mistakes = await this.getMistakes(userId, { unresolvedOnly: true, limit: Infinity });
+        const summary = Object.fromEntries(MISTAKE_CATEGORIES.map(category => [category, 0]));
+        mistakes.forEach(mistake => { summary[mistake.category]++; });
+        return summary;
+    }
+
+    /**
+     * @method generatePracticeSet
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [options] - { limit, category }
+     * @returns {Promise<PracticeSet>}
+     * @desc خود تمرین‌های اشتباه‌شده به همراه تمرین‌های مشابه از همان درس‌ها
+     */
+    async generatePracticeSet(userId, { limit = 10, category = null } = {}) {
+        const mistakes = await this.getMistakes(userId, { category, unresolvedOnly: true, limit: Infinity });
+        const candidates = new Map(); // exerciseId -> امتیاز اولویت
+
+        // تمرین‌های اشتباه‌شده: هرچه تکرار بیشتر، اولویت بالاتر
+        mistakes.forEach(mistake => {
+            candidates.set(mistake.exerciseId, (candidates.get(mistake.exerciseId) || 10) + 1);
+        });
+
+        const lessonIds = [...new Set(mistakes.map(mistake => mistake.lessonId).filter(Boolean))];
+        for (const lessonId of lessonIds) {
+            const exercises = await this._exerciseManager.getExercisesByLesson(lessonId);
+            const lessonMistakes = mistakes.filter(mistake => mistake.lessonId === lessonId);
+
+            for (const exercise of exercises) {
+                if (candidates.has(exercise.id) && candidates.get(exercise.id) >= 10) continue;
+                const similarity = Math.max(...lessonMistakes.map(mistake => this._similarity(exercise, mistake)));
+                if (similarity > 0) {
+                    candidates.set(exercise.id, Math.max(candidates.get(exercise.id) || 0, similarity));
+                }
+            }
+        }
+
+        const exerciseIds = [...candidates.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([exerciseId]) => exerciseId);
+
+        return {
+            exerciseIds,
+            mistakeIds: mistakes.filter(mistake => exerciseIds.includes(mistake.exerciseId)).map(mistake => mistake.id),
+            categories: [...new Set(mistakes.map(mistake => mistake.category))]
+        };
+    }
+
+    /**
+     * @method categorize
+     * @param {Object} exercise - تمرین
+     * @param {string} answer - پاسخ کاربر
+     * @param {string} expected - پاسخ مورد انتظار
+     * @param {string} [status] - وضعیت ارزیابی (almostCorrect = خطای املایی)
+     * @returns {string} spelling | grammar | word_order | vocabulary
+     */
+    categorize(exercise, answer, expected, status = null) {
+        if (exercise.type === 'ordering') {
+            return 'word_order';
+        }
+        if (status === 'almostCorrect') {
+            return 'spelling';
+        }
+
+        const given = normalizeText(answer || '');
+        const target = normalizeText(expected || '');
+        if (TYPED_ANSWER_TYPES.includes(exercise.type) && given && target) {
+            const sortedWords = text => text.split(' ').sort().join(' ');
+            if (given.includes(' ') && sortedWords(given) === sortedWords(target)) {
+                return 'word_order';
+            }
+            if (levenshtein(given, target) <= Math.max(1, Math.floor(target.length / 4))) {
+                return 'spelling';
+            }
+        }
+
+        const isGrammar = (exercise.skills || []).some(tag => parseSkillTag(tag)?.skill === 'grammar');
+        return isGrammar ? 'grammar' : 'vocabulary';
+    }
+
+    /**
+     * @method destroy
+     * @desc قطع اشتراک از رویدادها
+     */
+    destroy() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _extractMistakes
+     * @returns {Array<{answer: string, expected: string, category: string}>} یک مورد برای هر بخش غلط پاسخ
+     */
+    _extractMistakes(exercise, attempt) {
+        const { answer, isCorrect, correctAnswers = [], details = {} } = attempt;
+        const item = (given, expected, status) => ({
+            answer: given,
+            expected,
+            category: this.categorize(exercise, given, expected, status)
+        });
+
+        switch (exercise.type) {
+            case 'fillBlank':
+                // جای خالی تقریباً درست هم به‌عنوان خطای املایی ثبت می‌شود
+                return (details.blanks || [])
+                    .filter(blank => blank.status !== 'correct')
+                    .map(blank => item(String(blank.answer ?? ''), blank.expected, blank.status));
+
+            case 'matching': {
+                const expectedByLeft = new Map(correctAnswers.map(pair => [pair.left, pair.right]));
+                return (details.pairs || [])
+                    .filter(pair => !pair.isCorrect)
+                    .map(pair => item(`${pair.left} → ${pair.right}`, `${pair.left} → ${expectedByLeft.get(pair.left)}`));
+            }
+
+            case 'ordering':
+                return isCorrect ? [] : [item([].concat(answer).join(' '), correctAnswers.join(' '))];
+
+            case 'dictation':
+            case 'translation':
+                if (isCorrect && details.status !== 'almostCorrect') return [];
+                return [item(typeof answer === 'string' ? answer : answer?.text || '', correctAnswers[0], details.status)];
+
+            case 'pronunciation':
+                // خطای تلفظ پاسخ نوشتاری ندارد و در گزارش تلفظ بررسی می‌شود
+                return [];
+
+            default:
+                return isCorrect ? [] : [item([].concat(answer).join(', '), correctAnswers.join(', '))];
+        }
+    }
+
+    /**
+     * @private
+     * @method _similarity
+     * @returns {number} موضوع مشترک ۲، نوع یکسان ۱، مهارت اصلی مشترک ۱
+     */
+    _similarity(exercise, mistake) {
+        const tags = exercise.skills || [];
+        const specific = tags.filter(tag => parseSkillTag(tag)?.type !== 'skill');
+        const coreSkills = new Set(tags.map(tag => parseSkillTag(tag)?.skill).filter(Boolean));
+        const mistakeCore = new Set(mistake.skills.map(tag => parseSkillTag(tag)?.skill).filter(Boolean));
+
+        let score = 0;
+        if (specific.some(tag => mistake.skills.includes(tag))) score += 2;
+        if (exercise.type === mistake.exerciseType) score += 1;
+        if ([...coreSkills].some(skill => mistakeCore.has(skill))) score += 1;
+        return score;
+    }
+
+    /**
+     * @private
+     * @method _resolve
+     * @desc علامت‌گذاری اشتباهات قبلی یک تمرین به‌عنوان حل‌شده
+     */
+    async _resolve(userId, exerciseId) {
+        const open = await this._database.queryByIndex('mistakes', 'exerciseId', exerciseId, {
+            filter: mistake => mistake.userId === userId && !mistake.resolved
+        });
+        const resolvedAt = new Date().toISOString();
+        for (const mistake of open) {
+            await this._database.update('mistakes', mistake.id, { resolved: true, resolvedAt });
+        }
+    }
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} MistakeEntry
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} exerciseId
+ * @property {string|null} lessonId
+ * @property {string} exerciseType
+ * @property {string[]} skills
+ * @property {string} category - spelling | grammar | word_order | vocabulary
+ * @property {string} answer - پاسخ غلط کاربر
+ * @property {string} expected - پاسخ درست
+ * @property {boolean} resolved
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} PracticeSet
+ * @property {string[]} exerciseIds - تمرین‌ها به ترتیب اولویت
+ * @property {string[]} mistakeIds - اشتباهاتی که این مجموعه پوشش می‌دهد
+ * @property {string[]} categories
+ */
+
+// ==================== Export ====================
+
+export { IMistakeJournal, MistakeJournal, MISTAKE_JOURNAL_STORES, MISTAKE_CATEGORIES };
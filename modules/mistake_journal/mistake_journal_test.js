@@ -0,0 +1,104 @@
+/**
+ * 🧪 تست Mistake Journal
+ * تست‌های ثبت و دسته‌بندی اشتباهات و ساخت مجموعه تمرین جبرانی
+ */
+
+import { MistakeJournal, MISTAKE_JOURNAL_STORES } from './mistake_journal.js';
+import { createTestDatabase, createRecordingEventBus } from '../../core/test_helpers.js';
+
+const exercises = {
+    fb: { id: 'fb', type: 'fillBlank', lessonId: 'l1', skills: ['grammar:past_simple'] },
+    mc: { id: 'mc', type: 'multipleChoice', lessonId: 'l1', skills: ['vocabulary'] },
+    ord: { id: 'ord', type: 'ordering', lessonId: 'l1', skills: ['grammar'] },
+    tr: { id: 'tr', type: 'translation', lessonId: 'l1', skills: ['writing'] },
+    fb2: { id: 'fb2', type: 'fillBlank', lessonId: 'l1', skills: ['grammar:past_simple'] },
+    mc2: { id: 'mc2', type: 'multipleChoice', lessonId: 'l1', skills: ['reading'] },
+    other: { id: 'other', type: 'matching', lessonId: 'l1', skills: ['speaking'] }
+};
+
+describe('MistakeJournal', () => {
+    let database;
+    let eventBus;
+    let journal;
+
+    beforeEach(async () => {
+        database = await createTestDatabase(MISTAKE_JOURNAL_STORES);
+        eventBus = createRecordingEventBus();
+        journal = new MistakeJournal({
+            database,
+            eventBus,
+            exerciseManager: {
+                getExercise: async id => exercises[id] || null,
+                getExercisesByLesson: async lessonId => Object.values(exercises).filter(e => e.lessonId === lessonId)
+            }
+        });
+    });
+
+    afterEach(async () => {
+        journal.destroy();
+        await database.deleteDatabase();
+    });
+
+    test('should record one mistake per wrong blank with categories', async () => {
+        await eventBus.publish('lesson.answer_submitted', {
+            userId: 'u1',
+            exerciseId: 'fb',
+            lessonId: 'l1',
+            answer: ['goed', 'beautifull', 'ran'],
+            isCorrect: false,
+            correctAnswers: ['went', 'beautiful', 'ran'],
+            details: {
+                blanks: [
+                    { answer: 'goed', expected: 'went', status: 'incorrect' },
+                    { answer: 'beautifull', expected: 'beautiful', status: 'almostCorrect' },
+                    { answer: 'ran', expected: 'ran', status: 'correct' }
+                ]
+            }
+        });
+
+        const mistakes = await journal.getMistakes('u1');
+        expect(mistakes).toHaveLength(2);
+        expect(mistakes.map(m => m.category).sort()).toEqual(['grammar', 'spelling']);
+        expect(mistakes.find(m => m.category === 'grammar')).toMatchObject({ answer: 'goed', expected: 'went', lessonId: 'l1' });
+    });
+
+    test('should categorize word order and vocabulary mistakes', async () => {
+        await journal.recordAttempt('u1', {
+            exerciseId: 'ord', answer: ['home', 'I', 'go'], isCorrect: false, correctAnswers: ['I', 'go', 'home']
+        });
+        await journal.recordAttempt('u1', {
+            exerciseId: 'tr', answer: 'student a I am', isCorrect: false, correctAnswers: ['I am a student']
+        });
+        await journal.recordAttempt('u1', {
+            exerciseId: 'mc', answer: 'A', isCorrect: false, correctAnswers: ['C']
+        });
+
+        expect(await journal.getSummary('u1')).toEqual({ spelling: 0, grammar: 0, word_order: 2, vocabulary: 1 });
+    });
+
+    test('should resolve mistakes when the exercise is later answered correctly', async () => {
+        await journal.recordAttempt('u1', { exerciseId: 'mc', answer: 'A', isCorrect: false, correctAnswers: ['C'] });
+        await journal.recordAttempt('u1', { exerciseId: 'mc', answer: 'C', isCorrect: true, correctAnswers: ['C'] });
+
+        expect(await journal.getMistakes('u1', { unresolvedOnly: true })).toEqual([]);
+        expect((await journal.getMistakes('u1'))[0].resolved).toBe(true);
+    });
+
+    test('should build a remedial set from mistaken and similar exercises', async () => {
+        await journal.recordAttempt('u1', {
+            exerciseId: 'fb', answer: ['goed'], isCorrect: false,
+            details: { blanks: [{ answer: 'goed', expected: 'went', status: 'incorrect' }] }
+        });
+        await journal.recordAttempt('u1', { exerciseId: 'mc', answer: 'A', isCorrect: false, correctAnswers: ['C'] });
+
+        const set = await journal.generatePracticeSet('u1', { limit: 4 });
+        expect(set.exerciseIds.slice(0, 2).sort()).toEqual(['fb', 'mc']);
+        expect(set.exerciseIds[2]).toBe('fb2');
+        expect(set.exerciseIds).not.toContain('other');
+        expect(set.mistakeIds).toHaveLength(2);
+
+        const grammarOnly = await journal.generatePracticeSet('u1', { category: 'grammar' });
+        expect(grammarOnly.exerciseIds[0]).toBe('fb');
+        expect(grammarOnly.categories).toEqual(['grammar']);
+    });
+});
@@ -0,0 +1,470 @@
+/**
+ * @file modules/placement/placement_service.js
+ * @desc آزمون تعیین سطح تطبیقی: تخمین توانایی با مدل IRT، توقف با اطمینان کافی و نگاشت به سطح CEFR
+ * @implements IPlacementService (قرارداد انتزاعی)
+ */
+
+/**
+ * @interface IPlacementService
+ * @desc قرارداد انتزاعی آزمون تعیین سطح
+ */
+class IPlacementService {
+    /**
+     * @method startPlacement
+     * @param {string} userId - شناسه کاربر
+     * @param {string} languageCode - زبان مورد آزمون
+     * @param {string[]} exerciseIds - بانک سؤال‌های تعیین سطح
+     * @returns {Promise<{testId: string, nextExerciseId: string}>}
+     */
+    async startPlacement(userId, languageCode, exerciseIds) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method submitAnswer
+     * @param {string} testId - شناسه آزمون
+     * @param {string} exerciseId - شناسه سؤال
+     * @param {any} answer - پاسخ کاربر
+     * @returns {Promise<PlacementStep>}
+     */
+    async submitAnswer(testId, exerciseId, answer) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method comparePlacements
+     * @param {string} userId - شناسه کاربر
+     * @param {string} languageCode - زبان
+     * @returns {Promise<PlacementComparison|null>}
+     */
+    async comparePlacements(userId, languageCode) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * تعریف store مورد نیاز این ماژول (برای ثبت در SchemaManager)
+ */
+const PLACEMENT_STORES = [
+    {
+        name: 'placement_tests',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' },
+            { name: 'userLanguage', keyPath: 'userLanguage' }
+        ]
+    }
+];
+
+/**
+ * سطوح CEFR با مرکز هر سطح روی مقیاس توانایی (لجیت)
+ */
+const CEFR_LEVELS = [
+    { level: 'A1', center: -2.5 },
+    { level: 'A2', center: -1.5 },
+    { level: 'B1', center: -0.5 },
+    { level: 'B2', center: 0.5 },
+    { level: 'C1', center: 1.5 },
+    { level: 'C2', center: 2.5 }
+];
+
+/**
+ * @class PlacementService
+ * @implements IPlacementService
+ * @desc هر پاسخ توزیع پسین توانایی را به‌روز می‌کند؛ سؤال بعدی نزدیک‌ترین سختی به تخمین فعلی است
+ */
+class PlacementService {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {ExerciseManagerInterface} dependencies.exerciseManager - ارزیابی پاسخ‌ها و سختی سؤال‌ها
+     * @param {UserProfileManagerInterface} dependencies.profileManager - ثبت سطح در زبان‌های کاربر
+     * @param {Object} [dependencies.options] - تنظیمات آزمون
+     */
+    constructor({ database, eventBus, exerciseManager, profileManager, options = {} }) {
+        if (!database || !eventBus || !exerciseManager || !profileManager) {
+            throw new Error('All dependencies are required');
+        }
+
+        this._database = database;
+        this._eventBus = eventBus;
+        this._exerciseManager = exerciseManager;
+        this._profileManager = profileManager;
+        this._options = {
+            minItems: 5,
+            maxItems: 20,
+            targetStandardError: 0.5, // توقف وقتی خطای استاندارد تخمین به این حد برسد
+            priorSd: 1.5,
+            difficultyRatings: { beginner: -1.5, intermediate: 0, advanced: 1.5 },
+            ...options
+        };
+    }
+
+    /**
+     * @method startPlacement
+     * @param {string} userId - شناسه کاربر
+     * @param {string} languageCode - زبان مورد آزمون
+     * @param {string[]} exerciseIds - بانک سؤال‌ها
+     * @returns {Promise<{testId: string, nextExerciseId: string}>}
+     * @desc شروع (یا شروع دوباره) آزمون؛ آزمون نیمه‌تمام قبلی همین زبان کنار گذاشته می‌شود
+     */
+    async startPlacement(userId, languageCode, exerciseIds) {
+        try {
+            if (!exerciseIds || exerciseIds.length === 0) {
+                throw new Error('Placement test requires at least one exercise');
+            }
+
+            const exercises = await Promise.all(exerciseIds.map(id => this._exerciseManager.getExercise(id)));
+            const missing = exerciseIds.filter((id, index) => !exercises[index]);
+            if (missing.length > 0) {
+                throw new Error(`Placement exercises not found: ${missing.join(', ')}`);
+            }
+
+            const history = await this._getTests(userId, languageCode);
+            for (const test of history.filter(t => t.status === 'in_progress')) {
+                await this._database.update('placement_tests', test.id, { status: 'superseded' });
+            }
+
+            const estimate = this._estimate([]);
+            const test = {
+                id: `placement_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                userId,
+                languageCode,
+                userLanguage: this._buildUserLanguage(userId, languageCode),
+                status: 'in_progress',
+                items: exercises.map(exercise => ({ id: exercise.id, rating: this.getRating(exercise) })),
+                responses: [],
+                ability: estimate.ability,
+                standardError: estimate.standardError,
+                attempt: history.filter(t => t.status === 'completed').length + 1,
+                startedAt: new Date().toISOString(),
+                completedAt: null
+            };
+            test.nextExerciseId = this._pickNextItem(test);
+
+            await this._database.add('placement_tests', test);
+            this._eventBus.publish('placement.started', { testId: test.id, userId, languageCode, attempt: test.attempt });
+
+            return { testId: test.id, nextExerciseId: test.nextExerciseId };
+
+        } catch (error) {
+            this._eventBus.publish('placement.error', {
+                action: 'startPlacement',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method submitAnswer
+     * @param {string} testId - شناسه آزمون
+     * @param {string} exerciseId - شناسه سؤال
+     * @param {any} answer - پاسخ کاربر
+     * @returns {Promise<PlacementStep>}
+     * @desc ارزیابی پاسخ، به‌روزرسانی تخمین و پایان آزمون در صورت اطمینان کافی
+     */
+    async submitAnswer(testId, exerciseId, answer) {
+        try {
+            const test = await this._database.get('placement_tests', testId);
+            if (!test) {
+                throw new Error(`Placement test ${testId} not found`);
+            }
+            if (test.status !== 'in_progress') {
+                throw new Error(`Placement test ${testId} is ${test.status}`);
+            }
+            if (exerciseId !== test.nextExerciseId) {
+                throw new Error(`Expected answer for ${test.nextExerciseId}, got ${exerciseId}`);
+            }
+
+            const evaluation = await this._exerciseManager.evaluateAnswer(exerciseId, answer);
+            const item = test.items.find(i => i.id === exerciseId);
+            const credit = typeof evaluation.details?.credit === 'number'
+                ? evaluation.details.credit
+                : (evaluation.isCorrect ? 1 : 0);
+
+            const responses = [...test.responses, { exerciseId, rating: item.rating, credit }];
+            const estimate = this._estimate(responses);
+            const updated = { ...test, responses, ...estimate };
+            updated.nextExerciseId = this._shouldStop(updated) ? null : this._pickNextItem(updated);
+
+            if (!updated.nextExerciseId) {
+                return await this._complete(updated);
+            }
+
+            await this._database.update('placement_tests', testId, {
+                responses,
+                ability: estimate.ability,
+                standardError: estimate.standardError,
+                nextExerciseId: updated.nextExerciseId
+            });
+
+            return {
+                completed: false,
+                nextExerciseId: updated.nextExerciseId,
+                answered: responses.length,
+                standardError: estimate.standardError
+            };
+
+        } catch (error) {
+            this._eventBus.publish('placement.error', {
+                action: 'submitAnswer',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getPlacementHistory
+     * @param {string} userId - شناسه کاربر
+     * @param {string} languageCode - زبان
+     * @returns {Promise<Object[]>} آزمون‌های تکمیل‌شده، جدیدترین اول
+     */
+    async getPlacementHistory(userId, languageCode) {
+        const tests = await this._getTests(userId, languageCode);
+        return tests
+            .filter(test => test.status === 'completed')
+            .sort((a, b) => b.attempt - a.attempt);
+    }
+
+    /**
+     * @method comparePlacements
+     * @param {string} userId - شناسه کاربر
+     * @param {string} languageCode - زبان
+     * @returns {Promise<PlacementComparison|null>} مقایسه آخرین آزمون با آزمون قبلی
+     */
+    async comparePlacements(userId, languageCode) {
+        const [current, previous] = await this.getPlacementHistory(userId, languageCode);
+        if (!current) {
+            return null;
+        }
+        return this._compare(current, previous || null);
+    }
+
+    /**
+     * @method mapAbilityToLevel
+     * @param {number} ability - توانایی تخمینی
+     * @returns {{level: string, progress: number}} سطح CEFR و موقعیت درون سطح (۰ تا ۱۰۰)
+     */
+    mapAbilityToLevel(ability) {
+        const position = Math.min(CEFR_LEVELS.length - 0.01, Math.max(0, ability - CEFR_LEVELS[0].center + 0.5));
+        const index = Math.floor(position);
+        return {
+            level: CEFR_LEVELS[index].level,
+            progress: Math.round((position - index) * 100)
+        };
+    }
+
+    /**
+     * @method getRating
+     * @param {Object} exercise - تمرین
+     * @returns {number} سختی روی مقیاس توانایی؛ برچسب cefrLevel بر difficulty مقدم است
+     */
+    getRating(exercise) {
+        const cefr = CEFR_LEVELS.find(entry => entry.level === exercise.cefrLevel);
+        if (cefr) {
+            return cefr.center;
+        }
+        if (typeof exercise.difficulty === 'number') {
+            return exercise.difficulty;
+        }
+        return this._options.difficultyRatings[exercise.difficulty] ?? 0;
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _complete
+     * @param {Object} test - آزمون با آخرین تخمین
+     * @returns {Promise<PlacementStep>}
+     */
+    async _complete(test) {
+        const { level, progress } = this.mapAbilityToLevel(test.ability);
+        const [previous] = await this.getPlacementHistory(test.userId, test.languageCode);
+        const completedAt = new Date().toISOString();
+
+        await this._database.update('placement_tests', test.id, {
+            status: 'completed',
+            responses: test.responses,
+            ability: test.ability,
+            standardError: test.standardError,
+            nextExerciseId: null,
+            level,
+            progress,
+            completedAt
+        });
+
+        await this._applyLevel(test.languageCode, level, progress);
+
+        const result = { ...test, status: 'completed', level, progress, completedAt };
+        const comparison = this._compare(result, previous || null);
+
+        this._eventBus.publish('placement.completed', {
+            testId: test.id,
+            userId: test.userId,
+            languageCode: test.languageCode,
+            level,
+            previousLevel: comparison.previous?.level || null
+        });
+
+        return {
+            completed: true,
+            level,
+            progress,
+            ability: test.ability,
+            standardError: test.standardError,
+            answered: test.responses.length,
+            comparison
+        };
+    }
+
+    /**
+     * @private
+     * @method _applyLevel
+     * @desc ثبت سطح در زبان‌های کاربر؛ زبان جدید با همین سطح اضافه می‌شود
+     */
+    async _applyLevel(languageCode, level, progress) {
+        const languages = await this._profileManager.getLearningLanguages();
+        const exists = (languages || []).some(language => language.code === languageCode);
+
+        if (exists) {
+            await this._profileManager.updateLanguageProgress(languageCode, level, progress);
+        } else {
+            await this._profileManager.addLearningLanguage(languageCode, level);
+        }
+    }
+
+    /**
+     * @private
+     * @method _estimate
+     * @param {Array<{rating: number, credit: number}>} responses - پاسخ‌ها
+     * @returns {{ability: number, standardError: number}} میانگین و انحراف معیار توزیع پسین (EAP)
+     */
+    _estimate(responses) {
+        let weightSum = 0;
+        let mean = 0;
+        let meanSquare = 0;
+
+        for (let theta = -5; theta <= 5.0001; theta += 0.1) {
+            let logWeight = -(theta * theta) / (2 * this._options.priorSd ** 2);
+            for (const response of responses) {
+                const p = 1 / (1 + Math.exp(response.rating - theta));
+                logWeight += response.credit * Math.log(p) + (1 - response.credit) * Math.log(1 - p);
+            }
+            const weight = Math.exp(logWeight);
+            weightSum += weight;
+            mean += weight * theta;
+            meanSquare += weight * theta * theta;
+        }
+
+        mean /= weightSum;
+        const variance = meanSquare / weightSum - mean * mean;
+        return {
+            ability: round(mean),
+            standardError: round(Math.sqrt(Math.max(variance, 0)))
+        };
+    }
+
+    /**
+     * @private
+     * @method _pickNextItem
+     * @returns {string|null} سؤال پاسخ‌داده‌نشده‌ای که بیشترین اطلاعات را دارد (سختی نزدیک به توانایی)
+     */
+    _pickNextItem(test) {
+        const answered = new Set(test.responses.map(response => response.exerciseId));
+        const remaining = test.items.filter(item => !answered.has(item.id));
+        if (remaining.length === 0) {
+            return null;
+        }
+
+        return remaining.reduce((best, item) =>
+            Math.abs(item.rating - test.ability) < Math.abs(best.rating - test.ability) ? item : best
+        ).id;
+    }
+
+    /**
+     * @private
+     * @method _shouldStop
+     */
+    _shouldStop(test) {
+        const answered = test.responses.length;
+        if (answered >= Math.min(this._options.maxItems, test.items.length)) {
+            return true;
+        }
+        return answered >= this._options.minItems && test.standardError <= this._options.targetStandardError;
+    }
+
+    /**
+     * @private
+     * @method _compare
+     * @returns {PlacementComparison}
+     */
+    _compare(current, previous) {
+        const levelIndex = level => CEFR_LEVELS.findIndex(entry => entry.level === level);
+        const summarize = test => ({
+            testId: test.id,
+            level: test.level,
+            ability: test.ability,
+            completedAt: test.completedAt
+        });
+
+        return {
+            current: summarize(current),
+            previous: previous ? summarize(previous) : null,
+            levelChange: previous ? levelIndex(current.level) - levelIndex(previous.level) : 0,
+            abilityChange: previous ? round(current.ability - previous.ability) : 0
+        };
+    }
+
+    /**
+     * @private
+     * @method _getTests
+     */
+    async _getTests(userId, languageCode) {
+        return this._database.queryByIndex(
+            'placement_tests', 'userLanguage', this._buildUserLanguage(userId, languageCode)
+        );
+    }
+
+    /**
+     * @private
+     * @method _buildUserLanguage
+     */
+    _buildUserLanguage(userId, languageCode) {
+        return `${userId}:${languageCode}`;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} PlacementStep
+ * @property {boolean} completed
+ * @property {string} [nextExerciseId] - سؤال بعدی (وقتی آزمون ادامه دارد)
+ * @property {number} answered - تعداد پاسخ‌ها
+ * @property {number} standardError - خطای استاندارد تخمین فعلی
+ * @property {string} [level] - سطح CEFR (پس از پایان)
+ * @property {number} [progress] - موقعیت درون سطح (۰ تا ۱۰۰)
+ * @property {number} [ability]
+ * @property {PlacementComparison} [comparison]
+ */
+
+/**
+ * @typedef {Object} PlacementComparison
+ * @property {{testId: string, level: string, ability: number, completedAt: string}} current
+ * @property {{testId: string, level: string, ability: number, completedAt: string}|null} previous
+ * @property {number} levelChange - تعداد سطح‌های تغییر (مثبت = پیشرفت)
+ * @property {number} abilityChange
+ */
+
+// ==================== Export ====================
+
+export { IPlacementService, PlacementService, PLACEMENT_STORES, CEFR_LEVELS };
@@ -0,0 +1,119 @@
+/**
+ * 🧪 تست Placement Service
+ * تست‌های آزمون تعیین سطح تطبیقی و نگاشت به CEFR
+ */
+
+import { PlacementService, CEFR_LEVELS, PLACEMENT_STORES } from './placement_service.js';
+import { createTestDatabase, createRecordingEventBus } from '../../core/test_helpers.js';
+
+// بانک سؤال: از هر سطح CEFR چهار سؤال
+const exercises = new Map();
+CEFR_LEVELS.forEach(({ level }) => {
+    for (let i = 0; i < 4; i++) {
+        exercises.set(`${level}_${i}`, { id: `${level}_${i}`, type: 'multipleChoice', cefrLevel: level, correctAnswer: 'x' });
+    }
+});
+
+// کاربر شبیه‌سازی‌شده: سؤال‌های تا سطح مشخص را درست جواب می‌دهد
+function answerAs(maxLevel) {
+    const maxIndex = CEFR_LEVELS.findIndex(entry => entry.level === maxLevel);
+    return exerciseId => {
+        const index = CEFR_LEVELS.findIndex(entry => entry.level === exercises.get(exerciseId).cefrLevel);
+        return index <= maxIndex ? 'x' : 'y';
+    };
+}
+
+function createProfileManager() {
+    return {
+        languages: [],
+        updates: [],
+        async getLearningLanguages() { return this.languages; },
+        async addLearningLanguage(code, level) { this.languages.push({ code, level }); },
+        async updateLanguageProgress(code, level, progress) { this.updates.push({ code, level, progress }); }
+    };
+}
+
+describe('PlacementService', () => {
+    let database;
+    let eventBus;
+    let profileManager;
+    let placement;
+
+    beforeEach(async () => {
+        database = await createTestDatabase(PLACEMENT_STORES);
+        eventBus = createRecordingEventBus();
+        profileManager = createProfileManager();
+        placement = new PlacementService({
+            database,
+            eventBus,
+            profileManager,
+            exerciseManager: {
+                getExercise: async id => exercises.get(id) || null,
+                evaluateAnswer: async (id, answer) => ({ isCorrect: answer === exercises.get(id).correctAnswer })
+            }
+        });
+    });
+
+    afterEach(async () => {
+        await database.deleteDatabase();
+    });
+
+    async function runPlacement(respond) {
+        let { testId, nextExerciseId } = await placement.startPlacement('u1', 'en', [...exercises.keys()]);
+        let step;
+        do {
+            step = await placement.submitAnswer(testId, nextExerciseId, respond(nextExerciseId));
+            nextExerciseId = step.nextExerciseId;
+        } while (!step.completed);
+        return step;
+    }
+
+    test('should map ability to CEFR levels', () => {
+        expect(placement.mapAbilityToLevel(-4).level).toBe('A1');
+        expect(placement.mapAbilityToLevel(-0.5)).toEqual({ level: 'B1', progress: 50 });
+        expect(placement.mapAbilityToLevel(4).level).toBe('C2');
+    });
+
+    test('should stop early and place a learner near their level', async () => {
+        const result = await runPlacement(answerAs('B1'));
+
+        expect(result.answered).toBeLessThan(exercises.size);
+        expect(['B1', 'B2']).toContain(result.level);
+        expect(profileManager.languages).toEqual([{ code: 'en', level: result.level }]);
+        expect(eventBus.events.map(e => e.type)).toContain('placement.completed');
+    });
+
+    test('should place strong and weak learners at the extremes', async () => {
+        expect(['C1', 'C2']).toContain((await runPlacement(() => 'x')).level);
+        expect(['A1', 'A2']).toContain((await runPlacement(() => 'y')).level);
+    });
+
+    test('should update existing language and compare with previous placement on retake', async () => {
+        const first = await runPlacement(answerAs('A2'));
+        const second = await runPlacement(answerAs('C1'));
+
+        expect(profileManager.updates).toHaveLength(1);
+        expect(profileManager.updates[0].level).toBe(second.level);
+        expect(second.comparison.previous.level).toBe(first.level);
+        expect(second.comparison.levelChange).toBeGreaterThan(0);
+
+        const comparison = await placement.comparePlacements('u1', 'en');
+        expect(comparison.current.level).toBe(second.level);
+    });
+
+    test('should supersede an unfinished test when retaking', async () => {
+        const { testId } = await placement.startPlacement('u1', 'en', ['A1_0', 'B1_0']);
+        await placement.startPlacement('u1', 'en', ['A1_0', 'B1_0']);
+
+        expect((await database.get('placement_tests', testId)).status).toBe('superseded');
+        await expect(placement.submitAnswer(testId, 'A1_0', 'x')).rejects.toThrow(`Placement test ${testId} is superseded`);
+    });
+
+    test('should reject unknown exercises and out-of-order answers', async () => {
+        await expect(placement.startPlacement('u1', 'en', ['missing'])).rejects.toThrow('Placement exercises not found: missing');
+
+        const { testId, nextExerciseId } = await placement.startPlacement('u1', 'en', ['A1_0', 'C2_0']);
+        const other = nextExerciseId === 'A1_0' ? 'C2_0' : 'A1_0';
+        await expect(placement.submitAnswer(testId, other, 'x')).rejects.toThrow(`Expected answer for ${nextExerciseId}`);
+    });
+});
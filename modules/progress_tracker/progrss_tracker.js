@@ -4,6 +4,9 @@
  * @implements IProgressTracker (قرارداد انتزاعی)
  */
 
+import { expandSkillTags, parseSkillTag } from '../skill_taxonomy/skill_taxonomy.js';
+import { calculateStreak } from '../streak/streak_service.js';
+
 /**
  * @interface IProgressTracker
  * @desc قرارداد انتزاعی برای ردیابی پیشرفت کاربر
@@ -28,6 +31,10 @@ class IProgressTracker {
      * @param {boolean} data.isCorrect - صحیح/غلط بودن پاسخ
      * @param {number} data.score - امتیاز کسب‌شده
      * @param {number} data.timeSpent - زمان صرف‌شده (ثانیه)
+     * @param {string} [data.userId] - شناسه کاربر
+     * @param {string} [data.lessonId] - شناسه درس
+     * @param {number} [data.credit] - میزان درستی جزئی (۰ تا ۱)
+     * @param {string[]} [data.skills] - برچسب‌های مهارت تمرین
      * @returns {Promise<void>}
      */
     async recordExerciseResult(data) {
@@ -65,8 +72,123 @@ class IProgressTracker {
     async getUserStats(userId) {
         throw new Error('Method not implemented');
     }
+
+    /**
+     * @method getCompletedLessonIds
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<string[]>}
+     */
+    async getCompletedLessonIds(userId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getSkillMastery
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<SkillMastery[]>}
+     */
+    async getSkillMastery(userId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getHintUsage
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<HintUsage>}
+     */
+    async getHintUsage(userId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method recordExamResult
+     * @param {ExamReport} report - گزارش نهایی آزمون
+     * @returns {Promise<void>}
+     */
+    async recordExamResult(report) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getExamResults
+     * @param {string} userId - شناسه کاربر
+     * @param {string} [lessonId] - فیلتر درس
+     * @returns {Promise<ExamResult[]>}
+     */
+    async getExamResults(userId, lessonId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getActivitySummary
+     * @param {string} userId - شناسه کاربر
+     * @param {Date} from - ابتدای بازه
+     * @param {Date} to - انتهای بازه
+     * @returns {Promise<ActivitySummary>}
+     */
+    async getActivitySummary(userId, from, to) {
+        throw new Error('Method not implemented');
+    }
 }
 
+/**
+ * تعریف store های مورد نیاز این ماژول (برای ثبت در SchemaManager)
+ * index های ترکیبی [userId, زمان] برای کوئری‌های بازه‌ای هر کاربر استفاده می‌شوند
+ */
+const PROGRESS_TRACKER_STORES = [
+    {
+        name: 'learning_sessions',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' },
+            { name: 'userId_startTime', keyPath: ['userId', 'startTime'] }
+        ]
+    },
+    {
+        name: 'exercise_results',
+        keyPath: 'id',
+        autoIncrement: true,
+        indexes: [
+            { name: 'sessionId', keyPath: 'sessionId' },
+            { name: 'userId_completedAt', keyPath: ['userId', 'completedAt'] }
+        ]
+    },
+    {
+        name: 'completed_lessons',
+        keyPath: 'id',
+        autoIncrement: true,
+        indexes: [
+            { name: 'userId_completedAt', keyPath: ['userId', 'completedAt'] }
+        ]
+    },
+    {
+        name: 'skill_mastery',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    },
+    {
+        name: 'course_progress',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    },
+    {
+        name: 'user_stats',
+        keyPath: 'id',
+        indexes: []
+    },
+    {
+        name: 'exam_results',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    }
+];
+
 /**
  * @class ProgressTracker
  * @implements IProgressTracker
@@ -78,8 +200,9 @@ class ProgressTracker {
      * @param {Object} dependencies - وابستگی‌های تزریق‌شده
      * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
      * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {IStreakService} [dependencies.streakService] - سرویس streak (اختیاری)
      */
-    constructor({ database, eventBus }) {
+    constructor({ database, eventBus, streakService = null }) {
         // وارونگی وابستگی (DIP): وابستگی به انتزاع‌ها
         if (!database || !eventBus) {
             throw new Error('Database and EventBus dependencies are required');
@@ -87,6 +210,9 @@ class ProgressTracker {
 
         this._database = database;
         this._eventBus = eventBus;
+        this._streakService = streakService;
+        this._masteryRate = 0.3; // وزن پاسخ جدید در میانگین متحرک تسلط
+        this._queues = new Map(); // userId -> آخرین به‌روزرسانی تسلط در صف
 
         // تک‌وظیفگی (SRP): این کلاس فقط برای ردیابی پیشرفت است
         console.log('ProgressTracker initialized with dependency injection');
@@ -104,6 +230,7 @@ class ProgressTracker {
         try {
             // DRY: استفاده از متد کمکی برای ذخیره‌سازی
             await this._saveSessionRecord({
+                id: sessionId,
                 sessionId,
                 userId,
                 lessonId,
@@ -135,29 +262,47 @@ class ProgressTracker {
      * @desc ثبت نتیجه یک تمرین
      */
     async recordExerciseResult(data) {
-        const { sessionId, exerciseId, isCorrect, score, timeSpent } = data;
+        const {
+            sessionId, exerciseId, isCorrect, score, timeSpent, userId, lessonId, credit,
+            skills = [], hintsUsed = 0, hintTypes = [], seed = null
+        } = data;
 
         try {
             // ذخیره نتیجه تمرین
             await this._saveExerciseResult({
                 sessionId,
+                userId,
+                lessonId,
                 exerciseId,
                 isCorrect,
                 score,
                 timeSpent,
+                hintsUsed,
+                hintTypes,
+                seed, // برای بازسازی ترتیب گزینه‌های نمایش‌داده‌شده
                 completedAt: new Date()
             });
 
             // محاسبه و ذخیره آمار لحظه‌ای
             await this._updateUserStats(data);
 
+            // جمع‌بندی تسلط در هر مهارت
+            if (userId && skills.length > 0) {
+                await this._updateSkillMastery(userId, skills, typeof credit === 'number' ? credit : (isCorrect ? 1 : 0));
+            }
+
             // انتشار رویداد
             this._eventBus.publish('progress.exercise_completed', {
                 sessionId,
+                userId,
+                lessonId,
                 exerciseId,
                 isCorrect,
                 score,
-                timeSpent
+                timeSpent,
+                credit,
+                hintsUsed,
+                skills
             });
 
         } catch (error) {
@@ -286,8 +431,289 @@ class ProgressTracker {
         }
     }
 
+    /**
+     * @method getCompletedLessonIds
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<string[]>}
+     * @desc دریافت شناسه درس‌های تکمیل‌شده کاربر (برای بررسی پیش‌نیازها)
+     */
+    async getCompletedLessonIds(userId) {
+        try {
+            // همه رکوردهای کاربر در index ترکیبی: از [userId] تا [userId, []]
+            const rows = await this._database.queryByRange(
+                'completed_lessons',
+                'userId_completedAt',
+                [userId],
+                [userId, []]
+            );
+
+            return [...new Set(rows.map(row => row.lessonId))];
+
+        } catch (error) {
+            this._eventBus.publish('progress.error', {
+                action: 'getCompletedLessonIds',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getSkillMastery
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<SkillMastery[]>}
+     * @desc تسلط کاربر در هر مهارت، موضوع دستوری و گزاره can-do، ضعیف‌ترین اول
+     */
+    async getSkillMastery(userId) {
+        try {
+            const rows = await this._database.query('skill_mastery')
+                .where('userId', '=', userId)
+                .orderBy('mastery', 'asc')
+                .get();
+
+            return rows.map(row => ({
+                skill: row.skill,
+                type: parseSkillTag(row.skill)?.type || 'skill',
+                attempts: row.attempts,
+                accuracy: row.attempts > 0 ? Math.round((row.correctCount / row.attempts) * 100) : 0,
+                mastery: Math.round(row.mastery * 100),
+                updatedAt: row.updatedAt
+            }));
+
+        } catch (error) {
+            this._eventBus.publish('progress.error', {
+                action: 'getSkillMastery',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getHintUsage
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<HintUsage>}
+     * @desc میزان وابستگی کاربر به راهنما و مقایسه دقت با و بدون راهنما
+     */
+    async getHintUsage(userId) {
+        try {
+            const results = await this._database.query('exercise_results')
+                .where('userId', '=', userId)
+                .get();
+
+            const withHints = results.filter(result => (result.hintsUsed || 0) > 0);
+            const withoutHints = results.filter(result => !result.hintsUsed);
+            const byType = {};
+            withHints.forEach(result => {
+                (result.hintTypes || []).forEach(type => {
+                    byType[type] = (byType[type] || 0) + 1;
+                });
+            });
+
+            const accuracy = rows => rows.length > 0
+                ? Math.round((rows.filter(row => row.isCorrect).length / rows.length) * 100)
+                : null;
+
+            return {
+                userId,
+                totalExercises: results.length,
+                exercisesWithHints: withHints.length,
+                hintsUsed: withHints.reduce((sum, result) => sum + result.hintsUsed, 0),
+                dependence: results.length > 0 ? Math.round((withHints.length / results.length) * 100) : 0,
+                revealedAnswers: byType.reveal_answer || 0,
+                byType,
+                accuracyWithHints: accuracy(withHints),
+                accuracyWithoutHints: accuracy(withoutHints)
+            };
+
+        } catch (error) {
+            this._eventBus.publish('progress.error', {
+                action: 'getHintUsage',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method recordExamResult
+     * @param {ExamReport} report - گزارش نهایی آزمون
+     * @returns {Promise<void>}
+     * @desc نتایج آزمون جدا از تمرین‌ها ذخیره می‌شوند و در تسلط و آمار تمرین اثری ندارند
+     */
+    async recordExamResult(report) {
+        try {
+            await this._database.query('exam_results').insert({
+                id: report.sessionId,
+                userId: report.userId,
+                lessonId: report.lessonId,
+                score: report.score,
+                correctCount: report.correctCount,
+                totalQuestions: report.totalQuestions,
+                percentage: report.percentage,
+                passed: report.passed,
+                reason: report.reason,
+                startTime: report.startTime,
+                endTime: report.endTime,
+                duration: report.duration,
+                questions: report.questions.map(question => ({
+                    exerciseId: question.exerciseId,
+                    answer: question.answer,
+                    isCorrect: question.isCorrect,
+                    score: question.score,
+                    timedOut: question.timedOut,
+                    timeSpent: question.timeSpent
+                }))
+            });
+
+            this._eventBus.publish('progress.exam_completed', {
+                sessionId: report.sessionId,
+                userId: report.userId,
+                lessonId: report.lessonId,
+                percentage: report.percentage,
+                passed: report.passed
+            });
+
+        } catch (error) {
+            this._eventBus.publish('progress.error', {
+                action: 'recordExamResult',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getExamResults
+     * @param {string} userId - شناسه کاربر
+     * @param {string} [lessonId] - فیلتر درس
+     * @returns {Promise<ExamResult[]>} جدیدترین اول
+     */
+    async getExamResults(userId, lessonId = null) {
+        try {
+            let query = this._database.query('exam_results')
+                .where('userId', '=', userId);
+            if (lessonId) {
+                query = query.andWhere('lessonId', '=', lessonId);
+            }
+            return await query.orderBy('endTime', 'desc').get();
+
+        } catch (error) {
+            this._eventBus.publish('progress.error', {
+                action: 'getExamResults',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getActivitySummary
+     * @param {string} userId - شناسه کاربر
+     * @param {Date} from - ابتدای بازه
+     * @param {Date} to - انتهای بازه (شامل نمی‌شود)
+     * @returns {Promise<ActivitySummary>}
+     * @desc زمان تمرین، درس‌های تکمیل‌شده و تعداد مرورها در بازه (برای پیگیری اهداف مطالعه)
+     */
+    async getActivitySummary(userId, from, to) {
+        try {
+            const [exercises, lessons, reviews] = await Promise.all([
+                this._database.query('exercise_results')
+                    .where('userId', '=', userId)
+                    .andWhere('completedAt', '>=', from)
+                    .andWhere('completedAt', '<', to)
+                    .sum('timeSpent as seconds')
+                    .count('id as count')
+                    .first(),
+                this._database.query('completed_lessons')
+                    .where('userId', '=', userId)
+                    .andWhere('completedAt', '>=', from)
+                    .andWhere('completedAt', '<', to)
+                    .count('id as count')
+                    .first(),
+                this._database.query('exercise_results')
+                    .where('userId', '=', userId)
+                    .andWhere('completedAt', '>=', from)
+                    .andWhere('completedAt', '<', to)
+                    .like('sessionId', 'review_%')
+                    .count('id as count')
+                    .first()
+            ]);
+
+            return {
+                minutes: Math.round(((exercises?.seconds || 0) / 60) * 10) / 10,
+                exercises: exercises?.count || 0,
+                lessons: lessons?.count || 0,
+                reviews: reviews?.count || 0
+            };
+
+        } catch (error) {
+            this._eventBus.publish('progress.error', {
+                action: 'getActivitySummary',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
     // ==================== متدهای خصوصی ====================
 
+    /**
+     * @private
+     * @method _updateSkillMastery
+     * @param {string} userId - شناسه کاربر
+     * @param {string[]} skills - برچسب‌های تمرین
+     * @param {number} credit - میزان درستی (۰ تا ۱)
+     * @desc هر برچسب و مهارت اصلی آن با میانگین متحرک نمایی به‌روز می‌شود
+     */
+    async _updateSkillMastery(userId, skills, credit) {
+        // خواندن و نوشتن تسلط هر کاربر ترتیبی است تا نتایج هم‌زمان (مثلاً بازپخش صف آفلاین) یکدیگر را بازنویسی نکنند
+        await this._enqueue(userId, async () => {
+            for (const skill of expandSkillTags(skills)) {
+                const existing = await this._database.query('skill_mastery')
+                    .where('userId', '=', userId)
+                    .andWhere('skill', '=', skill)
+                    .first();
+
+                const mastery = existing
+                    ? existing.mastery + this._masteryRate * (credit - existing.mastery)
+                    : credit;
+
+                await this._database.query('skill_mastery')
+                    .where('userId', '=', userId)
+                    .andWhere('skill', '=', skill)
+                    .upsert({
+                        id: `${userId}:${skill}`,
+                        userId,
+                        skill,
+                        attempts: (existing?.attempts || 0) + 1,
+                        correctCount: (existing?.correctCount || 0) + (credit >= 1 ? 1 : 0),
+                        mastery,
+                        updatedAt: new Date()
+                    });
+            }
+        });
+
+        this._eventBus.publish('progress.skill_mastery_updated', { userId, skills });
+    }
+
+    /**
+     * @private
+     * @method _enqueue
+     * @desc اجرای ترتیبی کارهای هر کاربر
+     */
+    _enqueue(userId, task) {
+        const previous = this._queues.get(userId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this._queues.set(userId, next);
+        next.finally(() => {
+            if (this._queues.get(userId) === next) {
+                this._queues.delete(userId);
+            }
+        }).catch(() => {});
+        return next;
+    }
+
     /**
      * @private
      * @method _saveSessionRecord
@@ -321,14 +747,23 @@ class ProgressTracker {
      * @param {Object} exerciseData - داده‌های تمرین
      */
     async _updateUserStats(exerciseData) {
-        // به‌روزرسانی آمار کاربر در یک تراکنش
-        await this._database.transaction(async (tx) => {
-            await tx.query('user_stats')
-                .where('userId', '=', exerciseData.sessionId.split('_')[2]) // استخراج userId از sessionId
-                .increment('totalExercises', 1)
-                .increment('correctAnswers', exerciseData.isCorrect ? 1 : 0)
-                .increment('totalTime', exerciseData.timeSpent);
-        });
+        const { userId } = exerciseData;
+        if (!userId) return;
+
+        const increments = {
+            totalExercises: 1,
+            correctAnswers: exerciseData.isCorrect ? 1 : 0,
+            totalTime: exerciseData.timeSpent || 0
+        };
+
+        // increment خواندن و نوشتن را در یک تراکنش readwrite انجام می‌دهد
+        const updated = await this._database.query('user_stats')
+            .where('id', '=', userId)
+            .increment(increments);
+
+        if (updated === 0) {
+            await this._database.query('user_stats').insert({ id: userId, userId, ...increments });
+        }
     }
 
     /**
@@ -344,6 +779,7 @@ class ProgressTracker {
             .where('userId', '=', userId)
             .andWhere('courseId', '=', courseId)
             .upsert({
+                id: `${userId}:${courseId}`,
                 userId,
                 courseId,
                 lastLessonId: lessonId,
@@ -483,16 +919,20 @@ class ProgressTracker {
      * @method _getCurrentStreak
      * @param {string} userId - شناسه کاربر
      * @returns {Promise<number>}
+     * @desc از سرویس streak؛ در نبود آن با همان قاعده روی روزهای جلسات یادگیری
      */
     async _getCurrentStreak(userId) {
-        // پیاده‌سازی ساده streak (در نسخه واقعی پیچیده‌تر است)
-        const result = await this._database.query('learning_sessions')
+        if (this._streakService) {
+            const streak = await this._streakService.getStreak(userId);
+            return streak.current;
+        }
+
+        const sessions = await this._database.query('learning_sessions')
             .where('userId', '=', userId)
-            .where('startTime', '>=', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)) // ۷ روز گذشته
-            .countDistinct('DATE(startTime) as streak')
-            .first();
-        
-        return result?.streak || 0;
+            .select('startTime')
+            .get();
+
+        return calculateStreak(sessions.map(session => session.startTime)).current;
     }
 
     /**
@@ -576,6 +1016,66 @@ class ProgressTracker {
  * @property {Object} lastActivity
  */
 
+/**
+ * @typedef {Object} SkillMastery
+ * @property {string} skill - برچسب مهارت
+ * @property {string} type - skill | grammar | canDo
+ * @property {number} attempts
+ * @property {number} accuracy - درصد پاسخ‌های کاملاً درست
+ * @property {number} mastery - تسلط (۰ تا ۱۰۰) با وزن بیشتر برای پاسخ‌های اخیر
+ * @property {Date} updatedAt
+ */
+
+/**
+ * @typedef {Object} HintUsage
+ * @property {string} userId
+ * @property {number} totalExercises
+ * @property {number} exercisesWithHints
+ * @property {number} hintsUsed - مجموع راهنماهای گرفته‌شده
+ * @property {number} dependence - درصد تمرین‌هایی که با راهنما پاسخ داده شده‌اند
+ * @property {number} revealedAnswers - تعداد تمرین‌هایی که پاسخشان نمایش داده شد
+ * @property {Object<string, number>} byType - تعداد استفاده از هر نوع راهنما
+ * @property {number|null} accuracyWithHints - درصد پاسخ درست با راهنما
+ * @property {number|null} accuracyWithoutHints - درصد پاسخ درست بدون راهنما
+ */
+
+/**
+ * @typedef {Object} ActivitySummary
+ * @property {number} minutes - زمان صرف‌شده روی تمرین‌ها
+ * @property {number} exercises - تعداد تمرین‌های پاسخ‌داده‌شده
+ * @property {number} lessons - درس‌های تکمیل‌شده
+ * @property {number} reviews - تمرین‌های پاسخ‌داده‌شده در جلسه‌های مرور
+ */
+
+/**
+ * @typedef {Object} ExamReport
+ * @property {string} sessionId
+ * @property {string} userId
+ * @property {string} lessonId
+ * @property {number} score
+ * @property {number} correctCount
+ * @property {number} totalQuestions
+ * @property {number} percentage
+ * @property {boolean} passed
+ * @property {string} reason - submitted | timeout
+ * @property {Date} startTime
+ * @property {Date} endTime
+ * @property {number} duration - میلی‌ثانیه
+ * @property {Object[]} questions - پاسخ، درستی، امتیاز، بازخورد و وقت‌گذشتگی هر سؤال
+ */
+
+/**
+ * @typedef {Object} ExamResult
+ * @property {string} id - شناسه جلسه آزمون
+ * @property {string} userId
+ * @property {string} lessonId
+ * @property {number} percentage
+ * @property {boolean} passed
+ * @property {string} reason
+ * @property {Date} endTime
+ * @property {Object[]} questions
+ */
+
 // ==================== Export ====================
 
-export { IProgressTracker, ProgressTracker };
+export { IProgressTracker, ProgressTracker, PROGRESS_TRACKER_STORES };
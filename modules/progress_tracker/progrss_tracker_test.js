@@ -0,0 +1,86 @@
+/**
+ * 🧪 تست ProgressTracker
+ * اجرای ردیاب پیشرفت روی دیتابیس درون‌حافظه‌ای با اسکیمای واقعی stores
+ */
+
+import { ProgressTracker, PROGRESS_TRACKER_STORES } from './progrss_tracker.js';
+import MemoryDatabase, { createMemoryIndexedDB } from '../../core/memory_database.js';
+
+describe('ProgressTracker on MemoryDatabase', () => {
+    let database;
+    let events;
+    let tracker;
+
+    beforeEach(async () => {
+        database = new MemoryDatabase('progress_test', { indexedDB: createMemoryIndexedDB() });
+        await database.init({ version: 1, stores: PROGRESS_TRACKER_STORES });
+        events = [];
+        tracker = new ProgressTracker({
+            database,
+            eventBus: { publish: (name, payload) => events.push({ name, payload }) }
+        });
+    });
+
+    afterEach(async () => {
+        await database.deleteDatabase();
+    });
+
+    test('records exercise results into stats, mastery and hint usage', async () => {
+        await tracker.startSession('s1', 'u1', 'en_1');
+        await tracker.recordExerciseResult({
+            sessionId: 's1', userId: 'u1', lessonId: 'en_1', exerciseId: 'e1',
+            isCorrect: true, score: 10, timeSpent: 30, skills: ['vocabulary']
+        });
+        await tracker.recordExerciseResult({
+            sessionId: 's1', userId: 'u1', lessonId: 'en_1', exerciseId: 'e2',
+            isCorrect: false, score: 0, timeSpent: 50, skills: ['vocabulary'],
+            hintsUsed: 1, hintTypes: ['reveal_answer']
+        });
+
+        const stats = await database.get('user_stats', 'u1');
+        expect(stats).toMatchObject({ totalExercises: 2 });
+
+        const [mastery] = await tracker.getSkillMastery('u1');
+        expect(mastery).toMatchObject({ skill: 'vocabulary', attempts: 2, accuracy: 50 });
+
+        expect(await tracker.getHintUsage('u1')).toMatchObject({
+            totalExercises: 2,
+            exercisesWithHints: 1,
+            revealedAnswers: 1,
+            accuracyWithHints: 0,
+            accuracyWithoutHints: 100
+        });
+        expect(events.map(event => event.name)).not.toContain('progress.error');
+    });
+
+    test('keeps every concurrent mastery update for the same skill', async () => {
+        const result = (exerciseId, isCorrect, skills = ['grammar']) => ({
+            sessionId: 's1', userId: 'u1', lessonId: 'en_1', exerciseId,
+            isCorrect, score: isCorrect ? 10 : 0, timeSpent: 10, skills
+        });
+        await tracker.startSession('s1', 'u1', 'en_1');
+        await tracker.recordExerciseResult(result('e1', true, ['vocabulary']));
+
+        await Promise.all([
+            tracker.recordExerciseResult(result('e2', true)),
+            tracker.recordExerciseResult(result('e3', false)),
+            tracker.recordExerciseResult(result('e4', true))
+        ]);
+
+        const mastery = (await tracker.getSkillMastery('u1')).find(entry => entry.skill === 'grammar');
+        expect(mastery).toMatchObject({ attempts: 3, accuracy: 67 });
+    });
+
+    test('lists completed lessons once per lesson', async () => {
+        const start = new Date(Date.UTC(2024, 0, 1, 10));
+        const end = new Date(Date.UTC(2024, 0, 1, 10, 15));
+
+        await tracker.completeLesson('u1', 'en_1', 80, start, end);
+        await tracker.completeLesson('u1', 'en_1', 95, start, end);
+        await tracker.completeLesson('u1', 'en_2', 70, start, end);
+        await tracker.completeLesson('u2', 'en_3', 60, start, end);
+
+        expect((await tracker.getCompletedLessonIds('u1')).sort()).toEqual(['en_1', 'en_2']);
+        expect(await database.count('completed_lessons')).toBe(4);
+    });
+});
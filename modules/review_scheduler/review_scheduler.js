@@ -0,0 +1,292 @@
+/**
+ * @file modules/review-scheduler/review-scheduler.js
+ * @desc زمان‌بندی مرور با تکرار فاصله‌دار (الگوریتم SM-2) بر اساس نتایج تمرین‌ها
+ * @implements IReviewScheduler (قرارداد انتزاعی)
+ */
+
+/**
+ * @interface IReviewScheduler
+ * @desc قرارداد انتزاعی برای زمان‌بندی مرور
+ */
+class IReviewScheduler {
+    /**
+     * @method getDueReviews
+     * @param {string} userId - شناسه کاربر
+     * @param {number} [limit] - حداکثر تعداد آیتم‌ها
+     * @returns {Promise<ReviewItem[]>}
+     */
+    async getDueReviews(userId, limit) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method recordReview
+     * @param {string} itemId - شناسه آیتم مرور
+     * @param {number} grade - کیفیت پاسخ (۰ تا ۵)
+     * @returns {Promise<ReviewItem>}
+     */
+    async recordReview(itemId, grade) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * تعریف storeهای مورد نیاز برای اسکیما دیتابیس
+ * @type {Array<Object>}
+ */
+const REVIEW_SCHEDULER_STORES = [
+    {
+        name: 'review_items',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' },
+            { name: 'dueAt', keyPath: 'dueAt' }
+        ]
+    }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @class ReviewScheduler
+ * @implements IReviewScheduler
+ * @desc پیاده‌سازی SM-2 با ذخیره‌سازی وضعیت هر آیتم در دیتابیس
+ */
+class ReviewScheduler {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {Object} [dependencies.options] - تنظیمات الگوریتم
+     */
+    constructor({ database, eventBus, options = {} }) {
+        if (!database || !eventBus) {
+            throw new Error('Database and EventBus dependencies are required');
+        }
+
+        this._database = database;
+        this._eventBus = eventBus;
+        this._options = {
+            initialEase: 2.5,
+            minimumEase: 1.3,
+            fastAnswerSeconds: 10,
+            ...options
+        };
+
+        // گوش دادن به نتایج تمرین‌ها برای زمان‌بندی خودکار
+        this._unsubscribe = this._eventBus.subscribe('progress.exercise_completed', {
+            handleEvent: (eventType, data) => this._onExerciseCompleted(data)
+        });
+    }
+
+    /**
+     * @method getDueReviews
+     * @param {string} userId - شناسه کاربر
+     * @param {number} [limit=20] - حداکثر تعداد آیتم‌ها
+     * @returns {Promise<ReviewItem[]>}
+     * @desc دریافت آیتم‌هایی که موعد مرورشان رسیده، قدیمی‌ترین اول
+     */
+    async getDueReviews(userId, limit = 20) {
+        try {
+            const now = Date.now();
+            const items = await this._database.queryByIndex('review_items', 'userId', userId, {
+                filter: item => item.dueAt <= now
+            });
+
+            return items
+                .sort((a, b) => a.dueAt - b.dueAt)
+                .slice(0, limit);
+
+        } catch (error) {
+            this._eventBus.publish('review.error', {
+                action: 'getDueReviews',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method recordReview
+     * @param {string} itemId - شناسه آیتم مرور
+     * @param {number} grade - کیفیت پاسخ (۰ تا ۵)
+     * @returns {Promise<ReviewItem>}
+     * @desc ثبت نتیجه مرور و محاسبه موعد بعدی
+     */
+    async recordReview(itemId, grade) {
+        try {
+            this._validateGrade(grade);
+
+            const item = await this._database.get('review_items', itemId);
+            if (!item) {
+                throw new Error(`Review item ${itemId} not found`);
+            }
+
+            const updated = this._schedule(item, grade);
+            await this._database.update('review_items', itemId, updated);
+
+            this._eventBus.publish('review.recorded', {
+                itemId,
+                userId: item.userId,
+                grade,
+                interval: updated.interval,
+                dueAt: updated.dueAt
+            });
+
+            return { ...item, ...updated };
+
+        } catch (error) {
+            this._eventBus.publish('review.error', {
+                action: 'recordReview',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method destroy
+     * @desc قطع اشتراک از رویدادها
+     */
+    destroy() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _onExerciseCompleted
+     * @param {Object} data - داده رویداد progress.exercise_completed
+     */
+    async _onExerciseCompleted(data) {
+        const { userId, exerciseId } = data;
+        if (!userId || !exerciseId) return;
+
+        const itemId = this._buildItemId(userId, exerciseId);
+        const grade = this._gradeFromResult(data);
+
+        const existing = await this._database.get('review_items', itemId);
+        if (existing) {
+            await this.recordReview(itemId, grade);
+            return;
+        }
+
+        const item = {
+            id: itemId,
+            userId,
+            exerciseId,
+            lessonId: data.lessonId || null,
+            easeFactor: this._options.initialEase,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            createdAt: new Date().toISOString()
+        };
+
+        await this._database.add('review_items', { ...item, ...this._schedule(item, grade) });
+    }
+
+    /**
+     * @private
+     * @method _schedule
+     * @param {ReviewItem} item - وضعیت فعلی آیتم
+     * @param {number} grade - کیفیت پاسخ
+     * @returns {Object} فیلدهای به‌روزشده
+     */
+    _schedule(item, grade) {
+        let { easeFactor, interval, repetitions, lapses } = item;
+
+        if (grade >= 3) {
+            if (repetitions === 0) {
+                interval = 1;
+            } else if (repetitions === 1) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * easeFactor);
+            }
+            repetitions++;
+        } else {
+            // پاسخ غلط: شروع دوباره از فردا
+            repetitions = 0;
+            interval = 1;
+            lapses++;
+        }
+
+        easeFactor = Math.max(
+            this._options.minimumEase,
+            easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+        );
+
+        const now = Date.now();
+        return {
+            easeFactor: Math.round(easeFactor * 100) / 100,
+            interval,
+            repetitions,
+            lapses,
+            lastGrade: grade,
+            lastReviewedAt: now,
+            dueAt: now + interval * DAY_MS
+        };
+    }
+
+    /**
+     * @private
+     * @method _gradeFromResult
+     * @param {Object} result - نتیجه تمرین
+     * @returns {number} کیفیت پاسخ (۰ تا ۵)
+     */
+    _gradeFromResult({ isCorrect, score, timeSpent }) {
+        if (!isCorrect) {
+            return score > 0 ? 2 : 1;
+        }
+        return timeSpent <= this._options.fastAnswerSeconds ? 5 : 4;
+    }
+
+    /**
+     * @private
+     * @method _validateGrade
+     * @param {number} grade - کیفیت پاسخ
+     */
+    _validateGrade(grade) {
+        if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+            throw new Error('Grade must be an integer between 0 and 5');
+        }
+    }
+
+    /**
+     * @private
+     * @method _buildItemId
+     * @param {string} userId - شناسه کاربر
+     * @param {string} exerciseId - شناسه تمرین
+     * @returns {string}
+     */
+    _buildItemId(userId, exerciseId) {
+        return `${userId}:${exerciseId}`;
+    }
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} ReviewItem
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} exerciseId
+ * @property {string|null} lessonId
+ * @property {number} easeFactor
+ * @property {number} interval - فاصله به روز
+ * @property {number} repetitions
+ * @property {number} lapses
+ * @property {number} lastGrade
+ * @property {number} lastReviewedAt
+ * @property {number} dueAt - زمان موعد مرور (میلی‌ثانیه)
+ */
+
+// ==================== Export ====================
+
+export { IReviewScheduler, ReviewScheduler, REVIEW_SCHEDULER_STORES };
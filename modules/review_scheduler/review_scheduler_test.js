@@ -0,0 +1,92 @@
+/**
+ * 🧪 تست Review Scheduler
+ * تست‌های واحد الگوریتم SM-2 و زمان‌بندی مرور
+ */
+
+import { ReviewScheduler, REVIEW_SCHEDULER_STORES } from './review_scheduler.js';
+import { createTestDatabase, createRecordingEventBus } from '../../core/test_helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ReviewScheduler', () => {
+    let database;
+    let eventBus;
+    let scheduler;
+
+    beforeEach(async () => {
+        database = await createTestDatabase(REVIEW_SCHEDULER_STORES);
+        eventBus = createRecordingEventBus();
+        scheduler = new ReviewScheduler({ database, eventBus });
+    });
+
+    afterEach(async () => {
+        scheduler.destroy();
+        await database.deleteDatabase();
+    });
+
+    test('should require dependencies', () => {
+        expect(() => new ReviewScheduler({ database })).toThrow('Database and EventBus dependencies are required');
+    });
+
+    test('should create review item from exercise result event', async () => {
+        await eventBus.publish('progress.exercise_completed', {
+            userId: 'user_1', lessonId: 'lesson_1', exerciseId: 'ex_1',
+            isCorrect: false, score: 0, timeSpent: 30
+        });
+
+        const item = await database.get('review_items', 'user_1:ex_1');
+        expect(item.repetitions).toBe(0);
+        expect(item.interval).toBe(1);
+        expect(item.lapses).toBe(1);
+        expect(item.lessonId).toBe('lesson_1');
+    });
+
+    test('should ignore events without userId', async () => {
+        await eventBus.publish('progress.exercise_completed', { exerciseId: 'ex_1', isCorrect: true });
+        expect(await database.getAll('review_items')).toHaveLength(0);
+    });
+
+    test('should grow interval on successive correct reviews', async () => {
+        await eventBus.publish('progress.exercise_completed', {
+            userId: 'user_1', exerciseId: 'ex_1', isCorrect: true, score: 10, timeSpent: 5
+        });
+        expect((await database.get('review_items', 'user_1:ex_1')).interval).toBe(1);
+
+        const second = await scheduler.recordReview('user_1:ex_1', 5);
+        expect(second.interval).toBe(6);
+
+        const third = await scheduler.recordReview('user_1:ex_1', 4);
+        expect(third.interval).toBe(Math.round(6 * second.easeFactor));
+        expect(third.repetitions).toBe(3);
+    });
+
+    test('should never drop ease factor below minimum', async () => {
+        await eventBus.publish('progress.exercise_completed', {
+            userId: 'user_1', exerciseId: 'ex_1', isCorrect: false, score: 0, timeSpent: 5
+        });
+
+        let item;
+        for (let i = 0; i < 10; i++) {
+            item = await scheduler.recordReview('user_1:ex_1', 0);
+        }
+        expect(item.easeFactor).toBe(1.3);
+    });
+
+    test('should reject invalid grades', async () => {
+        await expect(scheduler.recordReview('user_1:ex_1', 7)).rejects.toThrow('Grade must be an integer between 0 and 5');
+    });
+
+    test('should return only due items ordered by due date', async () => {
+        const now = Date.now();
+        await database.add('review_items', { id: 'a', userId: 'user_1', dueAt: now - DAY_MS });
+        await database.add('review_items', { id: 'b', userId: 'user_1', dueAt: now - 2 * DAY_MS });
+        await database.add('review_items', { id: 'c', userId: 'user_1', dueAt: now + DAY_MS });
+        await database.add('review_items', { id: 'd', userId: 'user_2', dueAt: now - DAY_MS });
+
+        const due = await scheduler.getDueReviews('user_1', 10);
+        expect(due.map(item => item.id)).toEqual(['b', 'a']);
+
+        const limited = await scheduler.getDueReviews('user_1', 1);
+        expect(limited).toHaveLength(1);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * @file modules/skill_taxonomy/skill_taxonomy.js
+ * @desc طبقه‌بندی مشترک مهارت‌ها هم‌راستا با CEFR برای برچسب‌گذاری تمرین‌ها، درس‌ها و گزارش تسلط
+ *
+ * قالب برچسب‌ها:
+ *   - مهارت اصلی:        'listening'
+ *   - موضوع دستوری:      'grammar:past_simple'
+ *   - توانستن (can-do):   'can-do:A1.listening.1'
+ */
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+const CORE_SKILLS = ['listening', 'reading', 'writing', 'speaking', 'vocabulary', 'grammar'];
+
+const GRAMMAR_TOPICS = [
+    'articles',
+    'pronouns',
+    'prepositions',
+    'questions',
+    'present_simple',
+    'present_continuous',
+    'past_simple',
+    'past_continuous',
+    'present_perfect',
+    'future',
+    'modals',
+    'comparatives',
+    'conditionals',
+    'passive',
+    'relative_clauses',
+    'reported_speech'
+];
+
+/**
+ * گزاره‌های «می‌توانم...» برای چهار مهارت ارتباطی در هر سطح
+ */
+const CAN_DO_STATEMENTS = [
+    { id: 'A1.listening.1', level: 'A1', skill: 'listening', description: 'عبارت‌های آشنا و ساده درباره خودم و خانواده را وقتی آهسته گفته شوند می‌فهمم' },
+    { id: 'A1.reading.1', level: 'A1', skill: 'reading', description: 'نام‌ها، کلمات آشنا و جمله‌های بسیار ساده روی تابلو و فرم را می‌فهمم' },
+    { id: 'A1.writing.1', level: 'A1', skill: 'writing', description: 'فرم ساده با اطلاعات شخصی را پر می‌کنم' },
+    { id: 'A1.speaking.1', level: 'A1', skill: 'speaking', description: 'با جمله‌های ساده خودم را معرفی می‌کنم' },
+    { id: 'A2.listening.1', level: 'A2', skill: 'listening', description: 'نکته اصلی پیام‌ها و اعلان‌های کوتاه و روشن را می‌فهمم' },
+    { id: 'A2.reading.1', level: 'A2', skill: 'reading', description: 'اطلاعات مشخص را در متن‌های روزمره مثل آگهی و منو پیدا می‌کنم' },
+    { id: 'A2.writing.1', level: 'A2', skill: 'writing', description: 'یادداشت و پیام کوتاه درباره نیازهای روزمره می‌نویسم' },
+    { id: 'A2.speaking.1', level: 'A2', skill: 'speaking', description: 'در گفت‌وگوهای کوتاه و روزمره شرکت می‌کنم' },
+    { id: 'B1.listening.1', level: 'B1', skill: 'listening', description: 'نکات اصلی گفتار روشن درباره موضوعات آشنا را می‌فهمم' },
+    { id: 'B1.reading.1', level: 'B1', skill: 'reading', description: 'متن‌های مربوط به کار و زندگی روزمره را می‌فهمم' },
+    { id: 'B1.writing.1', level: 'B1', skill: 'writing', description: 'متن ساده و منسجم درباره موضوعات آشنا می‌نویسم' },
+    { id: 'B1.speaking.1', level: 'B1', skill: 'speaking', description: 'تجربه‌ها و برنامه‌هایم را توصیف و دلیل می‌آورم' },
+    { id: 'B2.listening.1', level: 'B2', skill: 'listening', description: 'سخنرانی‌ها و گفت‌وگوهای طولانی با استدلال پیچیده را دنبال می‌کنم' },
+    { id: 'B2.reading.1', level: 'B2', skill: 'reading', description: 'مقاله‌ها و گزارش‌های روز را با دیدگاه نویسنده می‌فهمم' },
+    { id: 'B2.writing.1', level: 'B2', skill: 'writing', description: 'متن روشن و مفصل با دلایل موافق و مخالف می‌نویسم' },
+    { id: 'B2.speaking.1', level: 'B2', skill: 'speaking', description: 'با روانی کافی با گویشوران بومی گفت‌وگو می‌کنم' },
+    { id: 'C1.listening.1', level: 'C1', skill: 'listening', description: 'گفتار طولانی را حتی وقتی ساختار روشنی ندارد می‌فهمم' },
+    { id: 'C1.reading.1', level: 'C1', skill: 'reading', description: 'متن‌های طولانی و پیچیده ادبی و تخصصی را می‌فهمم' },
+    { id: 'C1.writing.1', level: 'C1', skill: 'writing', description: 'متن ساختارمند درباره موضوعات پیچیده می‌نویسم' },
+    { id: 'C1.speaking.1', level: 'C1', skill: 'speaking', description: 'بدون جست‌وجوی آشکار کلمات، روان و بی‌درنگ صحبت می‌کنم' },
+    { id: 'C2.listening.1', level: 'C2', skill: 'listening', description: 'هر نوع گفتار زنده یا ضبط‌شده را با سرعت طبیعی می‌فهمم' },
+    { id: 'C2.reading.1', level: 'C2', skill: 'reading', description: 'تقریباً همه انواع متن، حتی انتزاعی و پیچیده را به‌راحتی می‌خوانم' },
+    { id: 'C2.writing.1', level: 'C2', skill: 'writing', description: 'متن روان، پیچیده و با سبک مناسب می‌نویسم' },
+    { id: 'C2.speaking.1', level: 'C2', skill: 'speaking', description: 'در هر گفت‌وگو و بحثی بی‌زحمت و با ظرافت شرکت می‌کنم' }
+];
+
+const GRAMMAR_PREFIX = 'grammar:';
+const CAN_DO_PREFIX = 'can-do:';
+
+/**
+ * تجزیه یک برچسب مهارت
+ * @param {string} tag - برچسب
+ * @returns {{type: string, skill: string, topic?: string, canDo?: Object}|null} در صورت نامعتبر بودن null
+ */
+function parseSkillTag(tag) {
+    if (typeof tag !== 'string') {
+        return null;
+    }
+    if (CORE_SKILLS.includes(tag)) {
+        return { type: 'skill', skill: tag };
+    }
+    if (tag.startsWith(GRAMMAR_PREFIX)) {
+        const topic = tag.slice(GRAMMAR_PREFIX.length);
+        return GRAMMAR_TOPICS.includes(topic) ? { type: 'grammar', skill: 'grammar', topic } : null;
+    }
+    if (tag.startsWith(CAN_DO_PREFIX)) {
+        const canDo = CAN_DO_STATEMENTS.find(statement => statement.id === tag.slice(CAN_DO_PREFIX.length));
+        return canDo ? { type: 'canDo', skill: canDo.skill, canDo } : null;
+    }
+    return null;
+}
+
+/**
+ * اعتبارسنجی فهرست برچسب‌ها
+ * @param {string[]} tags - برچسب‌ها
+ * @throws {Error} در صورت آرایه نبودن یا وجود برچسب ناشناخته
+ */
+function validateSkillTags(tags) {
+    if (!Array.isArray(tags)) {
+        throw new Error('Skill tags must be an array');
+    }
+    const unknown = tags.filter(tag => !parseSkillTag(tag));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown skill tags: ${unknown.join(', ')}`);
+    }
+}
+
+/**
+ * افزودن مهارت اصلی هر برچسب (مثلاً grammar:past_simple -> grammar) برای جمع‌بندی تسلط
+ * @param {string[]} tags - برچسب‌ها
+ * @returns {string[]} برچسب‌های یکتا به همراه مهارت‌های اصلی
+ */
+function expandSkillTags(tags) {
+    const expanded = new Set();
+    tags.forEach(tag => {
+        const parsed = parseSkillTag(tag);
+        if (!parsed) return;
+        expanded.add(tag);
+        expanded.add(parsed.skill);
+    });
+    return [...expanded];
+}
+
+/**
+ * @param {string} level - سطح
+ * @returns {boolean}
+ */
+function isCefrLevel(level) {
+    return CEFR_LEVELS.includes(level);
+}
+
+/**
+ * @param {Object} [filter] - { level, skill }
+ * @returns {Object[]} گزاره‌های can-do منطبق با فیلتر
+ */
+function getCanDoStatements({ level, skill } = {}) {
+    return CAN_DO_STATEMENTS.filter(statement =>
+        (!level || statement.level === level) && (!skill || statement.skill === skill)
+    );
+}
+
+export {
+    CEFR_LEVELS,
+    CORE_SKILLS,
+    GRAMMAR_TOPICS,
+    CAN_DO_STATEMENTS,
+    parseSkillTag,
+    validateSkillTags,
+    expandSkillTags,
+    isCefrLevel,
+    getCanDoStatements
+};
@@ -0,0 +1,40 @@
+/**
+ * 🧪 تست Skill Taxonomy
+ * تست‌های تجزیه و اعتبارسنجی برچسب‌های مهارت
+ */
+
+import {
+    parseSkillTag,
+    validateSkillTags,
+    expandSkillTags,
+    isCefrLevel,
+    getCanDoStatements
+} from './skill_taxonomy.js';
+
+describe('skill taxonomy', () => {
+    test('should parse core skills, grammar topics and can-do statements', () => {
+        expect(parseSkillTag('listening')).toEqual({ type: 'skill', skill: 'listening' });
+        expect(parseSkillTag('grammar:past_simple')).toEqual({ type: 'grammar', skill: 'grammar', topic: 'past_simple' });
+        expect(parseSkillTag('can-do:B1.speaking.1').skill).toBe('speaking');
+        expect(parseSkillTag('grammar:time_travel')).toBeNull();
+        expect(parseSkillTag('cooking')).toBeNull();
+    });
+
+    test('should reject unknown tags', () => {
+        expect(() => validateSkillTags(['reading', 'grammar:passive'])).not.toThrow();
+        expect(() => validateSkillTags(['reading', 'cooking'])).toThrow('Unknown skill tags: cooking');
+        expect(() => validateSkillTags('reading')).toThrow('Skill tags must be an array');
+    });
+
+    test('should roll tags up to their core skill', () => {
+        expect(expandSkillTags(['grammar:passive', 'can-do:A2.reading.1']).sort())
+            .toEqual(['can-do:A2.reading.1', 'grammar', 'grammar:passive', 'reading']);
+    });
+
+    test('should expose CEFR levels and can-do statements', () => {
+        expect(isCefrLevel('B2')).toBe(true);
+        expect(isCefrLevel('D1')).toBe(false);
+        expect(getCanDoStatements({ level: 'A1' })).toHaveLength(4);
+        expect(getCanDoStatements({ level: 'C1', skill: 'writing' })[0].id).toBe('C1.writing.1');
+    });
+});
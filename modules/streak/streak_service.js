@@ -0,0 +1,544 @@
+/**
+ * @file modules/streak/streak_service.js
+ * @desc سرویس واحد محاسبه streak در منطقه زمانی کاربر با هدف روزانه، یخ‌زدگی (freeze) و بازه ترمیم
+ * @implements IStreakService (قرارداد انتزاعی)
+ *
+ * روز با هدف روزانه (دقیقه یا XP) کامل می‌شود. روزهای ازدست‌رفته با freeze پوشش داده می‌شوند؛
+ * در غیر این صورت streak قطع می‌شود و تا پایان بازه ترمیم قابل بازگرداندن است.
+ */
+
+/**
+ * @interface IStreakService
+ * @desc قرارداد انتزاعی برای streak
+ */
+class IStreakService {
+    /**
+     * @method recordActivity
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} activity - { minutes, xp, at }
+     * @returns {Promise<StreakStatus>}
+     */
+    async recordActivity(userId, activity) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getStreak
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<StreakStatus>}
+     */
+    async getStreak(userId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getTimeZone
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<string>}
+     */
+    async getTimeZone(userId) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * تعریف store های مورد نیاز این ماژول (برای ثبت در SchemaManager)
+ */
+const STREAK_STORES = [
+    {
+        name: 'streaks',
+        keyPath: 'id',
+        indexes: []
+    },
+    {
+        name: 'streak_days',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GOAL_UNITS = ['minutes', 'xp'];
+
+/**
+ * @returns {string} منطقه زمانی محیط اجرا
+ */
+function getDefaultTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * کلید روز تقویمی در منطقه زمانی داده‌شده
+ * @param {Date|number|string} date - زمان
+ * @param {string} [timeZone] - منطقه زمانی IANA
+ * @returns {string} YYYY-MM-DD
+ */
+function toDayKey(date, timeZone = getDefaultTimeZone()) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(date));
+}
+
+/**
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} تعداد روز از from تا to
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {number} days - تعداد روز
+ * @returns {string}
+ */
+function addDays(dayKey, days) {
+    return new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * محاسبه streak از روزهای فعالیت (بدون freeze)؛ streak تا پایان روز بعد از آخرین فعالیت زنده است
+ * @param {Array<Date|number|string>} dates - زمان فعالیت‌ها
+ * @param {Object} [options] - { timeZone, now }
+ * @returns {{current: number, longest: number}}
+ */
+function calculateStreak(dates, { timeZone = getDefaultTimeZone(), now = Date.now() } = {}) {
+    const days = [...new Set(dates.map(date => toDayKey(date, timeZone)))].sort();
+    if (days.length === 0) {
+        return { current: 0, longest: 0 };
+    }
+
+    let longest = 1;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+        run = daysBetween(days[i - 1], days[i]) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    const current = daysBetween(days[days.length - 1], toDayKey(now, timeZone)) <= 1 ? run : 0;
+    return { current, longest };
+}
+
+/**
+ * @class StreakService
+ * @implements IStreakService
+ */
+class StreakService {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {Object} [dependencies.options] - تنظیمات
+     */
+    constructor({ database, eventBus, options = {} }) {
+        if (!database || !eventBus) {
+            throw new Error('Database and EventBus dependencies are required');
+        }
+
+        this._database = database;
+        this._eventBus = eventBus;
+        this._options = {
+            dailyGoal: { unit: 'minutes', target: 5 },
+            maxFreezes: 2,              // حداکثر freeze ذخیره‌شده
+            freezeEarnInterval: 7,      // هر ۷ روز streak یک freeze جایزه
+            repairWindowDays: 2,        // مهلت ترمیم بعد از قطع شدن
+            timeZone: getDefaultTimeZone(),
+            ...options
+        };
+
+        // کارهای هر کاربر به ترتیب اجرا می‌شوند
+        this._queues = new Map();
+
+        this._unsubscribers = [
+            this._eventBus.subscribe('progress.exercise_completed', {
+                handleEvent: (eventType, data) => data?.userId &&
+                    this.recordActivity(data.userId, { minutes: (data.timeSpent || 0) / 60 })
+            }),
+            this._eventBus.subscribe('gamification.xp_awarded', {
+                handleEvent: (eventType, data) => data?.userId &&
+                    this.recordActivity(data.userId, { xp: data.amount || 0 })
+            })
+        ];
+    }
+
+    /**
+     * @method recordActivity
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} activity - { minutes, xp, at }
+     * @returns {Promise<StreakStatus>}
+     * @desc افزودن فعالیت به روز جاری کاربر و تمدید streak در صورت رسیدن به هدف روزانه
+     */
+    async recordActivity(userId, { minutes = 0, xp = 0, at = Date.now() } = {}) {
+        return this._enqueue(userId, async () => {
+            try {
+                const streak = await this._loadStreak(userId);
+                const dayKey = toDayKey(at, streak.timeZone);
+                const dayId = `${userId}:${dayKey}`;
+
+                const existingDay = await this._database.get('streak_days', dayId);
+                const day = existingDay || { id: dayId, userId, date: dayKey, minutes: 0, xp: 0, goalMet: false };
+                day.minutes = round(day.minutes + minutes);
+                day.xp += xp;
+
+                const reachedGoal = !day.goalMet && this._isGoalMet(day, streak.dailyGoal);
+                if (reachedGoal) {
+                    day.goalMet = true;
+                }
+
+                if (existingDay) {
+                    await this._database.update('streak_days', dayId, day);
+                } else {
+                    await this._database.add('streak_days', day);
+                }
+
+                if (reachedGoal) {
+                    this._extend(streak, dayKey);
+                    await this._saveStreak(streak);
+                }
+
+                return this._toStatus(streak, at);
+
+            } catch (error) {
+                this._eventBus.publish('streak.error', {
+                    action: 'recordActivity',
+                    error: error.message
+                });
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * @method getStreak
+     * @param {string} userId - شناسه کاربر
+     * @param {number} [now] - زمان فعلی
+     * @returns {Promise<StreakStatus>}
+     * @desc streak فعلی؛ اگر روزهای ازدست‌رفته با freeze پوشش داده نشوند قطع شدن ثبت می‌شود
+     */
+    async getStreak(userId, now = Date.now()) {
+        return this._enqueue(userId, async () => {
+            const streak = await this._loadStreak(userId);
+            if (this._checkLoss(streak, toDayKey(now, streak.timeZone))) {
+                await this._saveStreak(streak);
+            }
+            return this._toStatus(streak, now);
+        });
+    }
+
+    /**
+     * @method addFreeze
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [options] - { source: 'earned' | 'purchased', count }
+     * @returns {Promise<number>} تعداد freeze های موجود
+     */
+    async addFreeze(userId, { source = 'purchased', count = 1 } = {}) {
+        return this._enqueue(userId, async () => {
+            const streak = await this._loadStreak(userId);
+            if (streak.freezes >= this._options.maxFreezes) {
+                throw new Error(`Cannot hold more than ${this._options.maxFreezes} streak freezes`);
+            }
+
+            this._grantFreezes(streak, count, source);
+            await this._saveStreak(streak);
+            return streak.freezes;
+        });
+    }
+
+    /**
+     * @method repairStreak
+     * @param {string} userId - شناسه کاربر
+     * @param {number} [now] - زمان فعلی
+     * @returns {Promise<StreakStatus>}
+     * @desc بازگرداندن streak قطع‌شده در بازه ترمیم؛ روزهای بعد از قطع شدن به آن اضافه می‌شوند
+     */
+    async repairStreak(userId, now = Date.now()) {
+        return this._enqueue(userId, async () => {
+            const streak = await this._loadStreak(userId);
+            const today = toDayKey(now, streak.timeZone);
+            this._checkLoss(streak, today);
+
+            if (!streak.lost) {
+                throw new Error('There is no lost streak to repair');
+            }
+            if (today > streak.lost.repairableUntil) {
+                throw new Error('Repair window has expired');
+            }
+
+            const restored = streak.lost.previous + streak.current;
+            streak.current = restored;
+            streak.longest = Math.max(streak.longest, restored);
+            streak.lost = null;
+            // روزهای ازدست‌رفته دیگر قطع حساب نمی‌شوند
+            const yesterday = addDays(today, -1);
+            if (streak.lastGoalDate < yesterday) {
+                streak.lastGoalDate = yesterday;
+            }
+            await this._saveStreak(streak);
+
+            this._eventBus.publish('streak.repaired', { userId, current: restored });
+            return this._toStatus(streak, now);
+        });
+    }
+
+    /**
+     * @method setDailyGoal
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} goal - { unit: 'minutes' | 'xp', target }
+     * @returns {Promise<void>}
+     */
+    async setDailyGoal(userId, { unit, target }) {
+        if (!GOAL_UNITS.includes(unit)) {
+            throw new Error(`Invalid daily goal unit: ${unit}`);
+        }
+        if (typeof target !== 'number' || target < 0) {
+            throw new Error('Daily goal target must be a non-negative number');
+        }
+
+        return this._enqueue(userId, async () => {
+            const streak = await this._loadStreak(userId);
+            streak.dailyGoal = { unit, target };
+            await this._saveStreak(streak);
+        });
+    }
+
+    /**
+     * @method setTimeZone
+     * @param {string} userId - شناسه کاربر
+     * @param {string} timeZone - منطقه زمانی IANA (مثلاً Asia/Tehran)
+     * @returns {Promise<void>}
+     */
+    async setTimeZone(userId, timeZone) {
+        try {
+            toDayKey(Date.now(), timeZone);
+        } catch (error) {
+            throw new Error(`Invalid time zone: ${timeZone}`);
+        }
+
+        return this._enqueue(userId, async () => {
+            const streak = await this._loadStreak(userId);
+            streak.timeZone = timeZone;
+            await this._saveStreak(streak);
+        });
+    }
+
+    /**
+     * @method getTimeZone
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<string>}
+     * @desc فقط خواندن؛ برخلاف getStreak قطع شدن streak را بررسی و ثبت نمی‌کند
+     */
+    async getTimeZone(userId) {
+        return (await this._loadStreak(userId)).timeZone;
+    }
+
+    /**
+     * @method destroy
+     * @desc قطع اشتراک از رویدادها
+     */
+    destroy() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _extend
+     * @param {Object} streak - رکورد streak
+     * @param {string} dayKey - روزی که هدفش کامل شد
+     */
+    _extend(streak, dayKey) {
+        if (streak.lastGoalDate && dayKey <= streak.lastGoalDate) return;
+
+        this._checkLoss(streak, dayKey);
+
+        const missed = streak.lastGoalDate ? daysBetween(streak.lastGoalDate, dayKey) - 1 : 0;
+        if (streak.current > 0 && missed > 0) {
+            // روزهای خالی با freeze پوشش داده می‌شوند (_checkLoss تضمین می‌کند کافی است)
+            for (let i = 1; i <= missed; i++) {
+                streak.frozenDays.push(addDays(streak.lastGoalDate, i));
+            }
+            streak.frozenDays = streak.frozenDays.slice(-30);
+            streak.freezes -= missed;
+            this._eventBus.publish('streak.freeze_used', { userId: streak.id, count: missed, freezesLeft: streak.freezes });
+        }
+
+        streak.current += 1;
+        streak.longest = Math.max(streak.longest, streak.current);
+        streak.lastGoalDate = dayKey;
+
+        if (streak.current % this._options.freezeEarnInterval === 0 && streak.freezes < this._options.maxFreezes) {
+            this._grantFreezes(streak, 1, 'earned');
+        }
+
+        this._eventBus.publish('streak.extended', {
+            userId: streak.id,
+            current: streak.current,
+            longest: streak.longest,
+            date: dayKey
+        });
+    }
+
+    /**
+     * @private
+     * @method _checkLoss
+     * @param {Object} streak - رکورد streak
+     * @param {string} today - روز جاری کاربر
+     * @returns {boolean} true اگر streak همین حالا قطع شد
+     */
+    _checkLoss(streak, today) {
+        if (!streak.lastGoalDate || streak.current === 0) return false;
+
+        const missed = daysBetween(streak.lastGoalDate, today) - 1;
+        if (missed <= streak.freezes) return false;
+
+        const lostOn = addDays(streak.lastGoalDate, streak.freezes + 1);
+        streak.lost = {
+            previous: streak.current,
+            lostOn,
+            repairableUntil: addDays(lostOn, this._options.repairWindowDays)
+        };
+        streak.current = 0;
+
+        this._eventBus.publish('streak.lost', {
+            userId: streak.id,
+            previous: streak.lost.previous,
+            lostOn,
+            repairableUntil: streak.lost.repairableUntil
+        });
+        return true;
+    }
+
+    /**
+     * @private
+     * @method _grantFreezes
+     */
+    _grantFreezes(streak, count, source) {
+        const granted = Math.min(count, this._options.maxFreezes - streak.freezes);
+        streak.freezes += granted;
+        this._eventBus.publish('streak.freeze_added', { userId: streak.id, source, count: granted, freezes: streak.freezes });
+    }
+
+    /**
+     * @private
+     * @method _isGoalMet
+     */
+    _isGoalMet(day, goal) {
+        const value = goal.unit === 'xp' ? day.xp : day.minutes;
+        return value > 0 && value >= goal.target;
+    }
+
+    /**
+     * @private
+     * @method _toStatus
+     * @returns {StreakStatus}
+     */
+    _toStatus(streak, now) {
+        const today = toDayKey(now, streak.timeZone);
+        return {
+            userId: streak.id,
+            current: streak.current,
+            longest: streak.longest,
+            freezes: streak.freezes,
+            completedToday: streak.lastGoalDate === today,
+            dailyGoal: streak.dailyGoal,
+            timeZone: streak.timeZone,
+            lost: streak.lost && today <= streak.lost.repairableUntil ? streak.lost : null
+        };
+    }
+
+    /**
+     * @private
+     * @method _enqueue
+     * @desc اجرای ترتیبی کارهای هر کاربر
+     */
+    _enqueue(userId, task) {
+        const previous = this._queues.get(userId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this._queues.set(userId, next);
+        next.finally(() => {
+            if (this._queues.get(userId) === next) {
+                this._queues.delete(userId);
+            }
+        }).catch(() => {});
+        return next;
+    }
+
+    /**
+     * @private
+     * @method _loadStreak
+     */
+    async _loadStreak(userId) {
+        const existing = await this._database.get('streaks', userId);
+        if (existing) {
+            return { ...existing, isNew: false };
+        }
+
+        return {
+            id: userId,
+            current: 0,
+            longest: 0,
+            lastGoalDate: null,
+            freezes: 0,
+            frozenDays: [],
+            lost: null,
+            dailyGoal: { ...this._options.dailyGoal },
+            timeZone: this._options.timeZone,
+            isNew: true
+        };
+    }
+
+    /**
+     * @private
+     * @method _saveStreak
+     */
+    async _saveStreak(streak) {
+        const { isNew, ...record } = streak;
+        record.updatedAt = new Date();
+
+        if (isNew) {
+            await this._database.add('streaks', record);
+            streak.isNew = false;
+        } else {
+            await this._database.update('streaks', record.id, record);
+        }
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} StreakStatus
+ * @property {string} userId
+ * @property {number} current - روزهای پیاپی با هدف کامل‌شده
+ * @property {number} longest
+ * @property {number} freezes - freeze های موجود
+ * @property {boolean} completedToday - هدف امروز کامل شده است
+ * @property {{unit: string, target: number}} dailyGoal
+ * @property {string} timeZone
+ * @property {{previous: number, lostOn: string, repairableUntil: string}|null} lost - streak قطع‌شده قابل ترمیم
+ */
+
+// ==================== Export ====================
+
+export {
+    IStreakService,
+    StreakService,
+    STREAK_STORES,
+    toDayKey,
+    addDays,
+    daysBetween,
+    calculateStreak
+};
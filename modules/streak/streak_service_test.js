@@ -0,0 +1,107 @@
+/**
+ * 🧪 تست Streak Service
+ * تست‌های هدف روزانه، منطقه زمانی، freeze و ترمیم streak
+ */
+
+import { StreakService, calculateStreak, toDayKey, STREAK_STORES } from './streak_service.js';
+import { createTestDatabase, createRecordingEventBus } from '../../core/test_helpers.js';
+
+// ظهر روز n ام به وقت UTC
+const day = n => Date.UTC(2024, 0, n, 12);
+
+describe('StreakService', () => {
+    let database;
+    let eventBus;
+    let service;
+
+    beforeEach(async () => {
+        database = await createTestDatabase(STREAK_STORES);
+        eventBus = createRecordingEventBus();
+        service = new StreakService({
+            database,
+            eventBus,
+            options: { timeZone: 'UTC', dailyGoal: { unit: 'minutes', target: 10 } }
+        });
+    });
+
+    afterEach(async () => {
+        await database.deleteDatabase();
+    });
+
+    const types = () => eventBus.events.map(event => event.type);
+
+    test('extends the streak only when the daily goal is met', async () => {
+        let status = await service.recordActivity('u1', { minutes: 4, at: day(1) });
+        expect(status.current).toBe(0);
+
+        status = await service.recordActivity('u1', { minutes: 6, at: day(1) });
+        expect(status.current).toBe(1);
+        await service.recordActivity('u1', { minutes: 20, at: day(1) });
+        status = await service.recordActivity('u1', { minutes: 10, at: day(2) });
+
+        expect(status).toMatchObject({ current: 2, longest: 2 });
+        expect(types().filter(type => type === 'streak.extended')).toHaveLength(2);
+    });
+
+    test('uses the learner time zone for day boundaries', async () => {
+        await service.setTimeZone('u1', 'Asia/Tehran');
+        // ۲۲:۰۰ UTC روز اول در تهران روز دوم است
+        await service.recordActivity('u1', { minutes: 10, at: Date.UTC(2024, 0, 1, 10) });
+        const status = await service.recordActivity('u1', { minutes: 10, at: Date.UTC(2024, 0, 1, 22) });
+
+        expect(status.current).toBe(2);
+        await expect(service.setTimeZone('u1', 'Mars/Base')).rejects.toThrow('Invalid time zone: Mars/Base');
+    });
+
+    test('freezes cover missed days', async () => {
+        await service.recordActivity('u1', { minutes: 10, at: day(1) });
+        await service.addFreeze('u1', { source: 'purchased' });
+
+        const status = await service.recordActivity('u1', { minutes: 10, at: day(3) });
+        expect(status).toMatchObject({ current: 2, freezes: 0 });
+        expect(types()).toContain('streak.freeze_used');
+    });
+
+    test('loses the streak and allows repair within the window', async () => {
+        await service.recordActivity('u1', { minutes: 10, at: day(1) });
+        await service.recordActivity('u1', { minutes: 10, at: day(2) });
+
+        const lost = await service.getStreak('u1', day(5));
+        expect(lost.current).toBe(0);
+        expect(lost.lost).toMatchObject({ previous: 2, lostOn: '2024-01-03', repairableUntil: '2024-01-05' });
+        expect(types()).toContain('streak.lost');
+
+        await service.recordActivity('u1', { minutes: 10, at: day(5) });
+        const repaired = await service.repairStreak('u1', day(5));
+        expect(repaired).toMatchObject({ current: 3, lost: null });
+
+        const next = await service.recordActivity('u1', { minutes: 10, at: day(6) });
+        expect(next.current).toBe(4);
+    });
+
+    test('rejects repair after the window', async () => {
+        await service.recordActivity('u1', { minutes: 10, at: day(1) });
+        await expect(service.repairStreak('u1', day(10))).rejects.toThrow('Repair window has expired');
+    });
+
+    test('supports XP goals and earns freezes on milestones', async () => {
+        await service.setDailyGoal('u1', { unit: 'xp', target: 20 });
+        for (let n = 1; n <= 7; n++) {
+            await service.recordActivity('u1', { xp: 20, at: day(n) });
+        }
+
+        const status = await service.getStreak('u1', day(7));
+        expect(status).toMatchObject({ current: 7, freezes: 1, completedToday: true });
+        await expect(service.setDailyGoal('u1', { unit: 'words', target: 1 })).rejects.toThrow('Invalid daily goal unit: words');
+    });
+});
+
+describe('calculateStreak', () => {
+    test('counts consecutive days and keeps yesterday alive', () => {
+        const dates = [day(1), day(2), day(2), day(4), day(5), day(6)];
+        expect(calculateStreak(dates, { timeZone: 'UTC', now: day(7) })).toEqual({ current: 3, longest: 3 });
+        expect(calculateStreak(dates, { timeZone: 'UTC', now: day(8) })).toEqual({ current: 0, longest: 3 });
+        expect(calculateStreak([], { timeZone: 'UTC' })).toEqual({ current: 0, longest: 0 });
+        expect(toDayKey(day(1), 'UTC')).toBe('2024-01-01');
+    });
+});
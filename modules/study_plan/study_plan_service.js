@@ -0,0 +1,570 @@
+/**
+ * @file modules/study_plan/study_plan_service.js
+ * @desc اهداف مطالعه روزانه/هفتگی، پیشنهاد برنامه مطالعه از ساختار دوره و سرعت کاربر، و یادآوری‌ها
+ * @implements IStudyPlanService (قرارداد انتزاعی)
+ */
+
+import { toDayKey, addDays } from '../streak/streak_service.js';
+
+/**
+ * @interface IStudyPlanService
+ * @desc قرارداد انتزاعی برای اهداف و برنامه مطالعه
+ */
+class IStudyPlanService {
+    /**
+     * @method setGoal
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} goal - { period, metric, target }
+     * @returns {Promise<StudyGoal>}
+     */
+    async setGoal(userId, goal) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getGoalProgress
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<GoalProgress[]>}
+     */
+    async getGoalProgress(userId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method proposePlan
+     * @param {string} userId - شناسه کاربر
+     * @param {string} courseId - شناسه دوره
+     * @param {Object} [options] - { days, minutesPerDay }
+     * @returns {Promise<StudyPlan>}
+     */
+    async proposePlan(userId, courseId, options) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * تعریف store های مورد نیاز این ماژول (برای ثبت در SchemaManager)
+ */
+const STUDY_PLAN_STORES = [
+    {
+        name: 'study_goals',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    },
+    {
+        name: 'study_plans',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    },
+    {
+        name: 'study_reminders',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    }
+];
+
+const GOAL_PERIODS = ['daily', 'weekly'];
+const GOAL_METRICS = ['minutes', 'lessons', 'xp', 'reviews'];
+
+const METRIC_LABELS = {
+    minutes: 'دقیقه مطالعه',
+    lessons: 'درس',
+    xp: 'امتیاز XP',
+    reviews: 'مرور'
+};
+
+/**
+ * @class StudyPlanService
+ * @implements IStudyPlanService
+ */
+class StudyPlanService {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {IProgressTracker} dependencies.progressTracker - منبع آمار فعالیت
+     * @param {IContentRepository} dependencies.contentRepository - ساختار دوره
+     * @param {Object} [dependencies.settingsManager] - SettingsManager کاربر جاری (برای تنظیمات اعلان)
+     * @param {IGamificationEngine} [dependencies.gamificationEngine] - برای اهداف XP
+     * @param {IStreakService} [dependencies.streakService] - منطقه زمانی کاربر و یادآوری streak
+     * @param {Object} [dependencies.options] - تنظیمات
+     */
+    constructor({ database, eventBus, progressTracker, contentRepository, settingsManager = null, gamificationEngine = null, streakService = null, options = {} }) {
+        if (!database || !eventBus || !progressTracker || !contentRepository) {
+            throw new Error('Database, EventBus, ProgressTracker and ContentRepository dependencies are required');
+        }
+
+        this._database = database;
+        this._eventBus = eventBus;
+        this._progressTracker = progressTracker;
+        this._contentRepository = contentRepository;
+        this._settingsManager = settingsManager;
+        this._gamificationEngine = gamificationEngine;
+        this._streakService = streakService;
+        this._options = {
+            timeZone: 'UTC',
+            weekStartsOn: 6,                // شنبه
+            defaultMinutesPerDay: 15,
+            defaultLessonMinutes: 10,       // برای درس‌های بدون مدت تخمینی
+            paceWindowDays: 14,             // بازه محاسبه سرعت کاربر
+            planDays: 7,
+            studyReminderTime: '19:00',     // اگر کاربر زمان یادآوری تنظیم نکرده باشد
+            streakReminderTime: '20:00',
+            ...options
+        };
+    }
+
+    /**
+     * @method setGoal
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} goal - { period: 'daily' | 'weekly', metric: 'minutes' | 'lessons' | 'xp' | 'reviews', target }
+     * @returns {Promise<StudyGoal>}
+     * @desc ثبت یا به‌روزرسانی هدف؛ هدف روزانه دقیقه/XP آستانه streak را هم تعیین می‌کند
+     */
+    async setGoal(userId, { period, metric, target }) {
+        try {
+            this._validateGoal({ period, metric, target });
+
+            const goal = {
+                id: `${userId}:${period}:${metric}`,
+                userId,
+                period,
+                metric,
+                target,
+                updatedAt: new Date()
+            };
+
+            const existing = await this._database.get('study_goals', goal.id);
+            if (existing) {
+                await this._database.update('study_goals', goal.id, goal);
+            } else {
+                await this._database.add('study_goals', { ...goal, createdAt: new Date() });
+            }
+
+            if (this._streakService && period === 'daily' && (metric === 'minutes' || metric === 'xp')) {
+                await this._streakService.setDailyGoal(userId, { unit: metric, target });
+            }
+
+            this._eventBus.publish('study_plan.goal_set', { userId, period, metric, target });
+            return goal;
+
+        } catch (error) {
+            this._eventBus.publish('study_plan.error', {
+                action: 'setGoal',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method removeGoal
+     * @param {string} userId - شناسه کاربر
+     * @param {string} period - daily | weekly
+     * @param {string} metric - شاخص هدف
+     * @returns {Promise<void>}
+     */
+    async removeGoal(userId, period, metric) {
+        await this._database.delete('study_goals', `${userId}:${period}:${metric}`);
+    }
+
+    /**
+     * @method getGoals
+     * @param {string} userId - شناسه کاربر
+     * @returns {Promise<StudyGoal[]>}
+     */
+    async getGoals(userId) {
+        return this._database.queryByIndex('study_goals', 'userId', userId);
+    }
+
+    /**
+     * @method getGoalProgress
+     * @param {string} userId - شناسه کاربر
+     * @param {number} [now] - زمان فعلی
+     * @returns {Promise<GoalProgress[]>} پیشرفت هر هدف در روز/هفته جاری کاربر
+     */
+    async getGoalProgress(userId, now = Date.now()) {
+        try {
+            const goals = await this.getGoals(userId);
+            const timeZone = await this._getTimeZone(userId);
+            const summaries = new Map();
+
+            const progress = [];
+            for (const goal of goals) {
+                if (!summaries.has(goal.period)) {
+                    const range = this._getPeriodRange(goal.period, now, timeZone);
+                    summaries.set(goal.period, { range, values: await this._getPeriodValues(userId, range) });
+                }
+
+                const { range, values } = summaries.get(goal.period);
+                const current = values[goal.metric] || 0;
+                progress.push({
+                    period: goal.period,
+                    metric: goal.metric,
+                    target: goal.target,
+                    current,
+                    percentage: goal.target > 0 ? Math.min(100, Math.round((current / goal.target) * 100)) : 100,
+                    completed: current >= goal.target,
+                    periodStart: range.from,
+                    periodEnd: range.to
+                });
+            }
+
+            return progress;
+
+        } catch (error) {
+            this._eventBus.publish('study_plan.error', {
+                action: 'getGoalProgress',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method proposePlan
+     * @param {string} userId - شناسه کاربر
+     * @param {string} courseId - شناسه دوره
+     * @param {Object} [options] - { days, minutesPerDay, startDate }
+     * @returns {Promise<StudyPlan>}
+     * @desc تقسیم درس‌های باقی‌مانده دوره به ترتیب روی روزها بر اساس هدف روزانه یا سرعت واقعی کاربر
+     */
+    async proposePlan(userId, courseId, { days = this._options.planDays, minutesPerDay = null, startDate = Date.now() } = {}) {
+        try {
+            const outline = await this._contentRepository.getCourseOutline(courseId);
+            if (!outline) {
+                throw new Error(`Course ${courseId} not found`);
+            }
+
+            const completed = new Set(await this._progressTracker.getCompletedLessonIds(userId));
+            const remaining = outline.lessons.filter(lesson => !completed.has(lesson.id));
+            const goals = await this.getGoals(userId);
+            const timeZone = await this._getTimeZone(userId);
+            const budget = minutesPerDay || await this._getDailyBudget(userId, goals, startDate);
+            const dailyReviews = goals.find(goal => goal.period === 'daily' && goal.metric === 'reviews')?.target || 0;
+
+            const firstDay = toDayKey(startDate, timeZone);
+            const planDays = [];
+            let lessonIndex = 0;
+            for (let i = 0; i < days; i++) {
+                const day = { date: addDays(firstDay, i), lessons: [], minutes: 0, reviews: dailyReviews };
+                while (lessonIndex < remaining.length) {
+                    const lesson = remaining[lessonIndex];
+                    const duration = lesson.duration || this._options.defaultLessonMinutes;
+                    // هر روز دست‌کم یک درس، حتی اگر از بودجه بیشتر باشد
+                    if (day.lessons.length > 0 && day.minutes + duration > budget) break;
+                    day.lessons.push({ id: lesson.id, title: lesson.title, duration });
+                    day.minutes += duration;
+                    lessonIndex++;
+                }
+                planDays.push(day);
+            }
+
+            const remainingMinutes = remaining.reduce((sum, lesson) =>
+                sum + (lesson.duration || this._options.defaultLessonMinutes), 0);
+            const plan = {
+                id: `${userId}:${courseId}`,
+                userId,
+                courseId,
+                minutesPerDay: budget,
+                days: planDays,
+                remainingLessons: remaining.length,
+                estimatedCompletionDate: remaining.length > 0
+                    ? addDays(firstDay, Math.max(0, Math.ceil(remainingMinutes / budget) - 1))
+                    : firstDay,
+                createdAt: new Date()
+            };
+
+            const existing = await this._database.get('study_plans', plan.id);
+            if (existing) {
+                await this._database.update('study_plans', plan.id, plan);
+            } else {
+                await this._database.add('study_plans', plan);
+            }
+
+            this._eventBus.publish('study_plan.proposed', {
+                userId,
+                courseId,
+                minutesPerDay: budget,
+                estimatedCompletionDate: plan.estimatedCompletionDate
+            });
+            return plan;
+
+        } catch (error) {
+            this._eventBus.publish('study_plan.error', {
+                action: 'proposePlan',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getPlan
+     * @param {string} userId - شناسه کاربر
+     * @param {string} courseId - شناسه دوره
+     * @returns {Promise<StudyPlan|null>}
+     */
+    async getPlan(userId, courseId) {
+        return (await this._database.get('study_plans', `${userId}:${courseId}`)) || null;
+    }
+
+    /**
+     * @method checkReminders
+     * @param {string} userId - شناسه کاربر
+     * @param {number} [now] - زمان فعلی
+     * @param {Object} [settingsManager] - تنظیمات همین کاربر (پیش‌فرض: وابستگی سازنده)
+     * @returns {Promise<Reminder[]>} یادآوری‌های ارسال‌شده (هر نوع حداکثر یک بار در روز)
+     * @desc یادآوری مطالعه و streak بر اساس تنظیمات اعلان کاربر
+     */
+    async checkReminders(userId, now = Date.now(), settingsManager = this._settingsManager) {
+        if (!settingsManager) {
+            return [];
+        }
+
+        try {
+            const notifications = (await settingsManager.getNotificationSettings()) || {};
+            const settings = (await settingsManager.getSettings()) || {};
+            const timeZone = await this._getTimeZone(userId);
+            const localTime = this._getLocalTime(now, timeZone);
+            const candidates = [];
+
+            if (notifications.lessonReminders && localTime >= (settings.studyReminder || this._options.studyReminderTime)) {
+                const message = await this._getStudyReminderMessage(userId, now);
+                if (message) {
+                    candidates.push({ type: 'study', message });
+                }
+            }
+
+            if (notifications.streakReminders && this._streakService && localTime >= this._options.streakReminderTime) {
+                const streak = await this._streakService.getStreak(userId, now);
+                if (streak.current > 0 && !streak.completedToday) {
+                    candidates.push({ type: 'streak', message: `streak ${streak.current} روزه شما امروز در خطر است` });
+                }
+            }
+
+            const dayKey = toDayKey(now, timeZone);
+            const sent = [];
+            for (const reminder of candidates) {
+                const id = `${userId}:${reminder.type}:${dayKey}`;
+                if (await this._database.get('study_reminders', id)) continue;
+
+                await this._database.add('study_reminders', { id, userId, ...reminder, date: dayKey, sentAt: new Date(now) });
+                this._eventBus.publish('study_plan.reminder', { userId, ...reminder });
+                sent.push(reminder);
+            }
+            return sent;
+
+        } catch (error) {
+            this._eventBus.publish('study_plan.error', {
+                action: 'checkReminders',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _validateGoal
+     */
+    _validateGoal({ period, metric, target }) {
+        if (!GOAL_PERIODS.includes(period)) {
+            throw new Error(`Invalid goal period: ${period}`);
+        }
+        if (!GOAL_METRICS.includes(metric)) {
+            throw new Error(`Invalid goal metric: ${metric}`);
+        }
+        if (typeof target !== 'number' || target <= 0) {
+            throw new Error('Goal target must be a positive number');
+        }
+        if (metric === 'xp' && !this._gamificationEngine) {
+            throw new Error('XP goals require the gamification engine');
+        }
+    }
+
+    /**
+     * @private
+     * @method _getStudyReminderMessage
+     * @returns {Promise<string|null>} پیام یادآوری اگر اهداف امروز کامل نشده باشند
+     */
+    async _getStudyReminderMessage(userId, now) {
+        const daily = (await this.getGoalProgress(userId, now)).filter(goal => goal.period === 'daily');
+
+        if (daily.length === 0) {
+            // بدون هدف روزانه: فقط اگر امروز هیچ مطالعه‌ای نشده
+            const range = this._getPeriodRange('daily', now, await this._getTimeZone(userId));
+            const summary = await this._progressTracker.getActivitySummary(userId, range.from, range.to);
+            return summary.exercises === 0 ? 'امروز هنوز تمرین نکرده‌اید' : null;
+        }
+
+        const pending = daily.filter(goal => !goal.completed);
+        if (pending.length === 0) return null;
+
+        return 'هدف امروز: ' + pending
+            .map(goal => `${goal.target - goal.current} ${METRIC_LABELS[goal.metric]} دیگر`)
+            .join('، ');
+    }
+
+    /**
+     * @private
+     * @method _getDailyBudget
+     * @returns {Promise<number>} دقیقه در روز: هدف روزانه، وگرنه سرعت واقعی اخیر، وگرنه پیش‌فرض
+     */
+    async _getDailyBudget(userId, goals, now) {
+        const dailyMinutes = goals.find(goal => goal.period === 'daily' && goal.metric === 'minutes');
+        if (dailyMinutes) {
+            return dailyMinutes.target;
+        }
+
+        const weeklyMinutes = goals.find(goal => goal.period === 'weekly' && goal.metric === 'minutes');
+        if (weeklyMinutes) {
+            return Math.ceil(weeklyMinutes.target / 7);
+        }
+
+        const windowDays = this._options.paceWindowDays;
+        const summary = await this._progressTracker.getActivitySummary(
+            userId,
+            new Date(now - windowDays * 24 * 60 * 60 * 1000),
+            new Date(now)
+        );
+        const pace = Math.round(summary.minutes / windowDays);
+        return pace > 0 ? pace : this._options.defaultMinutesPerDay;
+    }
+
+    /**
+     * @private
+     * @method _getPeriodValues
+     * @returns {Promise<Object>} مقدار هر شاخص در بازه
+     */
+    async _getPeriodValues(userId, { from, to }) {
+        const summary = await this._progressTracker.getActivitySummary(userId, from, to);
+        const xp = this._gamificationEngine
+            ? await this._gamificationEngine.getEarnedXP(userId, { from, to })
+            : 0;
+        return { minutes: summary.minutes, lessons: summary.lessons, reviews: summary.reviews, xp };
+    }
+
+    /**
+     * @private
+     * @method _getPeriodRange
+     * @returns {{from: Date, to: Date}} ابتدای روز/هفته جاری تا ابتدای دوره بعد در منطقه زمانی کاربر
+     */
+    _getPeriodRange(period, now, timeZone) {
+        const today = toDayKey(now, timeZone);
+        if (period === 'daily') {
+            return { from: zonedDayStart(today, timeZone), to: zonedDayStart(addDays(today, 1), timeZone) };
+        }
+
+        const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+        const start = addDays(today, -((weekday - this._options.weekStartsOn + 7) % 7));
+        return { from: zonedDayStart(start, timeZone), to: zonedDayStart(addDays(start, 7), timeZone) };
+    }
+
+    /**
+     * @private
+     * @method _getTimeZone
+     * @returns {Promise<string>} منطقه زمانی ثبت‌شده در سرویس streak یا پیش‌فرض
+     */
+    async _getTimeZone(userId) {
+        // getStreak با ساعت واقعی قطع شدن streak را ثبت می‌کند؛ اینجا فقط خواندن لازم است
+        const timeZone = this._streakService ? await this._streakService.getTimeZone(userId) : null;
+        return timeZone || this._options.timeZone;
+    }
+
+    /**
+     * @private
+     * @method _getLocalTime
+     * @returns {string} HH:MM در منطقه زمانی کاربر
+     */
+    _getLocalTime(now, timeZone) {
+        const parts = getZonedParts(now, timeZone);
+        return `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+    }
+}
+
+/**
+ * اجزای تاریخ و ساعت یک لحظه در منطقه زمانی
+ */
+function getZonedParts(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(instant));
+
+    return Object.fromEntries(parts
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)]));
+}
+
+/**
+ * لحظه شروع روز تقویمی در منطقه زمانی
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {string} timeZone - منطقه زمانی IANA
+ * @returns {Date}
+ */
+function zonedDayStart(dayKey, timeZone) {
+    const guess = Date.parse(`${dayKey}T00:00:00Z`);
+    const parts = getZonedParts(guess, timeZone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - guess;
+    return new Date(guess - offset);
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} StudyGoal
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} period - daily | weekly
+ * @property {string} metric - minutes | lessons | xp | reviews
+ * @property {number} target
+ */
+
+/**
+ * @typedef {Object} GoalProgress
+ * @property {string} period
+ * @property {string} metric
+ * @property {number} target
+ * @property {number} current
+ * @property {number} percentage - ۰ تا ۱۰۰
+ * @property {boolean} completed
+ * @property {Date} periodStart
+ * @property {Date} periodEnd
+ */
+
+/**
+ * @typedef {Object} StudyPlan
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} courseId
+ * @property {number} minutesPerDay
+ * @property {Array<{date: string, lessons: Object[], minutes: number, reviews: number}>} days
+ * @property {number} remainingLessons
+ * @property {string} estimatedCompletionDate - YYYY-MM-DD
+ */
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} type - study | streak
+ * @property {string} message
+ */
+
+// ==================== Export ====================
+
+export { IStudyPlanService, StudyPlanService, STUDY_PLAN_STORES, GOAL_PERIODS, GOAL_METRICS };
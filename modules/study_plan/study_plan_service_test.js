@@ -0,0 +1,163 @@
+/**
+ * 🧪 تست Study Plan Service
+ * تست‌های اهداف مطالعه، پیشنهاد برنامه و یادآوری‌ها
+ */
+
+import { StudyPlanService, STUDY_PLAN_STORES } from './study_plan_service.js';
+import { StreakService, STREAK_STORES } from '../streak/streak_service.js';
+import { createTestDatabase, createRecordingEventBus } from '../../core/test_helpers.js';
+
+// خلاصه فعالیت ثابت برای هر بازه درخواستی
+function createMockProgressTracker(summary, completedLessonIds = []) {
+    return {
+        ranges: [],
+        async getActivitySummary(userId, from, to) {
+            this.ranges.push({ from, to });
+            return { minutes: 0, exercises: 0, lessons: 0, reviews: 0, ...summary };
+        },
+        getCompletedLessonIds: async () => completedLessonIds
+    };
+}
+
+const contentRepository = {
+    getCourseOutline: async courseId => courseId !== 'c1' ? null : {
+        id: 'c1',
+        lessons: [
+            { id: 'l1', title: 'سلام', duration: 10 },
+            { id: 'l2', title: 'اعداد', duration: 10 },
+            { id: 'l3', title: 'رنگ‌ها', duration: 20 },
+            { id: 'l4', title: 'خانواده' }
+        ]
+    }
+};
+
+// چهارشنبه ۱۰ ژانویه ۲۰۲۴، ساعت ۲۱ به وقت UTC
+const NOW = Date.UTC(2024, 0, 10, 21);
+
+describe('StudyPlanService', () => {
+    let database;
+    let eventBus;
+
+    const createService = (progressTracker, dependencies = {}) => new StudyPlanService({
+        database,
+        eventBus,
+        progressTracker,
+        contentRepository,
+        ...dependencies
+    });
+
+    beforeEach(async () => {
+        database = await createTestDatabase([...STUDY_PLAN_STORES, ...STREAK_STORES]);
+        eventBus = createRecordingEventBus();
+    });
+
+    afterEach(async () => {
+        await database.deleteDatabase();
+    });
+
+    test('validates goals and syncs the daily minutes goal with the streak', async () => {
+        const dailyGoals = [];
+        const streakService = {
+            setDailyGoal: async (userId, goal) => { dailyGoals.push({ userId, goal }); },
+            getTimeZone: async () => 'UTC'
+        };
+        const service = createService(createMockProgressTracker({}), { streakService });
+
+        await expect(service.setGoal('u1', { period: 'monthly', metric: 'minutes', target: 5 }))
+            .rejects.toThrow('Invalid goal period: monthly');
+        await expect(service.setGoal('u1', { period: 'daily', metric: 'xp', target: 50 }))
+            .rejects.toThrow('XP goals require the gamification engine');
+
+        await service.setGoal('u1', { period: 'daily', metric: 'minutes', target: 20 });
+        await service.setGoal('u1', { period: 'daily', metric: 'minutes', target: 30 });
+
+        expect(await service.getGoals('u1')).toHaveLength(1);
+        expect(dailyGoals.at(-1)).toEqual({ userId: 'u1', goal: { unit: 'minutes', target: 30 } });
+    });
+
+    test('reports progress over the current day and Saturday-based week', async () => {
+        const progressTracker = createMockProgressTracker({ minutes: 12, lessons: 2 });
+        const gamificationEngine = { getEarnedXP: async () => 40 };
+        const service = createService(progressTracker, { gamificationEngine });
+
+        await service.setGoal('u1', { period: 'daily', metric: 'minutes', target: 15 });
+        await service.setGoal('u1', { period: 'weekly', metric: 'lessons', target: 2 });
+        await service.setGoal('u1', { period: 'weekly', metric: 'xp', target: 100 });
+
+        const progress = await service.getGoalProgress('u1', NOW);
+        const byMetric = Object.fromEntries(progress.map(goal => [goal.metric, goal]));
+
+        expect(byMetric.minutes).toMatchObject({ current: 12, percentage: 80, completed: false });
+        expect(byMetric.lessons).toMatchObject({ current: 2, completed: true });
+        expect(byMetric.xp).toMatchObject({ current: 40, percentage: 40 });
+        expect(byMetric.minutes.periodStart.toISOString()).toBe('2024-01-10T00:00:00.000Z');
+        expect(byMetric.lessons.periodStart.toISOString()).toBe('2024-01-06T00:00:00.000Z');
+        expect(byMetric.lessons.periodEnd.toISOString()).toBe('2024-01-13T00:00:00.000Z');
+        // هر دوره فقط یک بار خوانده می‌شود
+        expect(progressTracker.ranges).toHaveLength(2);
+    });
+
+    test('computes periods in the learner time zone without checking the streak', async () => {
+        const streakService = new StreakService({ database, eventBus, options: { timeZone: 'UTC' } });
+        await streakService.setTimeZone('u1', 'Asia/Tehran');
+        await streakService.recordActivity('u1', { minutes: 30, at: NOW - 60 * 60 * 1000 });
+        const service = createService(createMockProgressTracker({}), { streakService });
+        await service.setGoal('u1', { period: 'daily', metric: 'lessons', target: 1 });
+
+        // ۲۱ UTC در تهران روز بعد است
+        const [goal] = await service.getGoalProgress('u1', NOW);
+        expect(goal.periodStart.toISOString()).toBe('2024-01-10T20:30:00.000Z');
+
+        // خواندن منطقه زمانی با ساعت واقعی streak را قطع نمی‌کند
+        expect(eventBus.events.some(event => event.type === 'streak.lost')).toBe(false);
+        expect((await streakService.getStreak('u1', NOW)).current).toBe(1);
+        streakService.destroy();
+    });
+
+    test('schedules remaining lessons within the daily budget', async () => {
+        const service = createService(createMockProgressTracker({}, ['l1']));
+        await service.setGoal('u1', { period: 'daily', metric: 'minutes', target: 15 });
+
+        const plan = await service.proposePlan('u1', 'c1', { days: 3, startDate: NOW });
+
+        expect(plan.minutesPerDay).toBe(15);
+        expect(plan.days.map(day => day.lessons.map(lesson => lesson.id))).toEqual([['l2'], ['l3'], ['l4']]);
+        expect(plan.days[0].date).toBe('2024-01-10');
+        expect(plan.estimatedCompletionDate).toBe('2024-01-12');
+        expect(await service.getPlan('u1', 'c1')).toMatchObject({ remainingLessons: 3 });
+
+        await expect(service.proposePlan('u1', 'missing')).rejects.toThrow('Course missing not found');
+    });
+
+    test('falls back to the observed pace without a minutes goal', async () => {
+        const service = createService(createMockProgressTracker({ minutes: 280 }));
+
+        const plan = await service.proposePlan('u1', 'c1', { days: 2, startDate: NOW });
+
+        expect(plan.minutesPerDay).toBe(20);
+        expect(plan.days[0].lessons.map(lesson => lesson.id)).toEqual(['l1', 'l2']);
+    });
+
+    test('sends each reminder at most once per day', async () => {
+        const settingsManager = {
+            getSettings: async () => ({ studyReminder: '18:30' }),
+            getNotificationSettings: async () => ({ lessonReminders: true, streakReminders: true })
+        };
+        const streakService = {
+            setDailyGoal: async () => {},
+            getTimeZone: async () => 'UTC',
+            getStreak: async () => ({ timeZone: 'UTC', current: 4, completedToday: false })
+        };
+        const service = createService(createMockProgressTracker({ minutes: 5 }), { settingsManager, streakService });
+        await service.setGoal('u1', { period: 'daily', metric: 'minutes', target: 15 });
+
+        expect(await service.checkReminders('u1', Date.UTC(2024, 0, 10, 18))).toEqual([]);
+
+        const sent = await service.checkReminders('u1', NOW);
+        expect(sent.map(reminder => reminder.type)).toEqual(['study', 'streak']);
+        expect(sent[0].message).toContain('10');
+
+        expect(await service.checkReminders('u1', NOW + 60 * 1000)).toEqual([]);
+        expect(eventBus.events.filter(event => event.type === 'study_plan.reminder')).toHaveLength(2);
+    });
+});
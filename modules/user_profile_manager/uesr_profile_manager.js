@@ -6,6 +6,8 @@
 import {
     UserProfileManagerInterface
 } from './user_profile_interface.js';
+import { calculateLevel, calculateRank } from '../gamification/gamification_engine.js';
+import { calculateStreak } from '../streak/streak_service.js';
 
 class UserProfileManager extends UserProfileManagerInterface {
     /**
@@ -21,6 +23,10 @@ class UserProfileManager extends UserProfileManagerInterface {
         this.storageService = dependencies.storageService;        // سرویس ذخیره‌سازی
         this.logger = dependencies.logger || console;             // لاگر
         this.eventBus = dependencies.eventBus;                    // سیستم رویداد
+        this.adaptiveEngine = dependencies.adaptiveEngine || null; // تخمین توانایی مهارت‌ها (اختیاری)
+        this.gamificationEngine = dependencies.gamificationEngine || null; // XP، سطح و دستاوردها (اختیاری)
+        this.streakService = dependencies.streakService || null;  // streak با هدف روزانه و freeze (اختیاری)
+        this.studyPlanService = dependencies.studyPlanService || null; // اهداف و برنامه مطالعه (اختیاری)
         
         // ماژول‌های داخلی
         this.languageManager = new LanguageManager(this);
@@ -330,6 +336,23 @@ class UserProfileManager extends UserProfileManagerInterface {
         return this.analyticsManager.getWeeklyReport();
     }
     
+    async setStudyGoal(goal) {
+        return this.requireStudyPlanService().setGoal(this.currentUserId, goal);
+    }
+    
+    async getStudyGoals() {
+        return this.requireStudyPlanService().getGoals(this.currentUserId);
+    }
+    
+    async getGoalProgress() {
+        return this.requireStudyPlanService().getGoalProgress(this.currentUserId);
+    }
+    
+    async checkStudyReminders() {
+        // یادآوری‌ها با تنظیمات اعلان همین کاربر بررسی می‌شوند
+        return this.requireStudyPlanService().checkReminders(this.currentUserId, Date.now(), this.settingsManager);
+    }
+    
     async backupProfile() {
         return this.performBackup();
     }
@@ -344,6 +367,16 @@ class UserProfileManager extends UserProfileManagerInterface {
     
     // ==================== متدهای کمکی خصوصی ====================
     
+    /**
+     * سرویس برنامه مطالعه یا خطا در صورت عدم تزریق
+     */
+    requireStudyPlanService() {
+        if (!this.studyPlanService) {
+            throw new Error('Study plan service is not configured');
+        }
+        return this.studyPlanService;
+    }
+    
     /**
      * بارگذاری پروفایل از ذخیره‌سازی محلی
      */
@@ -865,6 +898,9 @@ class AnalyticsManager {
     constructor(profileManager) {
         this.profileManager = profileManager;
         this.userRepository = profileManager.userRepository;
+        this.adaptiveEngine = profileManager.adaptiveEngine;
+        this.gamificationEngine = profileManager.gamificationEngine;
+        this.streakService = profileManager.streakService;
         this.logger = profileManager.logger;
     }
     
@@ -885,14 +921,18 @@ class AnalyticsManager {
             Math.round((correctExercises / exercises.length) * 100) : 0;
         
         // محاسبه streak
-        const streak = this.calculateCurrentStreak(activities);
-        const longestStreak = this.calculateLongestStreak(activities);
-        
-        // محاسبه XP
-        const xp = activities.reduce((sum, act) => sum + (act.earnedXP || 0), 0);
-        
-        // محاسبه سطح
-        const level = Math.floor(xp / 1000) + 1;
+        const { current: streak, longest: longestStreak } = this.streakService
+            ? await this.streakService.getStreak(this.profileManager.currentUserId)
+            : calculateStreak(activities.map(activity => activity.date));
+        
+        // XP و سطح از موتور بازی‌وارسازی؛ در نبود آن از XP ثبت‌شده در فعالیت‌ها
+        const gamification = this.gamificationEngine
+            ? await this.gamificationEngine.getProfile(this.profileManager.currentUserId)
+            : null;
+        const xp = gamification
+            ? gamification.xp
+            : activities.reduce((sum, act) => sum + (act.earnedXP || 0), 0);
+        const level = gamification ? gamification.level : calculateLevel(xp);
         
         return {
             totalLessons,
@@ -903,7 +943,7 @@ class AnalyticsManager {
             accuracy,
             level,
             xp,
-            rank: this.calculateRank(xp)
+            rank: gamification ? gamification.rank : calculateRank(xp)
         };
     }
     
@@ -920,6 +960,17 @@ class AnalyticsManager {
     }
     
     async getStrengths() {
+        // در صورت وجود موتور تطبیقی، از توانایی تخمین‌زده‌شده استفاده می‌شود
+        if (this.adaptiveEngine) {
+            const abilities = await this.adaptiveEngine.getStrengths(this.profileManager.currentUserId);
+            return abilities.map(ability => ({
+                skill: ability.skill,
+                score: ability.score,
+                improvement: ability.improvement,
+                sampleSize: ability.attempts
+            }));
+        }
+        
         const activities = await this.userRepository.getActivities(
             this.profileManager.currentUserId,
             new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // 30 روز گذشته
@@ -966,6 +1017,16 @@ class AnalyticsManager {
     }
     
     async getWeaknesses() {
+        if (this.adaptiveEngine) {
+            const abilities = await this.adaptiveEngine.getWeaknesses(this.profileManager.currentUserId);
+            return abilities.map(ability => ({
+                skill: ability.skill,
+                score: ability.score,
+                recommendations: this.generateRecommendations(ability.skill, ability.score),
+                practiceCount: ability.attempts
+            }));
+        }
+        
         const activities = await this.userRepository.getActivities(
             this.profileManager.currentUserId,
             new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
@@ -1043,8 +1104,11 @@ class AnalyticsManager {
         // محاسبه streak هفتگی
         const streakDays = this.calculateStreakDays(activities);
         
-        // جمع‌آوری دستاوردها
-        const achievements = this.extractAchievements(activities);
+        // دستاوردهای باز‌شده در این هفته؛ در نبود موتور بازی‌وارسازی از فعالیت‌های هفته برآورد می‌شود
+        const achievements = this.gamificationEngine
+            ? (await this.gamificationEngine.getAchievements(this.profileManager.currentUserId, { since: oneWeekAgo }))
+                .map(achievement => achievement.title)
+            : this.extractAchievements(activities);
         
         return {
             weekStart: oneWeekAgo,
@@ -1063,54 +1127,6 @@ class AnalyticsManager {
     
     // ==================== متدهای کمکی تحلیلی ====================
     
-    calculateCurrentStreak(activities) {
-        let streak = 0;
-        const today = new Date().toDateString();
-        const dates = new Set(
-            activities.map(a => new Date(a.date).toDateString())
-        );
-        
-        // بررسی از امروز به عقب
-        let currentDate = new Date();
-        
-        while (true) {
-            const dateStr = currentDate.toDateString();
-            
-            if (dates.has(dateStr)) {
-                streak++;
-                currentDate.setDate(currentDate.getDate() - 1);
-            } else {
-                break;
-            }
-        }
-        
-        return streak;
-    }
-    
-    calculateLongestStreak(activities) {
-        const dates = Array.from(new Set(
-            activities.map(a => new Date(a.date).toDateString())
-        )).sort();
-        
-        let longestStreak = 0;
-        let currentStreak = 1;
-        
-        for (let i = 1; i < dates.length; i++) {
-            const prevDate = new Date(dates[i - 1]);
-            const currDate = new Date(dates[i]);
-            const diffDays = Math.floor((currDate - prevDate) / (1000 * 60 * 60 * 24));
-            
-            if (diffDays === 1) {
-                currentStreak++;
-            } else {
-                longestStreak = Math.max(longestStreak, currentStreak);
-                currentStreak = 1;
-            }
-        }
-        
-        return Math.max(longestStreak, currentStreak);
-    }
-    
     calculateStreakDays(activities) {
         const dates = new Set(
             activities.map(a => new Date(a.date).toDateString())
@@ -1119,26 +1135,6 @@ class AnalyticsManager {
         return dates.size;
     }
     
-    calculateRank(xp) {
-        const ranks = [
-            { minXP: 0, rank: 'Newbie' },
-            { minXP: 1000, rank: 'Beginner' },
-            { minXP: 5000, rank: 'Intermediate' },
-            { minXP: 15000, rank: 'Advanced' },
-            { minXP: 30000, rank: 'Expert' },
-            { minXP: 50000, rank: 'Master' },
-            { minXP: 100000, rank: 'Grand Master' }
-        ];
-        
-        for (let i = ranks.length - 1; i >= 0; i--) {
-            if (xp >= ranks[i].minXP) {
-                return ranks[i].rank;
-            }
-        }
-        
-        return 'Newbie';
-    }
-    
     calculateImprovement(skill, activities) {
         const sortedActivities = activities
             .filter(a => a.skills && a.skills.includes(skill))
@@ -1189,7 +1185,7 @@ class AnalyticsManager {
         // بررسی دستاوردها
         const totalMinutes = activities.reduce((sum, a) => sum + (a.duration || 0), 0);
         const perfectDays = this.countPerfectDays(activities);
-        const streak = this.calculateCurrentStreak(activities);
+        const { current: streak } = calculateStreak(activities.map(activity => activity.date));
         
         if (totalMinutes >= 7 * 60) { // ۷ ساعت در هفته
             achievements.push('Dedicated Learner');
@@ -0,0 +1,364 @@
+/**
+ * @file modules/vocabulary_notebook/vocabulary_notebook.js
+ * @desc دفترچه واژگان هر کاربر - ثبت کلمات دیده‌شده در تمرین‌ها، ستاره/یادداشت، جست‌وجوی پیشوندی و مرور «کلمات من»
+ * @implements IVocabularyNotebook (قرارداد انتزاعی)
+ */
+
+import { normalizeText } from '../exercise_manager/text_normalizer.js';
+
+/**
+ * @interface IVocabularyNotebook
+ * @desc قرارداد انتزاعی دفترچه واژگان
+ */
+class IVocabularyNotebook {
+    /**
+     * @method recordWordSeen
+     * @param {string} userId - شناسه کاربر
+     * @param {VocabularyWord} word - کلمه دیده‌شده
+     * @param {Object} [context] - { lessonId, exerciseId, isCorrect }
+     * @returns {Promise<VocabularyEntry>}
+     */
+    async recordWordSeen(userId, word, context) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method searchWords
+     * @param {string} userId - شناسه کاربر
+     * @param {string} prefix - پیشوند کلمه یا ترجمه
+     * @returns {Promise<VocabularyEntry[]>}
+     */
+    async searchWords(userId, prefix) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * @method getReviewWords
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [options] - { limit, starredOnly }
+     * @returns {Promise<VocabularyEntry[]>}
+     */
+    async getReviewWords(userId, options) {
+        throw new Error('Method not implemented');
+    }
+}
+
+/**
+ * تعریف store مورد نیاز این ماژول (برای ثبت در SchemaManager)
+ * searchKeys شامل «userId|شکل یکسان‌شده کلمه/ترجمه» است تا جست‌وجوی پیشوندی با بازه کلید انجام شود
+ */
+const VOCABULARY_STORES = [
+    {
+        name: 'vocabulary_entries',
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' },
+            { name: 'searchKeys', keyPath: 'searchKeys', multiEntry: true }
+        ]
+    }
+];
+
+// بالاترین نویسه BMP برای پایان بازه جست‌وجوی پیشوندی
+const PREFIX_RANGE_END = String.fromCharCode(0xFFFF);
+
+/**
+ * @class VocabularyNotebook
+ * @implements IVocabularyNotebook
+ * @desc کلمات از فیلد vocabulary تمرین‌ها (و روی/پشت فلش‌کارت) پس از هر نتیجه تمرین ثبت می‌شوند
+ */
+class VocabularyNotebook {
+    /**
+     * @constructor
+     * @param {Object} dependencies - وابستگی‌های تزریق‌شده
+     * @param {IDatabase} dependencies.database - اینترفیس دیتابیس
+     * @param {IEventBus} dependencies.eventBus - اینترفیس سیستم رویداد
+     * @param {ExerciseManagerInterface} dependencies.exerciseManager - برای خواندن کلمات هر تمرین
+     */
+    constructor({ database, eventBus, exerciseManager }) {
+        if (!database || !eventBus || !exerciseManager) {
+            throw new Error('Database, EventBus and ExerciseManager dependencies are required');
+        }
+
+        this._database = database;
+        this._eventBus = eventBus;
+        this._exerciseManager = exerciseManager;
+
+        this._unsubscribe = this._eventBus.subscribe('progress.exercise_completed', {
+            handleEvent: (eventType, data) => this._onExerciseCompleted(data)
+        });
+    }
+
+    /**
+     * @method recordWordSeen
+     * @param {string} userId - شناسه کاربر
+     * @param {VocabularyWord} word - کلمه دیده‌شده
+     * @param {Object} [context] - { lessonId, exerciseId, isCorrect }
+     * @returns {Promise<VocabularyEntry>}
+     * @desc ثبت اولین دیدن یا به‌روزرسانی آمار کلمه
+     */
+    async recordWordSeen(userId, word, { lessonId = null, exerciseId = null, isCorrect = false } = {}) {
+        try {
+            if (!word?.lemma) {
+                throw new Error('Vocabulary word requires a lemma');
+            }
+
+            const id = this._buildEntryId(userId, word.lemma);
+            const existing = await this._database.get('vocabulary_entries', id);
+            const now = new Date().toISOString();
+
+            if (existing) {
+                const changes = {
+                    translation: existing.translation || word.translation || null,
+                    example: existing.example || word.example || null,
+                    seenCount: existing.seenCount + 1,
+                    lastSeenAt: now,
+                    lastCorrectAt: isCorrect ? now : existing.lastCorrectAt,
+                    exerciseIds: exerciseId && !existing.exerciseIds.includes(exerciseId)
+                        ? [...existing.exerciseIds, exerciseId]
+                        : existing.exerciseIds
+                };
+                changes.searchKeys = this._buildSearchKeys(userId, existing.lemma, changes.translation);
+
+                await this._database.update('vocabulary_entries', id, changes);
+                return { ...existing, ...changes };
+            }
+
+            const entry = {
+                id,
+                userId,
+                lemma: word.lemma,
+                translation: word.translation || null,
+                example: word.example || null,
+                languageCode: word.languageCode || null,
+                sourceLessonId: lessonId,
+                exerciseIds: exerciseId ? [exerciseId] : [],
+                seenCount: 1,
+                firstSeenAt: now,
+                lastSeenAt: now,
+                lastCorrectAt: isCorrect ? now : null,
+                starred: false,
+                note: null,
+                searchKeys: this._buildSearchKeys(userId, word.lemma, word.translation)
+            };
+
+            await this._database.add('vocabulary_entries', entry);
+            this._eventBus.publish('vocabulary.word_added', { userId, lemma: entry.lemma, lessonId });
+            return entry;
+
+        } catch (error) {
+            this._eventBus.publish('vocabulary.error', {
+                action: 'recordWordSeen',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * @method getEntry
+     * @param {string} userId - شناسه کاربر
+     * @param {string} lemma - صورت پایه کلمه
+     * @returns {Promise<VocabularyEntry|null>}
+     */
+    async getEntry(userId, lemma) {
+        return (await this._database.get('vocabulary_entries', this._buildEntryId(userId, lemma))) || null;
+    }
+
+    /**
+     * @method getWords
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [options] - { starredOnly }
+     * @returns {Promise<VocabularyEntry[]>} به ترتیب الفبا
+     */
+    async getWords(userId, { starredOnly = false } = {}) {
+        const entries = await this._database.queryByIndex('vocabulary_entries', 'userId', userId, {
+            filter: entry => !starredOnly || entry.starred
+        });
+        return entries.sort((a, b) => a.lemma.localeCompare(b.lemma));
+    }
+
+    /**
+     * @method starWord
+     * @param {string} userId - شناسه کاربر
+     * @param {string} lemma - صورت پایه کلمه
+     * @param {boolean} [starred=true]
+     * @returns {Promise<VocabularyEntry>}
+     */
+    async starWord(userId, lemma, starred = true) {
+        return this._updateEntry(userId, lemma, { starred: Boolean(starred) }, 'starWord');
+    }
+
+    /**
+     * @method annotateWord
+     * @param {string} userId - شناسه کاربر
+     * @param {string} lemma - صورت پایه کلمه
+     * @param {string|null} note - یادداشت کاربر (null برای حذف)
+     * @returns {Promise<VocabularyEntry>}
+     */
+    async annotateWord(userId, lemma, note) {
+        return this._updateEntry(userId, lemma, { note: note ? String(note).trim() : null }, 'annotateWord');
+    }
+
+    /**
+     * @method searchWords
+     * @param {string} userId - شناسه کاربر
+     * @param {string} prefix - پیشوند کلمه (زبان مقصد) یا ترجمه (فارسی)
+     * @param {Object} [options] - { limit }
+     * @returns {Promise<VocabularyEntry[]>}
+     */
+    async searchWords(userId, prefix, { limit = 50 } = {}) {
+        const normalized = normalizeText(prefix || '');
+        if (!normalized) {
+            return [];
+        }
+
+        const lower = `${userId}|${normalized}`;
+        const matches = await this._database.queryByRange(
+            'vocabulary_entries', 'searchKeys', lower, `${lower}${PREFIX_RANGE_END}`
+        );
+
+        // در ایندکس چندمقداری یک رکورد ممکن است با چند کلید برگردد
+        const unique = new Map(matches.map(entry => [entry.id, entry]));
+        return [...unique.values()]
+            .sort((a, b) => a.lemma.localeCompare(b.lemma))
+            .slice(0, limit);
+    }
+
+    /**
+     * @method getReviewWords
+     * @param {string} userId - شناسه کاربر
+     * @param {Object} [options] - { limit, starredOnly }
+     * @returns {Promise<VocabularyEntry[]>}
+     * @desc اولویت مرور: ستاره‌دار، هرگز درست پاسخ‌داده‌نشده، سپس قدیمی‌ترین پاسخ درست
+     */
+    async getReviewWords(userId, { limit = 20, starredOnly = false } = {}) {
+        const entries = await this.getWords(userId, { starredOnly });
+
+        return entries
+            .sort((a, b) => {
+                if (a.starred !== b.starred) return a.starred ? -1 : 1;
+                if (!a.lastCorrectAt !== !b.lastCorrectAt) return a.lastCorrectAt ? 1 : -1;
+                return (a.lastCorrectAt || a.firstSeenAt).localeCompare(b.lastCorrectAt || b.firstSeenAt);
+            })
+            .slice(0, limit);
+    }
+
+    /**
+     * @method destroy
+     * @desc قطع اشتراک از رویدادها
+     */
+    destroy() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+    }
+
+    // ==================== متدهای خصوصی ====================
+
+    /**
+     * @private
+     * @method _onExerciseCompleted
+     * @param {Object} data - داده رویداد progress.exercise_completed
+     */
+    async _onExerciseCompleted(data) {
+        const { userId, exerciseId } = data;
+        if (!userId || !exerciseId) return;
+
+        const exercise = await this._exerciseManager.getExercise(exerciseId);
+        if (!exercise) return;
+
+        for (const word of this._extractWords(exercise)) {
+            await this.recordWordSeen(userId, word, {
+                lessonId: data.lessonId || exercise.lessonId || null,
+                exerciseId,
+                isCorrect: Boolean(data.isCorrect)
+            });
+        }
+    }
+
+    /**
+     * @private
+     * @method _extractWords
+     * @param {Object} exercise - تمرین
+     * @returns {VocabularyWord[]}
+     */
+    _extractWords(exercise) {
+        const words = [...(exercise.vocabulary || [])];
+        if (exercise.type === 'flashcard' && words.length === 0) {
+            words.push({ lemma: exercise.front, translation: exercise.back });
+        }
+        return words
+            .filter(word => word?.lemma)
+            .map(word => ({ languageCode: exercise.language || null, ...word }));
+    }
+
+    /**
+     * @private
+     * @method _updateEntry
+     */
+    async _updateEntry(userId, lemma, changes, action) {
+        try {
+            const entry = await this.getEntry(userId, lemma);
+            if (!entry) {
+                throw new Error(`Word '${lemma}' is not in the notebook`);
+            }
+            await this._database.update('vocabulary_entries', entry.id, changes);
+            return { ...entry, ...changes };
+
+        } catch (error) {
+            this._eventBus.publish('vocabulary.error', { action, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * @private
+     * @method _buildSearchKeys
+     * @returns {string[]} کلیدهای جست‌وجو برای کلمه و ترجمه
+     */
+    _buildSearchKeys(userId, lemma, translation) {
+        const terms = [lemma, translation].filter(Boolean).map(term => normalizeText(term));
+        return [...new Set(terms)].map(term => `${userId}|${term}`);
+    }
+
+    /**
+     * @private
+     * @method _buildEntryId
+     */
+    _buildEntryId(userId, lemma) {
+        return `${userId}:${normalizeText(lemma)}`;
+    }
+}
+
+// ==================== تایپ‌ها (برای مستندات) ====================
+
+/**
+ * @typedef {Object} VocabularyWord
+ * @property {string} lemma - صورت پایه کلمه
+ * @property {string} [translation] - ترجمه فارسی
+ * @property {string} [example] - جمله نمونه
+ * @property {string} [languageCode]
+ */
+
+/**
+ * @typedef {Object} VocabularyEntry
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} lemma
+ * @property {string|null} translation
+ * @property {string|null} example
+ * @property {string|null} languageCode
+ * @property {string|null} sourceLessonId - درسی که کلمه اولین بار در آن دیده شد
+ * @property {string[]} exerciseIds - تمرین‌هایی که کلمه در آن‌ها آمده
+ * @property {number} seenCount
+ * @property {string} firstSeenAt
+ * @property {string} lastSeenAt
+ * @property {string|null} lastCorrectAt
+ * @property {boolean} starred
+ * @property {string|null} note
+ */
+
+// ==================== Export ====================
+
+export { IVocabularyNotebook, VocabularyNotebook, VOCABULARY_STORES };
@@ -0,0 +1,103 @@
+/**
+ * 🧪 تست Vocabulary Notebook
+ * تست‌های ثبت کلمات، ستاره/یادداشت، جست‌وجوی پیشوندی و انتخاب کلمات مرور
+ */
+
+import { VocabularyNotebook, VOCABULARY_STORES } from './vocabulary_notebook.js';
+import { createTestDatabase, createRecordingEventBus } from '../../core/test_helpers.js';
+
+const exercises = {
+    ex_1: {
+        id: 'ex_1',
+        type: 'fillBlank',
+        lessonId: 'l1',
+        vocabulary: [
+            { lemma: 'apple', translation: 'سیب', example: 'I eat an apple.' },
+            { lemma: 'apricot', translation: 'زردآلو' }
+        ]
+    },
+    ex_2: { id: 'ex_2', type: 'flashcard', lessonId: 'l2', front: 'Book', back: 'کتاب' }
+};
+
+describe('VocabularyNotebook', () => {
+    let database;
+    let eventBus;
+    let notebook;
+
+    beforeEach(async () => {
+        database = await createTestDatabase(VOCABULARY_STORES);
+        eventBus = createRecordingEventBus();
+        notebook = new VocabularyNotebook({
+            database,
+            eventBus,
+            exerciseManager: { getExercise: async id => exercises[id] || null }
+        });
+    });
+
+    afterEach(async () => {
+        notebook.destroy();
+        await database.deleteDatabase();
+    });
+
+    test('should record words from completed exercises', async () => {
+        await eventBus.publish('progress.exercise_completed', { userId: 'u1', exerciseId: 'ex_1', lessonId: 'l1', isCorrect: false });
+        await eventBus.publish('progress.exercise_completed', { userId: 'u1', exerciseId: 'ex_2', isCorrect: true });
+
+        const apple = await notebook.getEntry('u1', 'apple');
+        expect(apple.translation).toBe('سیب');
+        expect(apple.example).toBe('I eat an apple.');
+        expect(apple.sourceLessonId).toBe('l1');
+        expect(apple.lastCorrectAt).toBeNull();
+
+        const book = await notebook.getEntry('u1', 'book');
+        expect(book.lemma).toBe('Book');
+        expect(book.sourceLessonId).toBe('l2');
+        expect(book.lastCorrectAt).not.toBeNull();
+    });
+
+    test('should keep first-seen data and update counters on repeat', async () => {
+        const first = await notebook.recordWordSeen('u1', { lemma: 'apple' }, { lessonId: 'l1', exerciseId: 'ex_1' });
+        const second = await notebook.recordWordSeen('u1', { lemma: 'Apple', translation: 'سیب' }, { lessonId: 'l9', exerciseId: 'ex_3', isCorrect: true });
+
+        expect(second.seenCount).toBe(2);
+        expect(second.firstSeenAt).toBe(first.firstSeenAt);
+        expect(second.sourceLessonId).toBe('l1');
+        expect(second.translation).toBe('سیب');
+        expect(second.exerciseIds).toEqual(['ex_1', 'ex_3']);
+    });
+
+    test('should star and annotate words', async () => {
+        await notebook.recordWordSeen('u1', { lemma: 'apple' });
+
+        await notebook.starWord('u1', 'apple');
+        await notebook.annotateWord('u1', 'apple', '  با a شروع می‌شود ');
+
+        const entry = await notebook.getEntry('u1', 'apple');
+        expect(entry.starred).toBe(true);
+        expect(entry.note).toBe('با a شروع می‌شود');
+        expect((await notebook.getWords('u1', { starredOnly: true })).map(w => w.lemma)).toEqual(['apple']);
+        await expect(notebook.starWord('u1', 'pear')).rejects.toThrow("Word 'pear' is not in the notebook");
+    });
+
+    test('should search by prefix in the target language and Persian', async () => {
+        await eventBus.publish('progress.exercise_completed', { userId: 'u1', exerciseId: 'ex_1' });
+        await eventBus.publish('progress.exercise_completed', { userId: 'u2', exerciseId: 'ex_1' });
+
+        expect((await notebook.searchWords('u1', 'Ap')).map(w => w.lemma)).toEqual(['apple', 'apricot']);
+        expect((await notebook.searchWords('u1', 'زرد')).map(w => w.lemma)).toEqual(['apricot']);
+
+        const arabicYeh = String.fromCharCode(0x064A);
+        expect((await notebook.searchWords('u1', `س${arabicYeh}`)).map(w => w.lemma)).toEqual(['apple']);
+        expect(await notebook.searchWords('u1', '')).toEqual([]);
+    });
+
+    test('should prioritise starred and never-correct words for review', async () => {
+        await notebook.recordWordSeen('u1', { lemma: 'known' }, { exerciseId: 'ex_a', isCorrect: true });
+        await notebook.recordWordSeen('u1', { lemma: 'unknown' }, { exerciseId: 'ex_b' });
+        await notebook.recordWordSeen('u1', { lemma: 'favourite' }, { exerciseId: 'ex_c', isCorrect: true });
+        await notebook.starWord('u1', 'favourite');
+
+        const words = await notebook.getReviewWords('u1');
+        expect(words.map(w => w.lemma)).toEqual(['favourite', 'unknown', 'known']);
+    });
+});